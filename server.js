@@ -34,6 +34,7 @@ photoBoothServer.initialize().then(() => {
         };
         
         const httpsServer = https.createServer(httpsOptions, app);
+        photoBoothServer.attachWebSocket(httpsServer);
         httpsServer.listen(5000, '0.0.0.0', () => {
             console.log('🎉 Vienna Photo Booth Server is running!');
             console.log('📍 HTTPS Server: https://0.0.0.0:5000');
@@ -51,11 +52,14 @@ photoBoothServer.initialize().then(() => {
             console.log('   GET  /api/system - System info');
             console.log('   GET  /api/cleanup - Run cleanup');
             console.log('   GET  /gallery - Gallery page');
+            console.log('   POST /api/session/trigger - Remote trigger');
+            console.log('   WS   /ws - Booth session socket');
             console.log('Press Ctrl+C to stop the server');
         });
     } else {
         // HTTP server (fallback)
         const httpServer = http.createServer(app);
+        photoBoothServer.attachWebSocket(httpServer);
         httpServer.listen(5000, '0.0.0.0', () => {
             console.log('🎉 Vienna Photo Booth Server is running!');
             console.log('📍 HTTP Server: http://0.0.0.0:5000');
@@ -74,6 +78,8 @@ photoBoothServer.initialize().then(() => {
             console.log('   GET  /api/system - System info');
             console.log('   GET  /api/cleanup - Run cleanup');
             console.log('   GET  /gallery - Gallery page');
+            console.log('   POST /api/session/trigger - Remote trigger');
+            console.log('   WS   /ws - Booth session socket');
             console.log('Press Ctrl+C to stop the server');
         });
     }
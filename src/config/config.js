@@ -19,25 +19,78 @@ class Config {
         this.host = process.env.HOST || '0.0.0.0';
         this.nodeEnv = process.env.NODE_ENV || 'development';
         this.isDevelopment = this.nodeEnv === 'development';
+        this.publicUrl = process.env.PUBLIC_URL || null; // base URL of guest download links (the LAN address by default)
 
         // File paths
         this.uploadPath = process.env.UPLOAD_PATH || path.join(process.cwd(), 'uploads');
         this.customFramesPath = process.env.CUSTOM_FRAMES_PATH || path.join(process.cwd(), 'static', 'custom-frames');
         this.templatesPath = process.env.TEMPLATES_PATH || path.join(process.cwd(), 'templates');
         this.staticPath = process.env.STATIC_PATH || path.join(process.cwd(), 'static');
+        this.dataPath = process.env.DATA_PATH || path.join(process.cwd(), 'data');
+        this.thumbnailPath = process.env.THUMBNAIL_PATH || path.join(this.dataPath, 'thumbnails');
 
         // Printer configuration
         this.defaultPrinter = process.env.DEFAULT_PRINTER || 'default';
         this.printTimeout = parseInt(process.env.PRINT_TIMEOUT) || 30000;
+        this.printBackend = process.env.PRINT_BACKEND || 'cups'; // cups or virtual
+        this.printMaxCopies = parseInt(process.env.PRINT_MAX_COPIES) || 10;
+
+        // Virtual printer (PRINT_BACKEND=virtual)
+        this.virtualPrinterPath = process.env.VIRTUAL_PRINTER_PATH || path.join(this.dataPath, 'virtual-printer');
+        this.virtualPrinters = (process.env.VIRTUAL_PRINTER_NAMES || 'Virtual_Printer').split(',').map(name => name.trim()).filter(Boolean);
+        this.virtualPrintDelay = process.env.VIRTUAL_PRINT_DELAY !== undefined ? parseInt(process.env.VIRTUAL_PRINT_DELAY) : 5000;
+        this.virtualPrintFailureRate = parseFloat(process.env.VIRTUAL_PRINT_FAILURE_RATE) || 0; // 0..1 chance a submission fails
+
+        // Print queue configuration
+        this.printMaxAttempts = parseInt(process.env.PRINT_MAX_ATTEMPTS) || 3;
+        this.printRetryDelay = parseInt(process.env.PRINT_RETRY_DELAY) || 5000; // doubled after every failed attempt
+        this.printStatusInterval = parseInt(process.env.PRINT_STATUS_INTERVAL) || 5000;
+        this.printerMonitorInterval = parseInt(process.env.PRINTER_MONITOR_INTERVAL) || 5000; // lpstat polling
+
+        // Remote trigger sessions
+        this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT) || 120000; // booth must upload within this time
+        this.triggerInput = process.env.TRIGGER_INPUT || 'none'; // none, keyboard, evdev or gpio
+        this.triggerDevice = process.env.TRIGGER_DEVICE || '/dev/input/event0'; // evdev device
+        this.triggerKeyCode = parseInt(process.env.TRIGGER_KEY_CODE) || 28; // evdev key code (28 = KEY_ENTER)
+        this.triggerGpioPin = parseInt(process.env.TRIGGER_GPIO_PIN) || 17; // sysfs GPIO number
+        this.triggerGpioActiveLow = process.env.TRIGGER_GPIO_ACTIVE_LOW !== 'false'; // button pulls the pin to ground
+        this.triggerDebounce = parseInt(process.env.TRIGGER_DEBOUNCE) || 1000;
+        this.triggerBooth = process.env.TRIGGER_BOOTH || null; // booth to trigger, any idle booth when empty
+
+        // PDF rendering (media: 4x6, 5x7, 2x6, A6, A5, A4)
+        this.pdfMedia = process.env.PDF_MEDIA || 'A4';
+        this.pdfMarginMm = process.env.PDF_MARGIN_MM !== undefined ? parseFloat(process.env.PDF_MARGIN_MM) : 5;
+        this.pdfBorderless = process.env.PDF_BORDERLESS === 'true';
+        this.pdfBleedMm = process.env.PDF_BLEED_MM !== undefined ? parseFloat(process.env.PDF_BLEED_MM) : 2;
+        this.pdfDpi = parseInt(process.env.PDF_DPI) || 300;
+        this.pdfOrientation = process.env.PDF_ORIENTATION || 'auto'; // auto, portrait or landscape
 
         // Image processing
         this.imageQuality = parseInt(process.env.IMAGE_QUALITY) || 95;
         this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+        this.frameCacheSize = parseInt(process.env.FRAME_CACHE_SIZE) || 256 * 1024 * 1024; // decoded frames kept in memory
+        this.frameMaxSize = process.env.FRAME_MAX_SIZE !== undefined ? parseInt(process.env.FRAME_MAX_SIZE) : 4096; // longer side of uploaded frames (0 keeps their size)
+
+        // Crop positioning of photos in frame slots
+        this.cropStrategy = process.env.CROP_STRATEGY || 'attention'; // center, attention or entropy
+        this.faceDetector = process.env.FACE_DETECTOR || 'none'; // none or ultraface (needs onnxruntime-node)
+        this.faceModelPath = process.env.FACE_MODEL_PATH || path.join(this.dataPath, 'models', 'version-RFB-320.onnx');
+        this.faceModelSize = process.env.FACE_MODEL_SIZE || '320x240'; // model input (width x height)
+        this.faceThreshold = parseFloat(process.env.FACE_THRESHOLD) || 0.7; // minimum face score
+
+        // Slideshow (/slideshow wall display; each screen can override these in its URL)
+        this.slideshowInterval = parseInt(process.env.SLIDESHOW_INTERVAL) || 8000; // time per photo
+        this.slideshowShuffle = process.env.SLIDESHOW_SHUFFLE === 'true';
+        this.slideshowQr = process.env.SLIDESHOW_QR !== 'false'; // guest download QR code next to each photo
+        this.slideshowTitle = process.env.SLIDESHOW_TITLE || null; // overlay text, the event name by default
+        this.slideshowLogo = process.env.SLIDESHOW_LOGO || null; // overlay logo URL (e.g. /static/logo.png)
+        this.slideshowLimit = parseInt(process.env.SLIDESHOW_LIMIT) || 100; // most recent photos cycled through
 
         // Cleanup configuration
         this.cleanupInterval = parseInt(process.env.CLEANUP_INTERVAL) || 60 * 60 * 1000; // 1 hour
         this.maxFileAge = parseInt(process.env.MAX_FILE_AGE) || 24 * 60 * 60 * 1000; // 24 hours
         this.maxUploadsSize = parseInt(process.env.MAX_UPLOADS_SIZE) || 100 * 1024 * 1024; // 100MB
+        this.trashRetention = parseInt(process.env.TRASH_RETENTION) || 7 * 24 * 60 * 60 * 1000; // deleted photos are kept 7 days
     }
 
     /**
@@ -54,12 +107,24 @@ class Config {
                 upload: this.uploadPath,
                 customFrames: this.customFramesPath,
                 templates: this.templatesPath,
-                static: this.staticPath
+                static: this.staticPath,
+                data: this.dataPath,
+                thumbnails: this.thumbnailPath
             },
             features: {
                 imageQuality: this.imageQuality,
                 defaultPrinter: this.defaultPrinter,
-                printTimeout: this.printTimeout
+                printTimeout: this.printTimeout,
+                printBackend: this.printBackend,
+                printMaxAttempts: this.printMaxAttempts
+            },
+            pdf: {
+                media: this.pdfMedia,
+                marginMm: this.pdfMarginMm,
+                borderless: this.pdfBorderless,
+                bleedMm: this.pdfBleedMm,
+                dpi: this.pdfDpi,
+                orientation: this.pdfOrientation
             }
         };
     }
@@ -89,6 +154,37 @@ class Config {
             errors.push('Max uploads size must be greater than max file size');
         }
 
+        // Validate print backend
+        if (!['cups', 'virtual'].includes(this.printBackend)) {
+            errors.push('Print backend must be either cups or virtual');
+        }
+
+        if (this.virtualPrintFailureRate < 0 || this.virtualPrintFailureRate > 1) {
+            errors.push('Virtual print failure rate must be between 0 and 1');
+        }
+
+        // Validate trigger input
+        if (!['none', 'keyboard', 'evdev', 'gpio'].includes(this.triggerInput)) {
+            errors.push('Trigger input must be one of none, keyboard, evdev or gpio');
+        }
+
+        if (!Number.isInteger(this.frameMaxSize) || this.frameMaxSize < 0) {
+            errors.push('Frame max size must be a whole number of pixels (0 to keep uploaded frames at their size)');
+        }
+
+        // Validate crop positioning
+        if (!['center', 'attention', 'entropy'].includes(this.cropStrategy)) {
+            errors.push('Crop strategy must be one of center, attention or entropy');
+        }
+
+        if (!['none', 'ultraface'].includes(this.faceDetector)) {
+            errors.push('Face detector must be either none or ultraface');
+        }
+
+        if (!/^\d+x\d+$/.test(this.faceModelSize)) {
+            errors.push('Face model size must be given as <width>x<height>');
+        }
+
         if (errors.length > 0) {
             throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
         }
@@ -0,0 +1,241 @@
+/**
+ * Event Controller
+ * Handles event (wedding, party, venue) requests: photos taken while an event
+ * is active are grouped under it
+ */
+
+const eventStore = require('../services/EventStore');
+
+class EventController {
+    constructor() {
+        this.eventStore = eventStore;
+    }
+
+    /**
+     * Get all events
+     */
+    async getEvents(req, res) {
+        try {
+            const events = this.eventStore.getEvents();
+            res.json({
+                success: true,
+                events: events,
+                activeId: this.eventStore.activeId,
+                count: events.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get events controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get the active event (null when photos are not saved under an event)
+     */
+    async getActiveEvent(req, res) {
+        try {
+            res.json({
+                success: true,
+                event: this.eventStore.getActiveEvent(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get active event controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get a single event
+     */
+    async getEvent(req, res) {
+        try {
+            const event = this.eventStore.getEvent(req.params.id);
+
+            if (!event) {
+                return res.status(404).json({
+                    error: 'Event not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                event: event,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get event controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Create an event (activated right away with `activate: true`)
+     */
+    async createEvent(req, res) {
+        try {
+            const data = req.body || {};
+            const errors = await this.eventStore.validateEvent(data);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            let event = await this.eventStore.createEvent(data);
+            if (data.activate === true) {
+                event = await this.eventStore.activateEvent(event.id);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: `Event "${event.name}" created`,
+                event: event,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in create event controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Update an event
+     */
+    async updateEvent(req, res) {
+        try {
+            const { id } = req.params;
+            const data = req.body || {};
+
+            if (!this.eventStore.getEvent(id)) {
+                return res.status(404).json({
+                    error: 'Event not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const errors = await this.eventStore.validateEvent(data, true);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const event = await this.eventStore.updateEvent(id, data);
+            res.json({
+                success: true,
+                message: `Event "${event.name}" updated`,
+                event: event,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in update event controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Make an event the active one
+     */
+    async activateEvent(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!this.eventStore.getEvent(id)) {
+                return res.status(404).json({
+                    error: 'Event not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const event = await this.eventStore.activateEvent(id);
+            res.json({
+                success: true,
+                message: `Event "${event.name}" is now active`,
+                event: event,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            // Closed events cannot be activated again
+            console.error('Error in activate event controller:', error);
+            res.status(409).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Stop saving photos under the active event
+     */
+    async deactivateEvent(req, res) {
+        try {
+            await this.eventStore.deactivateEvent();
+            res.json({
+                success: true,
+                message: 'No event is active',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in deactivate event controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Close an event
+     */
+    async closeEvent(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!this.eventStore.getEvent(id)) {
+                return res.status(404).json({
+                    error: 'Event not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const event = await this.eventStore.closeEvent(id);
+            res.json({
+                success: true,
+                message: `Event "${event.name}" closed`,
+                event: event,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            // Event was already closed
+            console.error('Error in close event controller:', error);
+            res.status(409).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
+
+module.exports = EventController;
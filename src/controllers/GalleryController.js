@@ -5,25 +5,54 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const config = require('../config/config');
+const realtimeHub = require('../services/RealtimeHub');
+const eventStore = require('../services/EventStore');
+const photoIndex = require('../services/PhotoIndex');
+const thumbnailCache = require('../services/ThumbnailCache');
+const trashStore = require('../services/TrashStore');
+const printQueue = require('../services/PrintQueue');
+const ImageProcessor = require('../services/ImageProcessor');
+const FrameManager = require('../services/FrameManager');
+const PrinterManager = require('../services/PrinterManager');
+const GalleryExporter = require('../services/GalleryExporter');
+const Helpers = require('../utils/helpers');
 
 class GalleryController {
     constructor() {
-        this.uploadsPath = config.uploadPath;
         this.supportedFormats = ['.jpg', '.jpeg', '.png', '.webp'];
+        this.maxPageSize = 500;
+        this.exporter = new GalleryExporter();
+        this.imageProcessor = new ImageProcessor();
+        this.frameManager = new FrameManager();
+        this.printerManager = new PrinterManager();
     }
 
     /**
-     * Get all images from uploads directory
+     * Get images from the photo index
+     * Filters: event (id, or none for photos taken outside events), from/to, frame,
+     * printed, pdf; sort (date, size, name) and order; limit/cursor return one page
      */
     async getImages(req, res) {
         try {
-            const images = await this.scanImages();
+            const { options, errors } = this.getQueryOptions(req.query);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.join('; '),
+                    errors: errors
+                });
+            }
+            
+            const page = this.queryImages(options);
             
             res.json({
                 success: true,
-                images: images,
-                count: images.length
+                images: page.images,
+                count: page.images.length,
+                total: page.total,
+                limit: page.limit,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
             });
         } catch (error) {
             console.error('Error getting images:', error);
@@ -40,7 +69,6 @@ class GalleryController {
     async downloadImage(req, res) {
         try {
             const filename = req.params.filename;
-            const filePath = path.join(this.uploadsPath, filename);
             
             // Validate filename
             if (!this.isValidImageFile(filename)) {
@@ -50,10 +78,8 @@ class GalleryController {
                 });
             }
             
-            // Check if file exists
-            try {
-                await fs.access(filePath);
-            } catch (error) {
+            const photo = photoIndex.getPhoto(filename);
+            if (!photo) {
                 return res.status(404).json({
                     success: false,
                     error: 'File not found'
@@ -61,7 +87,7 @@ class GalleryController {
             }
             
             // Send file
-            res.download(filePath, filename);
+            res.download(photoIndex.getPhotoPath(photo), filename);
             
         } catch (error) {
             console.error('Error downloading image:', error);
@@ -73,12 +99,13 @@ class GalleryController {
     }
 
     /**
-     * Delete single image
+     * Download one of the unframed captures of an image (`index` counts from 1,
+     * one capture per frame slot)
      */
-    async deleteImage(req, res) {
+    async downloadOriginal(req, res) {
         try {
             const filename = req.params.filename;
-            const filePath = path.join(this.uploadsPath, filename);
+            const index = Number(req.params.index);
             
             // Validate filename
             if (!this.isValidImageFile(filename)) {
@@ -88,35 +115,282 @@ class GalleryController {
                 });
             }
             
-            // Check if file exists
-            try {
-                await fs.access(filePath);
-            } catch (error) {
+            const photo = photoIndex.getPhoto(filename);
+            const originalPaths = photo ? photoIndex.getOriginalPaths(photo) : [];
+            if (!Number.isInteger(index) || index < 1 || index > originalPaths.length) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Original not found'
+                });
+            }
+            
+            res.download(originalPaths[index - 1], photo.originals[index - 1]);
+            
+        } catch (error) {
+            console.error('Error downloading original:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to download original'
+            });
+        }
+    }
+
+    /**
+     * Get a thumbnail (`size=thumb`) or preview (`size=medium`) of an image,
+     * generated on first request for photos saved before thumbnails existed
+     */
+    async getThumbnail(req, res) {
+        try {
+            const filename = req.params.filename;
+            const size = req.query.size || 'thumb';
+            
+            // Validate filename
+            if (!this.isValidImageFile(filename)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid file format'
+                });
+            }
+            
+            if (!thumbnailCache.hasVariant(size)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown thumbnail size: ${size}`
+                });
+            }
+            
+            const photo = photoIndex.getPhoto(filename);
+            if (!photo) {
                 return res.status(404).json({
                     success: false,
                     error: 'File not found'
                 });
             }
             
-            // Delete the image file
-            await fs.unlink(filePath);
+            const variantPath = await thumbnailCache.getVariant(filename, photoIndex.getPhotoPath(photo), size);
             
-            // Also delete the corresponding PDF file if it exists
-            const pdfFilename = filename.replace(/\.[^.]+$/, '.pdf');
-            const pdfPath = path.join(this.uploadsPath, pdfFilename);
+            // Send file (sendFile sets ETag/Last-Modified and answers conditional requests)
+            res.sendFile(variantPath, { maxAge: '1h' });
             
-            try {
-                await fs.access(pdfPath);
-                await fs.unlink(pdfPath);
-                console.log(`Deleted PDF file: ${pdfFilename}`);
-            } catch (error) {
-                // PDF file doesn't exist, which is fine
-                console.log(`No PDF file found for: ${filename}`);
+        } catch (error) {
+            console.error('Error getting thumbnail:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get thumbnail'
+            });
+        }
+    }
+
+    /**
+     * Print a stored image again
+     * Body: printer, copies, media, colorMode, fitToPage
+     */
+    async printImage(req, res) {
+        try {
+            const filename = req.params.filename;
+            const body = req.body || {};
+            
+            // Validate filename
+            if (!this.isValidImageFile(filename)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid file format'
+                });
+            }
+            
+            const photo = photoIndex.getPhoto(filename);
+            if (!photo) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'File not found'
+                });
+            }
+            
+            if (body.printer && !Helpers.isValidPrinterName(body.printer)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid printer name'
+                });
+            }
+            
+            // Check copies/media/colorMode/fitToPage against what the printer supports
+            const { errors, printOptions } = await this.printerManager.getRequestPrintOptions(body, body.printer);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.join('; '),
+                    errors: errors
+                });
             }
             
+            const job = await printQueue.enqueue(photoIndex.getPhotoPath(photo), {
+                printer: body.printer,
+                printOptions,
+                pdfOptions: await this.frameManager.getFramePrintLayout(photo.frameId)
+            });
+            
+            // Follow the new job on the photo's index entry
+            await photoIndex.updatePhoto(filename, {
+                jobId: job.id,
+                printStatus: job.state,
+                printError: null,
+                printer: body.printer || photo.printer
+            });
+            
+            console.log(`🖨️  Reprint of ${filename} queued (job ${job.id})`);
+            
             res.json({
                 success: true,
-                message: 'Image and corresponding PDF deleted successfully'
+                message: 'Photo queued for printing',
+                filename: filename,
+                jobId: job.id,
+                job: job
+            });
+            
+        } catch (error) {
+            console.error('Error printing image:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to print image'
+            });
+        }
+    }
+
+    /**
+     * Render a stored image again from its original captures with another frame or filter
+     * The result is saved as a new photo next to the old one
+     * Body: frame_id, filter (both default to the photo's own)
+     */
+    async reprocessImage(req, res) {
+        try {
+            const filename = req.params.filename;
+            const body = req.body || {};
+            
+            // Validate filename
+            if (!this.isValidImageFile(filename)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid file format'
+                });
+            }
+            
+            const photo = photoIndex.getPhoto(filename);
+            if (!photo) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'File not found'
+                });
+            }
+            
+            const originalPaths = photoIndex.getOriginalPaths(photo);
+            if (originalPaths.length === 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The original capture of this photo was not kept'
+                });
+            }
+            
+            const frameId = body.frame_id || photo.frameId;
+            const filter = body.filter !== undefined ? body.filter : photo.filter;
+            
+            if (frameId && !this.frameManager.isValidFrameId(frameId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid frame ID'
+                });
+            }
+            
+            if (!frameId || !(await this.frameManager.frameExists(frameId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown frame: ${frameId}`
+                });
+            }
+            
+            if (filter && !this.imageProcessor.hasFilter(filter)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown filter: ${filter}`
+                });
+            }
+            
+            const imageBuffers = await Promise.all(originalPaths.map(originalPath => fs.readFile(originalPath)));
+            const crops = [];
+            const processedPhoto = await this.imageProcessor.processImage(
+                imageBuffers,
+                frameId,
+                this.frameManager,
+                { filter, crops }
+            );
+            
+            // Save next to the photo it was made from (same event)
+            const newFilename = this.imageProcessor.generateFilename();
+            const outputPath = photoIndex.getPhotoPath(photo, newFilename);
+            await this.imageProcessor.saveImage(processedPhoto, outputPath);
+            const originals = await photoIndex.copyOriginals(photo, outputPath);
+            const newPhoto = await photoIndex.addPhoto(outputPath, {
+                eventId: photo.eventId,
+                frameId,
+                filter,
+                originals,
+                source: 'reprocess',
+                client: photo.client
+            });
+            thumbnailCache.generate(newFilename, outputPath).catch(error => {
+                console.error(`❌ Error generating thumbnails for ${newFilename}:`, error.message);
+            });
+            realtimeHub.publish('gallery', { action: 'added', filenames: [newFilename], eventId: photo.eventId });
+            
+            console.log(`🎨 Reprocessed ${filename} as ${newFilename}`);
+            
+            res.json({
+                success: true,
+                message: 'Photo reprocessed',
+                image: this.toImage(newPhoto),
+                crops: crops
+            });
+            
+        } catch (error) {
+            console.error('Error reprocessing image:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reprocess image'
+            });
+        }
+    }
+
+    /**
+     * Delete single image
+     */
+    async deleteImage(req, res) {
+        try {
+            const filename = req.params.filename;
+            
+            // Validate filename
+            if (!this.isValidImageFile(filename)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid file format'
+                });
+            }
+            
+            // Move the image, its PDF and originals to the trash
+            const trashed = await trashStore.trashPhoto(filename);
+            if (!trashed) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'File not found'
+                });
+            }
+            
+            console.log(`🗑️  Moved to trash: ${filename}`);
+            
+            realtimeHub.publish('gallery', { action: 'deleted', filenames: [filename] });
+            
+            res.json({
+                success: true,
+                message: 'Image moved to trash',
+                expiresAt: trashed.photo.expiresAt
             });
             
         } catch (error) {
@@ -144,6 +418,7 @@ class GalleryController {
             
             let deletedCount = 0;
             let deletedPdfCount = 0;
+            const deletedFilenames = [];
             const errors = [];
             
             // Delete each file
@@ -154,23 +429,17 @@ class GalleryController {
                         continue;
                     }
                     
-                    const filePath = path.join(this.uploadsPath, filename);
-                    await fs.access(filePath);
-                    await fs.unlink(filePath);
-                    deletedCount++;
+                    const trashed = await trashStore.trashPhoto(filename);
+                    if (!trashed) {
+                        errors.push(`File not found: ${filename}`);
+                        continue;
+                    }
                     
-                    // Also delete the corresponding PDF file if it exists
-                    const pdfFilename = filename.replace(/\.[^.]+$/, '.pdf');
-                    const pdfPath = path.join(this.uploadsPath, pdfFilename);
+                    deletedCount++;
+                    deletedFilenames.push(filename);
                     
-                    try {
-                        await fs.access(pdfPath);
-                        await fs.unlink(pdfPath);
+                    if (trashed.pdfMoved) {
                         deletedPdfCount++;
-                        console.log(`Deleted PDF file: ${pdfFilename}`);
-                    } catch (error) {
-                        // PDF file doesn't exist, which is fine
-                        console.log(`No PDF file found for: ${filename}`);
                     }
                     
                 } catch (error) {
@@ -182,6 +451,11 @@ class GalleryController {
                 }
             }
             
+            if (deletedFilenames.length > 0) {
+                console.log(`🗑️  Moved ${deletedFilenames.length} image(s) to trash`);
+                realtimeHub.publish('gallery', { action: 'deleted', filenames: deletedFilenames });
+            }
+            
             res.json({
                 success: true,
                 deletedCount: deletedCount,
@@ -200,55 +474,426 @@ class GalleryController {
     }
 
     /**
-     * Scan uploads directory for images
+     * Get the photos in the trash, most recently deleted first
      */
-    async scanImages() {
+    async getTrash(req, res) {
         try {
-            const files = await fs.readdir(this.uploadsPath);
-            const images = [];
-            
-            for (const file of files) {
-                if (this.isValidImageFile(file)) {
-                    try {
-                        const filePath = path.join(this.uploadsPath, file);
-                        const stats = await fs.stat(filePath);
-                        
-                        // Check if PDF version exists
-                        const pdfFilename = file.replace(/\.[^.]+$/, '.pdf');
-                        const pdfPath = path.join(this.uploadsPath, pdfFilename);
-                        let pdfExists = false;
-                        let pdfStats = null;
-                        
-                        try {
-                            pdfStats = await fs.stat(pdfPath);
-                            pdfExists = true;
-                        } catch (error) {
-                            // PDF doesn't exist
-                        }
-                        
-                        images.push({
-                            filename: file,
-                            name: this.getDisplayName(file),
-                            size: stats.size,
-                            created: stats.birthtime,
-                            modified: stats.mtime,
-                            path: `/uploads/${file}`,
-                            pdfExists: pdfExists,
-                            pdfFilename: pdfExists ? pdfFilename : null,
-                            pdfPath: pdfExists ? `/uploads/${pdfFilename}` : null,
-                            pdfSize: pdfExists ? pdfStats.size : null
-                        });
-                    } catch (error) {
-                        console.warn(`Error reading file ${file}:`, error);
+            const items = trashStore.getItems();
+            
+            res.json({
+                success: true,
+                images: items.map(item => this.toTrashImage(item)),
+                ...trashStore.getStats()
+            });
+            
+        } catch (error) {
+            console.error('Error getting trash:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get trash'
+            });
+        }
+    }
+
+    /**
+     * Get the thumbnail of a photo in the trash
+     */
+    async getTrashThumbnail(req, res) {
+        try {
+            const item = trashStore.getItem(req.params.id);
+            if (!item) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'File not found'
+                });
+            }
+            
+            const variantPath = await thumbnailCache.getVariant(trashStore.getThumbnailName(item), trashStore.getTrashPath(item), 'thumb');
+            res.sendFile(variantPath, { maxAge: '1h' });
+            
+        } catch (error) {
+            console.error('Error getting trash thumbnail:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get thumbnail'
+            });
+        }
+    }
+
+    /**
+     * Move photos from the trash back into the gallery
+     * Body: `ids` (trash ids)
+     */
+    async restoreTrash(req, res) {
+        try {
+            const { ids } = req.body || {};
+            
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No files specified'
+                });
+            }
+            
+            const restored = [];
+            const errors = [];
+            
+            for (const id of ids) {
+                const item = trashStore.getItem(id);
+                if (!item) {
+                    errors.push(`File not found: ${id}`);
+                    continue;
+                }
+                try {
+                    restored.push(await trashStore.restorePhoto(id));
+                } catch (error) {
+                    errors.push(`Failed to restore ${item.filename}: ${error.message}`);
+                }
+            }
+            
+            if (restored.length > 0) {
+                console.log(`♻️  Restored ${restored.length} image(s) from trash`);
+                // Restored photos may belong to different events
+                for (const photo of restored) {
+                    realtimeHub.publish('gallery', { action: 'added', filenames: [photo.filename], eventId: photo.eventId });
+                }
+            }
+            
+            res.json({
+                success: true,
+                restoredCount: restored.length,
+                images: restored.map(photo => this.toImage(photo)),
+                totalRequested: ids.length,
+                errors: errors.length > 0 ? errors : undefined
+            });
+            
+        } catch (error) {
+            console.error('Error restoring images:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to restore images'
+            });
+        }
+    }
+
+    /**
+     * Delete photos in the trash for good
+     * Body: `ids` (trash ids), or `all: true` to empty the trash
+     */
+    async purgeTrash(req, res) {
+        try {
+            const body = req.body || {};
+            const emptyTrash = body.all === true || body.all === 'true';
+            
+            if (!emptyTrash && (!Array.isArray(body.ids) || body.ids.length === 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No files specified'
+                });
+            }
+            
+            const ids = emptyTrash ? trashStore.getItems().map(item => item.trashId) : body.ids;
+            let purgedCount = 0;
+            const errors = [];
+            
+            for (const id of ids) {
+                if (await trashStore.purgePhoto(id)) {
+                    purgedCount++;
+                } else {
+                    errors.push(`File not found: ${id}`);
+                }
+            }
+            
+            if (purgedCount > 0) {
+                console.log(`🗑️  Purged ${purgedCount} image(s) from trash`);
+            }
+            
+            res.json({
+                success: true,
+                purgedCount: purgedCount,
+                totalRequested: ids.length,
+                errors: errors.length > 0 ? errors : undefined
+            });
+            
+        } catch (error) {
+            console.error('Error purging trash:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to purge images'
+            });
+        }
+    }
+
+    /**
+     * Export images as a ZIP with a JSON and CSV manifest
+     * Body: `filenames`, or gallery filters (event, from/to, frame, printed, pdf;
+     * no filters exports every photo); `pdfs: true` adds the PDFs
+     */
+    async exportImages(req, res) {
+        try {
+            const body = req.body || {};
+            let photos;
+            
+            if (Array.isArray(body.filenames) && body.filenames.length > 0) {
+                const invalid = body.filenames.filter(filename => typeof filename !== 'string' || !this.isValidImageFile(filename));
+                if (invalid.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Invalid file format: ${invalid.join(', ')}`
+                    });
+                }
+                
+                const filenames = Array.from(new Set(body.filenames));
+                photos = filenames.map(filename => photoIndex.getPhoto(filename));
+                const unknown = filenames.filter((filename, i) => !photos[i]);
+                if (unknown.length > 0) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `File not found: ${unknown.join(', ')}`
+                    });
+                }
+            } else {
+                const filters = {};
+                for (const name of ['event', 'from', 'to', 'frame', 'printed', 'pdf']) {
+                    if (body[name] !== undefined && body[name] !== null && body[name] !== '') {
+                        filters[name] = String(body[name]);
                     }
                 }
+                
+                const { options, errors } = this.getQueryOptions(filters);
+                if (errors.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: errors.join('; '),
+                        errors: errors
+                    });
+                }
+                
+                photos = photoIndex.query({ ...options, sort: 'date', order: 'asc' }).photos;
+            }
+            
+            res.attachment(this.getExportFilename(body.event));
+            res.type('application/zip');
+            
+            const result = await this.exporter.exportPhotos(photos, res, {
+                includePdfs: body.pdfs === true || body.pdfs === 'true',
+                includeOriginals: body.originals === true || body.originals === 'true'
+            });
+            console.log(`📦 Exported ${result.photoCount} photo(s) and ${result.pdfCount} PDF(s)`);
+            
+        } catch (error) {
+            console.error('Error exporting images:', error);
+            if (res.headersSent) {
+                // The archive is already streaming, the client gets a truncated download
+                res.destroy(error);
+                return;
+            }
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export images'
+            });
+        }
+    }
+
+    /**
+     * File name of an export archive (named after the event when exporting one)
+     */
+    getExportFilename(eventId) {
+        const event = eventId ? eventStore.getEvent(String(eventId)) : null;
+        const name = event ? Helpers.sanitizeFilename(event.name) : 'photos';
+        return `${name}_${Helpers.generateTimestamp()}.zip`;
+    }
+
+    /**
+     * Read gallery filters, sorting and paging from a query string
+     */
+    getQueryOptions(query) {
+        const options = {};
+        const errors = [];
+        
+        if (query.event !== undefined && query.event !== '') {
+            options.eventId = query.event === 'none' ? null : query.event;
+        }
+        
+        if (query.frame !== undefined && query.frame !== '') {
+            options.frameId = query.frame === 'none' ? null : query.frame;
+        }
+        
+        for (const [name, endOfDay] of [['from', false], ['to', true]]) {
+            const value = query[name];
+            if (value === undefined || value === '') {
+                continue;
+            }
+            
+            const time = Date.parse(value);
+            if (isNaN(time)) {
+                errors.push(`Invalid ${name} date: ${value}`);
+            } else {
+                // A plain date in `to` includes the whole day
+                options[name] = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+            }
+        }
+        
+        for (const [name, option] of [['printed', 'printed'], ['pdf', 'hasPdf']]) {
+            const value = query[name];
+            if (value === undefined || value === '') {
+                continue;
+            }
+            
+            if (value === 'true' || value === 'false') {
+                options[option] = value === 'true';
+            } else {
+                errors.push(`${name} must be true or false`);
+            }
+        }
+        
+        if (query.sort !== undefined && !['date', 'size', 'name'].includes(query.sort)) {
+            errors.push('sort must be date, size or name');
+        }
+        options.sort = query.sort;
+        
+        if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+            errors.push('order must be asc or desc');
+        }
+        options.order = query.order;
+        
+        if (query.limit !== undefined) {
+            const limit = parseInt(query.limit);
+            if (isNaN(limit) || limit < 1) {
+                errors.push('limit must be a positive number');
+            } else {
+                options.limit = Math.min(limit, this.maxPageSize);
+            }
+        }
+        
+        if (query.cursor) {
+            try {
+                photoIndex.decodeCursor(query.cursor);
+                options.cursor = query.cursor;
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        
+        return { options, errors };
+    }
+
+    /**
+     * Query a page of images from the photo index
+     */
+    queryImages(options = {}) {
+        const page = photoIndex.query(options);
+        
+        return {
+            images: page.photos.map(photo => this.toImage(photo)),
+            total: page.total,
+            limit: page.limit,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        };
+    }
+
+    /**
+     * Gallery representation of an indexed photo
+     */
+    toImage(photo) {
+        return {
+            filename: photo.filename,
+            name: this.getDisplayName(photo.filename),
+            eventId: photo.eventId,
+            size: photo.size,
+            width: photo.width,
+            height: photo.height,
+            created: photo.createdAt,
+            modified: photo.updatedAt,
+            path: eventStore.getPhotoUrl(photo.filename, photo.eventId),
+            thumbnailPath: `/api/gallery/thumb/${encodeURIComponent(photo.filename)}?size=thumb`,
+            previewPath: `/api/gallery/thumb/${encodeURIComponent(photo.filename)}?size=medium`,
+            sharePath: photo.shareToken ? `/p/${photo.shareToken}` : null,
+            hasOriginal: (photo.originals || []).length > 0,
+            originals: (photo.originals || []).map((name, index) => ({
+                filename: name,
+                path: eventStore.getPhotoUrl(`originals/${name}`, photo.eventId),
+                downloadPath: `/api/gallery/${encodeURIComponent(photo.filename)}/originals/${index + 1}`
+            })),
+            originalsSize: photo.originalsSize || 0,
+            frameId: photo.frameId,
+            filter: photo.filter,
+            effects: photo.effects,
+            printer: photo.printer,
+            jobId: photo.jobId,
+            printStatus: photo.printStatus,
+            printError: photo.printError,
+            source: photo.source,
+            client: photo.client,
+            pdfExists: !!photo.pdfFilename,
+            pdfFilename: photo.pdfFilename,
+            pdfPath: photo.pdfFilename ? eventStore.getPhotoUrl(photo.pdfFilename, photo.eventId) : null,
+            pdfSize: photo.pdfSize
+        };
+    }
+
+    /**
+     * Trash view representation of a deleted photo
+     */
+    toTrashImage(item) {
+        return {
+            id: item.trashId,
+            filename: item.filename,
+            name: this.getDisplayName(item.filename),
+            eventId: item.eventId,
+            size: item.size,
+            width: item.width,
+            height: item.height,
+            created: item.createdAt,
+            deletedAt: item.deletedAt,
+            expiresAt: item.expiresAt,
+            thumbnailPath: `/api/gallery/trash/${encodeURIComponent(item.trashId)}/thumb`,
+            pdfExists: !!item.pdfFilename,
+            hasOriginal: (item.originals || []).length > 0
+        };
+    }
+
+    /**
+     * Get the photos of one event
+     */
+    async getEventImages(req, res) {
+        try {
+            const event = eventStore.getEvent(req.params.id);
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Event not found'
+                });
             }
             
-            // Sort by creation date (newest first)
-            return images.sort((a, b) => b.created - a.created);
+            const { options, errors } = this.getQueryOptions({ ...req.query, event: event.id });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.join('; '),
+                    errors: errors
+                });
+            }
+            
+            const page = this.queryImages(options);
+            
+            res.json({
+                success: true,
+                event: event,
+                images: page.images,
+                count: page.images.length,
+                total: page.total,
+                limit: page.limit,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            });
         } catch (error) {
-            console.error('Error scanning images:', error);
-            return [];
+            console.error('Error getting event images:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get event images'
+            });
         }
     }
 
@@ -270,11 +915,20 @@ class GalleryController {
     }
 
     /**
-     * Get gallery statistics
+     * Get gallery statistics (for the images matching the same filters as the gallery)
      */
     async getStats(req, res) {
         try {
-            const images = await this.scanImages();
+            const { options, errors } = this.getQueryOptions(req.query);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.join('; '),
+                    errors: errors
+                });
+            }
+            
+            const images = this.queryImages({ ...options, sort: 'date', order: 'desc', limit: undefined, cursor: undefined }).images;
             const totalSize = images.reduce((sum, img) => sum + img.size, 0);
             
             res.json({
@@ -283,6 +937,8 @@ class GalleryController {
                     totalImages: images.length,
                     totalSize: totalSize,
                     averageSize: images.length > 0 ? Math.round(totalSize / images.length) : 0,
+                    printedImages: images.filter(img => img.printStatus === 'done').length,
+                    pdfImages: images.filter(img => img.pdfExists).length,
                     oldestImage: images.length > 0 ? images[images.length - 1].created : null,
                     newestImage: images.length > 0 ? images[0].created : null
                 }
@@ -303,7 +959,6 @@ class GalleryController {
         try {
             const filename = req.params.filename;
             const pdfFilename = filename.replace(/\.[^.]+$/, '.pdf');
-            const filePath = path.join(this.uploadsPath, pdfFilename);
             
             // Validate filename
             if (!this.isValidImageFile(filename)) {
@@ -314,9 +969,8 @@ class GalleryController {
             }
             
             // Check if PDF exists
-            try {
-                await fs.access(filePath);
-            } catch (error) {
+            const photo = photoIndex.getPhoto(filename);
+            if (!photo || photo.pdfFilename !== pdfFilename) {
                 return res.status(404).json({
                     success: false,
                     error: 'PDF file not found'
@@ -324,7 +978,7 @@ class GalleryController {
             }
             
             // Send PDF file
-            res.download(filePath, pdfFilename);
+            res.download(photoIndex.getPhotoPath(photo, pdfFilename), pdfFilename);
             
         } catch (error) {
             console.error('Error downloading PDF:', error);
@@ -4,16 +4,26 @@
  */
 
 const path = require('path');
-const config = require('../config/config');
 const ImageProcessor = require('../services/ImageProcessor');
 const FrameManager = require('../services/FrameManager');
 const PrinterManager = require('../services/PrinterManager');
+const printQueue = require('../services/PrintQueue');
+const realtimeHub = require('../services/RealtimeHub');
+const sessionManager = require('../services/SessionManager');
+const eventStore = require('../services/EventStore');
+const presetStore = require('../services/PresetStore');
+const photoIndex = require('../services/PhotoIndex');
+const thumbnailCache = require('../services/ThumbnailCache');
+const ShareService = require('../services/ShareService');
+const Helpers = require('../utils/helpers');
 
 class PhotoController {
     constructor() {
         this.imageProcessor = new ImageProcessor();
         this.frameManager = new FrameManager();
         this.printerManager = new PrinterManager();
+        this.printQueue = printQueue;
+        this.shareService = new ShareService();
     }
 
     /**
@@ -21,17 +31,71 @@ class PhotoController {
      */
     async printPhoto(req, res) {
         try {
-            const { image, frame_id } = req.body;
+            const { frame_id, filter, printer, session_id, preset: presetId } = req.body;
+            const images = this.getRequestImages(req.body);
             
-            if (!image) {
+            if (images.length === 0) {
                 return res.status(400).json({ 
                     error: 'No image data provided',
                     timestamp: new Date().toISOString()
                 });
             }
 
+            if (filter && !this.imageProcessor.hasFilter(filter)) {
+                return res.status(400).json({ 
+                    error: `Unknown filter: ${filter}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (printer && !Helpers.isValidPrinterName(printer)) {
+                return res.status(400).json({ 
+                    error: 'Invalid printer name',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (presetId && !presetStore.getPreset(presetId)) {
+                return res.status(400).json({ 
+                    error: `Unknown preset: ${presetId}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Check copies/media/colorMode/fitToPage against what the printer supports
+            const { errors, printOptions } = await this.printerManager.getRequestPrintOptions(req.body, printer);
+            if (errors.length > 0) {
+                return res.status(400).json({ 
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Guest download link, printed on the photo when the session preset asks for it
+            const preset = eventStore.getSessionPreset(presetId);
+            const shareToken = photoIndex.createShareToken();
+            const share = this.shareService.getShareInfo(shareToken, req);
+
             // Process the print request
-            const result = await this.processPrintRequest(image, frame_id);
+            const result = await this.processPrintRequest(images, frame_id, {
+                filter,
+                printer,
+                printOptions,
+                sessionId: session_id,
+                client: this.getRequestClient(req, session_id),
+                shareToken,
+                shareQrUrl: preset && preset.shareQr ? share.url : null
+            });
+            result.share = share;
+
+            // Resolve the remote trigger that asked for this photo
+            if (session_id) {
+                result.session = sessionManager.completeSession(session_id, {
+                    filename: result.filename,
+                    jobId: result.jobId
+                });
+            }
             
             res.json(result);
         } catch (error) {
@@ -43,59 +107,113 @@ class PhotoController {
         }
     }
 
+    /**
+     * Get the base64 images sent with a request
+     * Multi-shot sessions send `images` (one per frame slot), single shots send `image`
+     */
+    getRequestImages(body) {
+        if (Array.isArray(body.images)) {
+            return body.images.filter(Boolean);
+        }
+        return body.image ? [body.image] : [];
+    }
+
+    /**
+     * Describe the client that sent a photo (recorded in the photo index)
+     */
+    getRequestClient(req, sessionId = null) {
+        const session = sessionId ? sessionManager.getSession(sessionId) : null;
+        return {
+            ip: req.ip || null,
+            userAgent: req.get('user-agent') || null,
+            boothId: session ? session.boothId : null
+        };
+    }
+
     /**
      * Process print request
      */
-    async processPrintRequest(imageData, frameId) {
+    async processPrintRequest(imageData, frameId, options = {}) {
         try {
-            // Decode and process image
-            const imageBuffer = this.imageProcessor.decodeBase64Image(imageData);
-            const processedPhoto = await this.imageProcessor.processImage(
-                imageBuffer, 
+            // Decode and process image(s)
+            const imageBuffers = (Array.isArray(imageData) ? imageData : [imageData])
+                .map(image => this.imageProcessor.decodeBase64Image(image));
+            const crops = [];
+            let processedPhoto = await this.imageProcessor.processImage(
+                imageBuffers, 
                 frameId, 
-                this.frameManager
+                this.frameManager,
+                { filter: options.filter, crops }
             );
 
+            // Print the guest download QR code onto the photo
+            if (options.shareQrUrl) {
+                processedPhoto = await this.imageProcessor.addQrCode(
+                    processedPhoto,
+                    (size) => this.shareService.createQrPng(options.shareQrUrl, size)
+                );
+            }
+
             // Save image
             const filename = this.imageProcessor.generateFilename();
-            const outputPath = path.join(config.uploadPath, filename);
+            const eventId = eventStore.activeId;
+            const outputPath = path.join(await eventStore.getActivePhotoDirectory(), filename);
             await this.imageProcessor.saveImage(processedPhoto, outputPath);
-
-            // Print image (this will also create PDF)
-            try {
-                const printResult = await this.printerManager.printImage(outputPath);
-                
-                // Get PDF filename (same as image but with .pdf extension)
-                const pdfFilename = filename.replace(/\.[^.]+$/, '.pdf');
-                const pdfPath = path.join(config.uploadPath, pdfFilename);
-                
-                return {
-                    success: true,
-                    message: 'Photo printed successfully!',
-                    file: outputPath,
-                    filename: filename,
-                    pdfFile: printResult.pdfPath,
-                    pdfFilename: pdfFilename,
-                    printJob: printResult.printJob,
-                    printer: printResult.printer,
-                    timestamp: new Date().toISOString()
-                };
-            } catch (printError) {
-                // If printing fails, still return success with saved image
-                return {
-                    success: true,
-                    message: 'Photo saved successfully! (Printing failed)',
-                    file: outputPath,
-                    filename: filename,
-                    error: printError.message,
-                    timestamp: new Date().toISOString()
-                };
-            }
+            const originals = await photoIndex.saveOriginals(outputPath, imageBuffers);
+            const photo = await photoIndex.addPhoto(outputPath, {
+                eventId,
+                frameId,
+                filter: options.filter,
+                originals,
+                printer: options.printer,
+                source: 'print',
+                sessionId: options.sessionId,
+                client: options.client,
+                shareToken: options.shareToken
+            });
+            this.generateThumbnails(filename, outputPath);
+            realtimeHub.publish('gallery', { action: 'added', filenames: [filename], eventId });
+
+            // Queue the print job (the queue creates the PDF, submits and retries it;
+            // its progress is recorded on the photo's index entry)
+            const job = await this.printQueue.enqueue(outputPath, {
+                printer: options.printer,
+                printOptions: options.printOptions,
+                pdfOptions: await this.frameManager.getFramePrintLayout(frameId)
+            });
+            
+            // Get PDF filename (same as image but with .pdf extension)
+            const pdfFilename = filename.replace(/\.[^.]+$/, '.pdf');
+            
+            return {
+                success: true,
+                message: 'Photo saved and queued for printing',
+                file: outputPath,
+                filename: filename,
+                eventId: eventId,
+                width: photo.width,
+                height: photo.height,
+                pdfFilename: pdfFilename,
+                crops: crops,
+                jobId: job.id,
+                job: job,
+                timestamp: new Date().toISOString()
+            };
         } catch (error) {
             throw new Error(`Print request failed: ${error.message}`);
         }
     }
 
+    /**
+     * Render gallery thumbnails of a saved photo in the background
+     * (the gallery falls back to generating them on first request)
+     */
+    generateThumbnails(filename, outputPath) {
+        thumbnailCache.generate(filename, outputPath).catch(error => {
+            console.error(`❌ Error generating thumbnails for ${filename}:`, error.message);
+        });
+    }
+
     /**
      * Get available frames
      */
@@ -156,6 +274,154 @@ class PhotoController {
         }
     }
 
+    /**
+     * Update frame authoring metadata (name, description, tags, slots, focal point,
+     * orientation, print size); only the fields that are sent change, null resets one
+     */
+    async updateFrameMetadata(req, res) {
+        try {
+            const { frameId } = req.params;
+            
+            if (!this.frameManager.isValidFrameId(frameId)) {
+                return res.status(400).json({ 
+                    error: 'Invalid frame ID',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!(await this.frameManager.frameExists(frameId))) {
+                return res.status(404).json({ 
+                    error: 'Frame not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const dimensions = await this.frameManager.getFrameDimensions(frameId);
+            dimensions.hasMask = await this.frameManager.hasFrameMask(frameId);
+            const errors = this.frameManager.validateFrameSidecar(req.body, dimensions);
+            if (errors.length > 0) {
+                return res.status(400).json({ 
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await this.frameManager.updateFrameSidecar(frameId, req.body);
+            const metadata = await this.frameManager.getFrameMetadata(frameId);
+            realtimeHub.publish('frames', { action: 'updated', frameId: frameId });
+            
+            res.json({
+                success: true,
+                message: 'Frame metadata updated',
+                metadata: metadata,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in update frame metadata controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Upload the mask PNG of a frame (white shows the photo, black the frame,
+     * grey blends them); the frame switches to the file mask
+     */
+    async uploadFrameMask(req, res) {
+        try {
+            const { frameId } = req.params;
+            
+            if (!this.frameManager.isValidFrameId(frameId)) {
+                return res.status(400).json({ 
+                    error: 'Invalid frame ID',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!(await this.frameManager.frameExists(frameId))) {
+                return res.status(404).json({ 
+                    error: 'Frame not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({ 
+                    error: 'No mask file uploaded',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const dimensions = await this.frameManager.getFrameDimensions(frameId);
+            const errors = await this.frameManager.validateFrameMask(req.file.buffer, dimensions);
+            if (errors.length > 0) {
+                return res.status(400).json({ 
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await this.frameManager.saveFrameMask(frameId, req.file.buffer);
+            const metadata = await this.frameManager.getFrameMetadata(frameId);
+            realtimeHub.publish('frames', { action: 'updated', frameId: frameId });
+            
+            res.json({
+                success: true,
+                message: 'Frame mask uploaded',
+                metadata: metadata,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in upload frame mask controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Remove the mask PNG of a frame
+     */
+    async removeFrameMask(req, res) {
+        try {
+            const { frameId } = req.params;
+            
+            if (!this.frameManager.isValidFrameId(frameId)) {
+                return res.status(400).json({ 
+                    error: 'Invalid frame ID',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!(await this.frameManager.hasFrameMask(frameId))) {
+                return res.status(404).json({ 
+                    error: 'Mask not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await this.frameManager.removeFrameMask(frameId);
+            realtimeHub.publish('frames', { action: 'updated', frameId: frameId });
+            
+            res.json({
+                success: true,
+                message: 'Frame mask removed',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in remove frame mask controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
     /**
      * Get frame placement information
      */
@@ -256,13 +522,35 @@ class PhotoController {
             const frameBuffer = req.file.buffer;
             const originalName = req.file.originalname;
 
+            // The mimetype only says PNG, check the file itself
+            const errors = await this.frameManager.validateFrameUpload(frameBuffer);
+            if (errors.length > 0) {
+                return res.status(400).json({ 
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             // Upload the custom frame
             const frameInfo = await this.frameManager.uploadCustomFrame(frameBuffer, originalName);
+            realtimeHub.publish('frames', { action: 'uploaded', frame: frameInfo });
+            
+            // A failed preview doesn't fail the upload
+            let preview = null;
+            try {
+                const previewBuffer = await this.imageProcessor.createFramePreview(frameInfo.id, this.frameManager);
+                preview = `data:image/jpeg;base64,${previewBuffer.toString('base64')}`;
+            } catch (error) {
+                console.warn('⚠️  Could not create frame preview:', error.message);
+            }
             
             res.json({
                 success: true,
                 message: 'Custom frame uploaded successfully',
                 frame: frameInfo,
+                warnings: frameInfo.warnings,
+                preview: preview,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -289,6 +577,7 @@ class PhotoController {
             }
 
             await this.frameManager.removeCustomFrame(frameId);
+            realtimeHub.publish('frames', { action: 'removed', frameId: frameId });
             res.json({
                 success: true,
                 message: `Custom frame ${frameId} removed successfully`,
@@ -356,23 +645,33 @@ class PhotoController {
      */
     async processImage(req, res) {
         try {
-            const { image, frame_id, effects } = req.body;
+            const { frame_id, effects, filter, session_id } = req.body;
+            const images = this.getRequestImages(req.body);
             
-            if (!image) {
+            if (images.length === 0) {
                 return res.status(400).json({ 
                     error: 'No image data provided',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Decode image
-            const imageBuffer = this.imageProcessor.decodeBase64Image(image);
+            if (filter && !this.imageProcessor.hasFilter(filter)) {
+                return res.status(400).json({ 
+                    error: `Unknown filter: ${filter}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Decode image(s)
+            const imageBuffers = images.map(image => this.imageProcessor.decodeBase64Image(image));
             
             // Process image
+            const crops = [];
             let processedPhoto = await this.imageProcessor.processImage(
-                imageBuffer, 
+                imageBuffers, 
                 frame_id, 
-                this.frameManager
+                this.frameManager,
+                { filter, crops }
             );
 
             // Apply effects if specified
@@ -382,14 +681,36 @@ class PhotoController {
 
             // Save processed image
             const filename = this.imageProcessor.generateFilename();
-            const outputPath = path.join(config.uploadPath, filename);
+            const eventId = eventStore.activeId;
+            const outputPath = path.join(await eventStore.getActivePhotoDirectory(), filename);
             await this.imageProcessor.saveImage(processedPhoto, outputPath);
+            const originals = await photoIndex.saveOriginals(outputPath, imageBuffers);
+            const photo = await photoIndex.addPhoto(outputPath, {
+                eventId,
+                frameId: frame_id,
+                filter,
+                effects,
+                originals,
+                source: 'process',
+                sessionId: session_id,
+                client: this.getRequestClient(req, session_id)
+            });
+            this.generateThumbnails(filename, outputPath);
+            realtimeHub.publish('gallery', { action: 'added', filenames: [filename], eventId });
+
+            const session = session_id ? sessionManager.completeSession(session_id, { filename }) : undefined;
 
             res.json({
                 success: true,
                 message: 'Image processed successfully',
                 file: outputPath,
                 filename: filename,
+                eventId: eventId,
+                width: photo.width,
+                height: photo.height,
+                share: this.shareService.getShareInfo(photo.shareToken, req),
+                session: session,
+                crops: crops,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -401,6 +722,66 @@ class PhotoController {
         }
     }
 
+    /**
+     * Get available filters
+     */
+    async getFilters(req, res) {
+        try {
+            const filters = this.imageProcessor.getAvailableFilters();
+            res.json({
+                success: true,
+                filters: filters,
+                count: filters.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get filters controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Render a filter preview for a captured photo (no frame, nothing saved)
+     */
+    async previewFilter(req, res) {
+        try {
+            const { image, filter } = req.body;
+            
+            if (!image) {
+                return res.status(400).json({ 
+                    error: 'No image data provided',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!filter || !this.imageProcessor.hasFilter(filter)) {
+                return res.status(400).json({ 
+                    error: `Unknown filter: ${filter}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const imageBuffer = this.imageProcessor.decodeBase64Image(image);
+            const filteredBuffer = await this.imageProcessor.applyFilter(imageBuffer, filter);
+            
+            res.json({
+                success: true,
+                filter: filter,
+                image: `data:image/jpeg;base64,${filteredBuffer.toString('base64')}`,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in preview filter controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
     /**
      * Get image metadata
      */
@@ -0,0 +1,217 @@
+/**
+ * Preset Controller
+ * Handles one-click session preset requests
+ */
+
+const presetStore = require('../services/PresetStore');
+const eventStore = require('../services/EventStore');
+
+class PresetController {
+    constructor() {
+        this.presetStore = presetStore;
+    }
+
+    /**
+     * Get all presets
+     */
+    async getPresets(req, res) {
+        try {
+            const presets = this.presetStore.getPresets();
+            res.json({
+                success: true,
+                presets: presets,
+                activeId: this.presetStore.activeId,
+                count: presets.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get presets controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get the preset one-click sessions run (the active event's defaults applied)
+     */
+    async getActivePreset(req, res) {
+        try {
+            res.json({
+                success: true,
+                preset: eventStore.getSessionPreset(),
+                event: eventStore.getActiveEvent(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get active preset controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get a single preset
+     */
+    async getPreset(req, res) {
+        try {
+            const preset = this.presetStore.getPreset(req.params.id);
+
+            if (!preset) {
+                return res.status(404).json({
+                    error: 'Preset not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                preset: preset,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get preset controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Create a preset
+     */
+    async createPreset(req, res) {
+        try {
+            const data = req.body || {};
+            const errors = await this.presetStore.validatePreset(data);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const preset = await this.presetStore.createPreset(data);
+            res.status(201).json({
+                success: true,
+                message: `Preset "${preset.name}" created`,
+                preset: preset,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in create preset controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Update a preset
+     */
+    async updatePreset(req, res) {
+        try {
+            const { id } = req.params;
+            const data = req.body || {};
+
+            const current = this.presetStore.getPreset(id);
+            if (!current) {
+                return res.status(404).json({
+                    error: 'Preset not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const errors = await this.presetStore.validatePreset(data, true, current);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const preset = await this.presetStore.updatePreset(id, data);
+            res.json({
+                success: true,
+                message: `Preset "${preset.name}" updated`,
+                preset: preset,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in update preset controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Delete a preset
+     */
+    async deletePreset(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!this.presetStore.getPreset(id)) {
+                return res.status(404).json({
+                    error: 'Preset not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await this.presetStore.deletePreset(id);
+            res.json({
+                success: true,
+                message: 'Preset deleted',
+                activeId: this.presetStore.activeId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in delete preset controller:', error);
+            res.status(409).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Make a preset the active one
+     */
+    async activatePreset(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!this.presetStore.getPreset(id)) {
+                return res.status(404).json({
+                    error: 'Preset not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const preset = await this.presetStore.activatePreset(id);
+            res.json({
+                success: true,
+                message: `Preset "${preset.name}" is now active`,
+                preset: preset,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in activate preset controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
+
+module.exports = PresetController;
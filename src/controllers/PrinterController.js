@@ -4,10 +4,13 @@
  */
 
 const PrinterManager = require('../services/PrinterManager');
+const printQueue = require('../services/PrintQueue');
+const Helpers = require('../utils/helpers');
 
 class PrinterController {
     constructor() {
         this.printerManager = new PrinterManager();
+        this.printQueue = printQueue;
     }
 
     /**
@@ -45,6 +48,13 @@ class PrinterController {
                 });
             }
 
+            if (!Helpers.isValidPrinterName(printerName)) {
+                return res.status(400).json({ 
+                    error: 'Invalid printer name',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             const status = await this.printerManager.getPrinterStatus(printerName);
             res.json({
                 success: true,
@@ -74,6 +84,13 @@ class PrinterController {
                 });
             }
 
+            if (!Helpers.isValidPrinterName(printerName)) {
+                return res.status(400).json({ 
+                    error: 'Invalid printer name',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             await this.printerManager.setDefaultPrinter(printerName);
             res.json({
                 success: true,
@@ -97,6 +114,13 @@ class PrinterController {
         try {
             const { printerName } = req.params;
             
+            if (printerName && !Helpers.isValidPrinterName(printerName)) {
+                return res.status(400).json({ 
+                    error: 'Invalid printer name',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             const result = await this.printerManager.testPrinter(printerName);
             res.json({
                 success: true,
@@ -147,6 +171,13 @@ class PrinterController {
                 });
             }
 
+            if (!Helpers.isValidPrintJobId(jobId)) {
+                return res.status(400).json({ 
+                    error: 'Invalid job ID',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             await this.printerManager.cancelPrintJob(jobId);
             res.json({
                 success: true,
@@ -197,6 +228,13 @@ class PrinterController {
                 });
             }
 
+            if (!Helpers.isValidPrinterName(printerName)) {
+                return res.status(400).json({ 
+                    error: 'Invalid printer name',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             const options = await this.printerManager.getPrinterOptions(printerName);
             res.json({
                 success: true,
@@ -213,6 +251,116 @@ class PrinterController {
         }
     }
 
+    /**
+     * Get printer capabilities
+     */
+    async getPrinterCapabilities(req, res) {
+        try {
+            const { printerName } = req.params;
+            
+            if (!Helpers.isValidPrinterName(printerName)) {
+                return res.status(400).json({ 
+                    error: 'Invalid printer name',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const capabilities = await this.printerManager.getPrinterCapabilities(printerName);
+            res.json({
+                success: true,
+                printer: printerName,
+                capabilities: capabilities,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get printer capabilities controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get print jobs from the server-side print queue
+     */
+    async getJobs(req, res) {
+        try {
+            const jobs = this.printQueue.getJobs();
+            res.json({
+                success: true,
+                jobs: jobs,
+                count: jobs.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get jobs controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get a single print job
+     */
+    async getJob(req, res) {
+        try {
+            const { id } = req.params;
+            const job = this.printQueue.getJob(id);
+            
+            if (!job) {
+                return res.status(404).json({ 
+                    error: 'Job not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                job: job,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get job controller:', error);
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Retry a failed print job
+     */
+    async retryJob(req, res) {
+        try {
+            const { id } = req.params;
+            
+            if (!this.printQueue.getJob(id)) {
+                return res.status(404).json({ 
+                    error: 'Job not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const job = await this.printQueue.retry(id);
+            res.json({
+                success: true,
+                message: `Print job ${id} queued for retry`,
+                job: job,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in retry job controller:', error);
+            res.status(409).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
     /**
      * Get default printer
      */
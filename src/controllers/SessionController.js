@@ -0,0 +1,144 @@
+/**
+ * Session Controller
+ * Handles remote trigger requests (hardware buttons, remote apps) for booth sessions
+ */
+
+const sessionManager = require('../services/SessionManager');
+
+class SessionController {
+    constructor() {
+        this.sessionManager = sessionManager;
+        this.maxWait = 5 * 60 * 1000;
+    }
+
+    /**
+     * Trigger a capture on a booth and (by default) wait for the uploaded photo
+     */
+    async triggerSession(req, res) {
+        try {
+            const body = req.body || {};
+            const options = {
+                booth: body.booth,
+                frameId: body.frame_id || body.frameId,
+                filter: body.filter,
+                preset: body.preset,
+                source: 'api'
+            };
+            const wait = body.wait !== false && body.wait !== 'false';
+            const timeout = Math.min(parseInt(body.timeout) || this.sessionManager.sessionTimeout, this.maxWait);
+
+            const errors = await this.sessionManager.validateTrigger(options);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: errors.join('; '),
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (options.booth && !this.sessionManager.hasBooth(options.booth)) {
+                return res.status(404).json({
+                    error: `Booth not connected: ${options.booth}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            let session;
+            try {
+                session = this.sessionManager.trigger(options);
+            } catch (error) {
+                // No booth connected or every booth is busy
+                return res.status(409).json({
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (wait) {
+                session = await this.sessionManager.waitForSession(session.id, timeout);
+            }
+
+            res.status(this.getSessionStatusCode(session)).json({
+                success: session.state !== 'failed' && session.state !== 'expired',
+                session: session,
+                filename: session.filename,
+                jobId: session.jobId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in trigger session controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * HTTP status for a session: done, still running, or failed on the booth
+     */
+    getSessionStatusCode(session) {
+        switch (session.state) {
+            case 'completed':
+                return 200;
+            case 'failed':
+                return 502;
+            case 'expired':
+                return 504;
+            default:
+                return 202;
+        }
+    }
+
+    /**
+     * Get a session
+     */
+    async getSession(req, res) {
+        try {
+            const { id } = req.params;
+            const session = this.sessionManager.getSession(id);
+
+            if (!session) {
+                return res.status(404).json({
+                    error: 'Session not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                session: session,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get session controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get connected booths
+     */
+    async getBooths(req, res) {
+        try {
+            const booths = this.sessionManager.getBooths();
+            res.json({
+                success: true,
+                booths: booths,
+                count: booths.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get booths controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
+
+module.exports = SessionController;
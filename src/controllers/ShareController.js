@@ -0,0 +1,132 @@
+/**
+ * Share Controller
+ * Public guest downloads: /p/<token> shows a single photo, nothing else of the gallery
+ */
+
+const path = require('path');
+const config = require('../config/config');
+const eventStore = require('../services/EventStore');
+const photoIndex = require('../services/PhotoIndex');
+const thumbnailCache = require('../services/ThumbnailCache');
+const ShareService = require('../services/ShareService');
+
+class ShareController {
+    constructor() {
+        this.shareService = new ShareService();
+    }
+
+    /**
+     * Get the photo a share token points at, answering 404 when there is none
+     */
+    findSharedPhoto(req, res) {
+        const { token } = req.params;
+        const photo = this.shareService.isValidToken(token) ? photoIndex.getPhotoByShareToken(token) : null;
+
+        if (!photo) {
+            res.status(404).json({
+                error: 'Photo not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        return photo;
+    }
+
+    /**
+     * Guest page (mobile view and download of one photo)
+     */
+    async getSharePage(req, res) {
+        res.set('X-Robots-Tag', 'noindex');
+        res.sendFile(path.join(config.templatesPath, 'share.html'));
+    }
+
+    /**
+     * Details of a shared photo for the guest page
+     */
+    async getSharedPhoto(req, res) {
+        try {
+            const photo = this.findSharedPhoto(req, res);
+            if (!photo) return;
+
+            const event = photo.eventId ? eventStore.getEvent(photo.eventId) : null;
+            const base = `/p/${req.params.token}`;
+
+            res.json({
+                success: true,
+                photo: {
+                    created: photo.createdAt,
+                    width: photo.width,
+                    height: photo.height,
+                    size: photo.size,
+                    eventName: event ? event.name : null,
+                    previewPath: `${base}/preview`,
+                    downloadPath: `${base}/download`
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get shared photo controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Screen-sized preview of a shared photo
+     */
+    async getPreview(req, res) {
+        try {
+            const photo = this.findSharedPhoto(req, res);
+            if (!photo) return;
+
+            const previewPath = await thumbnailCache.getVariant(photo.filename, photoIndex.getPhotoPath(photo), 'medium');
+            res.sendFile(previewPath, { maxAge: '1h' });
+        } catch (error) {
+            console.error('Error in shared preview controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Download a shared photo in full resolution
+     */
+    async downloadPhoto(req, res) {
+        try {
+            const photo = this.findSharedPhoto(req, res);
+            if (!photo) return;
+
+            res.download(photoIndex.getPhotoPath(photo), photo.filename);
+        } catch (error) {
+            console.error('Error in shared download controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * QR code (SVG) of a photo's guest page, shown on the booth screen
+     */
+    async getQrCode(req, res) {
+        try {
+            const photo = this.findSharedPhoto(req, res);
+            if (!photo) return;
+
+            const svg = await this.shareService.createQrSvg(this.shareService.getShareUrl(photo.shareToken, req));
+            res.type('image/svg+xml').send(svg);
+        } catch (error) {
+            console.error('Error in share QR code controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
+
+module.exports = ShareController;
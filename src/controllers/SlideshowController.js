@@ -0,0 +1,141 @@
+/**
+ * Slideshow Controller
+ * Photos for the /slideshow wall display: the most recent photos first, then
+ * only the photos taken since the last request (`since` cursor)
+ */
+
+const path = require('path');
+const config = require('../config/config');
+const eventStore = require('../services/EventStore');
+const photoIndex = require('../services/PhotoIndex');
+const ShareService = require('../services/ShareService');
+
+class SlideshowController {
+    constructor() {
+        this.shareService = new ShareService();
+        this.maxLimit = 500;
+    }
+
+    /**
+     * Wall display page (kiosk settings are read from its URL)
+     */
+    async getSlideshowPage(req, res) {
+        res.sendFile(path.join(config.templatesPath, 'slideshow.html'));
+    }
+
+    /**
+     * Get slideshow photos, oldest first
+     * Query: event (`active` by default, `all`, `none` or an event id), since (the
+     * cursor of the previous response), limit
+     */
+    async getSlides(req, res) {
+        try {
+            const { since } = req.query;
+            const event = req.query.event || 'active';
+            const errors = [];
+
+            if (event !== 'active' && event !== 'all' && event !== 'none' && !eventStore.getEvent(event)) {
+                return res.status(404).json({
+                    error: 'Event not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            let limit = config.slideshowLimit;
+            if (req.query.limit !== undefined) {
+                limit = parseInt(req.query.limit);
+                if (isNaN(limit) || limit < 1) {
+                    errors.push('limit must be a positive number');
+                }
+            }
+
+            if (since) {
+                try {
+                    photoIndex.decodeCursor(since);
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid slideshow query',
+                    errors: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const eventId = this.getEventId(event);
+            const options = { limit: Math.min(limit, this.maxLimit), sort: 'date' };
+            if (eventId !== undefined) {
+                options.eventId = eventId;
+            }
+
+            // First request: the most recent photos; then the ones taken after the cursor
+            const photos = since
+                ? photoIndex.query({ ...options, order: 'asc', cursor: since }).photos
+                : photoIndex.query({ ...options, order: 'desc' }).photos.reverse();
+            const newest = photos[photos.length - 1];
+            const current = eventId ? eventStore.getEvent(eventId) : null;
+
+            res.json({
+                success: true,
+                images: photos.map(photo => this.toSlide(photo, req)),
+                cursor: newest ? photoIndex.encodeCursor(newest) : (since || null),
+                event: current ? { id: current.id, name: current.name } : null,
+                settings: this.getSettings(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in get slides controller:', error);
+            res.status(500).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Event filter of a slideshow query (undefined shows every photo)
+     * `active` follows the active event, all photos while none is active
+     */
+    getEventId(event) {
+        if (event === 'active') {
+            return eventStore.activeId || undefined;
+        }
+        if (event === 'all') {
+            return undefined;
+        }
+        return event === 'none' ? null : event;
+    }
+
+    /**
+     * Server defaults of the kiosk settings
+     */
+    getSettings() {
+        return {
+            interval: config.slideshowInterval,
+            shuffle: config.slideshowShuffle,
+            qr: config.slideshowQr,
+            title: config.slideshowTitle,
+            logo: config.slideshowLogo,
+            limit: config.slideshowLimit
+        };
+    }
+
+    /**
+     * Slideshow representation of a photo (screen-sized preview and guest link)
+     */
+    toSlide(photo, req) {
+        return {
+            filename: photo.filename,
+            created: photo.createdAt,
+            width: photo.width,
+            height: photo.height,
+            imagePath: `/api/gallery/thumb/${encodeURIComponent(photo.filename)}?size=medium`,
+            share: photo.shareToken ? this.shareService.getShareInfo(photo.shareToken, req) : null
+        };
+    }
+}
+
+module.exports = SlideshowController;
@@ -10,6 +10,13 @@ const config = require('../config/config');
 const PhotoController = require('../controllers/PhotoController');
 const PrinterController = require('../controllers/PrinterController');
 const GalleryController = require('../controllers/GalleryController');
+const SessionController = require('../controllers/SessionController');
+const PresetController = require('../controllers/PresetController');
+const EventController = require('../controllers/EventController');
+const ShareController = require('../controllers/ShareController');
+const SlideshowController = require('../controllers/SlideshowController');
+const realtimeHub = require('../services/RealtimeHub');
+const frameCache = require('../services/FrameCache');
 const middleware = require('../middleware');
 
 // Configure multer for file uploads
@@ -34,6 +41,11 @@ class RouteManager {
         this.photoController = new PhotoController();
         this.printerController = new PrinterController();
         this.galleryController = new GalleryController();
+        this.sessionController = new SessionController();
+        this.presetController = new PresetController();
+        this.eventController = new EventController();
+        this.shareController = new ShareController();
+        this.slideshowController = new SlideshowController();
     }
 
     /**
@@ -46,6 +58,12 @@ class RouteManager {
         this.setupSystemRoutes();
         this.setupCleanupRoutes();
         this.setupGalleryRoutes();
+        this.setupStreamRoutes();
+        this.setupSessionRoutes();
+        this.setupPresetRoutes();
+        this.setupEventRoutes();
+        this.setupShareRoutes();
+        this.setupSlideshowRoutes();
     }
 
     /**
@@ -110,10 +128,19 @@ class RouteManager {
                     health: 'GET /health',
                     frames: 'GET /api/frames',
                     print: 'POST /api/print',
+                    filters: 'GET /api/filters',
                     printers: 'GET /api/printers',
+                    jobs: 'GET /api/jobs',
                     system: 'GET /api/system',
                     cleanup: 'GET /api/cleanup',
-                    gallery: 'GET /api/gallery'
+                    gallery: 'GET /api/gallery',
+                    stream: 'GET /api/stream',
+                    trigger: 'POST /api/session/trigger',
+                    booths: 'GET /api/session/booths',
+                    presets: 'GET /api/presets',
+                    events: 'GET /api/events',
+                    share: 'GET /p/:token',
+                    slideshow: 'GET /api/slideshow'
                 },
                 timestamp: new Date().toISOString()
             });
@@ -131,6 +158,9 @@ class RouteManager {
 
         // Get frame metadata
         router.get('/frames/:frameId/metadata', (req, res) => this.photoController.getFrameMetadata(req, res));
+        router.put('/frames/:frameId/metadata', (req, res) => this.photoController.updateFrameMetadata(req, res));
+        router.post('/frames/:frameId/mask', upload.single('mask'), (req, res) => this.photoController.uploadFrameMask(req, res));
+        router.delete('/frames/:frameId/mask', (req, res) => this.photoController.removeFrameMask(req, res));
 
         // Get frame placement information
         router.get('/frames/:frameId/placement', (req, res) => this.photoController.getFramePlacement(req, res));
@@ -156,6 +186,12 @@ class RouteManager {
         // Process image without printing
         router.post('/process', (req, res) => this.photoController.processImage(req, res));
 
+        // Get available filters
+        router.get('/filters', (req, res) => this.photoController.getFilters(req, res));
+
+        // Preview a filter on a captured photo
+        router.post('/filters/preview', (req, res) => this.photoController.previewFilter(req, res));
+
         // Get image metadata
         router.post('/metadata', (req, res) => this.photoController.getImageMetadata(req, res));
 
@@ -175,6 +211,9 @@ class RouteManager {
         // Get printer status
         router.get('/printers/:printerName/status', (req, res) => this.printerController.getPrinterStatus(req, res));
 
+        // Get printer capabilities (media, trays, color modes, copies)
+        router.get('/printers/:printerName/capabilities', (req, res) => this.printerController.getPrinterCapabilities(req, res));
+
         // Set default printer
         router.post('/printers/default', (req, res) => this.printerController.setDefaultPrinter(req, res));
 
@@ -190,6 +229,11 @@ class RouteManager {
         // Get CUPS status
         router.get('/cups-status', (req, res) => this.printerController.getCupsStatus(req, res));
 
+        // Server-side print jobs
+        router.get('/jobs', (req, res) => this.printerController.getJobs(req, res));
+        router.get('/jobs/:id', (req, res) => this.printerController.getJob(req, res));
+        router.post('/jobs/:id/retry', (req, res) => this.printerController.retryJob(req, res));
+
         // Mount printer routes
         this.app.use('/api', router);
     }
@@ -219,6 +263,7 @@ class RouteManager {
                     model: os.cpus()[0].model
                 },
                 loadAverage: os.loadavg(),
+                frameCache: frameCache.getStats(),
                 timestamp: new Date().toISOString()
             });
         });
@@ -315,18 +360,145 @@ class RouteManager {
         // Download image
         router.get('/gallery/download/:filename', this.galleryController.downloadImage.bind(this.galleryController));
 
+        // Thumbnails and previews
+        router.get('/gallery/thumb/:filename', this.galleryController.getThumbnail.bind(this.galleryController));
+
+        // Export images as a ZIP
+        router.post('/gallery/export', this.galleryController.exportImages.bind(this.galleryController));
+
+        // Print a stored image again, or render it again with another frame or filter
+        router.post('/gallery/:filename/print', this.galleryController.printImage.bind(this.galleryController));
+        router.post('/gallery/:filename/reprocess', this.galleryController.reprocessImage.bind(this.galleryController));
+
+        // Download the unframed capture(s) of an image
+        router.get('/gallery/:filename/originals/:index', this.galleryController.downloadOriginal.bind(this.galleryController));
+
         // Download PDF
         router.get('/gallery/pdf/:filename', this.galleryController.downloadPDF.bind(this.galleryController));
 
-        // Delete image
+        // Delete image (moved to the trash)
         router.delete('/gallery/delete/:filename', this.galleryController.deleteImage.bind(this.galleryController));
 
-        // Delete multiple images
+        // Delete multiple images (moved to the trash)
         router.delete('/gallery/delete', this.galleryController.deleteMultiple.bind(this.galleryController));
 
+        // Trash: list, restore and purge deleted images
+        router.get('/gallery/trash', this.galleryController.getTrash.bind(this.galleryController));
+        router.get('/gallery/trash/:id/thumb', this.galleryController.getTrashThumbnail.bind(this.galleryController));
+        router.post('/gallery/trash/restore', this.galleryController.restoreTrash.bind(this.galleryController));
+        router.post('/gallery/trash/purge', this.galleryController.purgeTrash.bind(this.galleryController));
+
         // Mount gallery routes
         this.app.use('/api', router);
     }
+
+    /**
+     * Setup live update stream (Server-Sent Events)
+     */
+    setupStreamRoutes() {
+        const router = express.Router();
+
+        // Printer, print job, gallery, cleanup and frame events
+        router.get('/stream', (req, res) => realtimeHub.addClient(req, res));
+
+        // Mount stream routes
+        this.app.use('/api', router);
+    }
+
+    /**
+     * Setup remote trigger session routes
+     */
+    setupSessionRoutes() {
+        const router = express.Router();
+
+        // Start a capture on a booth (hardware buttons, remote apps)
+        router.post('/session/trigger', (req, res) => this.sessionController.triggerSession(req, res));
+
+        // Get connected booths
+        router.get('/session/booths', (req, res) => this.sessionController.getBooths(req, res));
+
+        // Get a session
+        router.get('/session/:id', (req, res) => this.sessionController.getSession(req, res));
+
+        // Mount session routes
+        this.app.use('/api', router);
+    }
+
+    /**
+     * Setup one-click session preset routes
+     */
+    setupPresetRoutes() {
+        const router = express.Router();
+
+        // List and create presets
+        router.get('/presets', (req, res) => this.presetController.getPresets(req, res));
+        router.post('/presets', (req, res) => this.presetController.createPreset(req, res));
+
+        // Active preset (used by one-click and remote triggers) - must come BEFORE /presets/:id
+        router.get('/presets/active', (req, res) => this.presetController.getActivePreset(req, res));
+
+        // Single preset
+        router.get('/presets/:id', (req, res) => this.presetController.getPreset(req, res));
+        router.put('/presets/:id', (req, res) => this.presetController.updatePreset(req, res));
+        router.delete('/presets/:id', (req, res) => this.presetController.deletePreset(req, res));
+
+        // Make a preset active
+        router.post('/presets/:id/activate', (req, res) => this.presetController.activatePreset(req, res));
+
+        // Mount preset routes
+        this.app.use('/api', router);
+    }
+
+    /**
+     * Setup event routes (photos grouped per wedding, party or venue)
+     */
+    setupEventRoutes() {
+        const router = express.Router();
+
+        // List and create events
+        router.get('/events', (req, res) => this.eventController.getEvents(req, res));
+        router.post('/events', (req, res) => this.eventController.createEvent(req, res));
+
+        // Active event (new photos are saved under it) - must come BEFORE /events/:id
+        router.get('/events/active', (req, res) => this.eventController.getActiveEvent(req, res));
+        router.delete('/events/active', (req, res) => this.eventController.deactivateEvent(req, res));
+
+        // Single event
+        router.get('/events/:id', (req, res) => this.eventController.getEvent(req, res));
+        router.put('/events/:id', (req, res) => this.eventController.updateEvent(req, res));
+
+        // Activate and close an event
+        router.post('/events/:id/activate', (req, res) => this.eventController.activateEvent(req, res));
+        router.post('/events/:id/close', (req, res) => this.eventController.closeEvent(req, res));
+
+        // Photos taken at an event
+        router.get('/events/:id/gallery', (req, res) => this.galleryController.getEventImages(req, res));
+
+        // Mount event routes
+        this.app.use('/api', router);
+    }
+
+    /**
+     * Setup guest download routes (public, one photo per share token)
+     */
+    setupShareRoutes() {
+        // Guest page
+        this.app.get('/p/:token', (req, res) => this.shareController.getSharePage(req, res));
+
+        // Photo details, preview, download and QR code
+        this.app.get('/api/share/:token', (req, res) => this.shareController.getSharedPhoto(req, res));
+        this.app.get('/p/:token/preview', (req, res) => this.shareController.getPreview(req, res));
+        this.app.get('/p/:token/download', (req, res) => this.shareController.downloadPhoto(req, res));
+        this.app.get('/p/:token/qr', (req, res) => this.shareController.getQrCode(req, res));
+    }
+
+    /**
+     * Setup slideshow routes (wall display of recent photos)
+     */
+    setupSlideshowRoutes() {
+        this.app.get('/slideshow', (req, res) => this.slideshowController.getSlideshowPage(req, res));
+        this.app.get('/api/slideshow', (req, res) => this.slideshowController.getSlides(req, res));
+    }
 }
 
-module.exports = RouteManager; 
\ No newline at end of file
+module.exports = RouteManager;
@@ -14,6 +14,16 @@ const RouteManager = require('./routes');
 const FrameManager = require('./services/FrameManager');
 const ImageProcessor = require('./services/ImageProcessor');
 const PrinterManager = require('./services/PrinterManager');
+const printQueue = require('./services/PrintQueue');
+const printerMonitor = require('./services/PrinterMonitor');
+const realtimeHub = require('./services/RealtimeHub');
+const sessionManager = require('./services/SessionManager');
+const presetStore = require('./services/PresetStore');
+const eventStore = require('./services/EventStore');
+const photoIndex = require('./services/PhotoIndex');
+const trashStore = require('./services/TrashStore');
+const sessionSocket = require('./services/SessionSocket');
+const TriggerInputListener = require('./services/TriggerInputListener');
 const CleanupManager = require('./utils/cleanup');
 
 class PhotoBoothServer {
@@ -24,6 +34,8 @@ class PhotoBoothServer {
         this.imageProcessor = new ImageProcessor();
         this.printerManager = new PrinterManager();
         this.cleanupManager = new CleanupManager();
+        this.printQueue = printQueue;
+        this.triggerListener = new TriggerInputListener();
         this.cleanupInterval = null;
         
         // Expose configuration properties
@@ -83,7 +95,8 @@ class PhotoBoothServer {
             config.uploadPath,
             config.customFramesPath,
             config.templatesPath,
-            config.staticPath
+            config.staticPath,
+            config.dataPath
         ];
 
         for (const dir of directories) {
@@ -162,12 +175,17 @@ class PhotoBoothServer {
             // Initialize frame manager
             await this.frameManager.ensureFramesDirectory();
             
+            // Detect frame slots in the background so the first prints don't wait for it
+            this.frameManager.warmFrameCache().catch(error => {
+                console.warn('⚠️  Could not warm frame cache:', error.message);
+            });
+            
             // Test printer connection and get default printer
             const cupsStatus = await this.printerManager.getCupsStatus();
             if (!cupsStatus.running) {
-                console.warn('⚠️  CUPS server is not running');
+                console.warn(`⚠️  Print backend (${cupsStatus.backend}) is not running`);
             } else {
-                console.log('✅ CUPS server is running');
+                console.log(`✅ Print backend (${cupsStatus.backend}) is running`);
                 
                 // Get default printer
                 try {
@@ -179,6 +197,27 @@ class PhotoBoothServer {
                 }
             }
             
+            // Resume persisted print jobs
+            await this.printQueue.initialize();
+            
+            // Load one-click session presets
+            await presetStore.initialize();
+            
+            // Load events (photos are grouped under the active one)
+            await eventStore.initialize();
+            
+            // Load the photo index (reconciled with the uploads folders)
+            await photoIndex.initialize();
+            
+            // Load the gallery trash (deleted photos kept for restoring)
+            await trashStore.initialize();
+            
+            // Push printer changes to connected browsers
+            printerMonitor.start();
+            
+            // Hardware trigger button (TRIGGER_INPUT)
+            this.triggerListener.start();
+            
             // Run initial cleanup
             await this.runInitialCleanup();
             
@@ -208,8 +247,8 @@ class PhotoBoothServer {
      * Start cleanup scheduler
      */
     startCleanupScheduler() {
-        // Run cleanup every hour
-        const cleanupIntervalMs = 60 * 60 * 1000; // 1 hour
+        // Run cleanup every CLEANUP_INTERVAL (1 hour by default)
+        const cleanupIntervalMs = config.cleanupInterval;
         
         this.cleanupInterval = setInterval(async () => {
             try {
@@ -257,10 +296,15 @@ class PhotoBoothServer {
                 console.log('   GET  /api/system - System info');
                 console.log('   GET  /api/cleanup - Run cleanup');
                 console.log('   GET  /gallery - Gallery page');
+                console.log('   POST /api/session/trigger - Remote trigger');
+                console.log('   WS   /ws - Booth session socket');
                 console.log('');
                 console.log('Press Ctrl+C to stop the server');
             });
 
+            // Booth clients and remote controllers
+            this.attachWebSocket(this.server);
+
             // Handle graceful shutdown
             this.setupGracefulShutdown();
             
@@ -270,6 +314,22 @@ class PhotoBoothServer {
         }
     }
 
+    /**
+     * Accept session WebSocket connections on an HTTP(S) server
+     */
+    attachWebSocket(server) {
+        sessionSocket.attach(server);
+    }
+
+    /**
+     * Stop remote trigger sessions, socket and input listener
+     */
+    stopSessions() {
+        this.triggerListener.stop();
+        sessionManager.stop();
+        sessionSocket.close();
+    }
+
     /**
      * Setup graceful shutdown
      */
@@ -279,6 +339,10 @@ class PhotoBoothServer {
             
             // Stop cleanup scheduler
             this.stopCleanupScheduler();
+            this.printQueue.stop();
+            printerMonitor.stop();
+            realtimeHub.stop();
+            this.stopSessions();
             
             if (this.server) {
                 this.server.close(() => {
@@ -306,6 +370,10 @@ class PhotoBoothServer {
     async stop() {
         // Stop cleanup scheduler
         this.stopCleanupScheduler();
+        this.printQueue.stop();
+        printerMonitor.stop();
+        realtimeHub.stop();
+        this.stopSessions();
         
         if (this.server) {
             return new Promise((resolve) => {
@@ -360,6 +428,10 @@ class PhotoBoothServer {
      */
     cleanup() {
         this.stopCleanupScheduler();
+        this.printQueue.stop();
+        printerMonitor.stop();
+        realtimeHub.stop();
+        this.stopSessions();
         if (this.server) {
             this.server.close();
         }
@@ -0,0 +1,323 @@
+/**
+ * Event Store Service
+ * Events (weddings, parties, venues) group the photos taken at them: photos
+ * saved while an event is active are stored under uploads/events/<eventId>/.
+ * Events can carry a default frame and preset for one-click sessions.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const Helpers = require('../utils/helpers');
+const FrameManager = require('./FrameManager');
+const presetStore = require('./PresetStore');
+const realtimeHub = require('./RealtimeHub');
+
+const EVENT_STATES = {
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+class EventStore {
+    constructor() {
+        this.frameManager = new FrameManager();
+        this.eventsFile = path.join(config.dataPath, 'events.json');
+        this.eventsPath = path.join(config.uploadPath, 'events');
+        this.events = new Map();
+        this.activeId = null;
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted events
+     */
+    async initialize() {
+        await fs.mkdir(config.dataPath, { recursive: true });
+        await fs.mkdir(this.eventsPath, { recursive: true });
+        await this.load();
+
+        const active = this.getActiveEvent();
+        console.log(`✅ Events loaded (${this.events.size} event(s), active: ${active ? active.name : 'none'})`);
+    }
+
+    /**
+     * Get all events, newest first
+     */
+    getEvents() {
+        return Array.from(this.events.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(event => this.toPublicEvent(event));
+    }
+
+    /**
+     * Get a single event
+     */
+    getEvent(eventId) {
+        const event = this.events.get(eventId);
+        return event ? this.toPublicEvent(event) : null;
+    }
+
+    /**
+     * Get the event new photos are saved under
+     */
+    getActiveEvent() {
+        return this.activeId ? this.getEvent(this.activeId) : null;
+    }
+
+    /**
+     * Create an event
+     */
+    async createEvent(data) {
+        const now = new Date().toISOString();
+        const event = {
+            id: Helpers.generateId(),
+            name: data.name.trim(),
+            date: data.date || null,
+            venue: data.venue || null,
+            frameId: data.frameId || null,
+            presetId: data.presetId || null,
+            state: EVENT_STATES.OPEN,
+            createdAt: now,
+            updatedAt: now,
+            closedAt: null
+        };
+
+        this.events.set(event.id, event);
+        await this.save();
+
+        console.log(`✅ Event created: ${event.name}`);
+        this.publish('created', event);
+        return this.toPublicEvent(event);
+    }
+
+    /**
+     * Update an event's details and defaults
+     */
+    async updateEvent(eventId, data) {
+        const event = this.events.get(eventId);
+        if (!event) {
+            throw new Error('Event not found');
+        }
+
+        for (const field of ['name', 'date', 'venue', 'frameId', 'presetId']) {
+            if (data[field] !== undefined) {
+                event[field] = field === 'name' ? data.name.trim() : (data[field] || null);
+            }
+        }
+        event.updatedAt = new Date().toISOString();
+        await this.save();
+
+        this.publish('updated', event);
+        return this.toPublicEvent(event);
+    }
+
+    /**
+     * Make an event the active one (photos are saved under it from now on)
+     */
+    async activateEvent(eventId) {
+        const event = this.events.get(eventId);
+        if (!event) {
+            throw new Error('Event not found');
+        }
+        if (event.state === EVENT_STATES.CLOSED) {
+            throw new Error('Closed events cannot be activated');
+        }
+
+        this.activeId = eventId;
+        await fs.mkdir(this.getPhotoDirectory(eventId), { recursive: true });
+        await this.save();
+
+        console.log(`⭐ Active event: ${event.name}`);
+        this.publish('activated', event);
+        return this.toPublicEvent(event);
+    }
+
+    /**
+     * Stop saving photos under the active event (the event stays open)
+     */
+    async deactivateEvent() {
+        const event = this.events.get(this.activeId);
+        this.activeId = null;
+        await this.save();
+
+        if (event) {
+            console.log(`⏸️  Event deactivated: ${event.name}`);
+            this.publish('deactivated', event);
+        }
+    }
+
+    /**
+     * Close an event (no more photos are added to it)
+     */
+    async closeEvent(eventId) {
+        const event = this.events.get(eventId);
+        if (!event) {
+            throw new Error('Event not found');
+        }
+        if (event.state === EVENT_STATES.CLOSED) {
+            throw new Error('Event is already closed');
+        }
+
+        const now = new Date().toISOString();
+        event.state = EVENT_STATES.CLOSED;
+        event.closedAt = now;
+        event.updatedAt = now;
+        if (this.activeId === eventId) {
+            this.activeId = null;
+        }
+        await this.save();
+
+        console.log(`🔒 Event closed: ${event.name}`);
+        this.publish('closed', event);
+        return this.toPublicEvent(event);
+    }
+
+    /**
+     * Validate event fields, returns a list of errors
+     * With `partial` only the fields that were sent are checked (updates)
+     */
+    async validateEvent(data, partial = false) {
+        const errors = [];
+        const has = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+        if (!partial || data.name !== undefined) {
+            if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > 80) {
+                errors.push('Name is required (at most 80 characters)');
+            }
+        }
+
+        if (has('date') && !(/^\d{4}-\d{2}-\d{2}$/.test(data.date) && !isNaN(Date.parse(data.date)))) {
+            errors.push('Date must be formatted as YYYY-MM-DD');
+        }
+
+        if (has('venue') && (typeof data.venue !== 'string' || data.venue.length > 120)) {
+            errors.push('Venue must be at most 120 characters');
+        }
+
+        if (has('frameId') && !(await this.frameManager.frameExists(data.frameId))) {
+            errors.push(`Unknown frame: ${data.frameId}`);
+        }
+
+        if (has('presetId') && !presetStore.getPreset(data.presetId)) {
+            errors.push(`Unknown preset: ${data.presetId}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Preset for a one-click session: the requested preset, otherwise the active
+     * event's preset, otherwise the active preset. The event's frame replaces the
+     * preset's frame.
+     */
+    getSessionPreset(presetId = null) {
+        const event = this.getActiveEvent();
+        const preset = presetStore.getPreset(presetId || (event && event.presetId)) || presetStore.getActivePreset();
+
+        if (!preset || !event || !event.frameId) {
+            return preset;
+        }
+        return { ...preset, frameId: event.frameId };
+    }
+
+    /**
+     * Directory photos of an event are stored in (the uploads root without an event)
+     */
+    getPhotoDirectory(eventId = null) {
+        return eventId ? path.join(this.eventsPath, eventId) : config.uploadPath;
+    }
+
+    /**
+     * Directory new photos are saved to, created if needed
+     */
+    async getActivePhotoDirectory() {
+        const directory = this.getPhotoDirectory(this.activeId);
+        await fs.mkdir(directory, { recursive: true });
+        return directory;
+    }
+
+    /**
+     * All photo directories: the uploads root and every event folder on disk
+     */
+    async getPhotoDirectories() {
+        const directories = [{ eventId: null, path: config.uploadPath }];
+
+        try {
+            const entries = await fs.readdir(this.eventsPath, { withFileTypes: true });
+            for (const entry of entries) {
+                if (entry.isDirectory()) {
+                    directories.push({ eventId: entry.name, path: path.join(this.eventsPath, entry.name) });
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error reading event folders:', error);
+            }
+        }
+
+        return directories;
+    }
+
+    /**
+     * Public URL of a photo stored in an event folder (or the uploads root)
+     */
+    getPhotoUrl(filename, eventId = null) {
+        return eventId ? `/uploads/events/${eventId}/${filename}` : `/uploads/${filename}`;
+    }
+
+    /**
+     * Public representation of an event
+     */
+    toPublicEvent(event) {
+        return { ...event, active: event.id === this.activeId };
+    }
+
+    /**
+     * Announce an event change to listeners
+     */
+    publish(action, event) {
+        realtimeHub.publish('events', { action, event: this.toPublicEvent(event), activeId: this.activeId });
+    }
+
+    /**
+     * Load events from disk
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.eventsFile, 'utf8');
+            const data = JSON.parse(content);
+            this.events = new Map(data.events.map(event => [event.id, event]));
+            this.activeId = this.events.has(data.activeId) ? data.activeId : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error loading events:', error);
+            }
+            this.events = new Map();
+            this.activeId = null;
+        }
+    }
+
+    /**
+     * Persist events to disk (writes are serialized and atomic)
+     */
+    save() {
+        const snapshot = JSON.stringify({
+            activeId: this.activeId,
+            events: Array.from(this.events.values())
+        }, null, 2);
+
+        this.saveChain = this.saveChain
+            .then(async () => {
+                const tempFile = `${this.eventsFile}.tmp`;
+                await fs.writeFile(tempFile, snapshot);
+                await fs.rename(tempFile, this.eventsFile);
+            })
+            .catch(error => {
+                console.error('❌ Error saving events:', error);
+            });
+
+        return this.saveChain;
+    }
+}
+
+module.exports = new EventStore();
@@ -0,0 +1,148 @@
+/**
+ * Face Detector Service
+ * Optional CPU-only face detection used to position crops in frame slots.
+ * Runs an UltraFace ONNX model (e.g. version-RFB-320.onnx) locally with
+ * onnxruntime-node; neither ships with the booth, both are loaded on first use
+ * when FACE_DETECTOR=ultraface. Without them no faces are reported and crops
+ * fall back to CROP_STRATEGY.
+ */
+
+const sharp = require('sharp');
+const config = require('../config/config');
+
+class FaceDetector {
+    constructor() {
+        this.enabled = config.faceDetector === 'ultraface';
+        this.modelPath = config.faceModelPath;
+        [this.inputWidth, this.inputHeight] = config.faceModelSize.split('x').map(Number);
+        this.threshold = config.faceThreshold;
+        this.overlapThreshold = 0.3; // faces overlapping more than this are the same face
+        this.model = null; // loading, then { ort, session } or null when unavailable
+        this.error = null;
+    }
+
+    /**
+     * Load onnxruntime and the model once
+     */
+    load() {
+        if (!this.model) {
+            this.model = (async () => {
+                const ort = require('onnxruntime-node');
+                const session = await ort.InferenceSession.create(this.modelPath);
+                console.log(`✅ Face detector loaded (${this.modelPath})`);
+                return { ort, session };
+            })().catch(error => {
+                this.error = error.message;
+                console.warn(`⚠️  Face detector unavailable, using ${config.cropStrategy} crops:`, error.message);
+                return null;
+            });
+        }
+        return this.model;
+    }
+
+    /**
+     * Detect faces in a photo, strongest first
+     * Returns [{ left, top, width, height, score }] in photo pixels (empty when
+     * detection is off, unavailable or fails)
+     */
+    async detect(imageBuffer) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const model = await this.load();
+        if (!model) {
+            return [];
+        }
+
+        try {
+            const { width, height } = await sharp(imageBuffer).metadata();
+            const { data } = await sharp(imageBuffer)
+                .removeAlpha()
+                .resize(this.inputWidth, this.inputHeight, { fit: 'fill' })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            const results = await model.session.run({
+                [model.session.inputNames[0]]: new model.ort.Tensor('float32', this.toInput(data), [1, 3, this.inputHeight, this.inputWidth])
+            });
+            const scores = (results.scores || results[model.session.outputNames[0]]).data;
+            const boxes = (results.boxes || results[model.session.outputNames[1]]).data;
+
+            return this.suppress(this.getCandidates(scores, boxes)).map(face => ({
+                left: Math.round(face.x1 * width),
+                top: Math.round(face.y1 * height),
+                width: Math.round((face.x2 - face.x1) * width),
+                height: Math.round((face.y2 - face.y1) * height),
+                score: Math.round(face.score * 1000) / 1000
+            }));
+        } catch (error) {
+            console.warn('⚠️  Face detection failed:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Model input: RGB pixels as planar floats, normalized to about -1..1
+     */
+    toInput(pixels) {
+        const planeSize = this.inputWidth * this.inputHeight;
+        const input = new Float32Array(planeSize * 3);
+
+        for (let i = 0; i < planeSize; i++) {
+            for (let channel = 0; channel < 3; channel++) {
+                input[channel * planeSize + i] = (pixels[i * 3 + channel] - 127) / 128;
+            }
+        }
+        return input;
+    }
+
+    /**
+     * Boxes scored above the threshold ({ x1, y1, x2, y2 } as fractions of the photo)
+     * scores holds [background, face] per box, boxes [x1, y1, x2, y2] per box
+     */
+    getCandidates(scores, boxes) {
+        const candidates = [];
+        const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+        for (let i = 0; i < scores.length / 2; i++) {
+            const score = scores[i * 2 + 1];
+            if (score >= this.threshold) {
+                candidates.push({
+                    x1: clamp(boxes[i * 4]),
+                    y1: clamp(boxes[i * 4 + 1]),
+                    x2: clamp(boxes[i * 4 + 2]),
+                    y2: clamp(boxes[i * 4 + 3]),
+                    score: score
+                });
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Keep the strongest of overlapping boxes (non-maximum suppression)
+     */
+    suppress(candidates) {
+        const area = (box) => Math.max(box.x2 - box.x1, 0) * Math.max(box.y2 - box.y1, 0);
+        const faces = [];
+
+        for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+            const overlaps = faces.some(face => {
+                const intersection = area({
+                    x1: Math.max(face.x1, candidate.x1),
+                    y1: Math.max(face.y1, candidate.y1),
+                    x2: Math.min(face.x2, candidate.x2),
+                    y2: Math.min(face.y2, candidate.y2)
+                });
+                return intersection / (area(face) + area(candidate) - intersection) > this.overlapThreshold;
+            });
+            if (!overlaps) {
+                faces.push(candidate);
+            }
+        }
+        return faces;
+    }
+}
+
+module.exports = new FaceDetector();
@@ -0,0 +1,210 @@
+/**
+ * Filter Registry Service
+ * Named photo filters rendered server-side with Sharp
+ */
+
+const sharp = require('sharp');
+
+// Luminance weights used by the booth's canvas filters (static/js/script.js)
+const GRAY = [0.299, 0.587, 0.114];
+
+// Sepia matrix used by the booth's canvas filters
+const SEPIA = [
+    [0.393, 0.769, 0.189],
+    [0.349, 0.686, 0.168],
+    [0.272, 0.534, 0.131]
+];
+
+class FilterRegistry {
+    constructor() {
+        this.filters = new Map();
+        this.registerBuiltinFilters();
+    }
+
+    /**
+     * Register a filter
+     * `steps` is a list of functions receiving a Sharp instance and the image
+     * info ({ width, height }) and returning the (possibly async) Sharp instance.
+     * Each step is rendered separately because Sharp applies operations in a
+     * fixed order within a single pipeline.
+     */
+    register(name, definition) {
+        if (!name || !definition || !Array.isArray(definition.steps)) {
+            throw new Error('Filter name and steps are required');
+        }
+
+        this.filters.set(name, {
+            name,
+            label: definition.label || name,
+            description: definition.description || '',
+            steps: definition.steps
+        });
+    }
+
+    /**
+     * Check if a filter exists
+     */
+    has(name) {
+        return this.filters.has(name);
+    }
+
+    /**
+     * Get filter definition
+     */
+    get(name) {
+        const filter = this.filters.get(name);
+        if (!filter) {
+            throw new Error(`Unknown filter: ${name}`);
+        }
+        return filter;
+    }
+
+    /**
+     * List available filters
+     */
+    list() {
+        return Array.from(this.filters.values()).map(({ name, label, description }) => ({
+            name,
+            label,
+            description
+        }));
+    }
+
+    /**
+     * Apply a filter to an image buffer and return raw pixel data
+     */
+    async apply(imageBuffer, name) {
+        const filter = this.get(name);
+
+        let { data, info } = await sharp(imageBuffer)
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        for (const step of filter.steps) {
+            const input = sharp(data, { raw: info });
+            const output = await step(input, { width: info.width, height: info.height });
+            ({ data, info } = await output
+                .removeAlpha()
+                .raw()
+                .toBuffer({ resolveWithObject: true }));
+        }
+
+        return { data, info };
+    }
+
+    /**
+     * Register the built-in filters
+     */
+    registerBuiltinFilters() {
+        this.register('none', {
+            label: 'Normal',
+            description: 'No filter',
+            steps: []
+        });
+
+        this.register('blackwhite', {
+            label: 'Black & White',
+            description: 'Classic grayscale',
+            steps: [
+                (image) => image.recomb([GRAY, GRAY, GRAY])
+            ]
+        });
+
+        this.register('sepia', {
+            label: 'Sepia',
+            description: 'Warm brown vintage tone',
+            steps: [
+                (image) => image.recomb(SEPIA)
+            ]
+        });
+
+        // Grayscale blended with 30% sepia, 120% contrast and 90% brightness
+        // (matches the canvas version in script.js, which clamps after the contrast)
+        const oldCameraTint = SEPIA.map(row => row.reduce((sum, value) => sum + value, 0) * 0.3 + 0.7);
+        this.register('oldcamera', {
+            label: 'Old Camera',
+            description: 'Faded sepia-gray with extra contrast',
+            steps: [
+                (image) => image.recomb(oldCameraTint.map(tint => GRAY.map(weight => weight * tint))),
+                (image) => image.linear(1.2, -128 * 0.2),
+                (image) => image.linear(0.9, 0)
+            ]
+        });
+
+        this.register('grain', {
+            label: 'Film Grain',
+            description: 'Subtle analog film grain',
+            steps: [
+                (image, info) => this.overlayGrain(image, info, 24)
+            ]
+        });
+
+        this.register('vignette', {
+            label: 'Vignette',
+            description: 'Darkened edges',
+            steps: [
+                (image, info) => this.overlayVignette(image, info, 0.6)
+            ]
+        });
+
+        this.register('fadedfilm', {
+            label: 'Faded Film',
+            description: 'Lifted blacks, muted warm colors',
+            steps: [
+                (image) => image.modulate({ saturation: 0.7 }),
+                (image) => image.linear([0.85, 0.82, 0.78], [34, 30, 26]),
+                (image, info) => this.overlayGrain(image, info, 12)
+            ]
+        });
+
+        this.register('noir', {
+            label: 'High-Contrast Noir',
+            description: 'Deep blacks and bright highlights',
+            steps: [
+                (image) => image.recomb([GRAY, GRAY, GRAY]),
+                (image) => image.linear(1.6, -0.6 * 128),
+                (image, info) => this.overlayVignette(image, info, 0.75)
+            ]
+        });
+    }
+
+    /**
+     * Blend gaussian noise over the image
+     */
+    async overlayGrain(image, info, sigma) {
+        const noise = await sharp({
+            create: {
+                width: info.width,
+                height: info.height,
+                channels: 3,
+                noise: { type: 'gaussian', mean: 128, sigma }
+            }
+        })
+            .grayscale()
+            .png()
+            .toBuffer();
+
+        return image.composite([{ input: noise, blend: 'soft-light' }]);
+    }
+
+    /**
+     * Darken the image edges with a radial gradient
+     */
+    async overlayVignette(image, info, strength) {
+        const { width, height } = info;
+        const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <defs>
+                <radialGradient id="v" cx="50%" cy="50%" r="75%">
+                    <stop offset="45%" stop-color="black" stop-opacity="0"/>
+                    <stop offset="100%" stop-color="black" stop-opacity="${strength}"/>
+                </radialGradient>
+            </defs>
+            <rect width="100%" height="100%" fill="url(#v)"/>
+        </svg>`;
+
+        return image.composite([{ input: Buffer.from(svg), blend: 'over' }]);
+    }
+}
+
+module.exports = FilterRegistry;
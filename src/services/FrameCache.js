@@ -0,0 +1,266 @@
+/**
+ * Frame Cache Service
+ * Keeps what every print needs from a frame PNG in memory: its dimensions, the
+ * detected photo slots and the decoded RGBA pixels. Entries are keyed by the
+ * file's mtime and size, so a replaced PNG is loaded again on next use.
+ * Decoded pixels are large (width x height x 4 bytes); the least recently used
+ * ones are dropped beyond FRAME_CACHE_SIZE and decoded again when needed.
+ * Mask PNGs of masked frames are cached the same way, but never dropped.
+ */
+
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const config = require('../config/config');
+const ImageProcessor = require('./ImageProcessor');
+
+class FrameCache {
+    constructor() {
+        this.imageProcessor = new ImageProcessor();
+        this.maxBytes = config.frameCacheSize;
+        this.entries = new Map(); // frameId -> entry, least recently used first
+        this.pending = new Map(); // frameId -> load in progress
+        this.masks = new Map(); // frameId -> { key, mask, placement }
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Get the cached entry of a frame, loading it when missing or outdated
+     */
+    async getEntry(frameId, framePath) {
+        const stats = await fs.stat(framePath);
+        const key = `${stats.mtimeMs}:${stats.size}`;
+        const entry = this.entries.get(frameId);
+
+        if (entry && entry.key === key) {
+            this.hits++;
+            this.touch(entry);
+            return entry;
+        }
+
+        this.misses++;
+        return this.load(frameId, framePath, key);
+    }
+
+    /**
+     * Get frame dimensions ({ width, height, format })
+     */
+    async getDimensions(frameId, framePath) {
+        const entry = await this.getEntry(frameId, framePath);
+        return { ...entry.dimensions };
+    }
+
+    /**
+     * Get the photo slots detected in the frame's transparent areas
+     */
+    async getPlacement(frameId, framePath) {
+        const entry = await this.getEntry(frameId, framePath);
+        return {
+            ...entry.placement,
+            slots: entry.placement.slots.map(slot => ({ ...slot }))
+        };
+    }
+
+    /**
+     * Get the decoded frame ({ data, info } raw RGBA pixels for sharp)
+     */
+    async getFrame(frameId, framePath) {
+        const entry = await this.getEntry(frameId, framePath);
+        if (!entry.frame) {
+            entry.frame = await this.decode(framePath);
+            this.evict(frameId);
+        }
+        return entry.frame;
+    }
+
+    /**
+     * Get the decoded mask of a frame as RGBA pixels whose alpha is the mask
+     * (white shows the photo, black the frame, grey blends them)
+     */
+    async getMask(frameId, maskPath) {
+        const cached = await this.getMaskEntry(frameId, maskPath);
+        return cached.mask;
+    }
+
+    /**
+     * Get the photo slots detected in the white areas of a frame's mask
+     */
+    async getMaskPlacement(frameId, maskPath) {
+        const cached = await this.getMaskEntry(frameId, maskPath);
+        return {
+            ...cached.placement,
+            slots: cached.placement.slots.map(slot => ({ ...slot }))
+        };
+    }
+
+    /**
+     * Get the cached mask entry of a frame, decoding the mask PNG when missing or outdated
+     */
+    async getMaskEntry(frameId, maskPath) {
+        const stats = await fs.stat(maskPath);
+        const key = `${stats.mtimeMs}:${stats.size}`;
+        const cached = this.masks.get(frameId);
+
+        if (cached && cached.key === key) {
+            this.hits++;
+            return cached;
+        }
+
+        this.misses++;
+        const grey = await sharp(maskPath)
+            .flatten({ background: '#000000' })
+            .greyscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const { width, height } = grey.info;
+        const toAlpha = (channel) => sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+            .joinChannel(channel, { raw: { width, height, channels: 1 } })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        // Slot detection looks for transparent areas, so the windows get alpha 0 there
+        const windows = await toAlpha(grey.data.map(value => 255 - value));
+        const placement = await this.imageProcessor.detectFramePlacement(windows.data, { raw: windows.info });
+
+        const entry = { key, mask: await toAlpha(grey.data), placement };
+        this.masks.set(frameId, entry);
+        return entry;
+    }
+
+    /**
+     * Load a frame (concurrent requests for the same frame share the work)
+     */
+    load(frameId, framePath, key) {
+        const pending = this.pending.get(frameId);
+        if (pending && pending.key === key) {
+            return pending.load;
+        }
+
+        const load = (async () => {
+            const startTime = Date.now();
+            const frame = await this.decode(framePath);
+            const { format } = await sharp(framePath).metadata();
+            const placement = await this.imageProcessor.detectFramePlacement(frame.data, { raw: frame.info });
+
+            const entry = {
+                frameId: frameId,
+                key: key,
+                dimensions: { width: frame.info.width, height: frame.info.height, format: format },
+                placement: placement,
+                frame: frame,
+                loadedAt: new Date().toISOString()
+            };
+
+            // Invalidated while loading
+            if (this.pending.get(frameId) !== pendingLoad) {
+                return entry;
+            }
+            this.entries.delete(frameId);
+            this.entries.set(frameId, entry);
+            this.evict(frameId);
+
+            console.log(`🖼️  Frame ${frameId} cached in ${Date.now() - startTime}ms`);
+            return entry;
+        })().finally(() => {
+            if (this.pending.get(frameId) === pendingLoad) {
+                this.pending.delete(frameId);
+            }
+        });
+
+        const pendingLoad = { key, load };
+        this.pending.set(frameId, pendingLoad);
+        return load;
+    }
+
+    /**
+     * Decode a frame PNG to raw RGBA pixels
+     */
+    async decode(framePath) {
+        return sharp(framePath)
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+    }
+
+    /**
+     * Load frames ahead of the first print ({ id, path } each), one at a time
+     */
+    async warm(frames) {
+        let warmedCount = 0;
+
+        for (const frame of frames) {
+            try {
+                await this.getEntry(frame.id, frame.path);
+                warmedCount++;
+            } catch (error) {
+                console.warn(`⚠️  Could not cache frame ${frame.id}:`, error.message);
+            }
+        }
+
+        return { warmedCount };
+    }
+
+    /**
+     * Forget a frame (deleted or replaced)
+     */
+    invalidate(frameId) {
+        this.pending.delete(frameId);
+        this.masks.delete(frameId);
+        return this.entries.delete(frameId);
+    }
+
+    /**
+     * Mark an entry as most recently used
+     */
+    touch(entry) {
+        this.entries.delete(entry.frameId);
+        this.entries.set(entry.frameId, entry);
+    }
+
+    /**
+     * Drop the decoded pixels of the least recently used frames beyond the size
+     * limit (dimensions and slots are kept); `keepId` is the frame in use
+     */
+    evict(keepId) {
+        let totalBytes = this.getBufferBytes();
+
+        for (const entry of this.entries.values()) {
+            if (totalBytes <= this.maxBytes) {
+                break;
+            }
+            if (entry.frame && entry.frameId !== keepId) {
+                totalBytes -= entry.frame.data.length;
+                entry.frame = null;
+            }
+        }
+    }
+
+    /**
+     * Memory used by decoded frames
+     */
+    getBufferBytes() {
+        let totalBytes = 0;
+        for (const entry of this.entries.values()) {
+            totalBytes += entry.frame ? entry.frame.data.length : 0;
+        }
+        return totalBytes;
+    }
+
+    /**
+     * Cache statistics
+     */
+    getStats() {
+        const entries = Array.from(this.entries.values());
+        return {
+            frames: entries.length,
+            decodedFrames: entries.filter(entry => entry.frame).length,
+            decodedBytes: this.getBufferBytes(),
+            masks: this.masks.size,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = new FrameCache();
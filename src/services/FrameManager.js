@@ -1,15 +1,42 @@
 /**
  * Frame Manager Service
  * Handles frame operations and management for custom frames only
+ * Authoring metadata (name, tags, photo slots, crop focus, print layout) is kept
+ * in a JSON sidecar next to each frame PNG: static/custom-frames/<frameId>.json
+ * Masked frames may come with a mask PNG: static/custom-frames/<frameId>.mask.png
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config/config');
+const frameCache = require('./FrameCache');
+const PdfRenderer = require('./PdfRenderer');
+
+// Sidecar fields and their values when a frame has no sidecar (slots: null = auto-detect)
+const SIDECAR_DEFAULTS = {
+    name: null,
+    description: '',
+    tags: [],
+    slots: null,
+    focalPoint: null,
+    orientation: null,
+    printSize: null,
+    mask: null // null (rectangular windows), 'alpha' (the frame's alpha) or 'file' (mask PNG)
+};
+
+const MASK_MODES = ['alpha', 'file'];
 
 class FrameManager {
     constructor() {
         this.customFramesFolder = config.customFramesPath;
+        this.maxNameLength = 100;
+        this.maxDescriptionLength = 500;
+        this.maxTags = 20;
+        this.maxTagLength = 30;
+        this.maxSlots = 20;
+        this.minFrameSize = 200; // shorter side of an uploaded frame
+        this.minWindowSize = 150; // shorter side of a photo window before it is reported as tiny
+        this.minWindowShare = 0.02; // share of the frame a photo window should cover
     }
 
     /**
@@ -61,10 +88,20 @@ class FrameManager {
                     
                     // Get file stats for size
                     const stats = await fs.stat(filePath);
+                    const sidecar = await this.getFrameSidecar(frameId);
+                    const hasMask = await this.hasFrameMask(frameId);
                     
                     frames.push({
                         id: frameId,
-                        name: this.getCustomFrameName(file),
+                        name: sidecar.name || this.getCustomFrameName(file),
+                        description: sidecar.description,
+                        tags: sidecar.tags,
+                        slots: sidecar.slots,
+                        focalPoint: sidecar.focalPoint,
+                        orientation: sidecar.orientation,
+                        printSize: sidecar.printSize,
+                        mask: sidecar.mask,
+                        maskUrl: hasMask ? `/static/custom-frames/${frameId}.mask.png` : null,
                         url: `/static/custom-frames/${file}`,
                         filename: file,
                         size: stats.size,
@@ -121,7 +158,28 @@ class FrameManager {
     }
 
     /**
-     * Get frame metadata
+     * Get frame sidecar file path
+     */
+    getFrameSidecarPath(frameId) {
+        return path.join(this.customFramesFolder, `${frameId}.json`);
+    }
+
+    /**
+     * Get frame mask PNG path
+     */
+    getFrameMaskPath(frameId) {
+        return path.join(this.customFramesFolder, `${frameId}.mask.png`);
+    }
+
+    /**
+     * Check a frame ID before using it in a file path
+     */
+    isValidFrameId(frameId) {
+        return typeof frameId === 'string' && /^[a-zA-Z0-9_-][a-zA-Z0-9._-]*$/.test(frameId);
+    }
+
+    /**
+     * Get frame metadata (file information and authoring metadata)
      */
     async getFrameMetadata(frameId) {
         try {
@@ -131,13 +189,15 @@ class FrameManager {
             }
             
             const stats = await fs.stat(framePath);
-            
-            // Get image dimensions using Sharp
-            const sharp = require('sharp');
-            const metadata = await sharp(framePath).metadata();
+            const sidecar = await this.getFrameSidecar(frameId);
+            const metadata = await frameCache.getDimensions(frameId, framePath);
+            const hasMask = await this.hasFrameMask(frameId);
             
             return {
+                ...sidecar,
                 id: frameId,
+                name: sidecar.name || this.getCustomFrameName(`${frameId}.png`),
+                maskUrl: hasMask ? `/static/custom-frames/${frameId}.mask.png` : null,
                 path: framePath,
                 type: 'custom',
                 size: stats.size,
@@ -152,6 +212,334 @@ class FrameManager {
         }
     }
 
+    /**
+     * Get the authoring metadata of a frame (defaults when it has no sidecar)
+     */
+    async getFrameSidecar(frameId) {
+        try {
+            const content = await fs.readFile(this.getFrameSidecarPath(frameId), 'utf8');
+            return this.normalizeFrameSidecar({ ...SIDECAR_DEFAULTS, ...JSON.parse(content) });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read metadata of frame ${frameId}:`, error.message);
+            }
+            return this.normalizeFrameSidecar({ ...SIDECAR_DEFAULTS });
+        }
+    }
+
+    /**
+     * Validate authoring metadata sent for a frame, returns a list of errors
+     * Only the fields that are present are checked; null resets a field.
+     * Slots must lie within the frame (dimensions: { width, height }), the
+     * `file` mask mode needs a mask PNG (dimensions.hasMask).
+     */
+    validateFrameSidecar(data, dimensions) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Frame metadata must be an object'];
+        }
+
+        const errors = [];
+        const has = (field) => data[field] !== undefined && data[field] !== null;
+
+        if (has('name') && (typeof data.name !== 'string' || data.name.length > this.maxNameLength)) {
+            errors.push(`Name must be text of at most ${this.maxNameLength} characters`);
+        }
+
+        if (has('description') && (typeof data.description !== 'string' || data.description.length > this.maxDescriptionLength)) {
+            errors.push(`Description must be text of at most ${this.maxDescriptionLength} characters`);
+        }
+
+        if (has('tags')) {
+            const validTags = Array.isArray(data.tags) && data.tags.length <= this.maxTags && data.tags.every(tag =>
+                typeof tag === 'string' && tag.trim().length > 0 && tag.length <= this.maxTagLength);
+            if (!validTags) {
+                errors.push(`Tags must be a list of at most ${this.maxTags} words (at most ${this.maxTagLength} characters each)`);
+            }
+        }
+
+        if (has('slots')) {
+            if (!Array.isArray(data.slots) || data.slots.length > this.maxSlots) {
+                errors.push(`Slots must be a list of at most ${this.maxSlots} rectangles`);
+            } else {
+                data.slots.forEach((slot, index) => {
+                    errors.push(...this.validateSlot(slot, dimensions).map(error => `Slot ${index + 1}: ${error}`));
+                });
+            }
+        }
+
+        if (has('focalPoint') && !this.isValidFocalPoint(data.focalPoint)) {
+            errors.push('Focal point must be { x, y } with values between 0 and 1');
+        }
+
+        if (has('orientation') && !['portrait', 'landscape'].includes(data.orientation)) {
+            errors.push('Orientation must be portrait or landscape');
+        }
+
+        if (has('mask')) {
+            if (!MASK_MODES.includes(data.mask)) {
+                errors.push(`Mask must be one of: ${MASK_MODES.join(', ')}`);
+            } else if (data.mask === 'file' && !dimensions.hasMask) {
+                errors.push('Upload a mask PNG before using the file mask');
+            }
+        }
+
+        if (has('printSize')) {
+            const mediaSizes = new PdfRenderer().getMediaSizes().map(size => size.name);
+            if (!mediaSizes.includes(data.printSize)) {
+                errors.push(`Unknown print size: ${data.printSize}. Supported: ${mediaSizes.join(', ')}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a photo slot rectangle against the frame size
+     */
+    validateSlot(slot, dimensions) {
+        if (!slot || typeof slot !== 'object') {
+            return ['must be { top, left, width, height }'];
+        }
+
+        const errors = [];
+        const isInteger = (value, min) => Number.isInteger(value) && value >= min;
+
+        if (!isInteger(slot.top, 0) || !isInteger(slot.left, 0)) {
+            errors.push('top and left must be whole pixels of 0 or more');
+        }
+        if (!isInteger(slot.width, 1) || !isInteger(slot.height, 1)) {
+            errors.push('width and height must be whole pixels of 1 or more');
+        }
+        if (errors.length === 0 && (slot.left + slot.width > dimensions.width || slot.top + slot.height > dimensions.height)) {
+            errors.push(`must lie within the frame (${dimensions.width}x${dimensions.height})`);
+        }
+        if (slot.focalPoint !== undefined && slot.focalPoint !== null && !this.isValidFocalPoint(slot.focalPoint)) {
+            errors.push('focal point must be { x, y } with values between 0 and 1');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a crop focus given as fractions of the photo ({ x: 0.5, y: 0.5 } is the center)
+     */
+    isValidFocalPoint(focalPoint) {
+        const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+        return Boolean(focalPoint) && isFraction(focalPoint.x) && isFraction(focalPoint.y);
+    }
+
+    /**
+     * Bring authoring metadata into its stored shape (trimmed text, no empty values)
+     */
+    normalizeFrameSidecar(data) {
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        const tags = Array.isArray(data.tags) ? data.tags.map(tag => String(tag).trim()).filter(Boolean) : [];
+        const toFocalPoint = (point) => point ? { x: point.x, y: point.y } : null;
+
+        return {
+            name: name || null,
+            description: typeof data.description === 'string' ? data.description.trim() : '',
+            tags: [...new Set(tags)],
+            slots: Array.isArray(data.slots) && data.slots.length > 0
+                ? data.slots.map(slot => ({
+                    top: slot.top,
+                    left: slot.left,
+                    width: slot.width,
+                    height: slot.height,
+                    focalPoint: toFocalPoint(slot.focalPoint)
+                }))
+                : null,
+            focalPoint: toFocalPoint(data.focalPoint),
+            orientation: data.orientation || null,
+            printSize: data.printSize || null,
+            mask: data.mask || null,
+            updatedAt: data.updatedAt || null
+        };
+    }
+
+    /**
+     * Update the authoring metadata of a frame (only the fields that were sent;
+     * validate with validateFrameSidecar first)
+     */
+    async updateFrameSidecar(frameId, changes) {
+        if (!this.isValidFrameId(frameId)) {
+            throw new Error('Invalid frame ID');
+        }
+
+        const current = await this.getFrameSidecar(frameId);
+        const updated = { ...current };
+        for (const field of Object.keys(SIDECAR_DEFAULTS)) {
+            if (changes[field] !== undefined) {
+                updated[field] = changes[field];
+            }
+        }
+
+        const sidecar = this.normalizeFrameSidecar({ ...updated, updatedAt: new Date().toISOString() });
+        const sidecarPath = this.getFrameSidecarPath(frameId);
+        const tempFile = `${sidecarPath}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(sidecar, null, 2));
+        await fs.rename(tempFile, sidecarPath);
+
+        return sidecar;
+    }
+
+    /**
+     * Check if a frame has a mask PNG
+     */
+    async hasFrameMask(frameId) {
+        try {
+            await fs.access(this.getFrameMaskPath(frameId));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validate an uploaded mask PNG, returns a list of errors
+     * The mask must have the frame's size (dimensions: { width, height })
+     */
+    async validateFrameMask(maskBuffer, dimensions) {
+        try {
+            const sharp = require('sharp');
+            const metadata = await sharp(maskBuffer).metadata();
+
+            if (metadata.format !== 'png') {
+                return ['Mask must be a PNG file'];
+            }
+            if (metadata.width !== dimensions.width || metadata.height !== dimensions.height) {
+                return [`Mask must be ${dimensions.width}x${dimensions.height} like its frame (got ${metadata.width}x${metadata.height})`];
+            }
+            return [];
+        } catch (error) {
+            return ['Mask is not a readable image'];
+        }
+    }
+
+    /**
+     * Validate an uploaded frame, returns a list of errors
+     * The PNG has to decode completely and carry an alpha channel for its windows
+     */
+    async validateFrameUpload(fileBuffer) {
+        const sharp = require('sharp');
+        let metadata;
+
+        try {
+            metadata = await sharp(fileBuffer).metadata();
+            // Decode every pixel, damaged or truncated files fail here
+            await sharp(fileBuffer).stats();
+        } catch (error) {
+            return ['Frame is not a readable image'];
+        }
+
+        const errors = [];
+        if (metadata.format !== 'png') {
+            errors.push('Frame must be a PNG file');
+        }
+        if (!metadata.hasAlpha) {
+            errors.push('Frame must have an alpha channel (its photo windows are the transparent areas)');
+        }
+        if (Math.min(metadata.width, metadata.height) < this.minFrameSize) {
+            errors.push(`Frame must be at least ${this.minFrameSize}px on each side (got ${metadata.width}x${metadata.height})`);
+        }
+        return errors;
+    }
+
+    /**
+     * Re-encode an uploaded frame for storage
+     * Applies the EXIF orientation, drops metadata (EXIF, text chunks, color
+     * profile after converting to sRGB) and downscales frames whose longer side
+     * exceeds config.frameMaxSize. Returns { buffer, width, height, warnings }.
+     */
+    async normalizeFrameUpload(fileBuffer) {
+        const sharp = require('sharp');
+        const { width, height } = await sharp(fileBuffer).metadata();
+        const maxSize = config.frameMaxSize;
+        const oversized = maxSize > 0 && Math.max(width, height) > maxSize;
+        const warnings = [];
+
+        let image = sharp(fileBuffer).rotate();
+        if (oversized) {
+            image = image.resize(maxSize, maxSize, { fit: 'inside' });
+        }
+        const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+
+        if (oversized) {
+            warnings.push(`Frame was downscaled from ${width}x${height} to ${info.width}x${info.height}`);
+        }
+        return { buffer: data, width: info.width, height: info.height, warnings };
+    }
+
+    /**
+     * Warnings about the photo windows of a frame (none found, or tiny ones)
+     */
+    getPlacementWarnings(placement, width, height) {
+        const [slot] = placement.slots || [];
+        if (!slot || placement.slots.length === 1 && slot.left === 0 && slot.top === 0 && slot.width === width && slot.height === height) {
+            return ['No transparent photo window was found, photos will cover the whole frame until slots or a mask are set'];
+        }
+
+        return placement.slots
+            .filter(slot => Math.min(slot.width, slot.height) < this.minWindowSize || slot.width * slot.height < width * height * this.minWindowShare)
+            .map(slot => `Photo window ${slot.index + 1} is only ${slot.width}x${slot.height}, photos in it will print very small`);
+    }
+
+    /**
+     * Save the mask PNG of a frame and switch the frame to the file mask
+     * (validate with validateFrameMask first)
+     */
+    async saveFrameMask(frameId, maskBuffer) {
+        if (!this.isValidFrameId(frameId)) {
+            throw new Error('Invalid frame ID');
+        }
+
+        const maskPath = this.getFrameMaskPath(frameId);
+        const tempFile = `${maskPath}.tmp`;
+        await fs.writeFile(tempFile, maskBuffer);
+        await fs.rename(tempFile, maskPath);
+
+        return this.updateFrameSidecar(frameId, { mask: 'file' });
+    }
+
+    /**
+     * Delete the mask PNG of a frame (a frame using it goes back to rectangular windows)
+     */
+    async removeFrameMask(frameId) {
+        try {
+            await fs.unlink(this.getFrameMaskPath(frameId));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error('Mask not found');
+            }
+            throw error;
+        }
+
+        const sidecar = await this.getFrameSidecar(frameId);
+        return sidecar.mask === 'file'
+            ? this.updateFrameSidecar(frameId, { mask: null })
+            : sidecar;
+    }
+
+    /**
+     * Get the decoded mask of a frame (RGBA pixels whose alpha is the mask)
+     */
+    async getFrameMask(frameId) {
+        return frameCache.getMask(frameId, this.getFrameMaskPath(frameId));
+    }
+
+    /**
+     * PDF layout a frame was designed for ({ media, orientation }, empty without a sidecar)
+     */
+    async getFramePrintLayout(frameId) {
+        if (!frameId) return {};
+
+        const sidecar = await this.getFrameSidecar(frameId);
+        const layout = {};
+        if (sidecar.printSize) layout.media = sidecar.printSize;
+        if (sidecar.orientation) layout.orientation = sidecar.orientation;
+        return layout;
+    }
+
     /**
      * Get frame dimensions
      */
@@ -162,21 +550,17 @@ class FrameManager {
                 throw new Error('Frame not found');
             }
             
-            const sharp = require('sharp');
-            const metadata = await sharp(framePath).metadata();
-            
-            return {
-                width: metadata.width,
-                height: metadata.height,
-                format: metadata.format
-            };
+            return await frameCache.getDimensions(frameId, framePath);
         } catch (error) {
             throw new Error(`Failed to get frame dimensions: ${error.message}`);
         }
     }
 
     /**
-     * Get frame placement information (transparent area)
+     * Get frame placement information (photo slots)
+     * Slots set in the frame's metadata take precedence over the transparent areas
+     * detected in the PNG (or the white areas of its mask PNG); each slot carries
+     * its crop focus (its own or the frame's) and `mask` tells how windows are shaped
      */
     async getFramePlacement(frameId) {
         try {
@@ -188,20 +572,68 @@ class FrameManager {
             
             const ImageProcessor = require('./ImageProcessor');
             const imageProcessor = new ImageProcessor();
+            const sidecar = await this.getFrameSidecar(frameId);
             
-            return await imageProcessor.detectFramePlacement(framePath);
+            // A missing mask PNG falls back to rectangular windows
+            const mask = sidecar.mask === 'file' && !(await this.hasFrameMask(frameId))
+                ? null
+                : sidecar.mask;
+            
+            let placement;
+            if (sidecar.slots) {
+                placement = imageProcessor.createPlacement(sidecar.slots);
+            } else if (mask === 'file') {
+                // The windows are the white areas of the mask
+                placement = await frameCache.getMaskPlacement(frameId, this.getFrameMaskPath(frameId));
+            } else {
+                placement = await frameCache.getPlacement(frameId, framePath);
+            }
+            
+            placement.slots = placement.slots.map(slot => ({
+                ...slot,
+                focalPoint: slot.focalPoint || sidecar.focalPoint
+            }));
+            placement.source = sidecar.slots ? 'metadata' : 'detected';
+            placement.mask = mask;
+            
+            return placement;
         } catch (error) {
             throw new Error(`Failed to get frame placement: ${error.message}`);
         }
     }
 
+    /**
+     * Get the decoded frame pixels ({ data, info } raw RGBA) for compositing
+     */
+    async getFrameBuffer(frameId) {
+        const framePath = await this.getFramePath(frameId);
+        return frameCache.getFrame(frameId, framePath);
+    }
+
+    /**
+     * Load every frame into the frame cache
+     */
+    async warmFrameCache() {
+        const frames = await this.getCustomFrames();
+        const startTime = Date.now();
+        const result = await frameCache.warm(frames.map(frame => ({
+            id: frame.id,
+            path: this.getCustomFramePath(frame.id)
+        })));
+
+        console.log(`✅ Frame cache warmed (${result.warmedCount} frame(s) in ${Date.now() - startTime}ms)`);
+        return result;
+    }
+
     /**
      * Upload custom frame
+     * The file is stored re-encoded (validate with validateFrameUpload first);
+     * the returned info includes its placement and any warnings about it
      */
     async uploadCustomFrame(fileBuffer, originalName) {
         try {
-            // Validate file format
-            if (!this.isValidCustomFrameFile(originalName)) {
+            // Validate file format (a mask's name is fine, the unique suffix tells them apart)
+            if (path.extname(originalName).toLowerCase() !== '.png') {
                 throw new Error('Invalid file format. Only PNG files are allowed.');
             }
             
@@ -228,8 +660,25 @@ class FrameManager {
                 }
             }
             
+            // Re-encode, then detect the slots before anything is written: a frame
+            // whose slots can't be detected would fail on every listing
+            const frame = await this.normalizeFrameUpload(fileBuffer);
+            const ImageProcessor = require('./ImageProcessor');
+            const imageProcessor = new ImageProcessor();
+            let placement;
+            try {
+                placement = await imageProcessor.detectFramePlacement(frame.buffer);
+            } catch (error) {
+                throw new Error(`Could not detect the photo windows: ${error.message}`);
+            }
+            placement.slots = placement.slots.map(slot => ({ ...slot, focalPoint: null }));
+            placement.source = 'detected';
+            placement.mask = null;
+            
             // Save file
-            await fs.writeFile(filePath, fileBuffer);
+            const tempFile = `${filePath}.tmp`;
+            await fs.writeFile(tempFile, frame.buffer);
+            await fs.rename(tempFile, filePath);
             
             // Get file stats
             const stats = await fs.stat(filePath);
@@ -237,6 +686,15 @@ class FrameManager {
             // Extract frame ID from filename (without extension)
             const frameId = path.basename(filename, path.extname(filename));
             
+            // Load the frame into the cache now rather than on the first print
+            frameCache.invalidate(frameId);
+            frameCache.getEntry(frameId, filePath).catch(error => {
+                console.warn(`⚠️  Could not cache frame ${frameId}:`, error.message);
+            });
+            
+            const warnings = [...frame.warnings, ...this.getPlacementWarnings(placement, frame.width, frame.height)];
+            warnings.forEach(warning => console.warn(`⚠️  ${filename}: ${warning}`));
+            
             return {
                 id: frameId,
                 name: this.getCustomFrameName(filename),
@@ -244,7 +702,11 @@ class FrameManager {
                 size: stats.size,
                 created: stats.birthtime,
                 url: `/static/custom-frames/${filename}`,
-                type: 'custom'
+                type: 'custom',
+                width: frame.width,
+                height: frame.height,
+                placement: placement,
+                warnings: warnings
             };
         } catch (error) {
             console.error('Error uploading custom frame:', error);
@@ -262,8 +724,14 @@ class FrameManager {
             // Check if file exists
             await fs.access(framePath);
             
-            // Delete file
+            // Delete file and its metadata
             await fs.unlink(framePath);
+            frameCache.invalidate(frameId);
+            for (const filePath of [this.getFrameSidecarPath(frameId), this.getFrameMaskPath(frameId)]) {
+                await fs.unlink(filePath).catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+            }
             
             return true;
         } catch (error) {
@@ -295,7 +763,7 @@ class FrameManager {
      */
     isValidCustomFrameFile(filename) {
         const ext = path.extname(filename).toLowerCase();
-        return ext === '.png';
+        return ext === '.png' && !filename.toLowerCase().endsWith('.mask.png');
     }
 
     /**
@@ -0,0 +1,169 @@
+/**
+ * Gallery Exporter Service
+ * Streams photos as a ZIP archive (images, optionally their PDFs and original
+ * captures) together with
+ * a JSON and CSV manifest describing each photo
+ */
+
+const fs = require('fs').promises;
+const archiver = require('archiver');
+const eventStore = require('./EventStore');
+const photoIndex = require('./PhotoIndex');
+
+// Manifest columns, in CSV order
+const MANIFEST_FIELDS = [
+    'filename', 'eventId', 'eventName', 'createdAt', 'size', 'width', 'height',
+    'frameId', 'filter', 'printer', 'printStatus', 'source', 'pdfFilename', 'originals'
+];
+
+class GalleryExporter {
+    /**
+     * Write a ZIP of the given photos to a writable stream (an HTTP response)
+     * Options: includePdfs, includeOriginals
+     * Resolves with what was archived once the archive is complete
+     */
+    async exportPhotos(photos, output, options = {}) {
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        let finished = false;
+
+        // Archiver reports failures (e.g. a file that can't be read) as events,
+        // unhandled they would take the server down
+        let archiveError = null;
+        const failed = new Promise((resolve, reject) => {
+            archive.on('error', (error) => {
+                archiveError = error;
+                reject(error);
+            });
+        });
+        failed.catch(() => {}); // awaited below, errors may come before that
+        archive.on('warning', (error) => {
+            console.warn('⚠️  Export warning:', error.message);
+        });
+
+        // Stop reading files when the client goes away mid-download
+        output.on('close', () => {
+            if (!finished) {
+                archive.abort();
+            }
+        });
+        archive.pipe(output);
+
+        const manifest = [];
+        const missing = [];
+        let pdfCount = 0;
+        let originalCount = 0;
+
+        for (const photo of photos) {
+            if (archiveError) {
+                throw archiveError;
+            }
+
+            const photoPath = photoIndex.getPhotoPath(photo);
+            if (!(await this.fileExists(photoPath))) {
+                missing.push(photo.filename);
+                continue;
+            }
+
+            // Photos and PDFs are already compressed
+            archive.file(photoPath, { name: `photos/${photo.filename}`, store: true });
+
+            let pdfFilename = null;
+            if (options.includePdfs && photo.pdfFilename) {
+                const pdfPath = photoIndex.getPhotoPath(photo, photo.pdfFilename);
+                if (await this.fileExists(pdfPath)) {
+                    archive.file(pdfPath, { name: `pdfs/${photo.pdfFilename}`, store: true });
+                    pdfFilename = photo.pdfFilename;
+                    pdfCount++;
+                }
+            }
+
+            const originals = [];
+            if (options.includeOriginals) {
+                const originalPaths = photoIndex.getOriginalPaths(photo);
+                for (let i = 0; i < originalPaths.length; i++) {
+                    if (await this.fileExists(originalPaths[i])) {
+                        archive.file(originalPaths[i], { name: `originals/${photo.originals[i]}`, store: true });
+                        originals.push(photo.originals[i]);
+                        originalCount++;
+                    }
+                }
+            }
+
+            manifest.push(this.toManifestEntry(photo, pdfFilename, originals));
+        }
+
+        archive.append(JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            count: manifest.length,
+            photos: manifest,
+            missing: missing
+        }, null, 2), { name: 'manifest.json' });
+        archive.append(this.toCsv(manifest), { name: 'manifest.csv' });
+
+        await Promise.race([archive.finalize(), failed]);
+        finished = true;
+
+        return { photoCount: manifest.length, pdfCount, originalCount, missing };
+    }
+
+    /**
+     * Manifest entry of an exported photo
+     */
+    toManifestEntry(photo, pdfFilename = null, originals = []) {
+        const event = photo.eventId ? eventStore.getEvent(photo.eventId) : null;
+
+        return {
+            filename: photo.filename,
+            eventId: photo.eventId,
+            eventName: event ? event.name : null,
+            createdAt: photo.createdAt,
+            size: photo.size,
+            width: photo.width,
+            height: photo.height,
+            frameId: photo.frameId,
+            filter: photo.filter,
+            printer: photo.printer,
+            printStatus: photo.printStatus,
+            source: photo.source,
+            pdfFilename: pdfFilename,
+            originals: originals.join(';')
+        };
+    }
+
+    /**
+     * Manifest as CSV (one header row, one row per photo)
+     */
+    toCsv(manifest) {
+        const escape = (value) => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            // Keep spreadsheets from evaluating text as a formula
+            let text = String(value);
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [MANIFEST_FIELDS.join(',')];
+        for (const entry of manifest) {
+            rows.push(MANIFEST_FIELDS.map(field => escape(entry[field])).join(','));
+        }
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Check if a file exists
+     */
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = GalleryExporter;
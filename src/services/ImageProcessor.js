@@ -6,37 +6,50 @@
 const sharp = require('sharp');
 const path = require('path');
 const config = require('../config/config');
+const Helpers = require('../utils/helpers');
+const FilterRegistry = require('./FilterRegistry');
+const faceDetector = require('./FaceDetector');
 
 class ImageProcessor {
     constructor() {
         this.supportedFormats = config.supportedFormats;
         this.defaultQuality = config.imageQuality;
+        this.filterRegistry = new FilterRegistry();
+        this.cropStrategy = config.cropStrategy;
     }
 
     /**
      * Process image with optional frame overlay
+     * Accepts a single image buffer or one buffer per frame slot
+     * Options: filter - name of a registered filter applied to the photos (not the frame)
+     *          crops - array that receives the crop chosen for each frame slot
      */
-    async processImage(imageBuffer, frameId = null, frameManager = null) {
+    async processImage(images, frameId = null, frameManager = null, options = {}) {
         try {
-            // Load the photo with Sharp
-            let photo = sharp(imageBuffer);
+            let imageBuffers = Array.isArray(images) ? images : [images];
             
-            // Get image metadata
-            const metadata = await photo.metadata();
+            if (imageBuffers.length === 0) {
+                throw new Error('At least one image is required');
+            }
+            
+            // Apply filter before framing so the frame keeps its own colors
+            if (options.filter) {
+                imageBuffers = await Promise.all(
+                    imageBuffers.map(imageBuffer => this.applyFilter(imageBuffer, options.filter))
+                );
+            }
             
             // Apply frame if specified
             if (frameId && frameManager) {
                 const frameExists = await frameManager.frameExists(frameId);
                 if (frameExists) {
-                    photo = await this.applyFrame(photo, frameId, metadata, frameManager);
+                    return await this.applyFrame(imageBuffers, frameId, frameManager, { crops: options.crops });
                 } else {
                     throw new Error(`Frame ${frameId} not found`);
                 }
             } else {
                 throw new Error('Frame is required for photo processing');
             }
-            
-            return photo;
         } catch (error) {
             console.error('Error processing image:', error);
             throw new Error(`Image processing failed: ${error.message}`);
@@ -44,125 +57,390 @@ class ImageProcessor {
     }
 
     /**
-     * Apply frame overlay to image
+     * Apply frame overlay to image(s)
+     * Each slot (from the frame's metadata, otherwise detected) gets the image
+     * with the same index; when fewer images than slots are given, the images
+     * are repeated in order. Photos are laid over the frame in their slot
+     * rectangles, or clipped to the window shape in a masked frame.
+     * Options: crops - array that receives the crop chosen for each slot
      */
-    async applyFrame(photo, frameId, metadata, frameManager) {
+    async applyFrame(imageBuffers, frameId, frameManager, options = {}) {
         try {
-            const framePath = await frameManager.getFramePath(frameId);
-            
-            // Get frame metadata to determine target dimensions
-            const frameMetadata = await sharp(framePath).metadata();
+            // Photo slots with their crop focus
+            const placement = await frameManager.getFramePlacement(frameId);
             
-            // Detect the transparent/empty area in the frame
-            const placement = await this.detectFramePlacement(framePath);
-            
-            if (!placement) {
+            if (!placement || placement.slots.length === 0) {
                 throw new Error('Could not detect transparent area in frame');
             }
             
-            // Resize the photo to fit the placement area while maintaining aspect ratio
-            const resizedPhoto = await photo
-                .resize(placement.width, placement.height, {
-                    fit: 'cover', // This will crop the image to fill the area
-                    position: 'center' // Center the crop
-                })
-                .jpeg({ quality: this.defaultQuality })
-                .toBuffer();
+            // Decoded frame from the frame cache
+            const frame = await frameManager.getFrameBuffer(frameId);
             
-            // Load the frame
-            const frameBuffer = await sharp(framePath)
-                .png()
-                .toBuffer();
+            // Masked windows: let the photos reach under the soft window edges
+            const bleed = placement.mask
+                ? Math.round(Math.min(frame.info.width, frame.info.height) * 0.02)
+                : 0;
             
-            // Composite the resized photo into the frame at the detected position
-            return sharp(frameBuffer).composite([{
-                input: resizedPhoto,
-                top: placement.top,
-                left: placement.left
-            }]);
+            // Turn photos upright first, face boxes and crops are in upright pixels
+            imageBuffers = await Promise.all(imageBuffers.map(imageBuffer => this.orientImage(imageBuffer)));
+            
+            // Look for faces once per photo (photos repeat when there are more slots)
+            const faces = await Promise.all(imageBuffers.map(imageBuffer => faceDetector.detect(imageBuffer)));
+            
+            // Resize each photo to fill its slot while maintaining aspect ratio
+            const filled = await Promise.all(placement.slots.map(async (slot, index) => {
+                const imageIndex = index % imageBuffers.length;
+                const area = this.growSlot(slot, bleed, frame.info);
+                const { buffer, crop } = await this.fillSlot(imageBuffers[imageIndex], area, faces[imageIndex]);
+                
+                return {
+                    overlay: { input: buffer, top: area.top, left: area.left },
+                    crop: { slot: index, image: imageIndex, ...crop }
+                };
+            }));
+            const overlays = filled.map(result => result.overlay);
+            
+            if (options.crops) {
+                options.crops.push(...filled.map(result => result.crop));
+            }
+            
+            if (placement.mask === 'alpha') {
+                return this.compositeUnderFrame(frame, overlays);
+            }
+            if (placement.mask === 'file') {
+                return this.compositeMasked(frame, overlays, await frameManager.getFrameMask(frameId));
+            }
+            
+            // Composite the resized photos into the frame at the detected positions
+            return sharp(frame.data, { raw: frame.info }).composite(overlays);
         } catch (error) {
             console.error('Error applying frame:', error);
             throw new Error(`Frame application failed: ${error.message}`);
         }
     }
 
+    /**
+     * Grow a slot by a margin on every side, within the frame
+     */
+    growSlot(slot, margin, frameSize) {
+        if (!margin) return slot;
+        
+        const left = Math.max(slot.left - margin, 0);
+        const top = Math.max(slot.top - margin, 0);
+        return {
+            ...slot,
+            left: left,
+            top: top,
+            width: Math.min(slot.left + slot.width + margin, frameSize.width) - left,
+            height: Math.min(slot.top + slot.height + margin, frameSize.height) - top
+        };
+    }
+
+    /**
+     * Lay the frame over the photos, so its alpha (including feathered edges)
+     * shapes the windows; uncovered transparent areas are white
+     * frame: decoded RGBA pixels ({ data, info })
+     */
+    compositeUnderFrame(frame, overlays) {
+        const { width, height } = frame.info;
+        
+        return sharp({ create: { width, height, channels: 4, background: '#ffffff' } })
+            .composite([...overlays, { input: frame.data, raw: frame.info }]);
+    }
+
+    /**
+     * Clip the photos to a mask and lay them over the frame
+     * frame, mask: decoded RGBA pixels ({ data, info }); the mask's alpha is
+     * the photo's opacity
+     */
+    async compositeMasked(frame, overlays, mask) {
+        const { width, height } = frame.info;
+        
+        const photos = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+            .composite([...overlays, { input: mask.data, raw: mask.info, blend: 'dest-in' }])
+            .raw()
+            .toBuffer();
+        
+        return sharp(frame.data, { raw: frame.info })
+            .composite([{ input: photos, raw: { width, height, channels: 4 } }]);
+    }
+
+    /**
+     * Resize an upright photo (see orientImage) to fill a slot, cropping what
+     * doesn't fit. The crop is placed around the detected faces, otherwise on
+     * the slot's focal point when it has one, otherwise by the crop strategy
+     * (center, attention or entropy). Returns the resized photo and the crop
+     * that was used ({ strategy, left, top, width, height } in photo pixels).
+     */
+    async fillSlot(imageBuffer, slot, faces = []) {
+        const { width, height } = await sharp(imageBuffer).metadata();
+        let strategy = this.cropStrategy;
+        let crop = null;
+        
+        if (faces.length > 0) {
+            strategy = 'faces';
+            crop = this.getFacesCrop(width, height, slot, faces);
+        } else if (slot.focalPoint) {
+            strategy = 'focalPoint';
+            crop = this.getFocusCrop(width, height, slot, slot.focalPoint);
+        } else if (strategy === 'center') {
+            crop = this.getFocusCrop(width, height, slot, { x: 0.5, y: 0.5 });
+        }
+        
+        let buffer;
+        if (crop) {
+            buffer = await sharp(imageBuffer)
+                .extract(crop)
+                .resize(slot.width, slot.height, { fit: 'cover', position: 'center' })
+                .jpeg({ quality: this.defaultQuality })
+                .toBuffer();
+        } else {
+            // Let sharp find the interesting part, it reports where it cropped the
+            // resized photo (as negative offsets)
+            const { data, info } = await sharp(imageBuffer)
+                .resize(slot.width, slot.height, { fit: 'cover', position: sharp.strategy[strategy] })
+                .jpeg({ quality: this.defaultQuality })
+                .toBuffer({ resolveWithObject: true });
+            const scale = Math.max(slot.width / width, slot.height / height);
+            buffer = data;
+            crop = {
+                left: Math.round(Math.abs(info.cropOffsetLeft || 0) / scale),
+                top: Math.round(Math.abs(info.cropOffsetTop || 0) / scale),
+                width: Math.min(width, Math.round(slot.width / scale)),
+                height: Math.min(height, Math.round(slot.height / scale))
+            };
+        }
+        
+        return {
+            buffer: buffer,
+            crop: { strategy, ...crop, imageWidth: width, imageHeight: height, faces: faces }
+        };
+    }
+
+    /**
+     * Apply a photo's EXIF orientation to its pixels (upright photos are returned as they are)
+     */
+    async orientImage(imageBuffer) {
+        const { orientation } = await sharp(imageBuffer).metadata();
+        return orientation > 1 ? sharp(imageBuffer).rotate().toBuffer() : imageBuffer;
+    }
+
+    /**
+     * Area of a photo to keep so it fills a slot with every face in view,
+     * centered on the faces (the middle of them when they don't all fit)
+     */
+    getFacesCrop(imageWidth, imageHeight, slot, faces) {
+        const left = Math.min(...faces.map(face => face.left));
+        const top = Math.min(...faces.map(face => face.top));
+        const right = Math.max(...faces.map(face => face.left + face.width));
+        const bottom = Math.max(...faces.map(face => face.top + face.height));
+        
+        return this.getFocusCrop(imageWidth, imageHeight, slot, {
+            x: (left + right) / 2 / imageWidth,
+            y: (top + bottom) / 2 / imageHeight
+        });
+    }
+
+    /**
+     * Area of a photo to keep so it fills a slot, placed as close to the focal
+     * point ({ x, y } as fractions of the photo) as the photo's edges allow
+     */
+    getFocusCrop(imageWidth, imageHeight, slot, focalPoint) {
+        const scale = Math.max(slot.width / imageWidth, slot.height / imageHeight);
+        const width = Math.min(imageWidth, Math.round(slot.width / scale));
+        const height = Math.min(imageHeight, Math.round(slot.height / scale));
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+        
+        return {
+            left: clamp(Math.round(focalPoint.x * imageWidth - width / 2), imageWidth - width),
+            top: clamp(Math.round(focalPoint.y * imageHeight - height / 2), imageHeight - height),
+            width: width,
+            height: height
+        };
+    }
+
     /**
      * Detect the transparent/empty area in a frame PNG
+     * Returns the first slot at the top level (for single-window callers)
+     * together with the ordered list of all slots
+     * The frame is a file path or buffer; inputOptions are passed to sharp
+     * (e.g. { raw } for decoded pixels)
      */
-    async detectFramePlacement(framePath) {
+    async detectFramePlacement(frame, inputOptions = {}) {
         try {
-            // Load the frame image
-            const frame = sharp(framePath);
-            const metadata = await frame.metadata();
-            
-            // Get raw pixel data
-            const { data, info } = await frame
-                .raw()
-                .toBuffer({ resolveWithObject: true });
-            
-            const { width, height, channels } = info;
+            return this.createPlacement(await this.detectFrameSlots(frame, inputOptions));
+        } catch (error) {
+            console.error('Error detecting frame placement:', error);
+            throw new Error(`Frame placement detection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Placement of a list of slots: the first slot at the top level together
+     * with the numbered list of all slots
+     */
+    createPlacement(slots) {
+        if (slots.length === 0) {
+            throw new Error('A placement needs at least one slot');
+        }
+        
+        const indexed = slots.map((slot, index) => ({ ...slot, index: index }));
+        
+        return {
+            top: indexed[0].top,
+            left: indexed[0].left,
+            width: indexed[0].width,
+            height: indexed[0].height,
+            slots: indexed
+        };
+    }
+
+    /**
+     * Detect every transparent photo window ("slot") in a frame PNG
+     * Uses connected-component labeling on the alpha channel so that opaque
+     * dividers (e.g. in photo strips) separate the windows. Slots are ordered
+     * row by row, top to bottom and left to right.
+     */
+    async detectFrameSlots(frame, inputOptions = {}) {
+        // Extract only the alpha channel as raw pixel data
+        const { data, info } = await sharp(frame, inputOptions)
+            .ensureAlpha()
+            .extractChannel(3)
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        
+        const { width, height } = info;
+        const totalPixels = width * height;
+        
+        // Consider pixel transparent if alpha is very low (less than 25)
+        const visited = new Uint8Array(totalPixels);
+        const stack = new Int32Array(totalPixels);
+        const components = [];
+        let transparentPixels = 0;
+        
+        for (let start = 0; start < totalPixels; start++) {
+            if (visited[start] || data[start] >= 25) {
+                continue;
+            }
             
-            // Find the bounds of the transparent area
+            // Flood fill the component starting at this pixel (4-connectivity)
             let minX = width, minY = height, maxX = 0, maxY = 0;
-            let hasTransparentArea = false;
-            let transparentPixels = 0;
-            let totalPixels = width * height;
+            let pixelCount = 0;
+            let stackSize = 0;
+            stack[stackSize++] = start;
+            visited[start] = 1;
             
-            // Scan the image to find transparent pixels
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const index = (y * width + x) * channels;
-                    const alpha = channels === 4 ? data[index + 3] : 255;
-                    
-                    // Consider pixel transparent if alpha is very low (less than 25)
-                    if (alpha < 25) {
-                        hasTransparentArea = true;
-                        transparentPixels++;
-                        minX = Math.min(minX, x);
-                        minY = Math.min(minY, y);
-                        maxX = Math.max(maxX, x);
-                        maxY = Math.max(maxY, y);
-                    }
+            while (stackSize > 0) {
+                const index = stack[--stackSize];
+                const x = index % width;
+                const y = (index - x) / width;
+                
+                pixelCount++;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+                
+                // Push the unvisited transparent neighbours (no per-pixel allocations, this is the hot loop)
+                if (x > 0 && !visited[index - 1] && data[index - 1] < 25) {
+                    visited[index - 1] = 1;
+                    stack[stackSize++] = index - 1;
+                }
+                if (x < width - 1 && !visited[index + 1] && data[index + 1] < 25) {
+                    visited[index + 1] = 1;
+                    stack[stackSize++] = index + 1;
+                }
+                if (y > 0 && !visited[index - width] && data[index - width] < 25) {
+                    visited[index - width] = 1;
+                    stack[stackSize++] = index - width;
+                }
+                if (y < height - 1 && !visited[index + width] && data[index + width] < 25) {
+                    visited[index + width] = 1;
+                    stack[stackSize++] = index + width;
                 }
             }
             
-            // If no transparent area found or transparent area is too small, use the entire frame
-            const transparentPercentage = (transparentPixels / totalPixels) * 100;
-            if (!hasTransparentArea || transparentPercentage < 5) {
-                console.log(`No significant transparent area found in frame. Using entire frame (${width}x${height})`);
-                return {
-                    top: 0,
-                    left: 0,
-                    width: width,
-                    height: height
-                };
-            }
-            
-            // Calculate the placement area
-            const placementWidth = maxX - minX + 1;
-            const placementHeight = maxY - minY + 1;
-            
-            // Ensure minimum size (at least 20% of frame size)
-            const minWidth = Math.max(placementWidth, Math.floor(width * 0.2));
-            const minHeight = Math.max(placementHeight, Math.floor(height * 0.2));
-            
-            // Ensure the placement area doesn't exceed frame bounds
-            const finalWidth = Math.min(minWidth, width - minX);
-            const finalHeight = Math.min(minHeight, height - minY);
-            
-            console.log(`Detected transparent area: ${placementWidth}x${placementHeight} at (${minX},${minY})`);
-            console.log(`Final placement area: ${finalWidth}x${finalHeight} at (${minX},${minY})`);
-            
-            return {
+            transparentPixels += pixelCount;
+            components.push({
                 top: minY,
                 left: minX,
-                width: finalWidth,
-                height: finalHeight
-            };
+                width: maxX - minX + 1,
+                height: maxY - minY + 1,
+                pixels: pixelCount
+            });
+        }
+        
+        // If no transparent area found or transparent area is too small, use the entire frame
+        const transparentPercentage = (transparentPixels / totalPixels) * 100;
+        if (components.length === 0 || transparentPercentage < 5) {
+            console.log(`No significant transparent area found in frame. Using entire frame (${width}x${height})`);
+            return [{ index: 0, top: 0, left: 0, width: width, height: height }];
+        }
+        
+        // Ignore specks (anti-aliasing, small cut-outs) below 0.5% of the frame
+        const minSlotPixels = totalPixels * 0.005;
+        const slots = this.orderSlots(components.filter(component => component.pixels >= minSlotPixels));
+        
+        // Only specks (e.g. a dotted pattern): there is no window, use the entire frame
+        if (slots.length === 0) {
+            console.log(`Only specks of transparency found in frame. Using entire frame (${width}x${height})`);
+            return [{ index: 0, top: 0, left: 0, width: width, height: height }];
+        }
+        
+        console.log(`Detected ${slots.length} photo slot(s): ${slots.map(slot => `${slot.width}x${slot.height} at (${slot.left},${slot.top})`).join(', ')}`);
+        
+        return slots.map((slot, index) => ({
+            index: index,
+            top: slot.top,
+            left: slot.left,
+            width: slot.width,
+            height: slot.height
+        }));
+    }
+
+    /**
+     * Order slots row by row (top to bottom, then left to right)
+     * A slot belongs to the current row when it starts above the row's vertical middle
+     */
+    orderSlots(slots) {
+        const byTop = [...slots].sort((a, b) => a.top - b.top);
+        const rows = [];
+        
+        for (const slot of byTop) {
+            const row = rows[rows.length - 1];
+            if (row && slot.top < row.top + row.height / 2) {
+                row.slots.push(slot);
+            } else {
+                rows.push({ top: slot.top, height: slot.height, slots: [slot] });
+            }
+        }
+        
+        return rows.flatMap(row => row.slots.sort((a, b) => a.left - b.left));
+    }
+
+    /**
+     * Place a QR code in the bottom-right corner of a processed photo
+     * createQr(size) renders the QR code PNG at the given width
+     * Options: sizeRatio - QR width relative to the photo's shorter side,
+     * marginRatio - distance from the edges relative to the shorter side
+     */
+    async addQrCode(photo, createQr, options = {}) {
+        try {
+            // Render the frame composite first, a second composite() would replace it
+            const { data, info } = await photo.png().toBuffer({ resolveWithObject: true });
+            const shorterSide = Math.min(info.width, info.height);
+            const size = Math.round(shorterSide * (options.sizeRatio || 0.16));
+            const margin = Math.round(shorterSide * (options.marginRatio || 0.02));
             
+            const qrBuffer = await createQr(size);
+            return sharp(data).composite([{
+                input: qrBuffer,
+                top: info.height - size - margin,
+                left: info.width - size - margin
+            }]);
         } catch (error) {
-            console.error('Error detecting frame placement:', error);
-            throw new Error(`Frame placement detection failed: ${error.message}`);
+            console.error('Error adding QR code:', error);
+            throw new Error(`QR code placement failed: ${error.message}`);
         }
     }
 
@@ -250,10 +528,13 @@ class ImageProcessor {
 
     /**
      * Generate unique filename
+     * Photo names are unique across event folders (the photo index, thumbnails
+     * and exports go by name), the random part keeps captures within the same
+     * second apart
      */
     generateFilename(prefix = 'photo', extension = 'jpg') {
         const timestamp = this.generateTimestamp();
-        return `${prefix}_${timestamp}.${extension}`;
+        return `${prefix}_${timestamp}_${Helpers.generateId(4)}.${extension}`;
     }
 
     /**
@@ -338,15 +619,52 @@ class ImageProcessor {
         }
     }
 
+    /**
+     * Apply a named filter from the filter registry
+     */
+    async applyFilter(imageBuffer, filterName) {
+        try {
+            if (!filterName || filterName === 'none') {
+                return imageBuffer;
+            }
+            
+            const { data, info } = await this.filterRegistry.apply(imageBuffer, filterName);
+            
+            return await sharp(data, { raw: info })
+                .jpeg({ quality: this.defaultQuality })
+                .toBuffer();
+        } catch (error) {
+            console.error('Error applying filter:', error);
+            throw new Error(`Filter application failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check if a filter is registered
+     */
+    hasFilter(filterName) {
+        return this.filterRegistry.has(filterName);
+    }
+
+    /**
+     * Get available filters
+     */
+    getAvailableFilters() {
+        return this.filterRegistry.list();
+    }
+
     /**
      * Create thumbnail
+     * Options: fit - 'cover' crops to a square, 'inside' keeps the aspect ratio
      */
-    async createThumbnail(imageBuffer, size = 200) {
+    async createThumbnail(imageBuffer, size = 200, options = {}) {
         try {
             return await sharp(imageBuffer)
+                .rotate()
                 .resize(size, size, {
-                    fit: 'cover',
-                    position: 'center'
+                    fit: options.fit || 'cover',
+                    position: 'center',
+                    withoutEnlargement: options.fit === 'inside'
                 })
                 .jpeg({ quality: 80 })
                 .toBuffer();
@@ -355,6 +673,44 @@ class ImageProcessor {
             throw new Error(`Thumbnail creation failed: ${error.message}`);
         }
     }
+
+    /**
+     * Preview of a frame with a generated sample photo in each of its windows
+     * Returns a JPEG of at most size x size pixels
+     */
+    async createFramePreview(frameId, frameManager, size = 600) {
+        try {
+            const framed = await this.applyFrame([await this.createSamplePhoto()], frameId, frameManager);
+            
+            // Composite before resizing, sharp would otherwise resize the frame first
+            const { data, info } = await framed.raw().toBuffer({ resolveWithObject: true });
+            return await sharp(data, { raw: info })
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+        } catch (error) {
+            console.error('Error creating frame preview:', error);
+            throw new Error(`Frame preview failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Landscape stand-in photo (gradient sky, sun and hills) for frame previews
+     */
+    async createSamplePhoto(width = 1200, height = 900) {
+        const scene = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <defs><linearGradient id="sky" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0" stop-color="#5b8fd9"/><stop offset="1" stop-color="#f3c98b"/>
+            </linearGradient></defs>
+            <rect width="100%" height="100%" fill="url(#sky)"/>
+            <circle cx="${width * 0.7}" cy="${height * 0.35}" r="${height * 0.12}" fill="#fff3b0"/>
+            <ellipse cx="${width * 0.25}" cy="${height}" rx="${width * 0.6}" ry="${height * 0.4}" fill="#4f8a4c"/>
+            <ellipse cx="${width * 0.85}" cy="${height}" rx="${width * 0.5}" ry="${height * 0.3}" fill="#3b6e3a"/>
+        </svg>`;
+        
+        return sharp(Buffer.from(scene)).jpeg({ quality: 90 }).toBuffer();
+    }
 }
 
 module.exports = ImageProcessor; 
\ No newline at end of file
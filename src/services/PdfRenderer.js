@@ -0,0 +1,186 @@
+/**
+ * PDF Renderer Service
+ * Renders photos into print-ready PDFs in-process with Sharp and PDFKit
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+
+const POINTS_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+
+// Portrait media sizes in inches
+const MEDIA_SIZES = {
+    '4x6': { width: 4, height: 6, label: '4x6" photo' },
+    '5x7': { width: 5, height: 7, label: '5x7" photo' },
+    '2x6': { width: 2, height: 6, label: '2x6" photo strip' },
+    'A6': { width: 105 / MM_PER_INCH, height: 148 / MM_PER_INCH, label: 'A6' },
+    'A5': { width: 148 / MM_PER_INCH, height: 210 / MM_PER_INCH, label: 'A5' },
+    'A4': { width: 210 / MM_PER_INCH, height: 297 / MM_PER_INCH, label: 'A4' }
+};
+
+class PdfRenderer {
+    constructor() {
+        this.defaults = {
+            media: config.pdfMedia,
+            marginMm: config.pdfMarginMm,
+            borderless: config.pdfBorderless,
+            bleedMm: config.pdfBleedMm,
+            dpi: config.pdfDpi,
+            orientation: config.pdfOrientation,
+            quality: config.imageQuality
+        };
+    }
+
+    /**
+     * Get supported media sizes
+     */
+    getMediaSizes() {
+        return Object.entries(MEDIA_SIZES).map(([name, size]) => ({
+            name,
+            label: size.label,
+            widthInches: Number(size.width.toFixed(3)),
+            heightInches: Number(size.height.toFixed(3))
+        }));
+    }
+
+    /**
+     * Resolve render options against the configured defaults
+     */
+    resolveOptions(options = {}) {
+        const resolved = { ...this.defaults };
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined && value !== null) {
+                resolved[key] = value;
+            }
+        }
+
+        if (!MEDIA_SIZES[resolved.media]) {
+            throw new Error(`Unsupported media size: ${resolved.media}. Supported: ${Object.keys(MEDIA_SIZES).join(', ')}`);
+        }
+        if (!['auto', 'portrait', 'landscape'].includes(resolved.orientation)) {
+            throw new Error(`Unsupported orientation: ${resolved.orientation}`);
+        }
+        if (!(resolved.dpi > 0)) {
+            throw new Error('DPI must be a positive number');
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Render an image file into a single-page PDF
+     */
+    async renderImageToPDF(imagePath, pdfPath, options = {}) {
+        const settings = this.resolveOptions(options);
+        const metadata = await sharp(imagePath).metadata();
+
+        // EXIF orientations 5-8 turn the photo by 90 degrees, it is printed upright
+        const turned = metadata.orientation >= 5;
+        const layout = this.getLayout({
+            width: turned ? metadata.height : metadata.width,
+            height: turned ? metadata.width : metadata.height
+        }, settings);
+
+        const imageBuffer = await sharp(imagePath)
+            .rotate()
+            .resize(layout.pixelWidth, layout.pixelHeight, { fit: 'fill' })
+            .jpeg({ quality: settings.quality })
+            .toBuffer();
+
+        await this.writePDF(pdfPath, { width: layout.pageWidth, height: layout.pageHeight }, {
+            buffer: imageBuffer,
+            x: layout.x,
+            y: layout.y,
+            width: layout.width,
+            height: layout.height
+        });
+
+        return {
+            pdfPath,
+            media: settings.media,
+            orientation: layout.landscape ? 'landscape' : 'portrait',
+            borderless: settings.borderless,
+            dpi: settings.dpi,
+            pageSize: { width: layout.pageWidth, height: layout.pageHeight }
+        };
+    }
+
+    /**
+     * Place an upright image of the given size ({ width, height } in pixels)
+     * on the page described by resolved settings
+     * Returns the page size, the image box in points and its size in pixels
+     */
+    getLayout(imageSize, settings) {
+        const imageLandscape = imageSize.width > imageSize.height;
+
+        // Page size in points, rotated to the requested (or the photo's) orientation
+        const media = MEDIA_SIZES[settings.media];
+        const landscape = settings.orientation === 'auto'
+            ? imageLandscape
+            : settings.orientation === 'landscape';
+        const pageWidth = (landscape ? media.height : media.width) * POINTS_PER_INCH;
+        const pageHeight = (landscape ? media.width : media.height) * POINTS_PER_INCH;
+
+        // Borderless prints cover the page plus a bleed, others fit inside the margins
+        const toPoints = (mm) => (mm / MM_PER_INCH) * POINTS_PER_INCH;
+        const inset = settings.borderless ? -toPoints(settings.bleedMm) : toPoints(settings.marginMm);
+        const box = {
+            x: inset,
+            y: inset,
+            width: pageWidth - inset * 2,
+            height: pageHeight - inset * 2
+        };
+
+        if (box.width <= 0 || box.height <= 0) {
+            throw new Error('Margins are larger than the page');
+        }
+
+        // Scale the photo to the printable area at the requested resolution
+        const fit = settings.borderless ? 'cover' : 'contain';
+        const scale = fit === 'cover'
+            ? Math.max(box.width / imageSize.width, box.height / imageSize.height)
+            : Math.min(box.width / imageSize.width, box.height / imageSize.height);
+        const drawWidth = imageSize.width * scale;
+        const drawHeight = imageSize.height * scale;
+
+        return {
+            landscape,
+            pageWidth,
+            pageHeight,
+            x: box.x + (box.width - drawWidth) / 2,
+            y: box.y + (box.height - drawHeight) / 2,
+            width: drawWidth,
+            height: drawHeight,
+            pixelWidth: Math.max(1, Math.round((drawWidth / POINTS_PER_INCH) * settings.dpi)),
+            pixelHeight: Math.max(1, Math.round((drawHeight / POINTS_PER_INCH) * settings.dpi))
+        };
+    }
+
+    /**
+     * Write a PDF page with a single image
+     */
+    writePDF(pdfPath, pageSize, image) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: [pageSize.width, pageSize.height],
+                margin: 0,
+                autoFirstPage: true,
+                info: { Title: 'Vienna Photo Booth', Producer: 'Vienna Photo Booth' }
+            });
+            const output = fs.createWriteStream(pdfPath);
+
+            output.on('finish', resolve);
+            output.on('error', reject);
+            doc.on('error', reject);
+
+            doc.pipe(output);
+            doc.image(image.buffer, image.x, image.y, { width: image.width, height: image.height });
+            doc.end();
+        });
+    }
+}
+
+module.exports = PdfRenderer;
@@ -0,0 +1,561 @@
+/**
+ * Photo Index Service
+ * Metadata store for saved photos (frame, filter, effects, print outcome, client,
+ * dimensions) so gallery and cleanup queries don't rescan the uploads folders.
+ * The unframed captures a photo was made from are kept in an originals/ folder
+ * next to it and are deleted together with the photo.
+ * The index is reconciled with the files on disk at startup and on every cleanup.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config/config');
+const eventStore = require('./EventStore');
+const printQueue = require('./PrintQueue');
+const thumbnailCache = require('./ThumbnailCache');
+
+class PhotoIndex {
+    constructor() {
+        this.indexFile = path.join(config.dataPath, 'photos.json');
+        this.supportedFormats = ['.jpg', '.jpeg', '.png', '.webp'];
+        this.originalsFolder = 'originals';
+        this.photos = new Map(); // filename -> record
+        this.saveChain = Promise.resolve();
+        this.onJob = (job) => {
+            this.updatePrintOutcome(job).catch(error => {
+                console.error('❌ Error recording print outcome:', error);
+            });
+        };
+    }
+
+    /**
+     * Load the index, reconcile it with the uploads folders and follow print jobs
+     */
+    async initialize() {
+        await fs.mkdir(config.dataPath, { recursive: true });
+        await this.load();
+        await this.reconcile();
+
+        printQueue.off('job', this.onJob);
+        printQueue.on('job', this.onJob);
+
+        console.log(`✅ Photo index loaded (${this.photos.size} photo(s))`);
+    }
+
+    /**
+     * Record a photo that was just saved
+     */
+    async addPhoto(filePath, data = {}) {
+        const now = new Date().toISOString();
+        const photo = {
+            filename: path.basename(filePath),
+            eventId: data.eventId || null,
+            ...await this.readImageInfo(filePath),
+            frameId: data.frameId || null,
+            filter: data.filter || null,
+            effects: data.effects || null,
+            printer: data.printer || null,
+            jobId: data.jobId || null,
+            printStatus: data.jobId ? 'queued' : null,
+            printError: null,
+            pdfFilename: null,
+            pdfSize: null,
+            originals: data.originals || [],
+            originalsSize: data.originals ? await this.getOriginalsSize(filePath, data.originals) : 0,
+            source: data.source || 'api',
+            sessionId: data.sessionId || null,
+            client: data.client || null,
+            shareToken: data.shareToken || this.createShareToken(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.photos.set(photo.filename, photo);
+        await this.save();
+        return { ...photo };
+    }
+
+    /**
+     * Update a photo's metadata
+     */
+    async updatePhoto(filename, data) {
+        const photo = this.photos.get(filename);
+        if (!photo) {
+            return null;
+        }
+
+        Object.assign(photo, data, { updatedAt: new Date().toISOString() });
+        await this.save();
+        return { ...photo };
+    }
+
+    /**
+     * Get a photo's record
+     */
+    getPhoto(filename) {
+        const photo = this.photos.get(filename);
+        return photo ? { ...photo } : null;
+    }
+
+    /**
+     * Get the photo a guest download link points at
+     */
+    getPhotoByShareToken(token) {
+        for (const photo of this.photos.values()) {
+            if (photo.shareToken === token) {
+                return { ...photo };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Unguessable token for a photo's guest download link
+     */
+    createShareToken() {
+        return crypto.randomBytes(16).toString('base64url');
+    }
+
+    /**
+     * Absolute path of a photo (or of a file stored next to it, such as its PDF)
+     */
+    getPhotoPath(photo, filename = photo.filename) {
+        return path.join(eventStore.getPhotoDirectory(photo.eventId), filename);
+    }
+
+    /**
+     * Absolute paths of the unframed captures a photo was made from
+     * (one per frame slot, empty when they were not kept)
+     */
+    getOriginalPaths(photo) {
+        return (photo.originals || []).map(filename => this.getPhotoPath(photo, path.join(this.originalsFolder, filename)));
+    }
+
+    /**
+     * Store the unframed captures of a photo about to be saved at `filePath`
+     * (one per frame slot, written as received), returns their file names
+     */
+    async saveOriginals(filePath, imageBuffers) {
+        const directory = path.join(path.dirname(filePath), this.originalsFolder);
+        const name = path.basename(filePath, path.extname(filePath));
+        await fs.mkdir(directory, { recursive: true });
+
+        return Promise.all(imageBuffers.map(async (buffer, index) => {
+            const metadata = await sharp(buffer).metadata();
+            const extension = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+            const filename = `${name}_original_${index + 1}.${extension}`;
+            await fs.writeFile(path.join(directory, filename), buffer);
+            return filename;
+        }));
+    }
+
+    /**
+     * Copy the originals of a photo for a new photo made from them (reprocessing),
+     * so each photo owns its originals, returns the copies' file names
+     */
+    async copyOriginals(photo, filePath) {
+        const directory = path.join(path.dirname(filePath), this.originalsFolder);
+        const name = path.basename(filePath, path.extname(filePath));
+        await fs.mkdir(directory, { recursive: true });
+
+        return Promise.all(this.getOriginalPaths(photo).map(async (originalPath, index) => {
+            const filename = `${name}_original_${index + 1}${path.extname(originalPath)}`;
+            await fs.copyFile(originalPath, path.join(directory, filename));
+            return filename;
+        }));
+    }
+
+    /**
+     * Total size of a photo's originals
+     */
+    async getOriginalsSize(filePath, originals) {
+        const directory = path.join(path.dirname(filePath), this.originalsFolder);
+        const sizes = await Promise.all(originals.map(filename => this.getFileSize(path.join(directory, filename))));
+        return sizes.reduce((total, size) => total + (size || 0), 0);
+    }
+
+    /**
+     * Query photos: filter, sort and page them
+     * Options: eventId (null: photos taken without an event), from/to (timestamps),
+     * frameId, printed, hasPdf, sort (date, size or name), order (asc or desc),
+     * limit and cursor (the nextCursor of the previous page)
+     */
+    query(options = {}) {
+        const compare = this.getComparator(options.sort, options.order);
+        const photos = this.filterPhotos(options).sort(compare);
+        const total = photos.length;
+
+        let start = 0;
+        if (options.cursor) {
+            const after = this.decodeCursor(options.cursor);
+            start = photos.findIndex(photo => compare(photo, after) > 0);
+            if (start === -1) {
+                start = total;
+            }
+        }
+
+        const limit = options.limit ? Math.max(parseInt(options.limit) || 0, 1) : total - start;
+        const page = photos.slice(start, start + limit);
+        const hasMore = start + limit < total;
+
+        return {
+            photos: page.map(photo => ({ ...photo })),
+            total: total,
+            limit: limit,
+            hasMore: hasMore,
+            nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+        };
+    }
+
+    /**
+     * Photos matching the query filters
+     */
+    filterPhotos(options = {}) {
+        return Array.from(this.photos.values()).filter(photo => {
+            if (options.eventId !== undefined && photo.eventId !== options.eventId) {
+                return false;
+            }
+            if (options.frameId !== undefined && photo.frameId !== options.frameId) {
+                return false;
+            }
+            if (options.from !== undefined && Date.parse(photo.createdAt) < options.from) {
+                return false;
+            }
+            if (options.to !== undefined && Date.parse(photo.createdAt) > options.to) {
+                return false;
+            }
+            if (options.printed !== undefined && (photo.printStatus === 'done') !== options.printed) {
+                return false;
+            }
+            if (options.hasPdf !== undefined && !!photo.pdfFilename !== options.hasPdf) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Sort order for a query; the filename breaks ties so cursors stay stable
+     */
+    getComparator(sort = 'date', order) {
+        const field = { date: 'createdAt', size: 'size', name: 'filename' }[sort] || 'createdAt';
+        const direction = (order || (field === 'filename' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+        return (a, b) => {
+            let result = 0;
+            if (field === 'size') {
+                result = (a.size || 0) - (b.size || 0);
+            } else if (field !== 'filename') {
+                result = a[field].localeCompare(b[field]);
+            }
+            return direction * (result || a.filename.localeCompare(b.filename));
+        };
+    }
+
+    /**
+     * Opaque cursor pointing after a photo
+     */
+    encodeCursor(photo) {
+        const position = { createdAt: photo.createdAt, size: photo.size, filename: photo.filename };
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    /**
+     * Read a cursor back, throws on cursors this index didn't hand out
+     */
+    decodeCursor(cursor) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            position = null;
+        }
+
+        if (!position || typeof position.createdAt !== 'string' || typeof position.filename !== 'string') {
+            throw new Error('Invalid cursor');
+        }
+        return position;
+    }
+
+    /**
+     * Delete a photo, its PDF, originals and thumbnails from disk and drop it from the index
+     */
+    async deletePhoto(filename) {
+        const photo = this.photos.get(filename);
+        if (!photo) {
+            return null;
+        }
+
+        this.photos.delete(filename);
+        await this.save();
+
+        await this.unlinkIfExists(this.getPhotoPath(photo));
+        const pdfDeleted = photo.pdfFilename
+            ? await this.unlinkIfExists(this.getPhotoPath(photo, photo.pdfFilename))
+            : false;
+        await this.deleteOriginals(photo);
+        await thumbnailCache.remove(filename);
+
+        return { photo: { ...photo }, pdfDeleted };
+    }
+
+    /**
+     * Drop a photo from the index, leaving its files to the caller (the trash)
+     */
+    async removePhoto(filename) {
+        const photo = this.photos.get(filename);
+        if (!photo) {
+            return null;
+        }
+
+        this.photos.delete(filename);
+        await this.save();
+        return { ...photo };
+    }
+
+    /**
+     * Put a photo back into the index (restored from the trash)
+     */
+    async restorePhoto(photo) {
+        const record = { ...photo, updatedAt: new Date().toISOString() };
+        this.photos.set(photo.filename, record);
+        await this.save();
+        return { ...record };
+    }
+
+    /**
+     * Delete the originals of a photo
+     */
+    async deleteOriginals(photo) {
+        for (const originalPath of this.getOriginalPaths(photo)) {
+            await this.unlinkIfExists(originalPath);
+        }
+    }
+
+    /**
+     * Record the outcome of a print job on its photo
+     */
+    async updatePrintOutcome(job) {
+        const photo = this.photos.get(job.filename);
+        if (!photo || (photo.jobId && photo.jobId !== job.id)) {
+            return;
+        }
+
+        const update = {
+            jobId: job.id,
+            printStatus: job.state,
+            printError: job.error || null,
+            printer: job.printer || photo.printer
+        };
+
+        if (job.pdfFilename && job.pdfFilename !== photo.pdfFilename) {
+            update.pdfFilename = job.pdfFilename;
+            update.pdfSize = await this.getFileSize(this.getPhotoPath(photo, job.pdfFilename));
+        }
+
+        await this.updatePhoto(photo.filename, update);
+    }
+
+    /**
+     * Bring the index in line with the files on disk: index photos that appeared
+     * (copied in, saved before the index existed) and drop photos that are gone
+     */
+    async reconcile() {
+        const startedAt = new Date().toISOString();
+        const found = new Set();
+        let added = 0;
+        let removed = 0;
+
+        for (const directory of await eventStore.getPhotoDirectories()) {
+            let files;
+            try {
+                files = await fs.readdir(directory.path);
+            } catch (error) {
+                continue;
+            }
+
+            const names = new Set(files);
+            const originals = names.has(this.originalsFolder)
+                ? await fs.readdir(path.join(directory.path, this.originalsFolder)).catch(() => [])
+                : [];
+            for (const file of files) {
+                if (!this.isImageFile(file)) {
+                    continue;
+                }
+                found.add(file);
+
+                const photo = this.photos.get(file);
+                if (photo) {
+                    // Follow a photo moved to another folder, but never take over
+                    // a photo that is still where it was indexed
+                    if (photo.eventId !== directory.eventId) {
+                        const indexedPath = this.getPhotoPath(photo);
+                        if (await fs.access(indexedPath).then(() => true, () => false)) {
+                            console.warn(`⚠️  ${path.join(directory.path, file)} has the name of ${indexedPath}, not indexed`);
+                            continue;
+                        }
+                        photo.eventId = directory.eventId;
+                    }
+                    continue;
+                }
+
+                try {
+                    const record = await this.buildRecordFromDisk(directory, file, names, originals);
+                    this.photos.set(file, record);
+                    added++;
+                } catch (error) {
+                    console.warn(`⚠️  Could not index ${file}:`, error.message);
+                }
+            }
+        }
+
+        for (const [filename, photo] of Array.from(this.photos.entries())) {
+            // Photos saved while the folders were being read are kept
+            if (!found.has(filename) && photo.createdAt < startedAt) {
+                // The originals go with their photo
+                this.photos.delete(filename);
+                await this.deleteOriginals(photo).catch(error => {
+                    console.error(`❌ Error deleting originals of ${filename}:`, error.message);
+                });
+                removed++;
+            }
+        }
+
+        await this.save();
+
+        if (added > 0 || removed > 0) {
+            console.log(`🔄 Photo index reconciled: ${added} added, ${removed} removed`);
+        }
+        return { added, removed };
+    }
+
+    /**
+     * Index record for a photo found on disk (what produced it is unknown)
+     * `names` are the files next to it, `originalNames` the files in its originals folder
+     */
+    async buildRecordFromDisk(directory, file, names, originalNames = []) {
+        const filePath = path.join(directory.path, file);
+        const stats = await fs.stat(filePath);
+        const pdfFilename = file.replace(/\.[^.]+$/, '.pdf');
+        const pdfExists = names.has(pdfFilename);
+        const prefix = `${path.basename(file, path.extname(file))}_original_`;
+        const originals = originalNames.filter(name => name.startsWith(prefix)).sort();
+
+        return {
+            filename: file,
+            eventId: directory.eventId,
+            ...await this.readImageInfo(filePath),
+            frameId: null,
+            filter: null,
+            effects: null,
+            printer: null,
+            jobId: null,
+            printStatus: null,
+            printError: null,
+            pdfFilename: pdfExists ? pdfFilename : null,
+            pdfSize: pdfExists ? await this.getFileSize(path.join(directory.path, pdfFilename)) : null,
+            originals: originals,
+            originalsSize: await this.getOriginalsSize(filePath, originals),
+            source: 'disk',
+            sessionId: null,
+            client: null,
+            shareToken: this.createShareToken(),
+            createdAt: stats.mtime.toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Size and dimensions of an image file
+     */
+    async readImageInfo(filePath) {
+        const [stats, metadata] = await Promise.all([
+            fs.stat(filePath),
+            sharp(filePath).metadata().catch(() => ({}))
+        ]);
+
+        return {
+            size: stats.size,
+            width: metadata.width || null,
+            height: metadata.height || null
+        };
+    }
+
+    /**
+     * Size of a file, null when it doesn't exist
+     */
+    async getFileSize(filePath) {
+        try {
+            const stats = await fs.stat(filePath);
+            return stats.size;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Delete a file, returns false when it was already gone
+     */
+    async unlinkIfExists(filePath) {
+        try {
+            await fs.unlink(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check if file is an indexed image type
+     */
+    isImageFile(filename) {
+        return this.supportedFormats.includes(path.extname(filename).toLowerCase());
+    }
+
+    /**
+     * Load the index from disk
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.indexFile, 'utf8');
+            const photos = JSON.parse(content);
+            this.photos = new Map(photos.map(photo => [photo.filename, photo]));
+
+            // Photos indexed before guest links existed (saved by the reconcile that follows)
+            for (const photo of this.photos.values()) {
+                photo.shareToken = photo.shareToken || this.createShareToken();
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error loading photo index:', error);
+            }
+            this.photos = new Map();
+        }
+    }
+
+    /**
+     * Persist the index to disk (writes are serialized and atomic)
+     */
+    save() {
+        const snapshot = JSON.stringify(Array.from(this.photos.values()), null, 2);
+
+        this.saveChain = this.saveChain
+            .then(async () => {
+                const tempFile = `${this.indexFile}.tmp`;
+                await fs.writeFile(tempFile, snapshot);
+                await fs.rename(tempFile, this.indexFile);
+            })
+            .catch(error => {
+                console.error('❌ Error saving photo index:', error);
+            });
+
+        return this.saveChain;
+    }
+}
+
+module.exports = new PhotoIndex();
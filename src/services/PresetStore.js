@@ -0,0 +1,295 @@
+/**
+ * Preset Store Service
+ * Persistent one-click session presets (frame, filter, countdown, shots,
+ * auto-print, copies, printer, share QR code on prints) and the preset that is
+ * currently active
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const Helpers = require('../utils/helpers');
+const FrameManager = require('./FrameManager');
+const ImageProcessor = require('./ImageProcessor');
+const realtimeHub = require('./RealtimeHub');
+
+// Used when no presets exist yet (matches the original one-click behaviour)
+const DEFAULT_PRESET = {
+    name: 'Default',
+    frameId: null,
+    filter: 'blackwhite',
+    countdown: 3,
+    shots: null,
+    autoPrint: true,
+    copies: 1,
+    printer: null,
+    shareQr: false
+};
+
+class PresetStore {
+    constructor() {
+        this.frameManager = new FrameManager();
+        this.imageProcessor = new ImageProcessor();
+        this.presetsFile = path.join(config.dataPath, 'presets.json');
+        this.maxCountdown = 30;
+        this.maxShots = 10;
+        this.presets = new Map();
+        this.activeId = null;
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted presets, creating the default preset on first run
+     */
+    async initialize() {
+        await fs.mkdir(config.dataPath, { recursive: true });
+        await this.load();
+
+        if (this.presets.size === 0) {
+            const preset = this.buildPreset(DEFAULT_PRESET);
+            this.presets.set(preset.id, preset);
+            this.activeId = preset.id;
+            await this.save();
+        } else if (!this.presets.has(this.activeId)) {
+            this.activeId = this.presets.keys().next().value;
+            await this.save();
+        }
+
+        console.log(`✅ Presets loaded (${this.presets.size} preset(s), active: ${this.getActivePreset().name})`);
+    }
+
+    /**
+     * Get all presets
+     */
+    getPresets() {
+        return Array.from(this.presets.values())
+            .map(preset => ({ ...preset, active: preset.id === this.activeId }));
+    }
+
+    /**
+     * Get a single preset
+     */
+    getPreset(presetId) {
+        const preset = this.presets.get(presetId);
+        return preset ? { ...preset, active: preset.id === this.activeId } : null;
+    }
+
+    /**
+     * Get the preset used by one-click and remote triggers
+     */
+    getActivePreset() {
+        return this.getPreset(this.activeId);
+    }
+
+    /**
+     * Create a preset
+     */
+    async createPreset(data) {
+        const preset = this.buildPreset({ ...DEFAULT_PRESET, ...data });
+        this.presets.set(preset.id, preset);
+        await this.save();
+
+        console.log(`✅ Preset created: ${preset.name}`);
+        this.publish('created', preset);
+        return this.getPreset(preset.id);
+    }
+
+    /**
+     * Update a preset (only the fields that were sent)
+     */
+    async updatePreset(presetId, data) {
+        const preset = this.presets.get(presetId);
+        if (!preset) {
+            throw new Error('Preset not found');
+        }
+
+        Object.assign(preset, this.pickFields(data), { updatedAt: new Date().toISOString() });
+        await this.save();
+
+        this.publish('updated', preset);
+        return this.getPreset(preset.id);
+    }
+
+    /**
+     * Delete a preset (the last preset cannot be deleted)
+     */
+    async deletePreset(presetId) {
+        if (!this.presets.has(presetId)) {
+            throw new Error('Preset not found');
+        }
+        if (this.presets.size === 1) {
+            throw new Error('The last preset cannot be deleted');
+        }
+
+        const preset = this.presets.get(presetId);
+        this.presets.delete(presetId);
+        if (this.activeId === presetId) {
+            this.activeId = this.presets.keys().next().value;
+        }
+        await this.save();
+
+        console.log(`🗑️ Preset deleted: ${preset.name}`);
+        this.publish('deleted', preset);
+        return true;
+    }
+
+    /**
+     * Make a preset the active one
+     */
+    async activatePreset(presetId) {
+        const preset = this.presets.get(presetId);
+        if (!preset) {
+            throw new Error('Preset not found');
+        }
+
+        this.activeId = presetId;
+        await this.save();
+
+        console.log(`⭐ Active preset: ${preset.name}`);
+        this.publish('activated', preset);
+        return this.getPreset(preset.id);
+    }
+
+    /**
+     * Validate preset fields, returns a list of errors
+     * With `partial` only the fields that were sent are checked (updates);
+     * `current` is the preset being updated, its frame limits the shots sent
+     * and the other way round
+     */
+    async validatePreset(data, partial = false, current = {}) {
+        const errors = [];
+        const has = (field) => data[field] !== undefined;
+
+        if (!partial || has('name')) {
+            if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > 60) {
+                errors.push('Name is required (at most 60 characters)');
+            }
+        }
+
+        if (has('frameId') && data.frameId !== null && !(await this.frameManager.frameExists(data.frameId))) {
+            errors.push(`Unknown frame: ${data.frameId}`);
+        }
+
+        if (has('filter') && !this.imageProcessor.hasFilter(data.filter)) {
+            errors.push(`Unknown filter: ${data.filter}`);
+        }
+
+        if (has('countdown') && !this.isIntegerInRange(data.countdown, 0, this.maxCountdown)) {
+            errors.push(`Countdown must be between 0 and ${this.maxCountdown} seconds`);
+        }
+
+        if (has('shots') && data.shots !== null && !this.isIntegerInRange(data.shots, 1, this.maxShots)) {
+            errors.push(`Shots must be between 1 and ${this.maxShots}`);
+        } else if (has('shots') || has('frameId')) {
+            // Each shot fills a photo window, more shots than windows would never be used
+            const frameId = has('frameId') ? data.frameId : current.frameId;
+            const shots = has('shots') ? data.shots : current.shots;
+            if (frameId && shots && await this.frameManager.frameExists(frameId)) {
+                const { slots } = await this.frameManager.getFramePlacement(frameId);
+                if (shots > slots.length) {
+                    errors.push(`Shots must be at most ${slots.length}, the number of photo windows in frame ${frameId}`);
+                }
+            }
+        }
+
+        if (has('autoPrint') && typeof data.autoPrint !== 'boolean') {
+            errors.push('Auto-print must be true or false');
+        }
+
+        if (has('shareQr') && typeof data.shareQr !== 'boolean') {
+            errors.push('Share QR code must be true or false');
+        }
+
+        if (has('copies') && !this.isIntegerInRange(data.copies, 1, config.printMaxCopies)) {
+            errors.push(`Copies must be between 1 and ${config.printMaxCopies}`);
+        }
+
+        if (has('printer') && data.printer !== null && !Helpers.isValidPrinterName(data.printer)) {
+            errors.push('Invalid printer name');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check for an integer within a range
+     */
+    isIntegerInRange(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    /**
+     * Keep only preset fields
+     */
+    pickFields(data) {
+        const fields = {};
+        for (const key of Object.keys(DEFAULT_PRESET)) {
+            if (data[key] !== undefined) {
+                fields[key] = key === 'name' ? data[key].trim() : data[key];
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Create a new preset record
+     */
+    buildPreset(data) {
+        const now = new Date().toISOString();
+        return {
+            id: Helpers.generateId(),
+            ...this.pickFields(data),
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Announce a preset change to listeners
+     */
+    publish(action, preset) {
+        realtimeHub.publish('presets', { action, preset: { ...preset }, activeId: this.activeId });
+    }
+
+    /**
+     * Load presets from disk
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.presetsFile, 'utf8');
+            const data = JSON.parse(content);
+            this.presets = new Map(data.presets.map(preset => [preset.id, preset]));
+            this.activeId = data.activeId;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error loading presets:', error);
+            }
+            this.presets = new Map();
+            this.activeId = null;
+        }
+    }
+
+    /**
+     * Persist presets to disk (writes are serialized and atomic)
+     */
+    save() {
+        const snapshot = JSON.stringify({
+            activeId: this.activeId,
+            presets: Array.from(this.presets.values())
+        }, null, 2);
+
+        this.saveChain = this.saveChain
+            .then(async () => {
+                const tempFile = `${this.presetsFile}.tmp`;
+                await fs.writeFile(tempFile, snapshot);
+                await fs.rename(tempFile, this.presetsFile);
+            })
+            .catch(error => {
+                console.error('❌ Error saving presets:', error);
+            });
+
+        return this.saveChain;
+    }
+}
+
+module.exports = new PresetStore();
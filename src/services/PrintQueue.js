@@ -0,0 +1,353 @@
+/**
+ * Print Queue Service
+ * Persistent server-side print queue with retries and per-job status tracking
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const Helpers = require('../utils/helpers');
+const PrinterManager = require('./PrinterManager');
+const realtimeHub = require('./RealtimeHub');
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    CONVERTING: 'converting',
+    SUBMITTED: 'submitted',
+    PRINTING: 'printing',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+class PrintQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.printerManager = new PrinterManager();
+        this.jobsFile = path.join(config.dataPath, 'print-jobs.json');
+        this.maxAttempts = config.printMaxAttempts;
+        this.retryDelay = config.printRetryDelay;
+        this.statusInterval = config.printStatusInterval;
+        this.jobRetention = 7 * 24 * 60 * 60 * 1000; // finished jobs are kept for 7 days
+        this.jobs = new Map();
+        this.processing = false;
+        this.retryTimer = null;
+        this.monitorInterval = null;
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted jobs and start processing
+     */
+    async initialize() {
+        await fs.mkdir(config.dataPath, { recursive: true });
+        await this.load();
+
+        const cutoff = Date.now() - this.jobRetention;
+        for (const job of Array.from(this.jobs.values())) {
+            const finished = job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED;
+
+            if (finished && Date.parse(job.updatedAt) < cutoff) {
+                this.jobs.delete(job.id);
+            } else if (job.state === JOB_STATES.CONVERTING) {
+                // A conversion interrupted by a restart has to start over
+                this.setState(job, JOB_STATES.QUEUED, 'Interrupted by server restart');
+            }
+        }
+        await this.save();
+
+        this.startMonitoring();
+        this.processNext();
+
+        console.log(`✅ Print queue initialized (${this.jobs.size} job(s) on record)`);
+    }
+
+    /**
+     * Stop timers
+     */
+    stop() {
+        if (this.monitorInterval) {
+            clearInterval(this.monitorInterval);
+            this.monitorInterval = null;
+        }
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    /**
+     * Add a print job for an image
+     */
+    async enqueue(imagePath, options = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: Helpers.generateId(),
+            imagePath: imagePath,
+            filename: path.basename(imagePath),
+            pdfPath: null,
+            printer: options.printer || null,
+            printOptions: options.printOptions || {},
+            pdfOptions: options.pdfOptions || {},
+            state: JOB_STATES.QUEUED,
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            printerJobId: null,
+            error: null,
+            nextAttemptAt: null,
+            createdAt: now,
+            updatedAt: now,
+            history: [{ state: JOB_STATES.QUEUED, at: now }]
+        };
+
+        this.jobs.set(job.id, job);
+        await this.save();
+        this.publishJob(job);
+        this.processNext();
+
+        return this.toPublicJob(job);
+    }
+
+    /**
+     * Get all jobs, newest first
+     */
+    getJobs() {
+        return Array.from(this.jobs.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.toPublicJob(job));
+    }
+
+    /**
+     * Get a single job
+     */
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        return job ? this.toPublicJob(job) : null;
+    }
+
+    /**
+     * Retry a failed job
+     */
+    async retry(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error('Job not found');
+        }
+        if (job.state !== JOB_STATES.FAILED) {
+            throw new Error(`Only failed jobs can be retried (job is ${job.state})`);
+        }
+
+        job.attempts = 0;
+        job.error = null;
+        job.nextAttemptAt = null;
+        job.printerJobId = null;
+        this.setState(job, JOB_STATES.QUEUED, 'Manual retry');
+        await this.save();
+        this.processNext();
+
+        return this.toPublicJob(job);
+    }
+
+    /**
+     * Process queued jobs one at a time
+     */
+    async processNext() {
+        if (this.processing) {
+            return;
+        }
+
+        const now = Date.now();
+        const queued = Array.from(this.jobs.values())
+            .filter(job => job.state === JOB_STATES.QUEUED)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const job = queued.find(job => !job.nextAttemptAt || Date.parse(job.nextAttemptAt) <= now);
+
+        if (!job) {
+            this.scheduleRetry(queued);
+            return;
+        }
+
+        this.processing = true;
+        try {
+            await this.runJob(job);
+        } finally {
+            this.processing = false;
+        }
+
+        this.processNext();
+    }
+
+    /**
+     * Wake up the queue when the earliest backed-off job is due
+     */
+    scheduleRetry(queued) {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        const dueTimes = queued
+            .filter(job => job.nextAttemptAt)
+            .map(job => Date.parse(job.nextAttemptAt));
+
+        if (dueTimes.length > 0) {
+            const delay = Math.max(0, Math.min(...dueTimes) - Date.now());
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.processNext();
+            }, delay);
+        }
+    }
+
+    /**
+     * Convert and submit a job
+     */
+    async runJob(job) {
+        job.attempts++;
+
+        try {
+            this.setState(job, JOB_STATES.CONVERTING);
+            await this.save();
+
+            // The media chosen for this print wins over the frame's print layout
+            const printOptions = job.printOptions || {};
+            job.pdfPath = await this.printerManager.convertImageToPDF(
+                job.imagePath,
+                { ...job.pdfOptions, ...this.printerManager.getPdfOptions(printOptions) }
+            );
+
+            const submission = await this.printerManager.submitPrintJob(job.pdfPath, job.printer, printOptions);
+            job.printer = submission.printer;
+            job.printerJobId = submission.printerJobId;
+            job.error = null;
+            job.nextAttemptAt = null;
+            this.setState(job, JOB_STATES.SUBMITTED, job.printerJobId ? null : 'No printer job ID, print progress cannot be followed');
+        } catch (error) {
+            console.error(`❌ Print job ${job.id} attempt ${job.attempts} failed:`, error.message);
+            job.error = error.message;
+
+            if (job.attempts < job.maxAttempts) {
+                const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+                job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                this.setState(job, JOB_STATES.QUEUED, `Retry in ${Math.round(delay / 1000)}s`);
+            } else {
+                job.nextAttemptAt = null;
+                this.setState(job, JOB_STATES.FAILED, error.message);
+            }
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Follow submitted jobs on the print backend until they leave the queue
+     */
+    startMonitoring() {
+        this.monitorInterval = setInterval(() => {
+            this.updateSubmittedJobs().catch(error => {
+                console.error('❌ Print job status update failed:', error.message);
+            });
+        }, this.statusInterval);
+    }
+
+    /**
+     * Update the state of submitted/printing jobs from the print backend
+     * Jobs the printer gave no job ID can't be followed and stay submitted
+     * rather than being reported as printed
+     */
+    async updateSubmittedJobs() {
+        const tracked = Array.from(this.jobs.values())
+            .filter(job => job.printerJobId && (job.state === JOB_STATES.SUBMITTED || job.state === JOB_STATES.PRINTING));
+
+        if (tracked.length === 0) {
+            return;
+        }
+
+        const activeJobIds = await this.printerManager.getActiveJobIds();
+        let changed = false;
+
+        for (const job of tracked) {
+            const active = activeJobIds.includes(job.printerJobId);
+
+            if (active && job.state === JOB_STATES.SUBMITTED) {
+                this.setState(job, JOB_STATES.PRINTING);
+                changed = true;
+            } else if (!active) {
+                this.setState(job, JOB_STATES.DONE);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Change job state and record it in the job history
+     */
+    setState(job, state, note = null) {
+        const now = new Date().toISOString();
+        job.state = state;
+        job.updatedAt = now;
+        job.history.push(note ? { state, at: now, note } : { state, at: now });
+        this.publishJob(job);
+    }
+
+    /**
+     * Announce a job change to browsers and in-process listeners
+     */
+    publishJob(job) {
+        const publicJob = this.toPublicJob(job);
+        realtimeHub.publish('job', { job: publicJob });
+        this.emit('job', publicJob);
+    }
+
+    /**
+     * Public representation of a job
+     */
+    toPublicJob(job) {
+        return {
+            ...job,
+            history: [...job.history],
+            pdfFilename: job.pdfPath ? path.basename(job.pdfPath) : null
+        };
+    }
+
+    /**
+     * Load jobs from disk
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.jobsFile, 'utf8');
+            const jobs = JSON.parse(content);
+            this.jobs = new Map(jobs.map(job => [job.id, job]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error loading print jobs:', error);
+            }
+            this.jobs = new Map();
+        }
+    }
+
+    /**
+     * Persist jobs to disk (writes are serialized and atomic)
+     */
+    save() {
+        const snapshot = JSON.stringify(Array.from(this.jobs.values()), null, 2);
+
+        this.saveChain = this.saveChain
+            .then(async () => {
+                const tempFile = `${this.jobsFile}.tmp`;
+                await fs.writeFile(tempFile, snapshot);
+                await fs.rename(tempFile, this.jobsFile);
+            })
+            .catch(error => {
+                console.error('❌ Error saving print jobs:', error);
+            });
+
+        return this.saveChain;
+    }
+}
+
+module.exports = new PrintQueue();
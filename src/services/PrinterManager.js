@@ -1,93 +1,42 @@
 /**
  * Printer Manager Service
- * Handles printing operations and CUPS integration
+ * Handles printing operations through the configured print backend (CUPS or virtual)
  */
 
-const { exec } = require('child_process');
-const util = require('util');
-const path = require('path');
-const fs = require('fs');
 const config = require('../config/config');
+const PdfRenderer = require('./PdfRenderer');
+const { getPrintBackend } = require('./printers');
 
 class PrinterManager {
     constructor() {
         this.defaultPrinter = config.defaultPrinter;
         this.printTimeout = config.printTimeout;
-        this.execAsync = util.promisify(exec);
+        this.maxCopies = config.printMaxCopies;
+        this.backend = getPrintBackend();
+        this.pdfRenderer = new PdfRenderer();
     }
 
     /**
-     * Convert image to PDF using ImageMagick
+     * Convert image to a print-ready PDF next to the image
      */
-    async convertImageToPDF(imagePath) {
+    async convertImageToPDF(imagePath, options = {}) {
         try {
             const pdfPath = imagePath.replace(/\.[^.]+$/, '.pdf');
             
-            // Try 'convert' command first (works on Raspberry Pi OS), fallback to 'magick' (v7)
-            let command = `convert "${imagePath}" -page A4 -resize 100% "${pdfPath}"`;
+            const result = await this.pdfRenderer.renderImageToPDF(imagePath, pdfPath, options);
+            console.log(`PDF rendered: ${result.media} ${result.orientation}${result.borderless ? ' borderless' : ''} at ${result.dpi} DPI`);
             
-            try {
-                const { stdout, stderr } = await this.execAsync(command, {
-                    timeout: this.printTimeout
-                });
-                
-                if (stderr && !stderr.includes('warning')) {
-                    throw new Error(stderr);
-                }
-                
-                return pdfPath;
-            } catch (convertError) {
-                // If 'convert' fails, try 'magick' (for newer ImageMagick installations)
-                console.log('convert command failed, trying magick command...');
-                command = `magick "${imagePath}" -page A4 -resize 100% "${pdfPath}"`;
-                
-                const { stdout, stderr } = await this.execAsync(command, {
-                    timeout: this.printTimeout
-                });
-                
-                if (stderr && !stderr.includes('warning')) {
-                    throw new Error(stderr);
-                }
-                
-                return pdfPath;
-            }
+            return pdfPath;
         } catch (error) {
             console.error('PDF conversion error:', error);
-            
-            // Check if it's a security policy error
-            if (error.message.includes('security policy') || error.message.includes('not allowed')) {
-                const fixMessage = `
-ImageMagick security policy is blocking PDF operations. 
-To fix this, run the following commands on your Raspberry Pi:
-
-1. Find the policy file:
-   sudo find /etc -name "policy.xml" | grep -i imagemagick
-
-2. Edit the policy file (replace PATH with the actual path):
-   sudo nano /etc/ImageMagick-6/policy.xml
-
-3. Find and comment out or remove this line:
-   <policy domain="coder" rights="none" pattern="PDF" />
-
-4. Add this line instead:
-   <policy domain="coder" rights="read|write" pattern="PDF" />
-
-5. Save and restart your application.
-
-Or run the provided fix script: ./fix_imagemagick_policy.sh
-                `;
-                console.error(fixMessage);
-                throw new Error(`ImageMagick security policy blocks PDF operations. ${fixMessage}`);
-            }
-            
             throw new Error(`PDF conversion failed: ${error.message}`);
         }
     }
 
     /**
-     * Print image using CUPS
+     * Print image through the print backend
      */
-    async printImage(imagePath, printerName = null) {
+    async printImage(imagePath, printerName = null, printOptions = {}) {
         try {
             let printer = printerName;
             if (!printer) {
@@ -97,28 +46,18 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
             
             // Always convert image to PDF for all printers
             console.log('Converting image to PDF for printing...');
-            const pdfPath = await this.convertImageToPDF(imagePath);
+            const pdfPath = await this.convertImageToPDF(imagePath, this.getPdfOptions(printOptions));
             console.log('Converted successfully');
             
-            const command = `lp -d ${printer} "${pdfPath}"`;
-            console.log(`Starting print with command: ${command}`);
-
-            const { stdout, stderr } = await this.execAsync(command, {
-                timeout: this.printTimeout
-            });
-            
-            if (stderr && !stderr.includes('request id is')) {
-                throw new Error(stderr);
-            }
-
-            console.log(`Printed successfully, result: ${stdout}`);
+            const submission = await this.submitPrintJob(pdfPath, printer, printOptions);
             
             // Don't clean up PDF file - keep it for gallery download
             console.log(`PDF saved at: ${pdfPath}`);
             
             return {
                 success: true,
-                printJob: stdout.trim(),
+                printJob: submission.printJob,
+                printerJobId: submission.printerJobId,
                 printer: printer,
                 imagePath: imagePath,
                 pdfPath: pdfPath,
@@ -130,34 +69,119 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
         }
     }
 
+    /**
+     * Submit an already converted PDF to the print backend
+     */
+    async submitPrintJob(pdfPath, printerName = null, printOptions = {}) {
+        const printer = printerName || await this.getDefaultPrinter();
+        
+        return await this.backend.submitJob(pdfPath, printer, printOptions);
+    }
+
+    /**
+     * Get printer capabilities (media, media type, trays, quality, color modes, copies)
+     */
+    async getPrinterCapabilities(printerName = null) {
+        const printer = printerName || await this.getDefaultPrinter();
+        const capabilities = await this.backend.getCapabilities(printer);
+        
+        return {
+            ...capabilities,
+            copies: { min: 1, max: this.maxCopies, default: 1 }
+        };
+    }
+
+    /**
+     * Validate per-print options against printer capabilities
+     * Returns the normalized options and a list of validation errors
+     */
+    validatePrintOptions(options, capabilities) {
+        const errors = [];
+        const printOptions = {};
+        
+        if (options.copies !== undefined && options.copies !== null) {
+            const copies = Number(options.copies);
+            if (!Number.isInteger(copies) || copies < capabilities.copies.min || copies > capabilities.copies.max) {
+                errors.push(`Copies must be a whole number between ${capabilities.copies.min} and ${capabilities.copies.max}`);
+            } else {
+                printOptions.copies = copies;
+            }
+        }
+        
+        for (const name of ['media', 'colorMode']) {
+            const value = options[name];
+            if (value === undefined || value === null || value === '') {
+                continue;
+            }
+            
+            if (!capabilities[name]) {
+                errors.push(`Printer ${capabilities.printer} does not support choosing ${name}`);
+            } else if (!capabilities[name].choices.includes(value)) {
+                errors.push(`Unsupported ${name}: ${value}. Supported: ${capabilities[name].choices.join(', ')}`);
+            } else {
+                printOptions[name] = value;
+            }
+        }
+        
+        if (options.fitToPage !== undefined && options.fitToPage !== null) {
+            if (typeof options.fitToPage !== 'boolean') {
+                errors.push('fitToPage must be true or false');
+            } else if (options.fitToPage && !capabilities.fitToPage) {
+                errors.push(`Printer ${capabilities.printer} does not support fit to page`);
+            } else {
+                printOptions.fitToPage = options.fitToPage;
+            }
+        }
+        
+        return { errors, printOptions };
+    }
+
+    /**
+     * Get the per-print options sent with a request (copies, media, colorMode,
+     * fitToPage), validated against the printer's capabilities
+     */
+    async getRequestPrintOptions(body, printer = null) {
+        const requested = {
+            copies: body.copies,
+            media: body.media,
+            colorMode: body.colorMode,
+            fitToPage: body.fitToPage
+        };
+        
+        if (Object.values(requested).every(value => value === undefined || value === null || value === '')) {
+            return { errors: [], printOptions: {} };
+        }
+        
+        const capabilities = await this.getPrinterCapabilities(printer);
+        return this.validatePrintOptions(requested, capabilities);
+    }
+
+    /**
+     * PDF render options for a print job (the PDF page follows the chosen media when it is a known size)
+     */
+    getPdfOptions(printOptions = {}) {
+        const mediaSizes = this.pdfRenderer.getMediaSizes().map(size => size.name);
+        
+        return printOptions.media && mediaSizes.includes(printOptions.media)
+            ? { media: printOptions.media }
+            : {};
+    }
+
+    /**
+     * Get the IDs of jobs still pending on the print backend
+     * Unlike getPrintQueue this throws when the backend cannot be queried, so
+     * callers can tell "job finished" apart from "status unknown"
+     */
+    async getActiveJobIds() {
+        return await this.backend.getActiveJobIds();
+    }
+
     /**
      * Get available printers
      */
     async getAvailablePrinters() {
         try {
-            const { stdout } = await this.execAsync('lpstat -p', { timeout: 10000 });
-            
-            const printers = [];
-            const lines = stdout.split('\n');
-            
-            for (const line of lines) {
-                if (line.startsWith('printer')) {
-                    const parts = line.split(' ');
-                    if (parts.length >= 2) {
-                        const printerName = parts[1];
-                        const isIdle = line.includes('idle');
-                        const isEnabled = !line.includes('disabled');
-                        
-                        printers.push({
-                            name: printerName,
-                            status: isIdle ? 'idle' : 'busy',
-                            enabled: isEnabled
-                        });
-                    }
-                }
-            }
-            
-            return printers;
+            return await this.backend.getPrinters();
         } catch (error) {
             console.error('Error getting printers:', error);
             return [];
@@ -169,14 +193,8 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      */
     async getDefaultPrinter() {
         try {
-            const { stdout } = await this.execAsync('lpstat -d', { timeout: 10000 });
-            
-            const match = stdout.match(/system default destination: (.+)/);
-            if (match) {
-                return match[1].trim();
-            }
-            
-            return this.defaultPrinter;
+            const printer = await this.backend.getDefaultPrinter();
+            return printer || this.defaultPrinter;
         } catch (error) {
             console.error('Error getting default printer:', error);
             return this.defaultPrinter;
@@ -188,7 +206,7 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      */
     async setDefaultPrinter(printerName) {
         try {
-            await this.execAsync(`lpoptions -d ${printerName}`, { timeout: 10000 });
+            await this.backend.setDefaultPrinter(printerName);
             this.defaultPrinter = printerName;
             console.log(`✅ Default printer set to: ${printerName}`);
             return true;
@@ -203,22 +221,13 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      */
     async testPrinter(printerName = null) {
         try {
-            const printer = printerName || this.defaultPrinter;
-            const testMessage = 'Vienna Photo Booth Test Print';
-            
-            const { stdout, stderr } = await this.execAsync(
-                `echo "${testMessage}" | lp -d ${printer}`,
-                { timeout: this.printTimeout }
-            );
-            
-            if (stderr && !stderr.includes('request id is')) {
-                throw new Error(stderr);
-            }
+            const printer = printerName || await this.getDefaultPrinter();
+            const result = await this.backend.testPrinter(printer);
             
             return {
                 success: true,
                 message: 'Test print sent successfully',
-                printJob: stdout.trim(),
+                printJob: result.printJob,
                 printer: printer
             };
         } catch (error) {
@@ -232,30 +241,7 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      */
     async getPrintQueue() {
         try {
-            const { stdout } = await this.execAsync('lpstat -o', { timeout: 10000 });
-            
-            const jobs = [];
-            const lines = stdout.split('\n');
-            
-            for (const line of lines) {
-                if (line.includes('printer')) {
-                    const parts = line.split(' ');
-                    if (parts.length >= 3) {
-                        const jobId = parts[0];
-                        const printer = parts[1];
-                        const status = parts[2];
-                        
-                        jobs.push({
-                            jobId,
-                            printer,
-                            status,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                }
-            }
-            
-            return jobs;
+            return await this.backend.getJobs();
         } catch (error) {
             console.error('Error getting print queue:', error);
             return [];
@@ -267,7 +253,7 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      */
     async cancelPrintJob(jobId) {
         try {
-            await this.execAsync(`cancel ${jobId}`, { timeout: 10000 });
+            await this.backend.cancelJob(jobId);
             console.log(`✅ Print job ${jobId} cancelled successfully`);
             return true;
         } catch (error) {
@@ -280,25 +266,19 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      * Get printer status
      */
     async getPrinterStatus(printerName = null) {
+        let printer = printerName;
         try {
-            const printer = printerName || this.defaultPrinter;
-            const { stdout } = await this.execAsync(`lpstat -p ${printer}`, { timeout: 10000 });
-            
-            const isIdle = stdout.includes('idle');
-            const isEnabled = !stdout.includes('disabled');
-            const isAccepting = !stdout.includes('not accepting');
+            printer = printer || await this.getDefaultPrinter();
+            const status = await this.backend.getPrinterStatus(printer);
             
             return {
-                name: printer,
-                status: isIdle ? 'idle' : 'busy',
-                enabled: isEnabled,
-                accepting: isAccepting,
+                ...status,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
             console.error('Error getting printer status:', error);
             return {
-                name: printerName || this.defaultPrinter,
+                name: printer || this.defaultPrinter,
                 status: 'unknown',
                 enabled: false,
                 accepting: false,
@@ -320,20 +300,22 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
     }
 
     /**
-     * Get CUPS server status
+     * Get print backend status (CUPS scheduler or virtual printer)
      */
     async getCupsStatus() {
         try {
-            const { stdout } = await this.execAsync('lpstat -r', { timeout: 10000 });
+            const status = await this.backend.getStatus();
             
             return {
-                running: stdout.includes('scheduler is running'),
+                ...status,
+                backend: this.backend.name,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
             console.error('Error getting CUPS status:', error);
             return {
                 running: false,
+                backend: this.backend.name,
                 error: error.message,
                 timestamp: new Date().toISOString()
             };
@@ -345,20 +327,8 @@ Or run the provided fix script: ./fix_imagemagick_policy.sh
      */
     async getPrinterOptions(printerName = null) {
         try {
-            const printer = printerName || this.defaultPrinter;
-            const { stdout } = await this.execAsync(`lpoptions -p ${printer}`, { timeout: 10000 });
-            
-            const options = {};
-            const lines = stdout.split('\n');
-            
-            for (const line of lines) {
-                if (line.includes('=')) {
-                    const [key, value] = line.split('=');
-                    options[key.trim()] = value.trim();
-                }
-            }
-            
-            return options;
+            const printer = printerName || await this.getDefaultPrinter();
+            return await this.backend.getPrinterOptions(printer);
         } catch (error) {
             console.error('Error getting printer options:', error);
             return {};
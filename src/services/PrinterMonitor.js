@@ -0,0 +1,104 @@
+/**
+ * Printer Monitor Service
+ * Polls the print backend (lpstat on CUPS) on a fixed interval and publishes
+ * printer and print queue changes through the realtime hub
+ */
+
+const config = require('../config/config');
+const PrinterManager = require('./PrinterManager');
+const realtimeHub = require('./RealtimeHub');
+
+class PrinterMonitor {
+    constructor() {
+        this.printerManager = new PrinterManager();
+        this.interval = config.printerMonitorInterval;
+        this.timer = null;
+        this.polling = false;
+        this.printers = null;
+        this.queue = null;
+        this.onConnect = (client) => this.sendSnapshot(client);
+    }
+
+    /**
+     * Start polling and greeting new hub clients
+     */
+    start() {
+        realtimeHub.on('connect', this.onConnect);
+        if (!this.timer) {
+            this.timer = setInterval(() => this.poll(), this.interval);
+            this.poll();
+        }
+        console.log(`✅ Printer monitor started (every ${this.interval / 1000}s)`);
+    }
+
+    /**
+     * Stop polling and greeting hub clients
+     */
+    stop() {
+        realtimeHub.off('connect', this.onConnect);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Send the last known state to a new client
+     */
+    sendSnapshot(client) {
+        if (this.printers) {
+            realtimeHub.send(client, 'printers', this.printers);
+        }
+        if (this.queue) {
+            realtimeHub.send(client, 'print-queue', { queue: this.queue });
+        }
+    }
+
+    /**
+     * Read printers and the backend queue, publishing whatever changed
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+
+        this.polling = true;
+        try {
+            const [printers, queue, status] = await Promise.all([
+                this.printerManager.getAvailablePrinters(),
+                this.printerManager.getPrintQueue(),
+                this.printerManager.getCupsStatus()
+            ]);
+
+            const printerState = {
+                backend: status.backend,
+                running: status.running,
+                printers: printers
+            };
+            if (this.hasChanged(this.printers, printerState)) {
+                this.printers = printerState;
+                realtimeHub.publish('printers', printerState);
+            }
+
+            // CUPS queue entries carry a fresh timestamp on every read, so diff without it
+            const queueState = queue.map(({ timestamp, ...job }) => job);
+            if (this.hasChanged(this.queue, queueState)) {
+                this.queue = queueState;
+                realtimeHub.publish('print-queue', { queue: queueState });
+            }
+        } catch (error) {
+            console.error('❌ Printer monitor poll failed:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Compare two states
+     */
+    hasChanged(previous, next) {
+        return JSON.stringify(previous) !== JSON.stringify(next);
+    }
+}
+
+module.exports = new PrinterMonitor();
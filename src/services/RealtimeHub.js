@@ -0,0 +1,126 @@
+/**
+ * Realtime Hub Service
+ * Pushes server events (printers, print jobs, gallery, cleanup, frames) to
+ * browsers over Server-Sent Events
+ */
+
+const EventEmitter = require('events');
+
+class RealtimeHub extends EventEmitter {
+    constructor() {
+        super();
+        this.clients = new Map();
+        this.nextClientId = 1;
+        this.nextEventId = 1;
+        this.heartbeatInterval = null;
+        this.heartbeatMs = 25000; // keeps proxies from closing idle streams
+        this.retryMs = 3000; // browser reconnect delay
+    }
+
+    /**
+     * Register an SSE client for a request
+     */
+    addClient(req, res) {
+        const client = { id: this.nextClientId++, res };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.retryMs}\n\n`);
+
+        this.clients.set(client.id, client);
+        req.on('close', () => this.removeClient(client.id));
+
+        this.startHeartbeat();
+        this.send(client, 'connected', { clientId: client.id });
+        this.emit('connect', client);
+
+        return client;
+    }
+
+    /**
+     * Remove a disconnected client
+     */
+    removeClient(clientId) {
+        if (!this.clients.delete(clientId)) {
+            return;
+        }
+
+        if (this.clients.size === 0) {
+            this.stopHeartbeat();
+        }
+        this.emit('disconnect', clientId);
+    }
+
+    /**
+     * Send an event to every client
+     */
+    publish(type, data) {
+        for (const client of this.clients.values()) {
+            this.send(client, type, data);
+        }
+    }
+
+    /**
+     * Send an event to a single client
+     */
+    send(client, type, data) {
+        const payload = JSON.stringify({ ...data, timestamp: new Date().toISOString() });
+
+        try {
+            client.res.write(`id: ${this.nextEventId++}\nevent: ${type}\ndata: ${payload}\n\n`);
+        } catch (error) {
+            console.error(`❌ Failed to send ${type} event to client ${client.id}:`, error.message);
+            this.removeClient(client.id);
+        }
+    }
+
+    /**
+     * Number of connected clients
+     */
+    getClientCount() {
+        return this.clients.size;
+    }
+
+    /**
+     * Start sending heartbeat comments
+     */
+    startHeartbeat() {
+        if (this.heartbeatInterval) {
+            return;
+        }
+
+        this.heartbeatInterval = setInterval(() => {
+            for (const client of this.clients.values()) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, this.heartbeatMs);
+    }
+
+    /**
+     * Stop sending heartbeat comments
+     */
+    stopHeartbeat() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+    }
+
+    /**
+     * Close every stream (lets the HTTP server shut down)
+     */
+    stop() {
+        this.stopHeartbeat();
+
+        for (const client of this.clients.values()) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = new RealtimeHub();
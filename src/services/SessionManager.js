@@ -0,0 +1,349 @@
+/**
+ * Session Manager Service
+ * Remote-triggered one-click sessions: tracks connected booth clients, sends
+ * them capture commands and resolves each session once the photo is uploaded
+ */
+
+const EventEmitter = require('events');
+const config = require('../config/config');
+const Helpers = require('../utils/helpers');
+const FrameManager = require('./FrameManager');
+const ImageProcessor = require('./ImageProcessor');
+const presetStore = require('./PresetStore');
+const eventStore = require('./EventStore');
+const realtimeHub = require('./RealtimeHub');
+
+const SESSION_STATES = {
+    PENDING: 'pending',
+    CAPTURING: 'capturing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    EXPIRED: 'expired'
+};
+
+class SessionManager extends EventEmitter {
+    constructor() {
+        super();
+        this.booths = new Map();
+        this.sessions = new Map();
+        this.waiters = new Map();
+        this.frameManager = new FrameManager();
+        this.imageProcessor = new ImageProcessor();
+        this.sessionTimeout = config.sessionTimeout;
+        this.sessionRetention = 60 * 60 * 1000; // finished sessions are kept for 1 hour
+    }
+
+    /**
+     * Register a booth client (a socket with a send(message) method)
+     */
+    registerBooth(boothId, socket) {
+        const previous = this.booths.get(boothId);
+        if (previous && previous.socket !== socket) {
+            // The same booth reconnected (e.g. page reload), the old socket is stale
+            previous.socket.close();
+        }
+
+        const booth = {
+            id: boothId,
+            socket: socket,
+            connectedAt: new Date().toISOString()
+        };
+        this.booths.set(boothId, booth);
+
+        console.log(`📱 Booth connected: ${boothId}`);
+        realtimeHub.publish('booths', { booths: this.getBooths() });
+
+        return booth;
+    }
+
+    /**
+     * Remove a booth client
+     */
+    unregisterBooth(boothId, socket) {
+        const booth = this.booths.get(boothId);
+        if (!booth || booth.socket !== socket) {
+            return;
+        }
+
+        this.booths.delete(boothId);
+
+        // Sessions the booth was still working on cannot finish anymore
+        for (const session of this.sessions.values()) {
+            if (session.boothId === boothId && this.isActive(session)) {
+                this.finishSession(session, SESSION_STATES.FAILED, { error: 'Booth disconnected' });
+            }
+        }
+
+        console.log(`📱 Booth disconnected: ${boothId}`);
+        realtimeHub.publish('booths', { booths: this.getBooths() });
+    }
+
+    /**
+     * List connected booths
+     */
+    getBooths() {
+        return Array.from(this.booths.values()).map(booth => ({
+            id: booth.id,
+            connectedAt: booth.connectedAt,
+            busy: this.isBoothBusy(booth.id)
+        }));
+    }
+
+    /**
+     * Check if a booth is connected
+     */
+    hasBooth(boothId) {
+        return this.booths.has(boothId);
+    }
+
+    /**
+     * Validate trigger options, returns a list of errors
+     */
+    async validateTrigger(options = {}) {
+        const errors = [];
+
+        if (options.booth && !Helpers.isValidBoothId(options.booth)) {
+            errors.push('Invalid booth ID');
+        }
+
+        if (options.frameId && !(await this.frameManager.frameExists(options.frameId))) {
+            errors.push(`Unknown frame: ${options.frameId}`);
+        }
+
+        if (options.filter && !this.imageProcessor.hasFilter(options.filter)) {
+            errors.push(`Unknown filter: ${options.filter}`);
+        }
+
+        if (options.preset && !presetStore.getPreset(options.preset)) {
+            errors.push(`Unknown preset: ${options.preset}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Start a capture session on a booth
+     * The booth runs the given preset (the active event's or active one by default);
+     * frameId and filter override it
+     */
+    trigger(options = {}) {
+        const booth = this.selectBooth(options.booth);
+        const preset = eventStore.getSessionPreset(options.preset);
+
+        this.pruneSessions();
+
+        const now = new Date().toISOString();
+        const session = {
+            id: Helpers.generateId(12),
+            boothId: booth.id,
+            presetId: preset ? preset.id : null,
+            frameId: options.frameId || null,
+            filter: options.filter || null,
+            source: options.source || 'api',
+            state: SESSION_STATES.PENDING,
+            filename: null,
+            jobId: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.sessions.set(session.id, session);
+
+        session.timer = setTimeout(() => {
+            this.finishSession(session, SESSION_STATES.EXPIRED, { error: 'Booth did not upload a photo in time' });
+        }, this.sessionTimeout);
+
+        booth.socket.send(JSON.stringify({
+            type: 'trigger',
+            sessionId: session.id,
+            frameId: session.frameId,
+            filter: session.filter,
+            preset: preset
+        }));
+
+        console.log(`⚡ Session ${session.id} triggered on booth ${booth.id} (${session.source})`);
+        this.publishSession(session);
+
+        return this.toPublicSession(session);
+    }
+
+    /**
+     * Pick the requested booth, or the first idle one
+     */
+    selectBooth(boothId) {
+        if (boothId) {
+            const booth = this.booths.get(boothId);
+            if (!booth) {
+                throw new Error(`Booth not connected: ${boothId}`);
+            }
+            if (this.isBoothBusy(boothId)) {
+                throw new Error(`Booth ${boothId} is busy`);
+            }
+            return booth;
+        }
+
+        if (this.booths.size === 0) {
+            throw new Error('No booth connected');
+        }
+
+        const idle = Array.from(this.booths.values()).find(booth => !this.isBoothBusy(booth.id));
+        if (!idle) {
+            throw new Error('All booths are busy');
+        }
+        return idle;
+    }
+
+    /**
+     * Booth started capturing
+     */
+    markCapturing(sessionId, boothId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.boothId !== boothId || session.state !== SESSION_STATES.PENDING) {
+            return;
+        }
+
+        session.state = SESSION_STATES.CAPTURING;
+        session.updatedAt = new Date().toISOString();
+        this.publishSession(session);
+    }
+
+    /**
+     * Booth uploaded the session photo
+     */
+    completeSession(sessionId, result = {}) {
+        const session = this.sessions.get(sessionId);
+        if (!session || !this.isActive(session)) {
+            return null;
+        }
+
+        this.finishSession(session, SESSION_STATES.COMPLETED, {
+            filename: result.filename || null,
+            jobId: result.jobId || null
+        });
+
+        return this.toPublicSession(session);
+    }
+
+    /**
+     * Booth could not finish the session
+     */
+    failSession(sessionId, boothId, error) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.boothId !== boothId || !this.isActive(session)) {
+            return;
+        }
+
+        this.finishSession(session, SESSION_STATES.FAILED, { error: error || 'Capture failed' });
+    }
+
+    /**
+     * Get a session
+     */
+    getSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        return session ? this.toPublicSession(session) : null;
+    }
+
+    /**
+     * Wait until a session finishes (resolves with its current state after `timeout`)
+     */
+    waitForSession(sessionId, timeout) {
+        const session = this.sessions.get(sessionId);
+        if (!session || !this.isActive(session)) {
+            return Promise.resolve(session ? this.toPublicSession(session) : null);
+        }
+
+        return new Promise((resolve) => {
+            const waiter = () => {
+                clearTimeout(timer);
+                resolve(this.toPublicSession(session));
+            };
+            const timer = setTimeout(() => {
+                this.waiters.get(sessionId).delete(waiter);
+                resolve(this.toPublicSession(session));
+            }, timeout);
+
+            if (!this.waiters.has(sessionId)) {
+                this.waiters.set(sessionId, new Set());
+            }
+            this.waiters.get(sessionId).add(waiter);
+        });
+    }
+
+    /**
+     * Move a session to a final state and notify waiters
+     */
+    finishSession(session, state, fields = {}) {
+        clearTimeout(session.timer);
+        Object.assign(session, fields, { state, updatedAt: new Date().toISOString() });
+
+        const waiters = this.waiters.get(session.id);
+        if (waiters) {
+            this.waiters.delete(session.id);
+            waiters.forEach(waiter => waiter());
+        }
+
+        if (state === SESSION_STATES.COMPLETED) {
+            console.log(`✅ Session ${session.id} completed (${session.filename})`);
+        } else {
+            console.warn(`⚠️  Session ${session.id} ${state}: ${session.error}`);
+        }
+        this.publishSession(session);
+    }
+
+    /**
+     * Check if a session can still change
+     */
+    isActive(session) {
+        return session.state === SESSION_STATES.PENDING || session.state === SESSION_STATES.CAPTURING;
+    }
+
+    /**
+     * Check if a booth is running a session
+     */
+    isBoothBusy(boothId) {
+        return Array.from(this.sessions.values()).some(session => session.boothId === boothId && this.isActive(session));
+    }
+
+    /**
+     * Drop old finished sessions
+     */
+    pruneSessions() {
+        const cutoff = Date.now() - this.sessionRetention;
+        for (const session of Array.from(this.sessions.values())) {
+            if (!this.isActive(session) && Date.parse(session.updatedAt) < cutoff) {
+                this.sessions.delete(session.id);
+            }
+        }
+    }
+
+    /**
+     * Announce a session change to listeners
+     */
+    publishSession(session) {
+        const publicSession = this.toPublicSession(session);
+        realtimeHub.publish('session', { session: publicSession });
+        this.emit('session', publicSession);
+    }
+
+    /**
+     * Public representation of a session
+     */
+    toPublicSession(session) {
+        const { timer, ...publicSession } = session;
+        return publicSession;
+    }
+
+    /**
+     * Expire every active session (server shutdown)
+     */
+    stop() {
+        for (const session of this.sessions.values()) {
+            if (this.isActive(session)) {
+                this.finishSession(session, SESSION_STATES.EXPIRED, { error: 'Server shutting down' });
+            }
+        }
+    }
+}
+
+module.exports = new SessionManager();
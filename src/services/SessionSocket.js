@@ -0,0 +1,224 @@
+/**
+ * Session Socket Service
+ * WebSocket endpoint (/ws) for booth clients and remote controllers:
+ * booths register and receive capture commands, controllers send triggers
+ * and get the finished session back
+ */
+
+const { WebSocketServer } = require('ws');
+const Helpers = require('../utils/helpers');
+const sessionManager = require('./SessionManager');
+
+class SessionSocket {
+    constructor() {
+        this.path = '/ws';
+        this.wss = new WebSocketServer({ noServer: true });
+        this.servers = new Set();
+        this.heartbeatInterval = null;
+        this.heartbeatMs = 30000; // drops booths whose network went away without a close frame
+        this.onUpgrade = (req, socket, head) => this.handleUpgrade(req, socket, head);
+        this.onSession = (session) => this.notifyControllers(session);
+
+        this.wss.on('connection', (ws) => this.handleConnection(ws));
+    }
+
+    /**
+     * Accept WebSocket upgrades on an HTTP(S) server
+     */
+    attach(server) {
+        if (this.servers.has(server)) {
+            return;
+        }
+
+        server.on('upgrade', this.onUpgrade);
+        this.servers.add(server);
+
+        if (this.servers.size === 1) {
+            sessionManager.on('session', this.onSession);
+            this.startHeartbeat();
+            console.log(`✅ Session socket listening on ${this.path}`);
+        }
+    }
+
+    /**
+     * Handle an upgrade request
+     */
+    handleUpgrade(req, socket, head) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== this.path) {
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.wss.emit('connection', ws, req);
+        });
+    }
+
+    /**
+     * Set up a new connection
+     */
+    handleConnection(ws) {
+        ws.isAlive = true;
+        ws.boothId = null;
+        ws.sessionIds = new Set(); // sessions this connection triggered
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('message', (data) => this.handleMessage(ws, data));
+        ws.on('close', () => {
+            if (ws.boothId) {
+                sessionManager.unregisterBooth(ws.boothId, ws);
+            }
+        });
+        ws.on('error', (error) => {
+            console.error('❌ Session socket error:', error.message);
+        });
+    }
+
+    /**
+     * Route an incoming message
+     */
+    async handleMessage(ws, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.send(ws, { type: 'error', error: 'Invalid JSON message' });
+            return;
+        }
+
+        try {
+            switch (message.type) {
+                case 'register':
+                    this.handleRegister(ws, message);
+                    break;
+                case 'session-started':
+                    sessionManager.markCapturing(message.sessionId, ws.boothId);
+                    break;
+                case 'session-failed':
+                    sessionManager.failSession(message.sessionId, ws.boothId, message.error);
+                    break;
+                case 'trigger':
+                    await this.handleTrigger(ws, message);
+                    break;
+                default:
+                    this.send(ws, { type: 'error', requestId: message.requestId, error: `Unknown message type: ${message.type}` });
+            }
+        } catch (error) {
+            console.error(`❌ Session socket ${message.type} failed:`, error.message);
+            this.send(ws, { type: 'error', requestId: message.requestId, error: error.message });
+        }
+    }
+
+    /**
+     * A booth client announces itself
+     */
+    handleRegister(ws, message) {
+        if (message.role !== 'booth') {
+            throw new Error('Only booth clients need to register');
+        }
+
+        if (!Helpers.isValidBoothId(message.boothId)) {
+            throw new Error('Invalid booth ID');
+        }
+
+        if (ws.boothId && ws.boothId !== message.boothId) {
+            sessionManager.unregisterBooth(ws.boothId, ws);
+        }
+
+        ws.boothId = message.boothId;
+        sessionManager.registerBooth(ws.boothId, ws);
+        this.send(ws, { type: 'registered', boothId: ws.boothId });
+    }
+
+    /**
+     * A controller (hardware bridge, remote app) asks for a capture
+     */
+    async handleTrigger(ws, message) {
+        const options = {
+            booth: message.booth,
+            frameId: message.frameId,
+            filter: message.filter,
+            preset: message.preset,
+            source: 'websocket'
+        };
+
+        const errors = await sessionManager.validateTrigger(options);
+        if (errors.length > 0) {
+            this.send(ws, { type: 'error', requestId: message.requestId, error: errors.join('; '), errors });
+            return;
+        }
+
+        const session = sessionManager.trigger(options);
+        ws.sessionIds.add(session.id);
+        this.send(ws, { type: 'triggered', requestId: message.requestId, session });
+    }
+
+    /**
+     * Send finished sessions to the controller that triggered them
+     */
+    notifyControllers(session) {
+        if (session.state === 'pending' || session.state === 'capturing') {
+            return;
+        }
+
+        for (const ws of this.wss.clients) {
+            if (ws.sessionIds.delete(session.id)) {
+                this.send(ws, { type: 'session', session });
+            }
+        }
+    }
+
+    /**
+     * Send a JSON message to a connection
+     */
+    send(ws, message) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ ...message, timestamp: new Date().toISOString() }));
+        }
+    }
+
+    /**
+     * Ping connections, terminating the ones that stopped answering
+     */
+    startHeartbeat() {
+        if (this.heartbeatInterval) {
+            return;
+        }
+
+        this.heartbeatInterval = setInterval(() => {
+            for (const ws of this.wss.clients) {
+                if (!ws.isAlive) {
+                    ws.terminate();
+                    continue;
+                }
+                ws.isAlive = false;
+                ws.ping();
+            }
+        }, this.heartbeatMs);
+    }
+
+    /**
+     * Close every connection and detach from the servers
+     */
+    close() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+
+        for (const server of this.servers) {
+            server.off('upgrade', this.onUpgrade);
+        }
+        this.servers.clear();
+        sessionManager.off('session', this.onSession);
+
+        for (const ws of this.wss.clients) {
+            ws.close(1001, 'Server shutting down');
+        }
+    }
+}
+
+module.exports = new SessionSocket();
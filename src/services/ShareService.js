@@ -0,0 +1,88 @@
+/**
+ * Share Service
+ * Guest download links (/p/<token>) and their QR codes. QR codes are rendered
+ * locally and links point at the booth's LAN address, so sharing works at
+ * venues without internet.
+ */
+
+const os = require('os');
+const QRCode = require('qrcode');
+const config = require('../config/config');
+
+class ShareService {
+    /**
+     * Check the format of a share token (see PhotoIndex.createShareToken)
+     */
+    isValidToken(token) {
+        return typeof token === 'string' && /^[A-Za-z0-9_-]{22}$/.test(token);
+    }
+
+    /**
+     * Base URL guests reach the server at
+     * PUBLIC_URL wins; otherwise this machine's LAN address on the server port.
+     * The Host header is up to the client, so it is only used when it names
+     * one of this machine's own addresses (e.g. a second network interface).
+     */
+    getBaseUrl(req) {
+        if (config.publicUrl) {
+            return config.publicUrl.replace(/\/+$/, '');
+        }
+
+        let requestedHost = null;
+        try {
+            requestedHost = new URL(`http://${req.get('host')}`).hostname;
+        } catch (error) {
+            // No or malformed Host header
+        }
+
+        const localAddresses = this.getLocalAddresses();
+        const hostname = localAddresses.includes(requestedHost)
+            ? requestedHost
+            : localAddresses[0] || 'localhost';
+        return `${req.protocol}://${hostname}:${config.port}`;
+    }
+
+    /**
+     * External IPv4 addresses of this machine
+     */
+    getLocalAddresses() {
+        return Object.values(os.networkInterfaces())
+            .flat()
+            .filter(entry => entry && entry.family === 'IPv4' && !entry.internal)
+            .map(entry => entry.address);
+    }
+
+    /**
+     * Guest page of a photo
+     */
+    getShareUrl(token, req) {
+        return `${this.getBaseUrl(req)}/p/${token}`;
+    }
+
+    /**
+     * Share details returned with a saved photo
+     */
+    getShareInfo(token, req) {
+        return {
+            token: token,
+            url: this.getShareUrl(token, req),
+            qrPath: `/p/${token}/qr`
+        };
+    }
+
+    /**
+     * QR code as a PNG buffer (printed onto photos)
+     */
+    async createQrPng(text, width = 300) {
+        return QRCode.toBuffer(text, { type: 'png', width: width, margin: 2, errorCorrectionLevel: 'M' });
+    }
+
+    /**
+     * QR code as SVG markup (shown on screens)
+     */
+    async createQrSvg(text) {
+        return QRCode.toString(text, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' });
+    }
+}
+
+module.exports = ShareService;
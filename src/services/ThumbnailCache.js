@@ -0,0 +1,146 @@
+/**
+ * Thumbnail Cache Service
+ * Smaller variants of saved photos for the gallery (tiles and previews),
+ * generated when a photo is saved or on first request for older photos
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const ImageProcessor = require('./ImageProcessor');
+
+const VARIANTS = {
+    thumb: 400, // gallery tiles
+    medium: 1200 // previews
+};
+
+class ThumbnailCache {
+    constructor() {
+        this.imageProcessor = new ImageProcessor();
+        this.cachePath = config.thumbnailPath;
+        this.variants = VARIANTS;
+        this.pending = new Map(); // variant file -> generation in progress
+    }
+
+    /**
+     * Check if a variant name is known
+     */
+    hasVariant(variant) {
+        return Object.prototype.hasOwnProperty.call(this.variants, variant);
+    }
+
+    /**
+     * Cache file of a photo variant
+     */
+    getVariantPath(filename, variant) {
+        const name = path.basename(filename, path.extname(filename));
+        return path.join(this.cachePath, variant, `${name}.jpg`);
+    }
+
+    /**
+     * Get a variant of a photo, generating it when missing or older than the photo
+     */
+    async getVariant(filename, sourcePath, variant = 'thumb') {
+        if (!this.hasVariant(variant)) {
+            throw new Error(`Unknown thumbnail size: ${variant}`);
+        }
+
+        const variantPath = this.getVariantPath(filename, variant);
+        const [source, cached] = await Promise.all([
+            fs.stat(sourcePath),
+            fs.stat(variantPath).catch(() => null)
+        ]);
+
+        if (!cached || cached.mtimeMs < source.mtimeMs) {
+            await this.generateVariant(sourcePath, variantPath, this.variants[variant]);
+        }
+
+        return variantPath;
+    }
+
+    /**
+     * Generate every variant of a freshly saved photo
+     */
+    async generate(filename, sourcePath) {
+        await Promise.all(Object.entries(this.variants).map(([variant, size]) =>
+            this.generateVariant(sourcePath, this.getVariantPath(filename, variant), size)
+        ));
+    }
+
+    /**
+     * Render one variant (concurrent requests for the same file share the work)
+     */
+    generateVariant(sourcePath, variantPath, size) {
+        if (this.pending.has(variantPath)) {
+            return this.pending.get(variantPath);
+        }
+
+        const generation = (async () => {
+            const buffer = await this.imageProcessor.createThumbnail(sourcePath, size, { fit: 'inside' });
+            await fs.mkdir(path.dirname(variantPath), { recursive: true });
+
+            const tempFile = `${variantPath}.tmp`;
+            await fs.writeFile(tempFile, buffer);
+            await fs.rename(tempFile, variantPath);
+        })().finally(() => {
+            this.pending.delete(variantPath);
+        });
+
+        this.pending.set(variantPath, generation);
+        return generation;
+    }
+
+    /**
+     * Delete the variants of a photo
+     */
+    async remove(filename) {
+        await Promise.all(Object.keys(this.variants).map(variant =>
+            fs.unlink(this.getVariantPath(filename, variant)).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    console.error(`❌ Error deleting ${variant} of ${filename}:`, error.message);
+                }
+            })
+        ));
+    }
+
+    /**
+     * Delete cached variants whose photo is gone
+     * `filenames` are the photos that still exist
+     */
+    async removeOrphans(filenames) {
+        const keep = new Set(Array.from(filenames, filename => path.basename(filename, path.extname(filename))));
+        let deletedCount = 0;
+
+        for (const variant of Object.keys(this.variants)) {
+            const directory = path.join(this.cachePath, variant);
+            let files;
+            try {
+                files = await fs.readdir(directory);
+            } catch (error) {
+                continue;
+            }
+
+            for (const file of files) {
+                // Temp files belong to a variant being written right now
+                if (file.endsWith('.tmp') || keep.has(path.basename(file, path.extname(file)))) {
+                    continue;
+                }
+                try {
+                    await fs.unlink(path.join(directory, file));
+                    deletedCount++;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`❌ Error deleting thumbnail ${file}:`, error.message);
+                    }
+                }
+            }
+        }
+
+        if (deletedCount > 0) {
+            console.log(`🗑️  Deleted ${deletedCount} orphaned thumbnail(s)`);
+        }
+        return { deletedCount };
+    }
+}
+
+module.exports = new ThumbnailCache();
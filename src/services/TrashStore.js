@@ -0,0 +1,312 @@
+/**
+ * Trash Store Service
+ * Photos deleted from the gallery are moved to uploads/.trash/<trash id>/ (with
+ * their PDF and originals) and kept for TRASH_RETENTION before cleanup purges
+ * them, so a mis-tap on a shared tablet can be undone. Automatic cleanup moves
+ * photos here as well. Each deletion gets its own folder, so photos of the same
+ * name never replace each other.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const Helpers = require('../utils/helpers');
+const eventStore = require('./EventStore');
+const photoIndex = require('./PhotoIndex');
+const thumbnailCache = require('./ThumbnailCache');
+
+class TrashStore {
+    constructor() {
+        this.trashFile = path.join(config.dataPath, 'trash.json');
+        this.trashPath = path.join(config.uploadPath, '.trash');
+        this.retention = config.trashRetention;
+        this.items = new Map(); // trash id -> photo record with trashId, deletedAt and expiresAt
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Load the trashed photos
+     */
+    async initialize() {
+        await fs.mkdir(config.dataPath, { recursive: true });
+        await fs.mkdir(this.trashPath, { recursive: true });
+        await this.load();
+        await this.migrate();
+
+        console.log(`✅ Trash loaded (${this.items.size} photo(s))`);
+    }
+
+    /**
+     * Get trashed photos, most recently deleted first
+     */
+    getItems() {
+        return Array.from(this.items.values())
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Get a trashed photo
+     */
+    getItem(trashId) {
+        return this.items.get(trashId) || null;
+    }
+
+    /**
+     * Path of a trashed photo's file (the photo itself by default)
+     */
+    getTrashPath(item, name = item.filename) {
+        return path.join(this.trashPath, item.trashId, name);
+    }
+
+    /**
+     * Cache name of a trashed photo's thumbnails, apart from the gallery's
+     */
+    getThumbnailName(item) {
+        return `trash_${item.trashId}.jpg`;
+    }
+
+    /**
+     * Move a photo, its PDF and originals to the trash and drop it from the index
+     */
+    async trashPhoto(filename) {
+        const photo = photoIndex.getPhoto(filename);
+        if (!photo) {
+            return null;
+        }
+
+        // Move the files before the index changes, a failed move leaves the
+        // photo in the gallery (with the files moved so far put back)
+        const now = Date.now();
+        const item = {
+            ...photo,
+            trashId: Helpers.generateId(),
+            deletedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.retention).toISOString()
+        };
+        await fs.mkdir(this.getTrashPath(item, photoIndex.originalsFolder), { recursive: true });
+        let pdfMoved;
+        try {
+            pdfMoved = await this.moveFiles(photo,
+                name => photoIndex.getPhotoPath(photo, name),
+                name => this.getTrashPath(item, name));
+        } catch (error) {
+            await this.moveFiles(photo,
+                name => this.getTrashPath(item, name),
+                name => photoIndex.getPhotoPath(photo, name)).catch(() => {});
+            await fs.rm(path.join(this.trashPath, item.trashId), { recursive: true, force: true }).catch(() => {});
+            throw error;
+        }
+        await photoIndex.removePhoto(filename);
+
+        this.items.set(item.trashId, item);
+        await this.save();
+
+        return { photo: item, pdfMoved };
+    }
+
+    /**
+     * Move a trashed photo back to its folder and into the index; when a photo
+     * of the same name was saved since, it comes back under a new name
+     */
+    async restorePhoto(trashId) {
+        const item = this.items.get(trashId);
+        if (!item) {
+            return null;
+        }
+
+        // Keep the trash entry until the files are back
+        const { trashId: id, deletedAt, expiresAt, ...photo } = item;
+        const rename = photoIndex.getPhoto(photo.filename) ? this.getRename(photo) : name => name;
+        const restored = {
+            ...photo,
+            filename: rename(photo.filename),
+            pdfFilename: photo.pdfFilename ? rename(photo.pdfFilename) : photo.pdfFilename,
+            originals: (photo.originals || []).map(rename)
+        };
+        await fs.mkdir(path.join(eventStore.getPhotoDirectory(photo.eventId), photoIndex.originalsFolder), { recursive: true });
+        await this.moveFiles(photo,
+            name => this.getTrashPath(item, name),
+            name => photoIndex.getPhotoPath(restored, rename(name)));
+
+        this.items.delete(trashId);
+        await this.save();
+        await this.deleteFolder(item);
+
+        return photoIndex.restorePhoto(restored);
+    }
+
+    /**
+     * Map a photo's file names (photo, PDF, originals) onto a fresh name
+     */
+    getRename(photo) {
+        const base = path.basename(photo.filename, path.extname(photo.filename));
+        const newBase = `${base}_${Helpers.generateId(4)}`;
+        return name => path.join(path.dirname(name), newBase + path.basename(name).slice(base.length));
+    }
+
+    /**
+     * Delete a trashed photo for good
+     */
+    async purgePhoto(trashId) {
+        const item = this.items.get(trashId);
+        if (!item) {
+            return null;
+        }
+
+        this.items.delete(trashId);
+        await this.save();
+        await this.deleteFiles(item);
+
+        return item;
+    }
+
+    /**
+     * Delete the photos whose retention ran out
+     */
+    async purgeExpired() {
+        const now = new Date().toISOString();
+        let purgedCount = 0;
+
+        for (const item of this.getItems()) {
+            if (item.expiresAt <= now) {
+                await this.purgePhoto(item.trashId);
+                purgedCount++;
+                console.log(`🗑️  Purged from trash: ${item.filename}`);
+            }
+        }
+
+        return { purgedCount };
+    }
+
+    /**
+     * Move a photo's files (photo, PDF, originals) between its folder and the trash,
+     * returns whether there was a PDF
+     */
+    async moveFiles(photo, from, to) {
+        await this.moveIfExists(from(photo.filename), to(photo.filename));
+        const pdfMoved = photo.pdfFilename
+            ? await this.moveIfExists(from(photo.pdfFilename), to(photo.pdfFilename))
+            : false;
+        for (const original of photo.originals || []) {
+            const name = path.join(photoIndex.originalsFolder, original);
+            await this.moveIfExists(from(name), to(name));
+        }
+        return pdfMoved;
+    }
+
+    /**
+     * Rename a file, returns false when it was already gone
+     */
+    async moveIfExists(source, destination) {
+        try {
+            await fs.rename(source, destination);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a trashed photo's files and thumbnails
+     */
+    async deleteFiles(item) {
+        const names = [item.filename, item.pdfFilename]
+            .concat((item.originals || []).map(original => path.join(photoIndex.originalsFolder, original)))
+            .filter(Boolean);
+
+        for (const name of names) {
+            await photoIndex.unlinkIfExists(this.getTrashPath(item, name));
+        }
+        await this.deleteFolder(item);
+        await thumbnailCache.remove(this.getThumbnailName(item));
+    }
+
+    /**
+     * Remove a trashed photo's folder once its files are gone
+     */
+    async deleteFolder(item) {
+        const folder = path.join(this.trashPath, item.trashId);
+        for (const directory of [path.join(folder, photoIndex.originalsFolder), folder]) {
+            await fs.rmdir(directory).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    console.error(`❌ Error removing trash folder ${directory}:`, error.message);
+                }
+            });
+        }
+    }
+
+    /**
+     * Count and total size of the trash
+     */
+    getStats() {
+        const items = Array.from(this.items.values());
+        return {
+            count: items.length,
+            totalSize: items.reduce((sum, item) => sum + (item.size || 0) + (item.pdfSize || 0) + (item.originalsSize || 0), 0),
+            retention: this.retention
+        };
+    }
+
+    /**
+     * Load the trash from disk
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.trashFile, 'utf8');
+            const items = JSON.parse(content);
+            this.items = new Map(items.map(item => [item.trashId || item.filename, item]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error loading trash:', error);
+            }
+            this.items = new Map();
+        }
+    }
+
+    /**
+     * Move photos trashed before each had its own folder into one
+     */
+    async migrate() {
+        const legacy = Array.from(this.items.entries()).filter(([, item]) => !item.trashId);
+        if (legacy.length === 0) {
+            return;
+        }
+
+        for (const [key, item] of legacy) {
+            const { deletedAt, expiresAt, ...photo } = item;
+            const migrated = { ...photo, trashId: Helpers.generateId(), deletedAt, expiresAt };
+            await fs.mkdir(this.getTrashPath(migrated, photoIndex.originalsFolder), { recursive: true });
+            await this.moveFiles(photo,
+                name => path.join(this.trashPath, name),
+                name => this.getTrashPath(migrated, name));
+            this.items.delete(key);
+            this.items.set(migrated.trashId, migrated);
+        }
+        await this.save();
+        console.log(`✅ Moved ${legacy.length} trashed photo(s) into their own folders`);
+    }
+
+    /**
+     * Persist the trash to disk (writes are serialized and atomic)
+     */
+    save() {
+        const snapshot = JSON.stringify(Array.from(this.items.values()), null, 2);
+
+        this.saveChain = this.saveChain
+            .then(async () => {
+                const tempFile = `${this.trashFile}.tmp`;
+                await fs.writeFile(tempFile, snapshot);
+                await fs.rename(tempFile, this.trashFile);
+            })
+            .catch(error => {
+                console.error('❌ Error saving trash:', error);
+            });
+
+        return this.saveChain;
+    }
+}
+
+module.exports = new TrashStore();
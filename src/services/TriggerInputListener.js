@@ -0,0 +1,199 @@
+/**
+ * Trigger Input Listener Service
+ * Starts remote sessions from a button wired to the server:
+ * - keyboard: Enter or Space on the server terminal
+ * - evdev: key press on a Linux input device (USB buttons, foot pedals)
+ * - gpio: falling/rising edge on a sysfs GPIO pin (Raspberry Pi buttons)
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+const sessionManager = require('./SessionManager');
+
+const EV_KEY = 1;
+const KEY_PRESSED = 1;
+
+class TriggerInputListener {
+    constructor(options = {}) {
+        this.mode = options.mode || config.triggerInput;
+        this.device = options.device || config.triggerDevice;
+        this.keyCode = options.keyCode || config.triggerKeyCode;
+        this.gpioPin = options.gpioPin || config.triggerGpioPin;
+        this.gpioActiveLow = options.gpioActiveLow !== undefined ? options.gpioActiveLow : config.triggerGpioActiveLow;
+        this.debounce = options.debounce || config.triggerDebounce;
+        this.booth = options.booth || config.triggerBooth;
+        this.gpioPollMs = 50;
+        this.lastTrigger = 0;
+        this.stream = null;
+        this.timer = null;
+        this.buffer = Buffer.alloc(0);
+        // struct input_event: timeval (2 longs), type (u16), code (u16), value (s32)
+        this.eventSize = process.arch.endsWith('64') ? 24 : 16;
+        this.onKeypress = (data) => this.handleKeypress(data);
+    }
+
+    /**
+     * Start listening on the configured input
+     */
+    start() {
+        switch (this.mode) {
+            case 'none':
+                return;
+            case 'keyboard':
+                this.startKeyboard();
+                break;
+            case 'evdev':
+                this.startEvdev();
+                break;
+            case 'gpio':
+                this.startGpio();
+                break;
+            default:
+                console.warn(`⚠️  Unknown trigger input: ${this.mode}`);
+                return;
+        }
+
+        console.log(`✅ Trigger input listener started (${this.mode})`);
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (this.stream) {
+            this.stream.destroy();
+            this.stream = null;
+        }
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (this.mode === 'keyboard' && process.stdin.isTTY) {
+            process.stdin.off('data', this.onKeypress);
+            process.stdin.setRawMode(false);
+            process.stdin.pause();
+        }
+    }
+
+    /**
+     * Listen for Enter/Space on the server terminal
+     */
+    startKeyboard() {
+        if (!process.stdin.isTTY) {
+            console.warn('⚠️  Keyboard trigger needs an interactive terminal');
+            return;
+        }
+
+        process.stdin.setRawMode(true);
+        process.stdin.resume();
+        process.stdin.on('data', this.onKeypress);
+    }
+
+    /**
+     * Handle raw terminal input
+     */
+    handleKeypress(data) {
+        const key = data.toString();
+
+        // Raw mode swallows Ctrl+C, forward it so graceful shutdown still works
+        if (key === '\u0003') {
+            process.kill(process.pid, 'SIGINT');
+            return;
+        }
+
+        if (key === '\r' || key === '\n' || key === ' ') {
+            this.fire();
+        }
+    }
+
+    /**
+     * Read key events from an evdev device
+     */
+    startEvdev() {
+        this.stream = fs.createReadStream(this.device);
+
+        this.stream.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+
+            while (this.buffer.length >= this.eventSize) {
+                this.handleInputEvent(this.buffer.subarray(0, this.eventSize));
+                this.buffer = this.buffer.subarray(this.eventSize);
+            }
+        });
+
+        this.stream.on('error', (error) => {
+            console.error(`❌ Trigger device ${this.device} failed:`, error.message);
+            this.stream = null;
+        });
+    }
+
+    /**
+     * Handle a single input_event struct
+     */
+    handleInputEvent(event) {
+        const offset = this.eventSize - 8;
+        const type = event.readUInt16LE(offset);
+        const code = event.readUInt16LE(offset + 2);
+        const value = event.readInt32LE(offset + 4);
+
+        if (type === EV_KEY && code === this.keyCode && value === KEY_PRESSED) {
+            this.fire();
+        }
+    }
+
+    /**
+     * Poll a sysfs GPIO pin for button presses
+     */
+    startGpio() {
+        const gpioPath = `/sys/class/gpio/gpio${this.gpioPin}`;
+
+        try {
+            if (!fs.existsSync(gpioPath)) {
+                fs.writeFileSync('/sys/class/gpio/export', String(this.gpioPin));
+            }
+            fs.writeFileSync(`${gpioPath}/direction`, 'in');
+        } catch (error) {
+            console.error(`❌ Could not set up GPIO ${this.gpioPin}:`, error.message);
+            return;
+        }
+
+        const pressedValue = this.gpioActiveLow ? '0' : '1';
+        let wasPressed = false;
+
+        this.timer = setInterval(() => {
+            let pressed;
+            try {
+                pressed = fs.readFileSync(`${gpioPath}/value`, 'utf8').trim() === pressedValue;
+            } catch (error) {
+                console.error(`❌ Could not read GPIO ${this.gpioPin}:`, error.message);
+                return;
+            }
+
+            if (pressed && !wasPressed) {
+                this.fire();
+            }
+            wasPressed = pressed;
+        }, this.gpioPollMs);
+    }
+
+    /**
+     * Trigger a session (debounced)
+     */
+    fire() {
+        const now = Date.now();
+        if (now - this.lastTrigger < this.debounce) {
+            return;
+        }
+        this.lastTrigger = now;
+
+        try {
+            sessionManager.trigger({ booth: this.booth, source: 'input' });
+        } catch (error) {
+            console.warn(`⚠️  Trigger ignored: ${error.message}`);
+        }
+    }
+}
+
+module.exports = TriggerInputListener;
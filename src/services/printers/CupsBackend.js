@@ -0,0 +1,345 @@
+/**
+ * CUPS Print Backend
+ * Talks to CUPS through its command line tools (lp, lpstat, lpoptions, cancel).
+ * Commands run without a shell and every printer name / job ID is checked
+ * against the live CUPS inventory before it is passed on.
+ */
+
+const { execFile } = require('child_process');
+const Helpers = require('../../utils/helpers');
+
+// Driver option keywords (PPD and IPP names) behind each capability, in order of preference
+const CAPABILITY_OPTIONS = {
+    media: ['PageSize', 'media', 'PageRegion'],
+    mediaType: ['MediaType', 'media-type'],
+    source: ['InputSlot', 'media-source'],
+    quality: ['print-quality', 'cupsPrintQuality', 'OutputMode', 'Resolution'],
+    colorMode: ['ColorModel', 'print-color-mode', 'ColorMode']
+};
+
+/**
+ * Run a command with an argument array, optionally feeding it stdin
+ */
+function runCommand(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, args, { timeout: options.timeout }, (error, stdout, stderr) => {
+            if (error) {
+                error.stderr = stderr;
+                return reject(error);
+            }
+            resolve({ stdout, stderr });
+        });
+
+        if (options.input !== undefined) {
+            child.stdin.end(options.input);
+        }
+    });
+}
+
+class CupsBackend {
+    constructor(options = {}) {
+        this.name = 'cups';
+        this.printTimeout = options.printTimeout || 30000;
+        this.commandTimeout = 10000;
+        this.run = options.runner || runCommand;
+    }
+
+    /**
+     * Reject printer names that are malformed or unknown to CUPS
+     */
+    async assertPrinter(printer) {
+        if (!Helpers.isValidPrinterName(printer)) {
+            throw new Error('Invalid printer name');
+        }
+
+        const printers = await this.getPrinters();
+        if (!printers.some(entry => entry.name === printer)) {
+            throw new Error(`Printer not found: ${printer}`);
+        }
+    }
+
+    /**
+     * Reject job IDs that are malformed or not pending in CUPS
+     */
+    async assertJob(jobId) {
+        if (!Helpers.isValidPrintJobId(jobId)) {
+            throw new Error('Invalid job ID');
+        }
+
+        const activeJobIds = await this.getActiveJobIds();
+        if (!activeJobIds.includes(jobId)) {
+            throw new Error(`Job ${jobId} not found`);
+        }
+    }
+
+    /**
+     * Submit a PDF to a printer
+     */
+    async submitJob(pdfPath, printer, printOptions = {}) {
+        await this.assertPrinter(printer);
+
+        const args = ['-d', printer, ...await this.getJobArgs(printer, printOptions), pdfPath];
+        console.log(`Starting print with command: lp ${args.join(' ')}`);
+
+        const { stdout, stderr } = await this.run('lp', args, {
+            timeout: this.printTimeout
+        });
+
+        if (stderr && !stderr.includes('request id is')) {
+            throw new Error(stderr);
+        }
+
+        console.log(`Printed successfully, result: ${stdout}`);
+
+        // lp answers "request id is <printer>-<number> (1 file(s))"
+        const match = stdout.match(/request id is (\S+)/);
+
+        return {
+            printJob: stdout.trim(),
+            printerJobId: match ? match[1] : null,
+            printer: printer
+        };
+    }
+
+    /**
+     * Translate print options (copies, media, colorMode, fitToPage) into lp arguments
+     */
+    async getJobArgs(printer, printOptions) {
+        const args = [];
+
+        if (printOptions.copies > 1) {
+            args.push('-n', String(printOptions.copies));
+        }
+
+        if (printOptions.media || printOptions.colorMode) {
+            const capabilities = await this.getCapabilities(printer);
+
+            for (const name of ['media', 'colorMode']) {
+                if (printOptions[name] && capabilities[name]) {
+                    args.push('-o', `${capabilities[name].option}=${printOptions[name]}`);
+                }
+            }
+        }
+
+        if (printOptions.fitToPage) {
+            args.push('-o', 'fit-to-page');
+        }
+
+        return args;
+    }
+
+    /**
+     * Print a plain text test page
+     */
+    async testPrinter(printer) {
+        await this.assertPrinter(printer);
+
+        const testMessage = 'Vienna Photo Booth Test Print';
+
+        const { stdout, stderr } = await this.run('lp', ['-d', printer], {
+            timeout: this.printTimeout,
+            input: `${testMessage}\n`
+        });
+
+        if (stderr && !stderr.includes('request id is')) {
+            throw new Error(stderr);
+        }
+
+        return {
+            printJob: stdout.trim(),
+            printer: printer
+        };
+    }
+
+    /**
+     * List printers
+     */
+    async getPrinters() {
+        const { stdout } = await this.run('lpstat', ['-p'], { timeout: this.commandTimeout });
+
+        const printers = [];
+        const lines = stdout.split('\n');
+
+        for (const line of lines) {
+            if (line.startsWith('printer')) {
+                const parts = line.split(' ');
+                if (parts.length >= 2) {
+                    const printerName = parts[1];
+                    const isIdle = line.includes('idle');
+                    const isEnabled = !line.includes('disabled');
+
+                    printers.push({
+                        name: printerName,
+                        status: isIdle ? 'idle' : 'busy',
+                        enabled: isEnabled
+                    });
+                }
+            }
+        }
+
+        return printers;
+    }
+
+    /**
+     * Get the system default printer (null when none is set)
+     */
+    async getDefaultPrinter() {
+        const { stdout } = await this.run('lpstat', ['-d'], { timeout: this.commandTimeout });
+
+        const match = stdout.match(/system default destination: (.+)/);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Set the default printer
+     */
+    async setDefaultPrinter(printer) {
+        await this.assertPrinter(printer);
+        await this.run('lpoptions', ['-d', printer], { timeout: this.commandTimeout });
+    }
+
+    /**
+     * List pending jobs
+     */
+    async getJobs() {
+        const { stdout } = await this.run('lpstat', ['-o'], { timeout: this.commandTimeout });
+
+        const jobs = [];
+        const lines = stdout.split('\n');
+
+        for (const line of lines) {
+            if (line.includes('printer')) {
+                const parts = line.split(' ');
+                if (parts.length >= 3) {
+                    jobs.push({
+                        jobId: parts[0],
+                        printer: parts[1],
+                        status: parts[2],
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            }
+        }
+
+        return jobs;
+    }
+
+    /**
+     * List the IDs of pending jobs
+     */
+    async getActiveJobIds() {
+        const { stdout } = await this.run('lpstat', ['-o'], { timeout: this.commandTimeout });
+
+        return stdout
+            .split('\n')
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(Boolean);
+    }
+
+    /**
+     * Cancel a job
+     */
+    async cancelJob(jobId) {
+        await this.assertJob(jobId);
+        await this.run('cancel', [jobId], { timeout: this.commandTimeout });
+    }
+
+    /**
+     * Get a printer's status
+     */
+    async getPrinterStatus(printer) {
+        await this.assertPrinter(printer);
+        const { stdout } = await this.run('lpstat', ['-p', printer], { timeout: this.commandTimeout });
+
+        return {
+            name: printer,
+            status: stdout.includes('idle') ? 'idle' : 'busy',
+            enabled: !stdout.includes('disabled'),
+            accepting: !stdout.includes('not accepting')
+        };
+    }
+
+    /**
+     * Check if the CUPS scheduler is running
+     */
+    async getStatus() {
+        const { stdout } = await this.run('lpstat', ['-r'], { timeout: this.commandTimeout });
+
+        return {
+            running: stdout.includes('scheduler is running')
+        };
+    }
+
+    /**
+     * Get a printer's configured options
+     */
+    async getPrinterOptions(printer) {
+        await this.assertPrinter(printer);
+        const { stdout } = await this.run('lpoptions', ['-p', printer], { timeout: this.commandTimeout });
+
+        const options = {};
+        const lines = stdout.split('\n');
+
+        for (const line of lines) {
+            if (line.includes('=')) {
+                const [key, value] = line.split('=');
+                options[key.trim()] = value.trim();
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Get a printer's capabilities from its driver options (lpoptions -l)
+     */
+    async getCapabilities(printer) {
+        await this.assertPrinter(printer);
+        const { stdout } = await this.run('lpoptions', ['-p', printer, '-l'], { timeout: this.commandTimeout });
+
+        const driverOptions = this.parseOptionList(stdout);
+        const capabilities = { printer: printer };
+
+        for (const [name, keywords] of Object.entries(CAPABILITY_OPTIONS)) {
+            const option = keywords
+                .map(keyword => driverOptions.find(entry => entry.option === keyword))
+                .find(Boolean);
+
+            capabilities[name] = option || null;
+        }
+
+        capabilities.fitToPage = true;
+        capabilities.driverOptions = driverOptions;
+
+        return capabilities;
+    }
+
+    /**
+     * Parse "Keyword/Label: choice *default choice" lines from lpoptions -l
+     */
+    parseOptionList(stdout) {
+        const options = [];
+
+        for (const line of stdout.split('\n')) {
+            const match = line.match(/^([^\/:\s]+)(?:\/([^:]*))?:\s*(.*)$/);
+            if (!match) {
+                continue;
+            }
+
+            const [, option, label, values] = match;
+            const choices = values.split(/\s+/).filter(Boolean);
+            const defaultChoice = choices.find(choice => choice.startsWith('*'));
+
+            options.push({
+                option: option,
+                label: (label || option).trim(),
+                choices: choices.map(choice => choice.replace(/^\*/, '')),
+                default: defaultChoice ? defaultChoice.slice(1) : null
+            });
+        }
+
+        return options;
+    }
+}
+
+module.exports = CupsBackend;
@@ -0,0 +1,240 @@
+/**
+ * Virtual Print Backend
+ * Development/test printer that "prints" by dropping finished jobs into a folder.
+ * Simulates CUPS-like job states, printing delays and submission failures.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Fake driver options, shaped like the ones parsed from lpoptions -l
+const CAPABILITIES = {
+    media: { option: 'media', label: 'Media Size', choices: ['4x6', '5x7', '2x6', 'A6', 'A5', 'A4'], default: '4x6' },
+    mediaType: { option: 'media-type', label: 'Media Type', choices: ['plain', 'glossy'], default: 'glossy' },
+    source: { option: 'media-source', label: 'Media Source', choices: ['auto', 'tray-1', 'tray-2'], default: 'auto' },
+    quality: { option: 'print-quality', label: 'Print Quality', choices: ['draft', 'normal', 'high'], default: 'normal' },
+    colorMode: { option: 'print-color-mode', label: 'Color Mode', choices: ['color', 'monochrome'], default: 'color' }
+};
+
+class VirtualPrinterBackend {
+    constructor(options = {}) {
+        this.name = 'virtual';
+        this.outputPath = options.outputPath;
+        this.printers = options.printers && options.printers.length > 0 ? options.printers : ['Virtual_Printer'];
+        this.printDelay = options.printDelay !== undefined ? options.printDelay : 5000;
+        this.failureRate = options.failureRate || 0;
+        this.defaultPrinter = this.printers[0];
+        this.jobs = new Map();
+        this.nextJobNumber = 1;
+    }
+
+    /**
+     * Accept a PDF and finish it after the configured delay
+     */
+    async submitJob(pdfPath, printer, printOptions = {}) {
+        this.assertPrinter(printer);
+
+        // Simulated submission failure (like lp failing)
+        if (Math.random() < this.failureRate) {
+            throw new Error(`Virtual printer ${printer} rejected the job (simulated failure)`);
+        }
+
+        await fs.access(pdfPath);
+
+        const jobId = `${printer}-${this.nextJobNumber++}`;
+        const job = {
+            jobId,
+            printer,
+            status: 'pending',
+            source: pdfPath,
+            options: printOptions,
+            submittedAt: new Date().toISOString()
+        };
+        this.jobs.set(jobId, job);
+
+        // pending -> processing -> completed (file written to the output folder)
+        job.processingTimer = setTimeout(() => {
+            job.status = 'processing';
+        }, this.printDelay / 2);
+        job.completionTimer = setTimeout(() => {
+            this.completeJob(job).catch(error => {
+                console.error(`❌ Virtual printer failed to write job ${jobId}:`, error);
+                this.jobs.delete(jobId);
+            });
+        }, this.printDelay);
+
+        console.log(`🖨️  Virtual printer accepted job ${jobId} (${path.basename(pdfPath)})`);
+
+        return {
+            printJob: `request id is ${jobId} (1 file(s))`,
+            printerJobId: jobId,
+            printer
+        };
+    }
+
+    /**
+     * Write a finished job to the output folder
+     */
+    async completeJob(job) {
+        const printerFolder = path.join(this.outputPath, job.printer);
+        await fs.mkdir(printerFolder, { recursive: true });
+        await fs.copyFile(job.source, path.join(printerFolder, `${job.jobId}_${path.basename(job.source)}`));
+
+        // Job ticket with the options the job was printed with
+        await fs.writeFile(
+            path.join(printerFolder, `${job.jobId}.json`),
+            JSON.stringify({ jobId: job.jobId, printer: job.printer, options: job.options, submittedAt: job.submittedAt }, null, 2)
+        );
+
+        this.jobs.delete(job.jobId);
+        console.log(`✅ Virtual printer finished job ${job.jobId}`);
+    }
+
+    /**
+     * Print a plain text test page
+     */
+    async testPrinter(printer) {
+        this.assertPrinter(printer);
+
+        const printerFolder = path.join(this.outputPath, printer);
+        const jobId = `${printer}-${this.nextJobNumber++}`;
+        await fs.mkdir(printerFolder, { recursive: true });
+        await fs.writeFile(path.join(printerFolder, `${jobId}_test.txt`), 'Vienna Photo Booth Test Print\n');
+
+        return {
+            printJob: `request id is ${jobId} (1 file(s))`,
+            printer
+        };
+    }
+
+    /**
+     * List printers
+     */
+    async getPrinters() {
+        return this.printers.map(name => ({
+            name,
+            status: this.isBusy(name) ? 'busy' : 'idle',
+            enabled: true
+        }));
+    }
+
+    /**
+     * Get the default printer
+     */
+    async getDefaultPrinter() {
+        return this.defaultPrinter;
+    }
+
+    /**
+     * Set the default printer
+     */
+    async setDefaultPrinter(printer) {
+        this.assertPrinter(printer);
+        this.defaultPrinter = printer;
+    }
+
+    /**
+     * List pending jobs
+     */
+    async getJobs() {
+        return Array.from(this.jobs.values()).map(job => ({
+            jobId: job.jobId,
+            printer: job.printer,
+            status: job.status,
+            options: job.options,
+            timestamp: job.submittedAt
+        }));
+    }
+
+    /**
+     * List the IDs of pending jobs
+     */
+    async getActiveJobIds() {
+        return Array.from(this.jobs.keys());
+    }
+
+    /**
+     * Cancel a job
+     */
+    async cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error(`Job ${jobId} not found`);
+        }
+
+        clearTimeout(job.processingTimer);
+        clearTimeout(job.completionTimer);
+        this.jobs.delete(jobId);
+    }
+
+    /**
+     * Get a printer's status
+     */
+    async getPrinterStatus(printer) {
+        this.assertPrinter(printer);
+
+        return {
+            name: printer,
+            status: this.isBusy(printer) ? 'busy' : 'idle',
+            enabled: true,
+            accepting: true
+        };
+    }
+
+    /**
+     * The virtual printer is always running
+     */
+    async getStatus() {
+        return {
+            running: true,
+            outputPath: this.outputPath
+        };
+    }
+
+    /**
+     * Get a printer's configured options
+     */
+    async getPrinterOptions(printer) {
+        this.assertPrinter(printer);
+
+        return {
+            'device-uri': `file://${path.join(this.outputPath, printer)}`,
+            'printer-make-and-model': 'Virtual Printer'
+        };
+    }
+
+    /**
+     * Get a printer's capabilities
+     */
+    async getCapabilities(printer) {
+        this.assertPrinter(printer);
+
+        const capabilities = { printer: printer };
+        for (const [name, option] of Object.entries(CAPABILITIES)) {
+            capabilities[name] = { ...option, choices: [...option.choices] };
+        }
+
+        capabilities.fitToPage = true;
+        capabilities.driverOptions = Object.values(capabilities).filter(value => value && value.option);
+
+        return capabilities;
+    }
+
+    /**
+     * Check if a printer has jobs in progress
+     */
+    isBusy(printer) {
+        return Array.from(this.jobs.values()).some(job => job.printer === printer && job.status === 'processing');
+    }
+
+    /**
+     * Reject unknown printer names
+     */
+    assertPrinter(printer) {
+        if (!this.printers.includes(printer)) {
+            throw new Error(`Printer not found: ${printer}`);
+        }
+    }
+}
+
+module.exports = VirtualPrinterBackend;
@@ -0,0 +1,43 @@
+/**
+ * Print Backends
+ * Selects the print backend configured with PRINT_BACKEND
+ */
+
+const config = require('../../config/config');
+const CupsBackend = require('./CupsBackend');
+const VirtualPrinterBackend = require('./VirtualPrinterBackend');
+
+const backends = {
+    cups: () => new CupsBackend({
+        printTimeout: config.printTimeout
+    }),
+    virtual: () => new VirtualPrinterBackend({
+        outputPath: config.virtualPrinterPath,
+        printers: config.virtualPrinters,
+        printDelay: config.virtualPrintDelay,
+        failureRate: config.virtualPrintFailureRate
+    })
+};
+
+// Backends keep state (e.g. virtual jobs), so every PrinterManager shares one instance
+const instances = new Map();
+
+/**
+ * Get the shared backend instance for a backend type
+ */
+function getPrintBackend(type = config.printBackend) {
+    if (!backends[type]) {
+        throw new Error(`Unknown print backend: ${type}. Available: ${Object.keys(backends).join(', ')}`);
+    }
+
+    if (!instances.has(type)) {
+        instances.set(type, backends[type]());
+    }
+
+    return instances.get(type);
+}
+
+module.exports = {
+    getPrintBackend,
+    availableBackends: Object.keys(backends)
+};
@@ -3,15 +3,19 @@
  * Manages file cleanup for the Vienna Photo Booth
  */
 
-const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config/config');
+const realtimeHub = require('../services/RealtimeHub');
+const eventStore = require('../services/EventStore');
+const photoIndex = require('../services/PhotoIndex');
+const thumbnailCache = require('../services/ThumbnailCache');
+const trashStore = require('../services/TrashStore');
 
 class CleanupManager {
     constructor() {
         this.uploadsPath = config.uploadPath;
-        this.maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-        this.maxSize = 100 * 1024 * 1024; // 100MB
+        this.maxAge = config.maxFileAge; // MAX_FILE_AGE, 24 hours by default
+        this.maxSize = config.maxUploadsSize; // MAX_UPLOADS_SIZE, 100MB by default
         this.supportedExtensions = ['.jpg', '.jpeg', '.png'];
     }
 
@@ -20,7 +24,7 @@ class CleanupManager {
      */
     async cleanOldFiles() {
         try {
-            const files = await this.getUploadFiles();
+            const files = await this.getCleanableFiles();
             const now = Date.now();
             let deletedCount = 0;
             let totalSize = 0;
@@ -29,9 +33,9 @@ class CleanupManager {
                 const fileAge = now - file.mtime.getTime();
                 
                 if (fileAge > this.maxAge) {
-                    await fs.unlink(file.path);
+                    await this.deleteFile(file);
                     deletedCount++;
-                    console.log(`🗑️  Deleted old file: ${file.name}`);
+                    console.log(`🗑️  Moved old file to the trash: ${file.name}`);
                 } else {
                     totalSize += file.size;
                 }
@@ -53,7 +57,7 @@ class CleanupManager {
      */
     async cleanBySize() {
         try {
-            const files = await this.getUploadFiles();
+            const files = await this.getCleanableFiles();
             let totalSize = 0;
             let deletedCount = 0;
 
@@ -74,10 +78,10 @@ class CleanupManager {
             for (const file of files) {
                 if (totalSize <= this.maxSize) break;
                 
-                await fs.unlink(file.path);
+                await this.deleteFile(file);
                 totalSize -= file.size;
                 deletedCount++;
-                console.log(`🗑️  Deleted file for size limit: ${file.name}`);
+                console.log(`🗑️  Moved file to the trash for size limit: ${file.name}`);
             }
 
             if (deletedCount > 0) {
@@ -92,31 +96,44 @@ class CleanupManager {
     }
 
     /**
-     * Get all upload files with metadata
+     * Get all upload files with metadata (from the photo index)
      */
     async getUploadFiles() {
         try {
-            const files = await fs.readdir(this.uploadsPath);
-            const filePromises = files
-                .filter(file => this.isImageFile(file))
-                .map(async (file) => {
-                    const filePath = path.join(this.uploadsPath, file);
-                    const stats = await fs.stat(filePath);
-                    return {
-                        name: file,
-                        path: filePath,
-                        size: stats.size,
-                        mtime: stats.mtime
-                    };
-                });
-
-            return await Promise.all(filePromises);
+            return photoIndex.query().photos
+                .filter(photo => this.isImageFile(photo.filename))
+                .map(photo => ({
+                    name: photo.filename,
+                    path: photoIndex.getPhotoPath(photo),
+                    eventId: photo.eventId,
+                    // A photo and its original captures are counted and deleted together
+                    size: photo.size + (photo.originalsSize || 0),
+                    mtime: new Date(photo.createdAt)
+                }));
         } catch (error) {
             console.error('❌ Error reading upload files:', error);
             return [];
         }
     }
 
+    /**
+     * Move a photo (with its PDF and originals) found by a cleanup rule to the
+     * trash, it is removed for good once TRASH_RETENTION ran out
+     */
+    async deleteFile(file) {
+        await trashStore.trashPhoto(file.name);
+    }
+
+    /**
+     * Files automatic cleanup may remove: photos taken outside events (or of
+     * events that no longer exist). Photos of events, open or closed, are
+     * kept until someone deletes them.
+     */
+    async getCleanableFiles() {
+        const files = await this.getUploadFiles();
+        return files.filter(file => !file.eventId || !eventStore.getEvent(file.eventId));
+    }
+
     /**
      * Check if file is an image
      */
@@ -143,7 +160,8 @@ class CleanupManager {
                 totalSizeFormatted: this.formatBytes(totalSize),
                 oldestFile: oldestFile ? oldestFile.name : null,
                 oldestFileAge: oldestFile ? 
-                    this.formatDuration((Date.now() - oldestFile.mtime.getTime()) / 1000) : null
+                    this.formatDuration((Date.now() - oldestFile.mtime.getTime()) / 1000) : null,
+                trash: trashStore.getStats()
             };
         } catch (error) {
             console.error('❌ Error getting upload stats:', error);
@@ -164,20 +182,31 @@ class CleanupManager {
         try {
             console.log('🧹 Starting upload directory cleanup...');
             
-            const [ageResult, sizeResult] = await Promise.all([
-                this.cleanOldFiles(),
-                this.cleanBySize()
-            ]);
+            // Pick up photos added or removed outside the server
+            await photoIndex.reconcile();
+            
+            const ageResult = await this.cleanOldFiles();
+            const sizeResult = await this.cleanBySize();
+            const trashResult = await trashStore.purgeExpired();
+            const thumbnailResult = await thumbnailCache.removeOrphans(
+                photoIndex.query().photos.map(photo => photo.filename)
+                    .concat(trashStore.getItems().map(item => trashStore.getThumbnailName(item)))
+            );
 
             const stats = await this.getUploadStats();
             
             console.log('📊 Upload directory stats:', stats);
             
-            return {
+            const result = {
                 ageCleanup: ageResult,
                 sizeCleanup: sizeResult,
+                trashCleanup: trashResult,
+                thumbnailCleanup: thumbnailResult,
                 stats
             };
+            realtimeHub.publish('cleanup', result);
+            
+            return result;
         } catch (error) {
             console.error('❌ Full cleanup failed:', error);
             throw error;
@@ -67,6 +67,27 @@ class Helpers {
         return !invalidChars.test(filename) && filename.length > 0 && filename.length <= 255;
     }
 
+    /**
+     * Validate a CUPS printer name (no whitespace, shell or option characters)
+     */
+    static isValidPrinterName(name) {
+        return typeof name === 'string' && /^[A-Za-z0-9_][A-Za-z0-9_.@-]{0,127}$/.test(name);
+    }
+
+    /**
+     * Validate a CUPS job ID (<printer>-<number> or a plain job number)
+     */
+    static isValidPrintJobId(jobId) {
+        return typeof jobId === 'string' && /^([A-Za-z0-9_][A-Za-z0-9_.@-]{0,127}-)?\d+$/.test(jobId);
+    }
+
+    /**
+     * Validate a booth ID (chosen by the booth client, used in logs and session lookups)
+     */
+    static isValidBoothId(boothId) {
+        return typeof boothId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(boothId);
+    }
+
     /**
      * Sanitize filename
      */
@@ -0,0 +1,156 @@
+/**
+ * Vienna Photo Booth - Booth Socket
+ * WebSocket link that registers this page as a booth and receives remote capture triggers
+ */
+
+class BoothSocket {
+    constructor(url = null) {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.url = url || `${protocol}//${window.location.host}/ws`;
+        this.boothId = this.getBoothId();
+        this.socket = null;
+        this.triggerHandler = null;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 30000;
+        this.reconnectTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Booth ID from ?booth=, otherwise a stored (or newly generated) one
+     */
+    getBoothId() {
+        const requested = new URLSearchParams(window.location.search).get('booth');
+        const valid = (id) => typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+
+        if (valid(requested)) {
+            localStorage.setItem('viennaBoothId', requested);
+            return requested;
+        }
+
+        const stored = localStorage.getItem('viennaBoothId');
+        if (valid(stored)) {
+            return stored;
+        }
+
+        const generated = `booth-${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem('viennaBoothId', generated);
+        return generated;
+    }
+
+    /**
+     * Handle trigger commands: handler({ sessionId, frameId, filter })
+     */
+    onTrigger(handler) {
+        this.triggerHandler = handler;
+        return this;
+    }
+
+    /**
+     * Open the socket and register as a booth
+     */
+    connect() {
+        if (this.socket || typeof WebSocket === 'undefined') {
+            return this;
+        }
+
+        this.closed = false;
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.reconnectDelay = 1000;
+            this.send({ type: 'register', role: 'booth', boothId: this.boothId });
+        });
+
+        this.socket.addEventListener('message', (event) => this.handleMessage(event));
+
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            this.scheduleReconnect();
+        });
+
+        return this;
+    }
+
+    /**
+     * Reconnect with backoff after the socket dropped
+     */
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    }
+
+    /**
+     * Handle a server message
+     */
+    handleMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Invalid booth socket message:', error);
+            return;
+        }
+
+        switch (message.type) {
+            case 'registered':
+                console.log(`Registered as booth ${message.boothId}`);
+                break;
+            case 'trigger':
+                if (this.triggerHandler) {
+                    this.triggerHandler(message);
+                } else {
+                    this.sessionFailed(message.sessionId, 'Booth is not ready');
+                }
+                break;
+            case 'error':
+                console.error('Booth socket error:', message.error);
+                break;
+        }
+    }
+
+    /**
+     * Tell the server the booth started capturing
+     */
+    sessionStarted(sessionId) {
+        this.send({ type: 'session-started', sessionId });
+    }
+
+    /**
+     * Tell the server the booth could not finish a session
+     */
+    sessionFailed(sessionId, error) {
+        this.send({ type: 'session-failed', sessionId, error });
+    }
+
+    /**
+     * Send a JSON message if connected
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Close the socket and stop reconnecting
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+window.BoothSocket = BoothSocket;
@@ -7,6 +7,18 @@ class Gallery {
     constructor() {
         this.images = [];
         this.selectedImages = new Set();
+        this.events = [];
+        this.eventId = new URLSearchParams(window.location.search).get('event') || ''; // '' shows every photo
+        this.pageSize = 48; // photos per page; more are loaded while scrolling
+        this.nextCursor = null;
+        this.hasMore = false;
+        this.loadingMore = false;
+        this.stats = null; // server stats for the current filters
+        this.liveUpdates = new LiveUpdates(); // Server push channel for gallery, cleanup and printer changes
+        this.refreshTimer = null;
+        this.trashImages = [];
+        this.selectedTrash = new Set();
+        this.trashRetention = null; // how long deleted photos are kept, from the server
         this.initializeElements();
         this.bindEvents();
         this.initializeGallery();
@@ -18,10 +30,38 @@ class Gallery {
         this.selectAllBtn = document.getElementById('selectAll');
         this.deselectAllBtn = document.getElementById('deselectAll');
         this.deleteSelectedBtn = document.getElementById('deleteSelected');
+        this.downloadSelectedBtn = document.getElementById('downloadSelected');
+        this.downloadAllBtn = document.getElementById('downloadAll');
+        this.exportPdfsCheckbox = document.getElementById('exportPdfs');
+        this.exportOriginalsCheckbox = document.getElementById('exportOriginals');
+        this.eventFilterSelect = document.getElementById('eventFilter');
+        
+        // Filters and sorting
+        this.sortOrderSelect = document.getElementById('sortOrder');
+        this.frameFilterSelect = document.getElementById('frameFilter');
+        this.printedFilterSelect = document.getElementById('printedFilter');
+        this.pdfFilterSelect = document.getElementById('pdfFilter');
+        this.fromDateInput = document.getElementById('fromDate');
+        this.toDateInput = document.getElementById('toDate');
+        this.clearFiltersBtn = document.getElementById('clearFilters');
         
         // Gallery display
         this.galleryGrid = document.getElementById('galleryGrid');
         this.galleryEmpty = document.getElementById('galleryEmpty');
+        this.gallerySentinel = document.getElementById('gallerySentinel');
+        this.gallerySection = document.getElementById('gallerySection');
+        
+        // Trash
+        this.trashSection = document.getElementById('trashSection');
+        this.trashGrid = document.getElementById('trashGrid');
+        this.trashEmpty = document.getElementById('trashEmpty');
+        this.trashCountSpan = document.getElementById('trashCount');
+        this.trashRetentionText = document.getElementById('trashRetention');
+        this.showTrashBtn = document.getElementById('showTrash');
+        this.backToGalleryBtn = document.getElementById('backToGallery');
+        this.restoreSelectedBtn = document.getElementById('restoreSelected');
+        this.purgeSelectedBtn = document.getElementById('purgeSelected');
+        this.emptyTrashBtn = document.getElementById('emptyTrash');
         
         // Stats
         this.totalImagesSpan = document.getElementById('totalImages');
@@ -40,6 +80,15 @@ class Gallery {
         this.closeErrorModal = document.getElementById('closeErrorModal');
         this.dismissError = document.getElementById('dismissError');
         this.confirmModal = document.getElementById('confirmModal');
+        
+        // Reprint and reprocess
+        this.printModal = document.getElementById('printModal');
+        this.reprintPrinterSelect = document.getElementById('reprintPrinter');
+        this.reprintCopiesInput = document.getElementById('reprintCopies');
+        this.reprocessModal = document.getElementById('reprocessModal');
+        this.reprocessFrameSelect = document.getElementById('reprocessFrame');
+        this.reprocessFilterSelect = document.getElementById('reprocessFilter');
+        this.actionFilename = null; // photo the open print/reprocess modal is for
         this.confirmMessage = document.getElementById('confirmMessage');
         this.closeConfirmModal = document.getElementById('closeConfirmModal');
         this.cancelAction = document.getElementById('cancelAction');
@@ -75,6 +124,40 @@ class Gallery {
         if (this.deleteSelectedBtn) {
             this.deleteSelectedBtn.addEventListener('click', () => this.confirmDeleteSelected());
         }
+        if (this.downloadSelectedBtn) {
+            this.downloadSelectedBtn.addEventListener('click', () => this.downloadSelected());
+        }
+        if (this.downloadAllBtn) {
+            this.downloadAllBtn.addEventListener('click', () => this.downloadAll());
+        }
+        if (this.eventFilterSelect) {
+            this.eventFilterSelect.addEventListener('change', (e) => this.filterByEvent(e.target.value));
+        }
+        
+        // Trash view
+        if (this.showTrashBtn) {
+            this.showTrashBtn.addEventListener('click', () => this.showTrashView());
+        }
+        if (this.backToGalleryBtn) {
+            this.backToGalleryBtn.addEventListener('click', () => this.showGalleryView());
+        }
+        if (this.restoreSelectedBtn) {
+            this.restoreSelectedBtn.addEventListener('click', () => this.restoreTrash(Array.from(this.selectedTrash)));
+        }
+        if (this.purgeSelectedBtn) {
+            this.purgeSelectedBtn.addEventListener('click', () => this.confirmPurgeTrash(Array.from(this.selectedTrash)));
+        }
+        if (this.emptyTrashBtn) {
+            this.emptyTrashBtn.addEventListener('click', () => this.confirmPurgeTrash(null));
+        }
+        
+        // Filters and sorting
+        [this.sortOrderSelect, this.frameFilterSelect, this.printedFilterSelect, this.pdfFilterSelect, this.fromDateInput, this.toDateInput]
+            .filter(Boolean)
+            .forEach(control => control.addEventListener('change', () => this.applyFilters()));
+        if (this.clearFiltersBtn) {
+            this.clearFiltersBtn.addEventListener('click', () => this.clearFilters());
+        }
         
         // Modal events
         if (this.closeErrorModal) {
@@ -103,6 +186,23 @@ class Gallery {
                 if (e.target === this.confirmModal) this.hideConfirmModal();
             });
         }
+        
+        // Reprint and reprocess modals
+        [['closePrintModal', 'cancelPrint', this.printModal], ['closeReprocessModal', 'cancelReprocess', this.reprocessModal]]
+            .forEach(([closeId, cancelId, modal]) => {
+                [closeId, cancelId].forEach(id => {
+                    const button = document.getElementById(id);
+                    if (button) button.addEventListener('click', () => this.hideModal(modal));
+                });
+            });
+        const confirmPrintBtn = document.getElementById('confirmPrint');
+        if (confirmPrintBtn) {
+            confirmPrintBtn.addEventListener('click', () => this.printImage());
+        }
+        const confirmReprocessBtn = document.getElementById('confirmReprocess');
+        if (confirmReprocessBtn) {
+            confirmReprocessBtn.addEventListener('click', () => this.reprocessImage());
+        }
     }
 
     async initializeGallery() {
@@ -113,8 +213,18 @@ class Gallery {
             // Check printer status
             await this.checkPrinterStatus();
             
-            // Load gallery
+            // Load events and frames for the filters, then the gallery
+            await this.loadEvents();
+            await this.loadFrameChoices();
+            await Promise.all([this.loadPrinterChoices(), this.loadFilterChoices()]);
             await this.loadGallery();
+            await this.loadTrash();
+            
+            // Follow gallery changes pushed by the server
+            this.startLiveUpdates();
+            
+            // Load more photos while scrolling
+            this.startInfiniteScroll();
             
         } catch (error) {
             console.error('Failed to initialize gallery:', error);
@@ -138,6 +248,291 @@ class Gallery {
         }
     }
 
+    startLiveUpdates() {
+        this.liveUpdates.onConnectionChange((connected) => {
+            if (connected) {
+                this.updateServerStatus('online', 'Server Online');
+                // Catch up on photos added or removed while disconnected
+                this.scheduleRefresh();
+            } else {
+                this.updateServerStatus('offline', 'Server Unreachable');
+            }
+        });
+        
+        this.liveUpdates.on('gallery', () => {
+            this.scheduleRefresh();
+            this.loadTrash().catch(console.error);
+        });
+        this.liveUpdates.on('events', () => this.loadEvents());
+        this.liveUpdates.on('cleanup', (data) => {
+            if (data.ageCleanup.deletedCount > 0 || data.sizeCleanup.deletedCount > 0) {
+                this.scheduleRefresh();
+            }
+            if (data.trashCleanup && data.trashCleanup.purgedCount > 0) {
+                this.loadTrash().catch(console.error);
+            }
+        });
+        // PDFs appear once the print queue has rendered them
+        this.liveUpdates.on('job', (data) => {
+            if (data.job.state === 'submitted') {
+                this.scheduleRefresh();
+            }
+        });
+        this.liveUpdates.on('printers', (data) => {
+            if (data.printers.length > 0) {
+                const defaultPrinter = data.printers.find(p => p.name === 'default') || data.printers[0];
+                this.updatePrinterStatus('online', `Printer: ${defaultPrinter.name}`);
+            } else {
+                this.updatePrinterStatus('offline', 'No printers available');
+            }
+        });
+        
+        this.liveUpdates.connect();
+    }
+
+    scheduleRefresh() {
+        // Several events often arrive together, refresh once for all of them
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshGallery().catch(console.error);
+        }, 500);
+    }
+
+    async refreshGallery() {
+        // Quiet reload for live updates (no loading overlay), keeping the pages already loaded
+        const limit = Math.max(this.pageSize, this.images.length);
+        const response = await fetch(this.getGalleryUrl({ limit }));
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load gallery');
+        }
+        
+        this.images = data.images || [];
+        this.nextCursor = data.nextCursor;
+        this.hasMore = data.hasMore;
+        await this.loadStats();
+        
+        // Forget selections of photos that are gone
+        const filenames = new Set(this.images.map(image => image.filename));
+        this.selectedImages.forEach(filename => {
+            if (!filenames.has(filename)) {
+                this.selectedImages.delete(filename);
+            }
+        });
+        
+        this.renderGallery();
+        this.updateSelectionUI();
+        this.updateStats();
+        this.updateSentinel();
+    }
+
+    getFilterParams() {
+        const params = new URLSearchParams();
+        const [sort, order] = (this.sortOrderSelect ? this.sortOrderSelect.value : 'date:desc').split(':');
+        
+        params.set('sort', sort);
+        params.set('order', order);
+        if (this.eventId) params.set('event', this.eventId);
+        if (this.frameFilterSelect && this.frameFilterSelect.value) params.set('frame', this.frameFilterSelect.value);
+        if (this.printedFilterSelect && this.printedFilterSelect.value) params.set('printed', this.printedFilterSelect.value);
+        if (this.pdfFilterSelect && this.pdfFilterSelect.value) params.set('pdf', this.pdfFilterSelect.value);
+        if (this.fromDateInput && this.fromDateInput.value) params.set('from', this.fromDateInput.value);
+        if (this.toDateInput && this.toDateInput.value) params.set('to', this.toDateInput.value);
+        
+        return params;
+    }
+
+    getGalleryUrl(page = {}) {
+        const params = this.getFilterParams();
+        params.set('limit', page.limit || this.pageSize);
+        if (page.cursor) params.set('cursor', page.cursor);
+        
+        return `/api/gallery?${params}`;
+    }
+
+    async loadStats() {
+        try {
+            const response = await fetch(`/api/gallery/stats?${this.getFilterParams()}`);
+            const data = await response.json();
+            this.stats = data.success ? data.stats : null;
+        } catch (error) {
+            console.error('Failed to load gallery stats:', error);
+            this.stats = null;
+        }
+    }
+
+    async loadFrameChoices() {
+        if (!this.frameFilterSelect) return;
+        
+        try {
+            const response = await fetch('/api/frames');
+            const frames = await response.json();
+            
+            frames.forEach(frame => {
+                const option = document.createElement('option');
+                option.value = frame.id;
+                option.textContent = frame.name;
+                this.frameFilterSelect.appendChild(option);
+                if (this.reprocessFrameSelect) {
+                    this.reprocessFrameSelect.appendChild(option.cloneNode(true));
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load frames:', error);
+        }
+    }
+
+    async loadPrinterChoices() {
+        if (!this.reprintPrinterSelect) return;
+        
+        try {
+            const response = await fetch('/api/printers');
+            const data = await response.json();
+            
+            (data.printers || []).forEach(printer => {
+                const option = document.createElement('option');
+                option.value = printer.name;
+                option.textContent = `${printer.name} (${printer.status})`;
+                this.reprintPrinterSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load printers:', error);
+        }
+    }
+
+    async loadFilterChoices() {
+        if (!this.reprocessFilterSelect) return;
+        
+        try {
+            const response = await fetch('/api/filters');
+            const data = await response.json();
+            
+            (data.filters || []).filter(filter => filter.name !== 'none').forEach(filter => {
+                const option = document.createElement('option');
+                option.value = filter.name;
+                option.textContent = filter.label || filter.name;
+                this.reprocessFilterSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load filters:', error);
+        }
+    }
+
+    applyFilters() {
+        this.selectedImages.clear();
+        this.updateSelectionUI();
+        this.loadGallery();
+    }
+
+    clearFilters() {
+        this.sortOrderSelect.value = 'date:desc';
+        this.frameFilterSelect.value = '';
+        this.printedFilterSelect.value = '';
+        this.pdfFilterSelect.value = '';
+        this.fromDateInput.value = '';
+        this.toDateInput.value = '';
+        this.applyFilters();
+    }
+
+    startInfiniteScroll() {
+        if (!this.gallerySentinel || !('IntersectionObserver' in window)) return;
+        
+        // Start loading a little before the end of the grid comes into view
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        }, { rootMargin: '400px 0px' });
+        this.scrollObserver.observe(this.gallerySentinel);
+    }
+
+    async loadMore() {
+        if (!this.hasMore || this.loadingMore) return;
+        
+        this.loadingMore = true;
+        try {
+            const response = await fetch(this.getGalleryUrl({ cursor: this.nextCursor }));
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load more photos');
+            }
+            
+            const images = data.images || [];
+            this.images.push(...images);
+            this.nextCursor = data.nextCursor;
+            this.hasMore = data.hasMore;
+            this.appendImages(images);
+            this.updateSentinel();
+        } catch (error) {
+            console.error('Failed to load more photos:', error);
+            this.hasMore = false;
+            this.updateSentinel();
+        } finally {
+            this.loadingMore = false;
+        }
+        
+        // The observer only fires on changes: keep going while the end is still in view
+        if (this.hasMore && this.isSentinelInView()) {
+            this.loadMore();
+        }
+    }
+
+    updateSentinel() {
+        if (!this.gallerySentinel) return;
+        this.gallerySentinel.style.display = this.hasMore ? 'flex' : 'none';
+    }
+
+    isSentinelInView() {
+        const rect = this.gallerySentinel.getBoundingClientRect();
+        return rect.top < window.innerHeight + 400;
+    }
+
+    async loadEvents() {
+        if (!this.eventFilterSelect) return;
+        
+        try {
+            const response = await fetch('/api/events');
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load events');
+            }
+            
+            this.events = data.events;
+            this.eventFilterSelect.innerHTML = `
+                <option value="">All photos</option>
+                <option value="none">Without event</option>`;
+            this.events.forEach(event => {
+                const option = document.createElement('option');
+                option.value = event.id;
+                option.textContent = event.date ? `${event.name} (${event.date})` : event.name;
+                this.eventFilterSelect.appendChild(option);
+            });
+            this.eventFilterSelect.value = this.eventId;
+        } catch (error) {
+            console.error('Failed to load events:', error);
+        }
+    }
+
+    filterByEvent(eventId) {
+        this.eventId = eventId;
+        this.selectedImages.clear();
+        this.updateSelectionUI();
+        
+        // Keep the filter in the address so the view can be bookmarked
+        const url = new URL(window.location.href);
+        if (eventId) {
+            url.searchParams.set('event', eventId);
+        } else {
+            url.searchParams.delete('event');
+        }
+        window.history.replaceState(null, '', url);
+        
+        this.loadGallery();
+    }
+
     async checkPrinterStatus() {
         try {
             const response = await fetch('/api/printers');
@@ -174,13 +569,17 @@ class Gallery {
         try {
             this.showLoading('Loading gallery...');
             
-            const response = await fetch('/api/gallery');
+            const response = await fetch(this.getGalleryUrl());
             const data = await response.json();
             
             if (data.success) {
                 this.images = data.images || [];
+                this.nextCursor = data.nextCursor;
+                this.hasMore = data.hasMore;
+                await this.loadStats();
                 this.renderGallery();
                 this.updateStats();
+                this.updateSentinel();
             } else {
                 throw new Error(data.error || 'Failed to load gallery');
             }
@@ -202,11 +601,15 @@ class Gallery {
 
         this.galleryEmpty.style.display = 'none';
         this.galleryGrid.innerHTML = '';
+        this.appendImages(this.images);
+    }
 
-        this.images.forEach(image => {
-            const imageElement = this.createImageElement(image);
-            this.galleryGrid.appendChild(imageElement);
+    appendImages(images) {
+        const fragment = document.createDocumentFragment();
+        images.forEach(image => {
+            fragment.appendChild(this.createImageElement(image));
         });
+        this.galleryGrid.appendChild(fragment);
     }
 
     createImageElement(image) {
@@ -233,6 +636,22 @@ class Gallery {
                 </button>`;
         }
         
+        actionButtons += `
+            <button class="btn btn-small btn-outline print-single" title="Print Again">
+                <span class="btn-icon">🖨️</span>
+            </button>`;
+        
+        // Reprocessing needs the original capture
+        if (image.hasOriginal) {
+            actionButtons += `
+                <button class="btn btn-small btn-outline download-original" title="Download Original">
+                    <span class="btn-icon">📷</span>
+                </button>
+                <button class="btn btn-small btn-outline reprocess-single" title="Change Frame or Filter">
+                    <span class="btn-icon">🎨</span>
+                </button>`;
+        }
+        
         actionButtons += `
             <button class="btn btn-small btn-danger delete-single" title="Delete">
                 <span class="btn-icon">🗑️</span>
@@ -240,7 +659,10 @@ class Gallery {
         
         imageContainer.innerHTML = `
             <div class="image-preview">
-                <img src="/uploads/${image.filename}" alt="${image.name}" loading="lazy">
+                <img src="${image.thumbnailPath}"
+                     srcset="${image.thumbnailPath} 400w, ${image.previewPath} 1200w"
+                     sizes="(max-width: 600px) 100vw, 300px"
+                     alt="${image.name}" loading="lazy">
                 <div class="image-overlay">
                     <div class="image-info">
                         <span class="image-name">${image.name}</span>
@@ -283,6 +705,32 @@ class Gallery {
             });
         }
         
+        // Add original download button event
+        const downloadOriginalBtn = imageContainer.querySelector('.download-original');
+        if (downloadOriginalBtn) {
+            downloadOriginalBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.downloadOriginals(image);
+            });
+        }
+        
+        // Add print and reprocess button events
+        const printBtn = imageContainer.querySelector('.print-single');
+        if (printBtn) {
+            printBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showPrintModal(image);
+            });
+        }
+        
+        const reprocessBtn = imageContainer.querySelector('.reprocess-single');
+        if (reprocessBtn) {
+            reprocessBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showReprocessModal(image);
+            });
+        }
+        
         // Add delete button event
         const deleteBtn = imageContainer.querySelector('.delete-single');
         if (deleteBtn) {
@@ -322,7 +770,7 @@ class Gallery {
 
     updateSelectionUI() {
         // Update gallery items
-        document.querySelectorAll('.gallery-item').forEach(item => {
+        this.galleryGrid.querySelectorAll('.gallery-item').forEach(item => {
             const filename = item.getAttribute('data-filename');
             if (this.selectedImages.has(filename)) {
                 item.classList.add('selected');
@@ -336,11 +784,15 @@ class Gallery {
         if (this.deleteSelectedBtn) {
             this.deleteSelectedBtn.disabled = !hasSelection;
         }
+        if (this.downloadSelectedBtn) {
+            this.downloadSelectedBtn.disabled = !hasSelection;
+        }
     }
 
     updateStats() {
         if (this.totalImagesSpan) {
-            this.totalImagesSpan.textContent = `Total: ${this.images.length} images`;
+            const total = this.stats ? this.stats.totalImages : this.images.length;
+            this.totalImagesSpan.textContent = `Total: ${total} images`;
         }
         
         if (this.selectedCountSpan) {
@@ -348,14 +800,14 @@ class Gallery {
         }
         
         if (this.totalSizeSpan) {
-            const totalSize = this.images.reduce((sum, image) => sum + image.size, 0);
+            const totalSize = this.stats ? this.stats.totalSize : this.images.reduce((sum, image) => sum + image.size, 0);
             this.totalSizeSpan.textContent = `Size: ${this.formatBytes(totalSize)}`;
         }
     }
 
     async downloadImage(filename) {
         try {
-            const response = await fetch(`/uploads/${filename}`);
+            const response = await fetch(`/api/gallery/download/${encodeURIComponent(filename)}`);
             if (response.ok) {
                 const blob = await response.blob();
                 const url = window.URL.createObjectURL(blob);
@@ -377,6 +829,18 @@ class Gallery {
         }
     }
 
+    downloadOriginals(image) {
+        // The server sends them as attachments, one per frame slot
+        for (const original of image.originals) {
+            const a = document.createElement('a');
+            a.href = original.downloadPath;
+            a.download = original.filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+        }
+    }
+
     async downloadPDF(filename) {
         try {
             const response = await fetch(`/api/gallery/pdf/${encodeURIComponent(filename)}`);
@@ -401,17 +865,158 @@ class Gallery {
         }
     }
 
+    async downloadSelected() {
+        if (this.selectedImages.size === 0) return;
+        
+        await this.exportImages({ filenames: Array.from(this.selectedImages) });
+    }
+
+    async downloadAll() {
+        // Same filters as the gallery view, e.g. a whole event for the client
+        const filters = Object.fromEntries(this.getFilterParams());
+        delete filters.sort;
+        delete filters.order;
+        
+        await this.exportImages(filters);
+    }
+
+    async exportImages(request) {
+        try {
+            this.showLoading('Preparing download...');
+            
+            const response = await fetch('/api/gallery/export', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ...request,
+                    pdfs: !!(this.exportPdfsCheckbox && this.exportPdfsCheckbox.checked),
+                    originals: !!(this.exportOriginalsCheckbox && this.exportOriginalsCheckbox.checked)
+                })
+            });
+            
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Export failed');
+            }
+            
+            // File name chosen by the server (named after the event)
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = match ? match[1] : 'photos.zip';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+            
+            this.showSuccess('Download ready!');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Download failed: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showPrintModal(image) {
+        this.actionFilename = image.filename;
+        this.reprintCopiesInput.value = 1;
+        this.printModal.style.display = 'flex';
+    }
+
+    showReprocessModal(image) {
+        this.actionFilename = image.filename;
+        if (image.frameId) this.reprocessFrameSelect.value = image.frameId;
+        this.reprocessFilterSelect.value = image.filter || 'none';
+        this.reprocessModal.style.display = 'flex';
+    }
+
+    hideModal(modal) {
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    async printImage() {
+        const filename = this.actionFilename;
+        this.hideModal(this.printModal);
+        
+        try {
+            this.showLoading('Sending photo to the printer...');
+            
+            const response = await fetch(`/api/gallery/${encodeURIComponent(filename)}/print`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    printer: this.reprintPrinterSelect.value || undefined,
+                    copies: parseInt(this.reprintCopiesInput.value, 10) || 1
+                })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Print failed');
+            }
+            this.showSuccess('Photo queued for printing');
+        } catch (error) {
+            console.error('Print failed:', error);
+            this.showError('Print failed: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async reprocessImage() {
+        const filename = this.actionFilename;
+        this.hideModal(this.reprocessModal);
+        
+        try {
+            this.showLoading('Reprocessing photo...');
+            
+            const response = await fetch(`/api/gallery/${encodeURIComponent(filename)}/reprocess`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    frame_id: this.reprocessFrameSelect.value,
+                    filter: this.reprocessFilterSelect.value
+                })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Reprocessing failed');
+            }
+            // The new photo arrives through the live gallery update
+            this.showSuccess('New photo created');
+        } catch (error) {
+            console.error('Reprocessing failed:', error);
+            this.showError('Reprocessing failed: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     confirmDeleteSelected() {
         if (this.selectedImages.size === 0) return;
         
         const count = this.selectedImages.size;
-        const message = `Are you sure you want to delete ${count} selected image${count > 1 ? 's' : ''} and their corresponding PDF files? This action cannot be undone.`;
+        const message = `Move ${count} selected image${count > 1 ? 's' : ''} and their PDF files to the trash? They can be restored ${this.getRetentionText()}.`;
         
         this.showConfirmModal(message, () => this.deleteSelected());
     }
 
     confirmDeleteImage(filename, name) {
-        const message = `Are you sure you want to delete "${name}" and its corresponding PDF file? This action cannot be undone.`;
+        const message = `Move "${name}" and its PDF file to the trash? It can be restored ${this.getRetentionText()}.`;
         
         this.showConfirmModal(message, () => this.deleteImage(filename));
     }
@@ -436,11 +1041,13 @@ class Gallery {
                 this.selectedImages.clear();
                 await this.loadGallery();
                 
-                let message = `Successfully deleted ${data.deletedCount} images`;
+                await this.loadTrash();
+                
+                let message = `Moved ${data.deletedCount} images`;
                 if (data.deletedPdfCount > 0) {
                     message += ` and ${data.deletedPdfCount} PDF files`;
                 }
-                this.showSuccess(message);
+                this.showSuccess(message + ' to the trash');
             } else {
                 throw new Error(data.error || 'Delete failed');
             }
@@ -465,7 +1072,8 @@ class Gallery {
             
             if (data.success) {
                 await this.loadGallery();
-                this.showSuccess('Image and corresponding PDF deleted successfully');
+                await this.loadTrash();
+                this.showSuccess('Image moved to the trash');
             } else {
                 throw new Error(data.error || 'Delete failed');
             }
@@ -478,9 +1086,230 @@ class Gallery {
         }
     }
 
+    showTrashView() {
+        this.gallerySection.style.display = 'none';
+        this.trashSection.style.display = 'block';
+        this.loadTrash().catch(error => this.showError('Failed to load trash: ' + error.message));
+    }
+
+    showGalleryView() {
+        this.trashSection.style.display = 'none';
+        this.gallerySection.style.display = 'block';
+        this.selectedTrash.clear();
+    }
+
+    async loadTrash() {
+        const response = await fetch('/api/gallery/trash');
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load trash');
+        }
+        
+        this.trashImages = data.images || [];
+        this.trashRetention = data.retention;
+        
+        // Forget selections of photos that were restored or purged
+        const ids = new Set(this.trashImages.map(image => image.id));
+        this.selectedTrash.forEach(id => {
+            if (!ids.has(id)) {
+                this.selectedTrash.delete(id);
+            }
+        });
+        
+        if (this.trashCountSpan) {
+            this.trashCountSpan.textContent = this.trashImages.length > 0 ? `(${this.trashImages.length})` : '';
+        }
+        if (this.trashRetentionText) {
+            this.trashRetentionText.textContent = `Deleted photos can be restored ${this.getRetentionText()}, then they are removed for good`;
+        }
+        this.renderTrash();
+    }
+
+    renderTrash() {
+        if (!this.trashGrid) return;
+        
+        this.trashGrid.innerHTML = '';
+        this.trashEmpty.style.display = this.trashImages.length === 0 ? 'block' : 'none';
+        
+        const fragment = document.createDocumentFragment();
+        this.trashImages.forEach(image => {
+            fragment.appendChild(this.createTrashElement(image));
+        });
+        this.trashGrid.appendChild(fragment);
+        this.updateTrashSelectionUI();
+    }
+
+    createTrashElement(image) {
+        const imageContainer = document.createElement('div');
+        imageContainer.className = 'gallery-item';
+        imageContainer.setAttribute('data-id', image.id);
+        
+        imageContainer.innerHTML = `
+            <div class="image-preview">
+                <img src="${image.thumbnailPath}" alt="${image.name}" loading="lazy">
+                <div class="image-overlay">
+                    <div class="image-info">
+                        <span class="image-name">${image.name}</span>
+                        <span class="image-size">${this.formatBytes(image.size)}</span>
+                        <span class="image-date">Deleted ${this.formatDate(image.deletedAt)}</span>
+                        <span class="image-date">Removed ${this.formatDate(image.expiresAt)}</span>
+                    </div>
+                    <div class="image-actions">
+                        <button class="btn btn-small btn-outline restore-single" title="Restore">
+                            <span class="btn-icon">♻️</span>
+                        </button>
+                        <button class="btn btn-small btn-danger purge-single" title="Delete Forever">
+                            <span class="btn-icon">🗑️</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="selection-indicator">
+                    <span class="checkmark">✓</span>
+                </div>
+            </div>
+        `;
+        
+        // Add click event for selection
+        imageContainer.addEventListener('click', (e) => {
+            if (!e.target.closest('.image-actions')) {
+                this.toggleTrashSelection(image.id);
+            }
+        });
+        
+        imageContainer.querySelector('.restore-single').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.restoreTrash([image.id]);
+        });
+        imageContainer.querySelector('.purge-single').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.confirmPurgeTrash([image.id]);
+        });
+        
+        return imageContainer;
+    }
+
+    toggleTrashSelection(id) {
+        if (this.selectedTrash.has(id)) {
+            this.selectedTrash.delete(id);
+        } else {
+            this.selectedTrash.add(id);
+        }
+        this.updateTrashSelectionUI();
+    }
+
+    updateTrashSelectionUI() {
+        this.trashGrid.querySelectorAll('.gallery-item').forEach(item => {
+            item.classList.toggle('selected', this.selectedTrash.has(item.getAttribute('data-id')));
+        });
+        
+        const hasSelection = this.selectedTrash.size > 0;
+        if (this.restoreSelectedBtn) {
+            this.restoreSelectedBtn.disabled = !hasSelection;
+        }
+        if (this.purgeSelectedBtn) {
+            this.purgeSelectedBtn.disabled = !hasSelection;
+        }
+        if (this.emptyTrashBtn) {
+            this.emptyTrashBtn.disabled = this.trashImages.length === 0;
+        }
+    }
+
+    getRetentionText() {
+        if (!this.trashRetention) {
+            return 'from the trash';
+        }
+        const days = Math.round(this.trashRetention / (24 * 60 * 60 * 1000));
+        if (days >= 1) {
+            return `for ${days} day${days > 1 ? 's' : ''}`;
+        }
+        const hours = Math.max(1, Math.round(this.trashRetention / (60 * 60 * 1000)));
+        return `for ${hours} hour${hours > 1 ? 's' : ''}`;
+    }
+
+    async restoreTrash(ids) {
+        if (ids.length === 0) return;
+        
+        try {
+            this.showLoading('Restoring images...');
+            
+            const response = await fetch('/api/gallery/trash/restore', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ids })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Restore failed');
+            }
+            
+            await this.loadTrash();
+            await this.loadGallery();
+            
+            if (data.errors) {
+                this.showError(data.errors.join('; '));
+            } else {
+                this.showSuccess(`Restored ${data.restoredCount} image${data.restoredCount > 1 ? 's' : ''}`);
+            }
+            
+        } catch (error) {
+            console.error('Restore failed:', error);
+            this.showError('Restore failed: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    confirmPurgeTrash(ids) {
+        // No ids empties the whole trash
+        const count = ids ? ids.length : this.trashImages.length;
+        if (count === 0) return;
+        
+        const message = ids
+            ? `Delete ${count} image${count > 1 ? 's' : ''} forever? This action cannot be undone.`
+            : `Empty the trash and delete ${count} image${count > 1 ? 's' : ''} forever? This action cannot be undone.`;
+        
+        this.showConfirmModal(message, () => this.purgeTrash(ids ? { ids } : { all: true }));
+    }
+
+    async purgeTrash(request) {
+        try {
+            this.showLoading('Deleting images...');
+            
+            const response = await fetch('/api/gallery/trash/purge', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Delete failed');
+            }
+            
+            await this.loadTrash();
+            this.showSuccess(`Deleted ${data.purgedCount} image${data.purgedCount > 1 ? 's' : ''} forever`);
+            
+        } catch (error) {
+            console.error('Delete failed:', error);
+            this.showError('Delete failed: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     showEmptyState() {
         this.galleryGrid.innerHTML = '';
         this.galleryEmpty.style.display = 'block';
+        this.hasMore = false;
+        this.updateSentinel();
     }
 
     updateServerStatus(status, text) {
@@ -0,0 +1,108 @@
+/**
+ * Vienna Photo Booth - Live Updates
+ * Shared Server-Sent Events client for printer, print job, gallery, cleanup and frame events
+ */
+
+class LiveUpdates {
+    constructor(url = '/api/stream') {
+        this.url = url;
+        this.source = null;
+        this.connected = false;
+        this.handlers = new Map();
+        this.connectionHandlers = new Set();
+    }
+
+    /**
+     * Open the event stream (the browser reconnects on its own after errors)
+     */
+    connect() {
+        if (this.source || typeof EventSource === 'undefined') {
+            return this;
+        }
+
+        this.source = new EventSource(this.url);
+
+        this.source.addEventListener('open', () => this.setConnected(true));
+        this.source.addEventListener('error', () => {
+            if (this.source.readyState !== EventSource.OPEN) {
+                this.setConnected(false);
+            }
+        });
+
+        // Attach handlers registered before connecting
+        this.handlers.forEach((handlers, type) => this.listen(type));
+
+        return this;
+    }
+
+    /**
+     * Subscribe to an event type, returns an unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+            if (this.source) {
+                this.listen(type);
+            }
+        }
+
+        this.handlers.get(type).add(handler);
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    /**
+     * Subscribe to connection changes, returns an unsubscribe function
+     */
+    onConnectionChange(handler) {
+        this.connectionHandlers.add(handler);
+        return () => this.connectionHandlers.delete(handler);
+    }
+
+    /**
+     * Forward an event type from the stream to its handlers
+     */
+    listen(type) {
+        this.source.addEventListener(type, (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                console.error(`Invalid ${type} event:`, error);
+                return;
+            }
+
+            this.handlers.get(type).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error handling ${type} event:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Track connection state and notify on changes
+     */
+    setConnected(connected) {
+        if (this.connected === connected) {
+            return;
+        }
+
+        this.connected = connected;
+        this.connectionHandlers.forEach(handler => handler(connected));
+    }
+
+    /**
+     * Close the event stream
+     */
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.setConnected(false);
+    }
+}
+
+window.LiveUpdates = LiveUpdates;
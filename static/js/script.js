@@ -23,6 +23,12 @@ class PhotoBooth {
         this.facingMode = this.isMobile ? 'environment' : 'user'; // 'user' for front camera, 'environment' for back camera
         this.availableCameras = [];
         this.frames = []; // Initialize frames array for one-click functionality
+        this.frameSlots = []; // Photo windows of the selected frame (multi-shot frames have several)
+        this.capturedShots = []; // Unfiltered shots already taken for the current multi-shot session
+        this.liveUpdates = new LiveUpdates(); // Server push channel for printer, job and frame changes
+        this.boothSocket = new BoothSocket(); // Receives remote capture triggers (hardware buttons, remote apps)
+        this.shareHideTimer = null;
+        this.shareDisplayTime = 60000; // how long the guest download QR code stays on screen
         
         this.initializeElements();
         this.bindEvents();
@@ -61,6 +67,11 @@ class PhotoBooth {
         this.processOnlyBtn = document.getElementById('processOnly');
         this.printStatus = document.getElementById('printStatus');
         
+        // Guest download QR code
+        this.sharePanel = document.getElementById('sharePanel');
+        this.shareQrCode = document.getElementById('shareQrCode');
+        this.closeSharePanelBtn = document.getElementById('closeSharePanel');
+        
         // Printer management
         this.printerSelect = document.getElementById('printerSelect');
         this.refreshPrintersBtn = document.getElementById('refreshPrinters');
@@ -129,6 +140,9 @@ class PhotoBooth {
         if (this.processOnlyBtn) {
             this.processOnlyBtn.addEventListener('click', () => this.processOnly());
         }
+        if (this.closeSharePanelBtn) {
+            this.closeSharePanelBtn.addEventListener('click', () => this.hideShareQrCode());
+        }
         if (this.downloadBtn) {
             this.downloadBtn.addEventListener('click', () => this.downloadPhoto());
         }
@@ -212,6 +226,9 @@ class PhotoBooth {
             // Start monitoring
             this.startMonitoring();
             
+            // Accept remote triggers once frames are loaded
+            this.boothSocket.onTrigger((trigger) => this.runRemoteSession(trigger)).connect();
+            
             console.log('Photo booth initialized successfully');
             
         } catch (error) {
@@ -327,19 +344,7 @@ class PhotoBooth {
             const response = await fetch('/api/print-queue');
             const data = await response.json();
             
-            if (this.printQueue) {
-                if (data.success && data.queue.length > 0) {
-                    this.printQueue.innerHTML = data.queue.map(job => `
-                        <div class="queue-item">
-                            <span class="job-id">${job.jobId}</span>
-                            <span class="job-status">${job.status}</span>
-                            <button class="btn btn-small" onclick="photoBooth.cancelPrintJob('${job.jobId}')">Cancel</button>
-                        </div>
-                    `).join('');
-                } else {
-                    this.printQueue.innerHTML = '<span class="queue-empty">No jobs in queue</span>';
-                }
-            }
+            this.renderPrintQueue(data.success ? data.queue : []);
         } catch (error) {
             console.error('Failed to load print queue:', error);
             if (this.printQueue) {
@@ -348,6 +353,22 @@ class PhotoBooth {
         }
     }
 
+    renderPrintQueue(queue) {
+        if (!this.printQueue) return;
+        
+        if (queue.length > 0) {
+            this.printQueue.innerHTML = queue.map(job => `
+                <div class="queue-item">
+                    <span class="job-id">${job.jobId}</span>
+                    <span class="job-status">${job.status}</span>
+                    <button class="btn btn-small" onclick="photoBooth.cancelPrintJob('${job.jobId}')">Cancel</button>
+                </div>
+            `).join('');
+        } else {
+            this.printQueue.innerHTML = '<span class="queue-empty">No jobs in queue</span>';
+        }
+    }
+
     async loadFrames() {
         try {
             if (this.frameLoading) {
@@ -740,6 +761,23 @@ class PhotoBooth {
                 console.log('Using original image as captured image, length:', this.capturedImage.length);
             }
             
+            // Multi-slot frames: keep shooting until every photo window has a shot
+            // (the unfiltered shots are uploaded; the server applies the filter)
+            if (this.isMultiShotSession()) {
+                this.capturedShots.push(this.originalImage);
+                
+                if (!this.isMultiShotComplete()) {
+                    const nextSlot = this.frameSlots[this.capturedShots.length];
+                    this.applySlotToCamera(nextSlot);
+                    if (this.takePhotoBtn) {
+                        this.takePhotoBtn.style.display = 'inline-block';
+                        this.takePhotoBtn.disabled = false;
+                    }
+                    this.showSuccess(`Shot ${this.capturedShots.length} of ${this.frameSlots.length} captured`);
+                    return Promise.resolve();
+                }
+            }
+            
             // Show preview
             if (this.photoPreview) {
                 this.photoPreview.src = this.capturedImage;
@@ -866,6 +904,7 @@ class PhotoBooth {
         // Clear captured image but keep the selected frame
         this.capturedImage = null;
         this.originalImage = null;
+        this.capturedShots = [];
         
         // Reset preview filter state when starting over
         this.currentPreviewFilter = 'none';
@@ -998,6 +1037,12 @@ class PhotoBooth {
             return;
         }
         
+        // Filters without a canvas implementation are rendered by the server
+        if (!this.isCanvasFilter(filterType)) {
+            this.applyServerPreviewFilter(filterType);
+            return;
+        }
+        
         try {
             // Create a temporary canvas to apply the filter
             const tempCanvas = document.createElement('canvas');
@@ -1055,6 +1100,43 @@ class PhotoBooth {
         }
     }
 
+    isCanvasFilter(filterType) {
+        return ['none', 'blackwhite', 'sepia', 'oldcamera'].includes(filterType || 'none');
+    }
+
+    async applyServerPreviewFilter(filterType) {
+        try {
+            const response = await fetch('/api/filters/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    image: this.originalImage,
+                    filter: filterType
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Filter preview failed');
+            }
+            
+            // Ignore late responses for a filter that is no longer selected
+            if (this.currentPreviewFilter !== filterType) {
+                return;
+            }
+            
+            this.photoPreview.src = result.image;
+            this.capturedImage = result.image;
+            console.log('Server preview filter applied:', filterType);
+        } catch (error) {
+            console.error('Failed to apply server preview filter:', error);
+            this.showError('Failed to apply filter: ' + error.message);
+        }
+    }
+
     getCurrentFilteredImage() {
         // First try to get from captured image (most reliable)
         if (this.capturedImage) {
@@ -1256,30 +1338,11 @@ class PhotoBooth {
                 throw new Error(placement.error);
             }
             
-            // Adjust camera canvas size to match frame photo area
-            if (this.canvas) {
-                this.canvas.width = placement.width;
-                this.canvas.height = placement.height;
-            }
-            
-            // Adjust camera container aspect ratio to match frame photo area
-            const cameraContainer = document.querySelector('.camera-container');
-            if (cameraContainer) {
-                const aspectRatio = placement.width / placement.height;
-                cameraContainer.style.aspectRatio = aspectRatio;
-                
-                // Set max dimensions to ensure it fits well on screen
-                const maxWidth = Math.min(placement.width, 800);
-                const maxHeight = Math.min(placement.height, 600);
-                const scale = Math.min(maxWidth / placement.width, maxHeight / placement.height);
-                
-                cameraContainer.style.maxWidth = `${placement.width * scale}px`;
-                cameraContainer.style.maxHeight = `${placement.height * scale}px`;
-                
-                console.log(`Camera container adjusted to: ${placement.width * scale}x${placement.height * scale}px (aspect ratio: ${aspectRatio.toFixed(2)})`);
-            }
+            // Remember every photo window so multi-slot frames run a multi-shot session
+            this.frameSlots = placement.slots && placement.slots.length > 0 ? placement.slots : [placement];
+            this.capturedShots = [];
             
-            console.log(`Camera adjusted to frame photo area: ${placement.width}x${placement.height} (aspect ratio: ${(placement.width / placement.height).toFixed(2)})`);
+            this.applySlotToCamera(this.frameSlots[0]);
             
         } catch (error) {
             console.error('Failed to adjust camera to frame:', error);
@@ -1291,6 +1354,49 @@ class PhotoBooth {
         }
     }
 
+    applySlotToCamera(slot) {
+        // Adjust camera canvas size to match frame photo area
+        if (this.canvas) {
+            this.canvas.width = slot.width;
+            this.canvas.height = slot.height;
+        }
+        
+        // Adjust camera container aspect ratio to match frame photo area
+        const cameraContainer = document.querySelector('.camera-container');
+        if (cameraContainer) {
+            const aspectRatio = slot.width / slot.height;
+            cameraContainer.style.aspectRatio = aspectRatio;
+            
+            // Set max dimensions to ensure it fits well on screen
+            const maxWidth = Math.min(slot.width, 800);
+            const maxHeight = Math.min(slot.height, 600);
+            const scale = Math.min(maxWidth / slot.width, maxHeight / slot.height);
+            
+            cameraContainer.style.maxWidth = `${slot.width * scale}px`;
+            cameraContainer.style.maxHeight = `${slot.height * scale}px`;
+            
+            console.log(`Camera container adjusted to: ${slot.width * scale}x${slot.height * scale}px (aspect ratio: ${aspectRatio.toFixed(2)})`);
+        }
+        
+        console.log(`Camera adjusted to frame photo area: ${slot.width}x${slot.height} (aspect ratio: ${(slot.width / slot.height).toFixed(2)})`);
+    }
+
+    isMultiShotSession() {
+        return this.frameSlots.length > 1;
+    }
+
+    isMultiShotComplete() {
+        return this.capturedShots.length >= this.frameSlots.length;
+    }
+
+    getUploadImages() {
+        // Upload the unfiltered captures; the selected filter is rendered server-side
+        if (this.isMultiShotSession()) {
+            return [...this.capturedShots];
+        }
+        return [this.originalImage];
+    }
+
     resetFrameSelection() {
         // Reset to first available frame
         const firstFrame = document.querySelector('.frame-option');
@@ -1308,7 +1414,18 @@ class PhotoBooth {
         console.log('Selected printer:', printerName);
     }
 
-    async printPhoto() {
+    /**
+     * Print options (printer, copies, media, colorMode, fitToPage) saved on the system page
+     */
+    getPrintOptions() {
+        try {
+            return JSON.parse(localStorage.getItem('viennaPrintOptions')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async printPhoto(extraData = {}) {
         const currentImage = this.getCurrentFilteredImage();
         if (!currentImage) {
             this.showError('No photo to print');
@@ -1326,11 +1443,14 @@ class PhotoBooth {
             
             // Prepare data for printing
             const printData = {
-                image: currentImage,
-                frame_id: this.selectedFrame
+                images: this.getUploadImages(),
+                filter: this.currentPreviewFilter,
+                frame_id: this.selectedFrame,
+                ...this.getPrintOptions(),
+                ...extraData
             };
             
-            console.log('Printing with current filtered image');
+            console.log('Printing with filter:', printData.filter);
             
             // Send to server
             const response = await fetch('/api/print', {
@@ -1347,8 +1467,13 @@ class PhotoBooth {
                 this.showSuccess(result.message);
                 // Keep both preview and print sections visible
                 this.showPreviewAndPrintSections();
-                // Refresh print queue
-                await this.loadPrintQueue();
+                // Let the guest scan the download link while the print comes out
+                if (result.share) {
+                    this.showShareQrCode(result.share);
+                }
+                // Follow the queued job until the printer has it
+                this.trackPrintJob(result.jobId).catch(console.error);
+                return result;
             } else {
                 this.showError(result.error || 'Printing failed');
             }
@@ -1360,18 +1485,121 @@ class PhotoBooth {
             this.hideLoading();
             this.printBtn.disabled = false;
         }
+        
+        return null;
+    }
+
+    showShareQrCode(share) {
+        if (!this.sharePanel || !this.shareQrCode) return;
+        
+        this.shareQrCode.src = share.qrPath;
+        this.sharePanel.style.display = 'block';
+        
+        clearTimeout(this.shareHideTimer);
+        this.shareHideTimer = setTimeout(() => this.hideShareQrCode(), this.shareDisplayTime);
+    }
+
+    hideShareQrCode() {
+        clearTimeout(this.shareHideTimer);
+        if (this.sharePanel) {
+            this.sharePanel.style.display = 'none';
+        }
+    }
+
+    async trackPrintJob(jobId) {
+        const messages = {
+            queued: 'Print job queued...',
+            converting: 'Preparing print...',
+            submitted: 'Sent to printer...',
+            printing: 'Printing...',
+            done: 'Photo printed!'
+        };
+        let lastState = null;
+        
+        const job = await this.followPrintJob(jobId, (job) => {
+            if (job.state === lastState) return;
+            lastState = job.state;
+            
+            if (job.state === 'failed') {
+                this.showError(`Printing failed: ${job.error || 'Unknown error'}`);
+            } else {
+                const retryNote = job.state === 'queued' && job.error ? ` (retrying after: ${job.error})` : '';
+                this.showSuccess(messages[job.state] + retryNote);
+            }
+        }, (job) => job.state === 'done' || job.state === 'failed');
+        
+        if (!job) {
+            this.showError('No word from the printer for 5 minutes, please check it');
+        }
+        return job;
+    }
+
+    async waitForPrintSubmission(jobId) {
+        // Resolve once the job reached the printer (or failed for good)
+        const job = await this.followPrintJob(jobId, () => {}, (job) => !['queued', 'converting'].includes(job.state));
+        if (!job) {
+            throw new Error('Timed out waiting for the printer');
+        }
+        return job;
+    }
+
+    followPrintJob(jobId, onUpdate, isFinished, maxWait = 5 * 60 * 1000) {
+        // Follow a print job through live job events until isFinished(job), or null after maxWait
+        return new Promise((resolve) => {
+            let settled = false;
+            let timer = null;
+            let unsubscribeJob = null;
+            let unsubscribeConnection = null;
+            
+            const finish = (job) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                unsubscribeJob();
+                unsubscribeConnection();
+                resolve(job);
+            };
+            
+            const handleJob = (job) => {
+                if (settled || !job || job.id !== jobId) return;
+                onUpdate(job);
+                if (isFinished(job)) {
+                    finish(job);
+                }
+            };
+            
+            // Fetch the current state (on start and after reconnects) for events missed in between
+            const refresh = async () => {
+                try {
+                    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+                    const data = await response.json();
+                    if (data.success) {
+                        handleJob(data.job);
+                    }
+                } catch (error) {
+                    console.error('Failed to get print job status:', error);
+                }
+            };
+            
+            unsubscribeJob = this.liveUpdates.on('job', (data) => handleJob(data.job));
+            unsubscribeConnection = this.liveUpdates.onConnectionChange((connected) => {
+                if (connected) refresh();
+            });
+            timer = setTimeout(() => finish(null), maxWait);
+            refresh();
+        });
     }
 
-    async processOnly() {
+    async processOnly(extraData = {}) {
         const currentImage = this.getCurrentFilteredImage();
         if (!currentImage) {
             this.showError('No photo to process');
-            return;
+            return null;
         }
 
         if (!this.selectedFrame) {
             this.showError('Please select a frame before processing');
-            return;
+            return null;
         }
 
         try {
@@ -1380,11 +1608,13 @@ class PhotoBooth {
             
             // Prepare data for processing
             const processData = {
-                image: currentImage,
-                frame_id: this.selectedFrame
+                images: this.getUploadImages(),
+                filter: this.currentPreviewFilter,
+                frame_id: this.selectedFrame,
+                ...extraData
             };
             
-            console.log('Processing with current filtered image');
+            console.log('Processing with filter:', processData.filter);
             
             // Send to server
             const response = await fetch('/api/process', {
@@ -1401,6 +1631,7 @@ class PhotoBooth {
                 this.showSuccess(result.message);
                 // Keep both preview and print sections visible
                 this.showPreviewAndPrintSections();
+                return result;
             } else {
                 this.showError(result.error || 'Processing failed');
             }
@@ -1412,6 +1643,8 @@ class PhotoBooth {
             this.hideLoading();
             this.processOnlyBtn.disabled = false;
         }
+        
+        return null;
     }
 
     downloadPhoto() {
@@ -1479,15 +1712,42 @@ class PhotoBooth {
     }
 
     startMonitoring() {
-        // Monitor server health every 30 seconds
-        setInterval(() => {
-            this.checkServerHealth().catch(console.error);
-        }, 30000);
+        // The server pushes changes over the live update stream instead of being polled
+        this.liveUpdates.onConnectionChange((connected) => {
+            if (connected) {
+                this.updateServerStatus('online', 'Server Online');
+                // Catch up on anything missed while disconnected
+                this.loadPrintQueue().catch(console.error);
+            } else {
+                this.updateServerStatus('offline', 'Server Unreachable');
+            }
+        });
+        
+        this.liveUpdates.on('printers', (data) => this.renderPrinterState(data.printers));
+        this.liveUpdates.on('print-queue', (data) => this.renderPrintQueue(data.queue));
+        this.liveUpdates.on('frames', () => this.refreshFrames().catch(console.error));
+        
+        this.liveUpdates.connect();
+    }
+
+    renderPrinterState(printers) {
+        if (printers.length === 0) {
+            this.updatePrinterStatus('offline', 'No printers available');
+            return;
+        }
+        
+        const printer = printers.find(entry => entry.name === this.selectedPrinter) || printers[0];
+        this.updatePrinterStatus(printer.enabled ? 'online' : 'offline', `Printer: ${printer.name} (${printer.status})`);
+    }
+
+    async refreshFrames() {
+        await this.loadFrames();
         
-        // Monitor print queue every 10 seconds
-        setInterval(() => {
-            this.loadPrintQueue().catch(console.error);
-        }, 10000);
+        // Keep the current frame highlighted after the list was rebuilt
+        const selectedOption = this.selectedFrame && document.querySelector(`[data-frame="${this.selectedFrame}"]`);
+        if (selectedOption) {
+            selectedOption.classList.add('active');
+        }
     }
 
     updateServerStatus(status, text) {
@@ -1737,7 +1997,27 @@ class PhotoBooth {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
-    async oneClickPhoto() {
+    async runRemoteSession(trigger) {
+        // Run a one-click session requested over the booth socket
+        if (this.isProcessing || (this.oneClickBtn && this.oneClickBtn.disabled)) {
+            this.boothSocket.sessionFailed(trigger.sessionId, 'Booth is busy');
+            return;
+        }
+        
+        this.boothSocket.sessionStarted(trigger.sessionId);
+        const result = await this.oneClickPhoto({
+            preset: trigger.preset,
+            frameId: trigger.frameId,
+            filter: trigger.filter,
+            sessionId: trigger.sessionId
+        });
+        
+        if (!result.success) {
+            this.boothSocket.sessionFailed(trigger.sessionId, result.error);
+        }
+    }
+
+    async oneClickPhoto(options = {}) {
         try {
             // Disable the button to prevent multiple clicks
             this.oneClickBtn.disabled = true;
@@ -1752,28 +2032,43 @@ class PhotoBooth {
                 await this.loadFrames();
             }
             
-            // Step 2: Select the second frame (index 1)
-            if (this.frames.length < 2) {
-                throw new Error('At least 2 frames are required for one-click photo');
+            // Step 2: Use the session preset (sent with remote triggers, otherwise the active one)
+            const preset = options.preset || await this.loadActivePreset();
+            this.updateOneClickStatus(`Using preset: ${preset.name}`, 'info');
+            
+            // Step 3: Select the requested frame, the preset frame or the first frame
+            const frameId = options.frameId || preset.frameId;
+            let frame;
+            if (frameId) {
+                frame = this.frames.find(item => item.id === frameId);
+                if (!frame) {
+                    // The frame may have been uploaded after the last refresh
+                    await this.loadFrames();
+                    frame = this.frames.find(item => item.id === frameId);
+                }
+                if (!frame) {
+                    throw new Error(`Frame not found: ${frameId}`);
+                }
+            } else {
+                if (this.frames.length === 0) {
+                    throw new Error('No frames available for one-click photo');
+                }
+                frame = this.frames[0];
             }
+            this.updateOneClickStatus(`Selected frame: ${frame.name}`, 'info');
+            await this.selectFrame(frame.id);
             
-            const secondFrame = this.frames[1];
-            this.updateOneClickStatus(`Selected frame: ${secondFrame.name}`, 'info');
-            
-            // Step 3: Select the frame
-            await this.selectFrame(secondFrame.id);
-            
-            // Step 4: Set black & white filter
-            this.selectFilter('blackwhite');
-            this.updateOneClickStatus('Applied black & white filter', 'info');
+            // Step 4: Set the filter
+            const filter = options.filter || preset.filter || 'none';
+            this.selectFilter(filter);
+            this.updateOneClickStatus(`Applied ${filter} filter`, 'info');
             
             // Step 5: Start camera
             this.updateOneClickStatus('Starting camera...', 'info');
             await this.startCamera();
             
-            // Step 6: Wait 3 seconds for camera to stabilize
-            this.updateOneClickStatus('Camera ready, taking photo in 3 seconds...', 'info');
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            // Step 6: Count down while the camera stabilizes
+            await this.runOneClickCountdown(preset.countdown, 'Camera ready, taking photo');
             
             // Step 6.5: Additional check to ensure video is ready
             this.updateOneClickStatus('Checking video readiness...', 'info');
@@ -1819,10 +2114,21 @@ class PhotoBooth {
                 console.warn('Video readiness check timed out, but attempting to take photo anyway');
             }
             
-            // Step 7: Take photo
+            // Step 7: Take photo (the preset's shots, at most one per photo window; the server repeats them to fill the rest)
+            // Saved presets are checked against their frame, a preset on the first frame may still ask for more
+            const shotCount = Math.min(preset.shots || this.frameSlots.length, this.frameSlots.length);
+            if (preset.shots > shotCount) {
+                this.updateOneClickStatus(`This frame has ${shotCount} photo window${shotCount === 1 ? '' : 's'}, taking ${shotCount} of the preset's ${preset.shots} shots`, 'info');
+                await new Promise(resolve => setTimeout(resolve, 1500));
+            }
             this.updateOneClickStatus('Taking photo...', 'info');
             await this.takePhoto();
             
+            while (this.isMultiShotSession() && this.capturedShots.length < shotCount) {
+                await this.runOneClickCountdown(preset.countdown, `Next shot (${this.capturedShots.length + 1}/${shotCount})`);
+                await this.takePhoto();
+            }
+            
             // Step 7.5: Verify photo was captured
             this.updateOneClickStatus('Verifying photo capture...', 'info');
             if (!this.capturedImage) {
@@ -1834,25 +2140,76 @@ class PhotoBooth {
             this.updateOneClickStatus('Processing photo...', 'info');
             await new Promise(resolve => setTimeout(resolve, 500));
             
-            // Step 9: Print the photo
+            const uploadData = { filter: filter };
+            if (options.sessionId) {
+                uploadData.session_id = options.sessionId;
+            }
+            
+            // Step 9: Save the photo without printing when the preset turns auto-print off
+            if (!preset.autoPrint) {
+                this.updateOneClickStatus('Saving photo...', 'info');
+                const processResult = await this.processOnly(uploadData);
+                if (!processResult) {
+                    throw new Error('Processing request failed');
+                }
+                
+                this.updateOneClickStatus('Photo saved! Returning to Photo Booth...', 'success');
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                this.resetOneClickProcess();
+                this.showFrameSection();
+                
+                return { success: true, filename: processResult.filename, jobId: null };
+            }
+            
+            // Step 10: Print the photo with the preset's copies and printer
             this.updateOneClickStatus('Printing photo...', 'info');
-            await this.printPhoto();
+            const printResult = await this.printPhoto({
+                ...uploadData,
+                preset: preset.id,
+                copies: preset.copies,
+                ...(preset.printer ? { printer: preset.printer } : {})
+            });
+            if (!printResult) {
+                throw new Error('Print request failed');
+            }
             
-            // Step 10: Wait for print job to be sent
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            // Step 11: Wait for the print job to reach the printer
+            this.updateOneClickStatus('Sending photo to printer...', 'info');
+            const job = await this.waitForPrintSubmission(printResult.jobId);
+            if (job.state === 'failed') {
+                throw new Error(`Printing failed: ${job.error || 'Unknown error'}`);
+            }
             
-            // Step 11: Return to main page (frame selection)
-            this.updateOneClickStatus('Photo printed! Returning to Photo Booth...', 'success');
+            // Step 12: Return to main page (frame selection)
+            this.updateOneClickStatus('Photo sent to printer! Returning to Photo Booth...', 'success');
             await new Promise(resolve => setTimeout(resolve, 2000));
             
             // Reset everything and show frame section
             this.resetOneClickProcess();
             this.showFrameSection();
             
+            return { success: true, filename: printResult.filename, jobId: printResult.jobId };
         } catch (error) {
             console.error('One-click photo failed:', error);
             this.updateOneClickStatus(`Error: ${error.message}`, 'error');
             this.resetOneClickProcess();
+            return { success: false, error: error.message };
+        }
+    }
+    
+    async loadActivePreset() {
+        const response = await fetch('/api/presets/active');
+        const result = await response.json();
+        if (!response.ok || !result.preset) {
+            throw new Error(result.error || 'Could not load the session preset');
+        }
+        return result.preset;
+    }
+    
+    async runOneClickCountdown(seconds, label) {
+        for (let remaining = seconds; remaining > 0; remaining--) {
+            this.updateOneClickStatus(`${label} in ${remaining}...`, 'info');
+            await new Promise(resolve => setTimeout(resolve, 1000));
         }
     }
     
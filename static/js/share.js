@@ -0,0 +1,54 @@
+/**
+ * Vienna Photo Booth - Guest Download Page
+ * Shows and downloads the one photo a share link points at
+ */
+
+class SharePage {
+    constructor() {
+        this.token = window.location.pathname.split('/').filter(Boolean).pop();
+        this.photoImg = document.getElementById('sharePhoto');
+        this.downloadLink = document.getElementById('shareDownload');
+        this.statusText = document.getElementById('shareStatus');
+        this.titleText = document.getElementById('shareTitle');
+        
+        this.loadPhoto();
+    }
+
+    async loadPhoto() {
+        try {
+            const response = await fetch(`/api/share/${encodeURIComponent(this.token)}`);
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(response.status === 404
+                    ? 'This photo is no longer available.'
+                    : (data.error || 'Could not load the photo'));
+            }
+            
+            const photo = data.photo;
+            if (photo.eventName) {
+                this.titleText.textContent = `Your photo from ${photo.eventName}`;
+            }
+            
+            this.photoImg.onload = () => {
+                this.photoImg.style.display = '';
+                this.statusText.textContent = this.formatDate(photo.created);
+            };
+            this.photoImg.src = photo.previewPath;
+            
+            this.downloadLink.href = photo.downloadPath;
+            this.downloadLink.style.display = '';
+        } catch (error) {
+            console.error('Failed to load shared photo:', error);
+            this.statusText.textContent = error.message;
+        }
+    }
+
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleString();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new SharePage();
+});
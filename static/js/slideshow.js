@@ -0,0 +1,281 @@
+/**
+ * Vienna Photo Booth - Slideshow
+ * Wall display cycling through recent photos; new photos are shown as soon as
+ * the server announces them. Kiosk settings can be set in the page URL:
+ * event, interval (seconds), shuffle, qr, title and logo.
+ */
+
+class Slideshow {
+    constructor() {
+        this.params = new URLSearchParams(window.location.search);
+        this.event = this.params.get('event') || 'active';
+        this.images = []; // oldest first
+        this.queue = []; // new photos, shown before the rest
+        this.order = []; // photos left in the current round
+        this.current = null;
+        this.cursor = null;
+        this.settings = null;
+        this.timer = null;
+        this.pollTimer = null;
+        this.fetchTimer = null;
+        this.showToken = 0; // only the latest showNext() may swap slides
+        this.pollInterval = 15000; // without the event stream
+        this.liveUpdates = new LiveUpdates();
+
+        this.layers = [document.getElementById('slideA'), document.getElementById('slideB')];
+        this.activeLayer = 0;
+        this.emptyState = document.getElementById('slideshowEmpty');
+        this.branding = document.getElementById('slideshowBranding');
+        this.logoImg = document.getElementById('slideshowLogo');
+        this.titleText = document.getElementById('slideshowTitle');
+        this.qrPanel = document.getElementById('slideshowQr');
+        this.qrImg = document.getElementById('slideshowQrCode');
+
+        this.start();
+    }
+
+    async start() {
+        try {
+            await this.load();
+        } catch (error) {
+            console.error('Failed to load slideshow:', error);
+            // The TV may come up before the server does
+            setTimeout(() => this.start(), this.pollInterval);
+            return;
+        }
+
+        this.liveUpdates.on('gallery', (data) => this.onGalleryChange(data));
+        this.liveUpdates.on('events', () => {
+            if (this.event === 'active') {
+                this.reload();
+            }
+        });
+        this.liveUpdates.onConnectionChange((connected) => {
+            if (connected) {
+                this.stopPolling();
+                // Catch up on photos taken while disconnected
+                this.scheduleFetch();
+            } else {
+                this.startPolling();
+            }
+        });
+        this.liveUpdates.connect();
+
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+        }
+
+        this.showNext();
+    }
+
+    async fetchSlides(since = null) {
+        const params = new URLSearchParams({ event: this.event });
+        if (since) params.set('since', since);
+
+        const response = await fetch(`/api/slideshow?${params}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to load slideshow');
+        }
+        return data;
+    }
+
+    async load() {
+        const data = await this.fetchSlides();
+
+        this.images = data.images;
+        this.cursor = data.cursor;
+        this.queue = [];
+        this.order = [];
+        this.applySettings(data.settings);
+        this.renderBranding(data.event);
+    }
+
+    async reload() {
+        try {
+            await this.load();
+            this.showNext();
+        } catch (error) {
+            console.error('Failed to reload slideshow:', error);
+        }
+    }
+
+    async fetchNew() {
+        if (!this.cursor) {
+            // Nothing was shown yet, start over
+            return this.reload();
+        }
+
+        const data = await this.fetchSlides(this.cursor);
+        this.cursor = data.cursor;
+        if (data.images.length === 0) {
+            return;
+        }
+
+        const showNow = this.queue.length === 0;
+        this.images.push(...data.images);
+        this.queue.push(...data.images.map(image => image.filename));
+
+        // Keep the most recent photos only
+        const excess = this.images.length - this.settings.limit;
+        if (excess > 0) {
+            this.removeImages(this.images.slice(0, excess).map(image => image.filename));
+        }
+
+        if (showNow) {
+            this.showNext();
+        }
+    }
+
+    scheduleFetch() {
+        // Several photos often arrive together, fetch once for all of them
+        clearTimeout(this.fetchTimer);
+        this.fetchTimer = setTimeout(() => {
+            this.fetchNew().catch(error => console.error('Failed to fetch new photos:', error));
+        }, 300);
+    }
+
+    onGalleryChange(data) {
+        if (data.action === 'added') {
+            this.scheduleFetch();
+        } else if (data.action === 'deleted') {
+            const showsDeleted = data.filenames.includes(this.current);
+            this.removeImages(data.filenames);
+            if (showsDeleted) {
+                this.showNext();
+            }
+        }
+    }
+
+    removeImages(filenames) {
+        const removed = new Set(filenames);
+        this.images = this.images.filter(image => !removed.has(image.filename));
+        this.queue = this.queue.filter(filename => !removed.has(filename));
+        this.order = this.order.filter(filename => !removed.has(filename));
+    }
+
+    startPolling() {
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.scheduleFetch(), this.pollInterval);
+        }
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    applySettings(defaults) {
+        // URL parameters override the server defaults for this screen
+        const params = this.params;
+        const flag = (name, fallback) => params.has(name) ? params.get(name) !== 'false' : fallback;
+        const seconds = parseFloat(params.get('interval'));
+
+        this.settings = {
+            interval: seconds > 0 ? Math.max(seconds, 2) * 1000 : defaults.interval,
+            shuffle: flag('shuffle', defaults.shuffle),
+            qr: flag('qr', defaults.qr),
+            title: params.has('title') ? params.get('title') : defaults.title,
+            logo: params.has('logo') ? params.get('logo') : defaults.logo,
+            limit: defaults.limit
+        };
+    }
+
+    renderBranding(event) {
+        const title = this.settings.title || (event ? event.name : '');
+        this.titleText.textContent = title;
+
+        if (this.settings.logo) {
+            this.logoImg.src = this.settings.logo;
+            this.logoImg.style.display = '';
+        } else {
+            this.logoImg.style.display = 'none';
+        }
+
+        this.branding.style.display = title || this.settings.logo ? '' : 'none';
+    }
+
+    nextImage() {
+        while (this.queue.length > 0) {
+            const image = this.findImage(this.queue.shift());
+            if (image) return image;
+        }
+
+        if (this.order.length === 0) {
+            this.order = this.images.map(image => image.filename);
+            if (this.settings.shuffle) {
+                this.shuffle(this.order);
+            }
+            // Don't show the same photo twice in a row when a round starts over
+            if (this.order.length > 1 && this.order[0] === this.current) {
+                this.order.push(this.order.shift());
+            }
+        }
+
+        return this.findImage(this.order.shift());
+    }
+
+    findImage(filename) {
+        return this.images.find(image => image.filename === filename) || null;
+    }
+
+    shuffle(list) {
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+    }
+
+    async showNext() {
+        clearTimeout(this.timer);
+        const token = ++this.showToken;
+        const image = this.nextImage();
+
+        if (!image) {
+            this.showEmptyState();
+        } else if (image.filename !== this.current) {
+            const layer = this.layers[1 - this.activeLayer];
+            layer.src = image.imagePath;
+            try {
+                // Decode before fading so slow devices don't show a half-drawn photo
+                await layer.decode();
+            } catch (error) {
+                console.warn(`Could not load ${image.filename}:`, error);
+            }
+
+            if (token !== this.showToken) {
+                return;
+            }
+
+            layer.classList.add('active');
+            this.layers[this.activeLayer].classList.remove('active');
+            this.activeLayer = 1 - this.activeLayer;
+            this.current = image.filename;
+            this.emptyState.style.display = 'none';
+            this.renderQrCode(image);
+        }
+
+        this.timer = setTimeout(() => this.showNext(), this.settings.interval);
+    }
+
+    renderQrCode(image) {
+        if (this.settings.qr && image.share) {
+            this.qrImg.src = image.share.qrPath;
+            this.qrPanel.style.display = '';
+        } else {
+            this.qrPanel.style.display = 'none';
+        }
+    }
+
+    showEmptyState() {
+        this.layers.forEach(layer => layer.classList.remove('active'));
+        this.current = null;
+        this.qrPanel.style.display = 'none';
+        this.emptyState.style.display = '';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new Slideshow();
+});
@@ -22,6 +22,7 @@ class SystemManager {
         this.systemMemory = document.getElementById('systemMemory');
         this.systemCPU = document.getElementById('systemCPU');
         this.systemPlatform = document.getElementById('systemPlatform');
+        this.systemFrameCache = document.getElementById('systemFrameCache');
         this.configEnv = document.getElementById('configEnv');
         this.configQuality = document.getElementById('configQuality');
         this.configMaxSize = document.getElementById('configMaxSize');
@@ -39,11 +40,53 @@ class SystemManager {
         this.refreshPrintersBtn = document.getElementById('refreshPrinters');
         this.printQueue = document.getElementById('printQueue');
         
+        // Print options
+        this.printMediaSelect = document.getElementById('printMedia');
+        this.printColorModeSelect = document.getElementById('printColorMode');
+        this.printCopiesInput = document.getElementById('printCopies');
+        this.printFitToPageInput = document.getElementById('printFitToPage');
+        this.savePrintOptionsBtn = document.getElementById('savePrintOptions');
+        this.printOptionsStatus = document.getElementById('printOptionsStatus');
+        
+        // Session presets
+        this.presetSelect = document.getElementById('presetSelect');
+        this.activatePresetBtn = document.getElementById('activatePreset');
+        this.newPresetBtn = document.getElementById('newPreset');
+        this.presetNameInput = document.getElementById('presetName');
+        this.presetFrameSelect = document.getElementById('presetFrame');
+        this.presetFilterSelect = document.getElementById('presetFilter');
+        this.presetCountdownInput = document.getElementById('presetCountdown');
+        this.presetShotsInput = document.getElementById('presetShots');
+        this.presetAutoPrintInput = document.getElementById('presetAutoPrint');
+        this.presetShareQrInput = document.getElementById('presetShareQr');
+        this.presetCopiesInput = document.getElementById('presetCopies');
+        this.presetPrinterSelect = document.getElementById('presetPrinter');
+        this.savePresetBtn = document.getElementById('savePreset');
+        this.deletePresetBtn = document.getElementById('deletePreset');
+        this.presetStatus = document.getElementById('presetStatus');
+        
+        // Events
+        this.eventSelect = document.getElementById('eventSelect');
+        this.activateEventBtn = document.getElementById('activateEvent');
+        this.deactivateEventBtn = document.getElementById('deactivateEvent');
+        this.newEventBtn = document.getElementById('newEvent');
+        this.activeEventInfo = document.getElementById('activeEventInfo');
+        this.eventNameInput = document.getElementById('eventName');
+        this.eventDateInput = document.getElementById('eventDate');
+        this.eventVenueInput = document.getElementById('eventVenue');
+        this.eventFrameSelect = document.getElementById('eventFrame');
+        this.eventPresetSelect = document.getElementById('eventPreset');
+        this.saveEventBtn = document.getElementById('saveEvent');
+        this.closeEventBtn = document.getElementById('closeEvent');
+        this.eventGalleryLink = document.getElementById('eventGalleryLink');
+        this.eventStatus = document.getElementById('eventStatus');
+        
         // Frame management - Upload
         this.frameUpload = document.getElementById('frameUpload');
         this.selectFrameFileBtn = document.getElementById('selectFrameFile');
         this.uploadFrameBtn = document.getElementById('uploadFrame');
         this.uploadStatus = document.getElementById('uploadStatus');
+        this.uploadPreview = document.getElementById('uploadPreview');
         
         // Frame management - Gallery
         this.frameGallery = document.getElementById('frameGallery');
@@ -64,6 +107,16 @@ class SystemManager {
         // Frame data
         this.frames = [];
         this.filteredFrames = [];
+        
+        // Printer and preset data
+        this.printers = [];
+        this.presets = [];
+        this.editingPresetId = null; // null while creating a new preset
+        this.events = [];
+        this.editingEventId = null; // null while creating a new event
+        
+        // Server push channel for printer, queue, cleanup and frame changes
+        this.liveUpdates = new LiveUpdates();
     }
 
     bindEvents() {
@@ -74,6 +127,22 @@ class SystemManager {
         // Printer management
         this.refreshPrintersBtn.addEventListener('click', () => this.loadPrinters());
         this.printerSelect.addEventListener('change', (e) => this.selectPrinter(e.target.value));
+        this.savePrintOptionsBtn.addEventListener('click', () => this.savePrintOptions());
+        
+        // Session presets
+        this.presetSelect.addEventListener('change', (e) => this.editPreset(e.target.value));
+        this.activatePresetBtn.addEventListener('click', () => this.activatePreset());
+        this.newPresetBtn.addEventListener('click', () => this.newPreset());
+        this.savePresetBtn.addEventListener('click', () => this.savePreset());
+        this.deletePresetBtn.addEventListener('click', () => this.deletePreset());
+        
+        // Events
+        this.eventSelect.addEventListener('change', (e) => this.editEvent(e.target.value));
+        this.activateEventBtn.addEventListener('click', () => this.activateEvent());
+        this.deactivateEventBtn.addEventListener('click', () => this.deactivateEvent());
+        this.newEventBtn.addEventListener('click', () => this.newEvent());
+        this.saveEventBtn.addEventListener('click', () => this.saveEvent());
+        this.closeEventBtn.addEventListener('click', () => this.closeEvent());
         
         // Frame management - Upload
         this.selectFrameFileBtn.addEventListener('click', () => this.frameUpload.click());
@@ -109,6 +178,14 @@ class SystemManager {
             // Load frame gallery
             await this.loadFrameGallery();
             
+            // Load session presets (uses the loaded frames and printers)
+            await this.loadPresetChoices();
+            await this.loadPresets();
+            
+            // Load events (uses the loaded frames and presets)
+            this.loadEventChoices();
+            await this.loadEvents();
+            
             // Start monitoring
             this.startMonitoring();
             
@@ -153,6 +230,7 @@ class SystemManager {
             this.systemMemory.textContent = this.formatBytes(system.memory.used) + ' / ' + this.formatBytes(system.memory.total);
             this.systemCPU.textContent = system.cpu.cores + ' cores';
             this.systemPlatform.textContent = system.platform + ' (' + system.arch + ')';
+            this.systemFrameCache.textContent = system.frameCache.frames + ' frames, ' + this.formatBytes(system.frameCache.decodedBytes) + ' / ' + this.formatBytes(system.frameCache.maxBytes);
             
             // Update configuration
             this.configEnv.textContent = config.config.server.environment;
@@ -170,12 +248,7 @@ class SystemManager {
             const data = await response.json();
             
             if (data.success) {
-                const stats = data.stats;
-                
-                // Update cleanup information
-                this.uploadFileCount.textContent = stats.fileCount;
-                this.uploadTotalSize.textContent = stats.totalSizeFormatted;
-                this.uploadOldestFile.textContent = stats.oldestFileAge || 'No files';
+                this.renderCleanupStats(data.stats);
                 
                 // Clear any previous status
                 this.cleanupStatus.textContent = '';
@@ -194,6 +267,12 @@ class SystemManager {
         }
     }
 
+    renderCleanupStats(stats) {
+        this.uploadFileCount.textContent = stats.fileCount;
+        this.uploadTotalSize.textContent = stats.totalSizeFormatted;
+        this.uploadOldestFile.textContent = stats.oldestFileAge || 'No files';
+    }
+
     async runCleanup() {
         try {
             // Disable button during cleanup
@@ -246,6 +325,8 @@ class SystemManager {
             const data = await response.json();
             
             if (data.success && data.printers.length > 0) {
+                this.printers = data.printers;
+                
                 // Clear existing options
                 this.printerSelect.innerHTML = '';
                 
@@ -257,8 +338,16 @@ class SystemManager {
                     this.printerSelect.appendChild(option);
                 });
                 
+                // Keep the printer the print options were saved for
+                const savedOptions = this.getSavedPrintOptions();
+                if (savedOptions.printer && data.printers.some(printer => printer.name === savedOptions.printer)) {
+                    this.printerSelect.value = savedOptions.printer;
+                }
+                
                 // Update printer status
-                this.updatePrinterStatus('online', `Printer: ${data.printers[0].name}`);
+                this.updatePrinterStatus('online', `Printer: ${this.printerSelect.value}`);
+                
+                await this.loadPrinterCapabilities(this.printerSelect.value);
                 
             } else {
                 this.updatePrinterStatus('offline', 'No printers available');
@@ -280,23 +369,45 @@ class SystemManager {
             const response = await fetch('/api/print-queue');
             const data = await response.json();
             
-            if (data.success && data.queue.length > 0) {
-                this.printQueue.innerHTML = data.queue.map(job => `
-                    <div class="queue-item">
-                        <span class="job-id">${job.jobId}</span>
-                        <span class="job-status">${job.status}</span>
-                        <button class="btn btn-small" onclick="systemManager.cancelPrintJob('${job.jobId}')">Cancel</button>
-                    </div>
-                `).join('');
-            } else {
-                this.printQueue.innerHTML = '<span class="queue-empty">No jobs in queue</span>';
-            }
+            this.renderPrintQueue(data.success ? data.queue : []);
         } catch (error) {
             console.error('Failed to load print queue:', error);
             this.printQueue.innerHTML = '<span class="queue-empty">Error loading queue</span>';
         }
     }
 
+    renderPrintQueue(queue) {
+        if (queue.length > 0) {
+            this.printQueue.innerHTML = queue.map(job => `
+                <div class="queue-item">
+                    <span class="job-id">${job.jobId}</span>
+                    <span class="job-status">${job.status}</span>
+                    <button class="btn btn-small" onclick="systemManager.cancelPrintJob('${job.jobId}')">Cancel</button>
+                </div>
+            `).join('');
+        } else {
+            this.printQueue.innerHTML = '<span class="queue-empty">No jobs in queue</span>';
+        }
+    }
+
+    renderPrinterState(printers) {
+        if (printers.length === 0) {
+            this.updatePrinterStatus('offline', 'No printers available');
+            return;
+        }
+        
+        const printer = printers.find(entry => entry.name === this.printerSelect.value) || printers[0];
+        this.updatePrinterStatus(printer.enabled ? 'online' : 'offline', `Printer: ${printer.name} (${printer.status})`);
+        
+        // Refresh the status shown next to each printer name
+        Array.from(this.printerSelect.options).forEach(option => {
+            const entry = printers.find(candidate => candidate.name === option.value);
+            if (entry) {
+                option.textContent = `${entry.name} (${entry.status})`;
+            }
+        });
+    }
+
     async loadFrameGallery() {
         try {
             if (this.frameLoading) {
@@ -436,6 +547,7 @@ class SystemManager {
 
     handleFrameFileSelect(event) {
         const file = event.target.files[0];
+        this.showUploadPreview(null);
         if (!file) {
             this.selectedFrameFile = null;
             this.uploadFrameBtn.disabled = true;
@@ -491,7 +603,16 @@ class SystemManager {
                 this.frameUpload.value = '';
                 this.selectedFrameFile = null;
                 this.uploadFrameBtn.disabled = true;
-                this.showUploadStatus('', '');
+                
+                // Report what was found in the frame, with a sample photo in it
+                const warnings = data.warnings || [];
+                if (warnings.length > 0) {
+                    this.showUploadStatus(`⚠️ ${warnings.join(' · ')}`, 'warning');
+                } else {
+                    const windows = data.frame.placement.slots.length;
+                    this.showUploadStatus(`✅ ${windows} photo window${windows === 1 ? '' : 's'} detected`, 'success');
+                }
+                this.showUploadPreview(data.preview);
                 
                 // Refresh frame gallery
                 await this.loadFrameGallery();
@@ -509,6 +630,15 @@ class SystemManager {
         }
     }
 
+    showUploadPreview(src) {
+        this.uploadPreview.hidden = !src;
+        if (src) {
+            this.uploadPreview.src = src;
+        } else {
+            this.uploadPreview.removeAttribute('src');
+        }
+    }
+
     showUploadStatus(message, type = '') {
         this.uploadStatus.textContent = message;
         this.uploadStatus.className = 'status-message';
@@ -538,28 +668,576 @@ class SystemManager {
 
     selectPrinter(printerName) {
         console.log('Selected printer:', printerName);
+        this.loadPrinterCapabilities(printerName).catch(console.error);
     }
 
-    startMonitoring() {
-        // Monitor server health every 30 seconds
-        setInterval(() => {
-            this.checkServerHealth().catch(console.error);
-        }, 30000);
+    async loadPrinterCapabilities(printerName) {
+        if (!printerName) {
+            return;
+        }
         
-        // Monitor system info every 60 seconds
+        try {
+            const response = await fetch(`/api/printers/${encodeURIComponent(printerName)}/capabilities`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load printer capabilities');
+            }
+            
+            const capabilities = data.capabilities;
+            const savedOptions = this.getSavedPrintOptions();
+            const samePrinter = savedOptions.printer === printerName;
+            
+            this.fillCapabilitySelect(this.printMediaSelect, capabilities.media, samePrinter ? savedOptions.media : '');
+            this.fillCapabilitySelect(this.printColorModeSelect, capabilities.colorMode, samePrinter ? savedOptions.colorMode : '');
+            
+            this.printCopiesInput.max = capabilities.copies.max;
+            this.printCopiesInput.value = samePrinter && savedOptions.copies ? savedOptions.copies : 1;
+            this.printFitToPageInput.disabled = !capabilities.fitToPage;
+            this.printFitToPageInput.checked = samePrinter && !!savedOptions.fitToPage;
+            
+            this.showPrintOptionsStatus('');
+        } catch (error) {
+            console.error('Failed to load printer capabilities:', error);
+            this.fillCapabilitySelect(this.printMediaSelect, null, '');
+            this.fillCapabilitySelect(this.printColorModeSelect, null, '');
+            this.showPrintOptionsStatus('Could not load printer capabilities', 'error');
+        }
+    }
+
+    fillCapabilitySelect(select, capability, selectedValue) {
+        select.innerHTML = '<option value="">Printer default</option>';
+        select.disabled = !capability;
+        
+        if (!capability) {
+            return;
+        }
+        
+        capability.choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = choice === capability.default ? `${choice} (default)` : choice;
+            select.appendChild(option);
+        });
+        
+        if (capability.choices.includes(selectedValue)) {
+            select.value = selectedValue;
+        }
+    }
+
+    getSavedPrintOptions() {
+        try {
+            return JSON.parse(localStorage.getItem('viennaPrintOptions')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    savePrintOptions() {
+        const printer = this.printerSelect.value;
+        if (!printer) {
+            this.showPrintOptionsStatus('Select a printer first', 'error');
+            return;
+        }
+        
+        const copies = parseInt(this.printCopiesInput.value, 10);
+        const maxCopies = parseInt(this.printCopiesInput.max, 10);
+        if (!(copies >= 1) || (maxCopies && copies > maxCopies)) {
+            this.showPrintOptionsStatus(`Copies must be between 1 and ${maxCopies || 1}`, 'error');
+            return;
+        }
+        
+        const printOptions = { printer, copies };
+        if (this.printMediaSelect.value) {
+            printOptions.media = this.printMediaSelect.value;
+        }
+        if (this.printColorModeSelect.value) {
+            printOptions.colorMode = this.printColorModeSelect.value;
+        }
+        if (this.printFitToPageInput.checked) {
+            printOptions.fitToPage = true;
+        }
+        
+        localStorage.setItem('viennaPrintOptions', JSON.stringify(printOptions));
+        this.showPrintOptionsStatus(`Print options saved for ${printer}`, 'success');
+    }
+
+    showPrintOptionsStatus(message, type = '') {
+        this.printOptionsStatus.textContent = message;
+        this.printOptionsStatus.className = 'status-message';
+        if (type) {
+            this.printOptionsStatus.className += ` ${type}`;
+        }
+    }
+
+    async loadPresets(refreshForm = true) {
+        try {
+            const response = await fetch('/api/presets');
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load presets');
+            }
+            
+            this.presets = data.presets;
+            this.renderPresetPicker();
+            
+            const editing = this.presets.find(preset => preset.id === this.editingPresetId);
+            if (!refreshForm && (editing || this.editingPresetId === null)) {
+                // Changed elsewhere: keep the form as the user left it
+                if (editing) {
+                    this.presetSelect.value = editing.id;
+                    this.activatePresetBtn.disabled = editing.active;
+                }
+                return;
+            }
+            
+            // Keep editing the same preset, otherwise show the active one
+            this.editPreset(editing ? editing.id : data.activeId);
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+            this.presetSelect.innerHTML = '<option value="">Error loading presets</option>';
+        }
+    }
+
+    renderPresetPicker() {
+        this.presetSelect.innerHTML = '';
+        
+        this.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.active ? `${preset.name} (active)` : preset.name;
+            this.presetSelect.appendChild(option);
+        });
+    }
+
+    async loadPresetChoices() {
+        // Frames
+        this.presetFrameSelect.innerHTML = '<option value="">First frame</option>';
+        this.frames.forEach(frame => {
+            const option = document.createElement('option');
+            option.value = frame.id;
+            option.textContent = frame.name;
+            this.presetFrameSelect.appendChild(option);
+        });
+        
+        // Printers
+        this.presetPrinterSelect.innerHTML = '<option value="">Default printer</option>';
+        this.printers.forEach(printer => {
+            const option = document.createElement('option');
+            option.value = printer.name;
+            option.textContent = printer.name;
+            this.presetPrinterSelect.appendChild(option);
+        });
+        
+        // Filters
+        try {
+            const response = await fetch('/api/filters');
+            const data = await response.json();
+            
+            this.presetFilterSelect.innerHTML = '';
+            data.filters.forEach(filter => {
+                const option = document.createElement('option');
+                option.value = filter.name;
+                option.textContent = filter.label || filter.name;
+                this.presetFilterSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load filters:', error);
+        }
+    }
+
+    editPreset(presetId) {
+        const preset = this.presets.find(item => item.id === presetId);
+        if (!preset) {
+            return;
+        }
+        
+        this.editingPresetId = preset.id;
+        this.presetSelect.value = preset.id;
+        this.presetNameInput.value = preset.name;
+        this.presetFrameSelect.value = preset.frameId || '';
+        this.presetFilterSelect.value = preset.filter || 'none';
+        this.presetCountdownInput.value = preset.countdown;
+        this.presetShotsInput.value = preset.shots || '';
+        this.presetAutoPrintInput.checked = preset.autoPrint;
+        this.presetShareQrInput.checked = !!preset.shareQr;
+        this.presetCopiesInput.value = preset.copies;
+        this.presetPrinterSelect.value = preset.printer || '';
+        this.activatePresetBtn.disabled = preset.active;
+        this.deletePresetBtn.disabled = this.presets.length <= 1;
+        this.showPresetStatus('');
+    }
+
+    newPreset() {
+        this.editingPresetId = null;
+        this.presetNameInput.value = '';
+        this.presetFrameSelect.value = '';
+        this.presetFilterSelect.value = 'none';
+        this.presetCountdownInput.value = 3;
+        this.presetShotsInput.value = '';
+        this.presetAutoPrintInput.checked = true;
+        this.presetShareQrInput.checked = false;
+        this.presetCopiesInput.value = 1;
+        this.presetPrinterSelect.value = '';
+        this.deletePresetBtn.disabled = true;
+        this.presetNameInput.focus();
+        this.showPresetStatus('Fill in the settings and save to create a preset');
+    }
+
+    getPresetFormData() {
+        return {
+            name: this.presetNameInput.value.trim(),
+            frameId: this.presetFrameSelect.value || null,
+            filter: this.presetFilterSelect.value || 'none',
+            countdown: parseInt(this.presetCountdownInput.value, 10) || 0,
+            shots: parseInt(this.presetShotsInput.value, 10) || null,
+            autoPrint: this.presetAutoPrintInput.checked,
+            shareQr: this.presetShareQrInput.checked,
+            copies: parseInt(this.presetCopiesInput.value, 10) || 1,
+            printer: this.presetPrinterSelect.value || null
+        };
+    }
+
+    async savePreset() {
+        const creating = !this.editingPresetId;
+        
+        try {
+            this.savePresetBtn.disabled = true;
+            
+            const response = await fetch(creating ? '/api/presets' : `/api/presets/${this.editingPresetId}`, {
+                method: creating ? 'POST' : 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(this.getPresetFormData())
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to save preset');
+            }
+            
+            this.editingPresetId = result.preset.id;
+            await this.loadPresets();
+            this.showPresetStatus(result.message, 'success');
+        } catch (error) {
+            this.showPresetStatus(error.message, 'error');
+        } finally {
+            this.savePresetBtn.disabled = false;
+        }
+    }
+
+    async activatePreset() {
+        const presetId = this.presetSelect.value;
+        if (!presetId) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/presets/${presetId}/activate`, { method: 'POST' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to activate preset');
+            }
+            
+            await this.loadPresets();
+            this.showPresetStatus(result.message, 'success');
+        } catch (error) {
+            this.showPresetStatus(error.message, 'error');
+        }
+    }
+
+    async deletePreset() {
+        const preset = this.presets.find(item => item.id === this.editingPresetId);
+        if (!preset || !confirm(`Are you sure you want to delete the preset "${preset.name}"?`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/presets/${preset.id}`, { method: 'DELETE' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to delete preset');
+            }
+            
+            this.editingPresetId = null;
+            await this.loadPresets();
+            this.showPresetStatus(result.message, 'success');
+        } catch (error) {
+            this.showPresetStatus(error.message, 'error');
+        }
+    }
+
+    showPresetStatus(message, type = '') {
+        this.presetStatus.textContent = message;
+        this.presetStatus.className = 'status-message';
+        if (type) {
+            this.presetStatus.className += ` ${type}`;
+        }
+    }
+
+    async loadEvents(refreshForm = true) {
+        try {
+            const response = await fetch('/api/events');
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load events');
+            }
+            
+            this.events = data.events;
+            this.renderEventPicker();
+            
+            const editing = this.events.find(event => event.id === this.editingEventId);
+            if (!refreshForm && this.editingEventId === null) {
+                // Creating an event: keep the form as the user left it
+                return;
+            }
+            
+            // Keep editing the same event, otherwise show the active (or newest) one
+            const fallback = this.events.find(event => event.active) || this.events[0];
+            if (editing || fallback) {
+                this.editEvent(editing ? editing.id : fallback.id, refreshForm);
+            } else {
+                this.newEvent();
+            }
+        } catch (error) {
+            console.error('Failed to load events:', error);
+            this.eventSelect.innerHTML = '<option value="">Error loading events</option>';
+        }
+    }
+
+    renderEventPicker() {
+        this.eventSelect.innerHTML = '';
+        
+        this.events.forEach(event => {
+            const option = document.createElement('option');
+            option.value = event.id;
+            option.textContent = event.name;
+            if (event.active) {
+                option.textContent += ' (active)';
+            } else if (event.state === 'closed') {
+                option.textContent += ' (closed)';
+            }
+            this.eventSelect.appendChild(option);
+        });
+        
+        const active = this.events.find(event => event.active);
+        this.activeEventInfo.textContent = active
+            ? `New photos are saved under "${active.name}"`
+            : 'No active event: new photos are saved without an event';
+        this.deactivateEventBtn.disabled = !active;
+    }
+
+    loadEventChoices() {
+        // Frames
+        this.eventFrameSelect.innerHTML = '<option value="">From preset</option>';
+        this.frames.forEach(frame => {
+            const option = document.createElement('option');
+            option.value = frame.id;
+            option.textContent = frame.name;
+            this.eventFrameSelect.appendChild(option);
+        });
+        
+        // Presets
+        this.eventPresetSelect.innerHTML = '<option value="">Active preset</option>';
+        this.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            this.eventPresetSelect.appendChild(option);
+        });
+    }
+
+    editEvent(eventId, refreshForm = true) {
+        const event = this.events.find(item => item.id === eventId);
+        if (!event) {
+            return;
+        }
+        
+        this.editingEventId = event.id;
+        this.eventSelect.value = event.id;
+        this.activateEventBtn.disabled = event.active || event.state === 'closed';
+        this.closeEventBtn.disabled = event.state === 'closed';
+        this.eventGalleryLink.href = `/gallery?event=${encodeURIComponent(event.id)}`;
+        this.eventGalleryLink.style.display = '';
+        
+        if (!refreshForm) {
+            // Changed elsewhere: keep the form as the user left it
+            return;
+        }
+        
+        this.eventNameInput.value = event.name;
+        this.eventDateInput.value = event.date || '';
+        this.eventVenueInput.value = event.venue || '';
+        this.eventFrameSelect.value = event.frameId || '';
+        this.eventPresetSelect.value = event.presetId || '';
+        this.showEventStatus('');
+    }
+
+    newEvent() {
+        this.editingEventId = null;
+        this.eventNameInput.value = '';
+        this.eventDateInput.value = new Date().toISOString().slice(0, 10);
+        this.eventVenueInput.value = '';
+        this.eventFrameSelect.value = '';
+        this.eventPresetSelect.value = '';
+        this.activateEventBtn.disabled = true;
+        this.closeEventBtn.disabled = true;
+        this.eventGalleryLink.style.display = 'none';
+        this.eventNameInput.focus();
+        this.showEventStatus('Fill in the details and save to create an event');
+    }
+
+    getEventFormData() {
+        return {
+            name: this.eventNameInput.value.trim(),
+            date: this.eventDateInput.value || null,
+            venue: this.eventVenueInput.value.trim() || null,
+            frameId: this.eventFrameSelect.value || null,
+            presetId: this.eventPresetSelect.value || null
+        };
+    }
+
+    async saveEvent() {
+        const creating = !this.editingEventId;
+        
+        try {
+            this.saveEventBtn.disabled = true;
+            
+            const response = await fetch(creating ? '/api/events' : `/api/events/${this.editingEventId}`, {
+                method: creating ? 'POST' : 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(this.getEventFormData())
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to save event');
+            }
+            
+            this.editingEventId = result.event.id;
+            await this.loadEvents();
+            this.showEventStatus(result.message, 'success');
+        } catch (error) {
+            this.showEventStatus(error.message, 'error');
+        } finally {
+            this.saveEventBtn.disabled = false;
+        }
+    }
+
+    async activateEvent() {
+        const eventId = this.eventSelect.value;
+        if (!eventId) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/events/${eventId}/activate`, { method: 'POST' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to activate event');
+            }
+            
+            await this.loadEvents();
+            this.showEventStatus(result.message, 'success');
+        } catch (error) {
+            this.showEventStatus(error.message, 'error');
+        }
+    }
+
+    async deactivateEvent() {
+        try {
+            const response = await fetch('/api/events/active', { method: 'DELETE' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to stop event');
+            }
+            
+            await this.loadEvents();
+            this.showEventStatus(result.message, 'success');
+        } catch (error) {
+            this.showEventStatus(error.message, 'error');
+        }
+    }
+
+    async closeEvent() {
+        const event = this.events.find(item => item.id === this.editingEventId);
+        if (!event || !confirm(`Close the event "${event.name}"? No more photos can be added to it.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/events/${event.id}/close`, { method: 'POST' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to close event');
+            }
+            
+            await this.loadEvents();
+            this.showEventStatus(result.message, 'success');
+        } catch (error) {
+            this.showEventStatus(error.message, 'error');
+        }
+    }
+
+    showEventStatus(message, type = '') {
+        this.eventStatus.textContent = message;
+        this.eventStatus.className = 'status-message';
+        if (type) {
+            this.eventStatus.className += ` ${type}`;
+        }
+    }
+
+    startMonitoring() {
+        // Monitor system info (memory, uptime) every 60 seconds
         setInterval(() => {
             this.loadSystemInfo().catch(console.error);
         }, 60000);
         
-        // Monitor print queue every 10 seconds
-        setInterval(() => {
-            this.loadPrintQueue().catch(console.error);
-        }, 10000);
+        // Everything else is pushed by the server over the live update stream
+        this.liveUpdates.onConnectionChange((connected) => {
+            if (connected) {
+                // Catch up on anything missed while disconnected
+                this.checkServerHealth().catch(console.error);
+                this.loadPrintQueue().catch(console.error);
+                this.loadCleanupStats().catch(console.error);
+            } else {
+                this.updateServerStatus('offline', 'Server Unreachable');
+                this.serverStatusValue.textContent = 'Unreachable';
+            }
+        });
         
-        // Monitor cleanup stats every 5 minutes
-        setInterval(() => {
-            this.loadCleanupStats().catch(console.error);
-        }, 300000);
+        this.liveUpdates.on('printers', (data) => this.renderPrinterState(data.printers));
+        this.liveUpdates.on('print-queue', (data) => this.renderPrintQueue(data.queue));
+        this.liveUpdates.on('cleanup', (data) => this.renderCleanupStats(data.stats));
+        this.liveUpdates.on('gallery', () => this.loadCleanupStats().catch(console.error));
+        this.liveUpdates.on('frames', () => {
+            this.loadFrameGallery()
+                .then(() => this.filterFrames(this.frameSearch.value))
+                .then(() => this.loadPresetChoices())
+                .then(() => this.editPreset(this.editingPresetId))
+                .then(() => this.loadEventChoices())
+                .then(() => this.editEvent(this.editingEventId))
+                .catch(console.error);
+        });
+        this.liveUpdates.on('presets', () => {
+            this.loadPresets(false)
+                .then(() => this.loadEventChoices())
+                .then(() => this.editEvent(this.editingEventId))
+                .catch(console.error);
+        });
+        this.liveUpdates.on('events', () => this.loadEvents(false).catch(console.error));
+        
+        this.liveUpdates.connect();
     }
 
     updateServerStatus(status, text) {
@@ -0,0 +1,57 @@
+/**
+ * Gallery controller tests
+ * Reprints and reprocessing of stored photos
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const photoIndex = require('../../src/services/PhotoIndex');
+const GalleryController = require('../../src/controllers/GalleryController');
+const { createResponse } = require('../helpers');
+
+describe('GalleryController', () => {
+    let controller;
+
+    beforeEach(() => {
+        controller = new GalleryController();
+        photoIndex.photos = new Map([
+            ['photo_1.jpg', { filename: 'photo_1.jpg', eventId: null, frameId: 'frame_1', filter: null }]
+        ]);
+    });
+
+    it('refuses to reprint unknown photos and crafted printer names', async () => {
+        let res = createResponse();
+        await controller.printImage({ params: { filename: 'missing.jpg' }, body: {} }, res);
+        assert.equal(res.statusCode, 404);
+
+        res = createResponse();
+        await controller.printImage({ params: { filename: 'photo_1.jpg' }, body: { printer: '-o evil' } }, res);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid printer name');
+    });
+
+    it('answers 409 when the original capture was not kept', async () => {
+        const res = createResponse();
+        await controller.reprocessImage({ params: { filename: 'photo_1.jpg' }, body: { filter: 'sepia' } }, res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.success, false);
+    });
+
+    it('refuses crafted frame IDs before looking for the frame', async () => {
+        photoIndex.photos.get('photo_1.jpg').originals = ['photo_1_original_1.jpg'];
+        const looked = [];
+        controller.frameManager.frameExists = async (frameId) => {
+            looked.push(frameId);
+            return true;
+        };
+
+        for (const frameId of ['../../etc/passwd', '.hidden', { id: 'frame_1' }]) {
+            const res = createResponse();
+            await controller.reprocessImage({ params: { filename: 'photo_1.jpg' }, body: { frame_id: frameId } }, res);
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.error, 'Invalid frame ID');
+        }
+        assert.deepEqual(looked, []);
+    });
+});
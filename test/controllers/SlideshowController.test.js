@@ -0,0 +1,65 @@
+/**
+ * Slideshow controller tests
+ * The first request returns the most recent photos, later ones only what is new
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const photoIndex = require('../../src/services/PhotoIndex');
+const SlideshowController = require('../../src/controllers/SlideshowController');
+const { createResponse } = require('../helpers');
+
+function createRequest(query) {
+    return { query, protocol: 'http', get: () => 'booth.local:5000' };
+}
+
+function addPhoto(filename, createdAt) {
+    photoIndex.photos.set(filename, { filename, eventId: null, createdAt, size: 100, shareToken: null });
+}
+
+describe('SlideshowController', () => {
+    let controller;
+
+    beforeEach(() => {
+        controller = new SlideshowController();
+        photoIndex.photos = new Map();
+        addPhoto('photo_1.jpg', '2026-06-01T10:00:00.000Z');
+        addPhoto('photo_2.jpg', '2026-06-01T10:01:00.000Z');
+        addPhoto('photo_3.jpg', '2026-06-01T10:02:00.000Z');
+    });
+
+    it('starts with the most recent photos, oldest first', async () => {
+        const res = createResponse();
+        await controller.getSlides(createRequest({ event: 'all', limit: '2' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.images.map(image => image.filename), ['photo_2.jpg', 'photo_3.jpg']);
+        assert.equal(res.body.images[0].imagePath, '/api/gallery/thumb/photo_2.jpg?size=medium');
+    });
+
+    it('returns only the photos taken after the cursor', async () => {
+        let res = createResponse();
+        await controller.getSlides(createRequest({ event: 'all' }), res);
+        const cursor = res.body.cursor;
+
+        addPhoto('photo_4.jpg', '2026-06-01T10:03:00.000Z');
+        res = createResponse();
+        await controller.getSlides(createRequest({ event: 'all', since: cursor }), res);
+        assert.deepEqual(res.body.images.map(image => image.filename), ['photo_4.jpg']);
+
+        const next = res.body.cursor;
+        res = createResponse();
+        await controller.getSlides(createRequest({ event: 'all', since: next }), res);
+        assert.deepEqual(res.body.images, []);
+    });
+
+    it('refuses unknown events and cursors', async () => {
+        let res = createResponse();
+        await controller.getSlides(createRequest({ event: 'missing' }), res);
+        assert.equal(res.statusCode, 404);
+
+        res = createResponse();
+        await controller.getSlides(createRequest({ since: 'not-a-cursor' }), res);
+        assert.equal(res.statusCode, 400);
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Minimal Express response recording status and body
+ */
+function createResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+module.exports = { createResponse };
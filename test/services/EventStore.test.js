@@ -0,0 +1,52 @@
+/**
+ * Event store tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const config = require('../../src/config/config');
+const eventStore = require('../../src/services/EventStore');
+
+describe('EventStore.validateEvent', () => {
+    it('accepts a complete event', async () => {
+        const errors = await eventStore.validateEvent({
+            name: 'Anna & Max',
+            date: '2026-06-20',
+            venue: 'Palais Ferstel',
+            frameId: null,
+            presetId: null
+        });
+
+        assert.deepEqual(errors, []);
+    });
+
+    it('only checks the fields sent with an update', async () => {
+        assert.deepEqual(await eventStore.validateEvent({ venue: 'Hofburg' }, true), []);
+        assert.deepEqual(await eventStore.validateEvent({ venue: 'Hofburg' }), ['Name is required (at most 80 characters)']);
+    });
+
+    it('rejects bad dates, unknown frames and unknown presets', async () => {
+        const errors = await eventStore.validateEvent({
+            name: 'Gala',
+            date: '20.06.2026',
+            frameId: '../../etc/passwd',
+            presetId: 'missing'
+        });
+
+        assert.deepEqual(errors, [
+            'Date must be formatted as YYYY-MM-DD',
+            'Unknown frame: ../../etc/passwd',
+            'Unknown preset: missing'
+        ]);
+    });
+});
+
+describe('EventStore photo directories', () => {
+    it('stores event photos in their own folder and the rest in the uploads root', () => {
+        assert.equal(eventStore.getPhotoDirectory(null), config.uploadPath);
+        assert.equal(eventStore.getPhotoDirectory('abc123'), path.join(config.uploadPath, 'events', 'abc123'));
+        assert.equal(eventStore.getPhotoUrl('photo.jpg', 'abc123'), '/uploads/events/abc123/photo.jpg');
+        assert.equal(eventStore.getPhotoUrl('photo.jpg'), '/uploads/photo.jpg');
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Face detector tests
+ * The model itself is optional; these cover what happens around it
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const faceDetector = require('../../src/services/FaceDetector');
+
+describe('FaceDetector', () => {
+    it('reports no faces when detection is off', async () => {
+        assert.equal(faceDetector.enabled, false);
+        assert.deepEqual(await faceDetector.detect(Buffer.alloc(0)), []);
+    });
+
+    it('keeps the strongest of overlapping boxes above the threshold', () => {
+        const scores = [0.1, 0.9, 0.2, 0.8, 0.05, 0.95, 0.7, 0.3];
+        const boxes = [
+            0.10, 0.10, 0.30, 0.40, // face
+            0.12, 0.11, 0.31, 0.42, // same face, weaker
+            0.60, 0.20, 0.80, 0.50, // second face
+            0.00, 0.00, 1.00, 1.00 // background
+        ];
+
+        const faces = faceDetector.suppress(faceDetector.getCandidates(scores, boxes));
+        assert.deepEqual(faces.map(face => face.score), [0.95, 0.9]);
+        assert.equal(faces[1].x1, 0.1);
+    });
+
+    it('runs the model on the photo and reports faces in photo pixels', async () => {
+        const photo = await sharp({ create: { width: 400, height: 200, channels: 3, background: '#808080' } }).jpeg().toBuffer();
+        const feeds = [];
+        faceDetector.enabled = true;
+        faceDetector.model = Promise.resolve({
+            ort: { Tensor: function (type, data, dims) { Object.assign(this, { type, data, dims }); } },
+            session: {
+                inputNames: ['input'],
+                outputNames: ['scores', 'boxes'],
+                run: async (feed) => {
+                    feeds.push(feed.input);
+                    return {
+                        scores: { data: new Float32Array([0.1, 0.9, 0.8, 0.2]) },
+                        boxes: { data: new Float32Array([0.25, 0.5, 0.5, 1, 0, 0, 1, 1]) }
+                    };
+                }
+            }
+        });
+
+        try {
+            assert.deepEqual(await faceDetector.detect(photo), [{ left: 100, top: 100, width: 100, height: 100, score: 0.9 }]);
+            assert.deepEqual(feeds[0].dims, [1, 3, faceDetector.inputHeight, faceDetector.inputWidth]);
+            // Grey 128 is normalized to (128 - 127) / 128
+            assert.ok(Math.abs(feeds[0].data[0] - 1 / 128) < 0.02);
+        } finally {
+            faceDetector.enabled = false;
+            faceDetector.model = null;
+        }
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Filter registry tests
+ * Server filters have to match the booth's canvas filters (static/js/script.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const FilterRegistry = require('../../src/services/FilterRegistry');
+
+// Canvas version of the old camera filter for one pixel
+function canvasOldCamera([r, g, b]) {
+    const gray = r * 0.299 + g * 0.587 + b * 0.114;
+    const tinted = [
+        Math.min(255, (gray * 0.393 + gray * 0.769 + gray * 0.189) * 0.3 + gray * 0.7),
+        Math.min(255, (gray * 0.349 + gray * 0.686 + gray * 0.168) * 0.3 + gray * 0.7),
+        Math.min(255, (gray * 0.272 + gray * 0.534 + gray * 0.131) * 0.3 + gray * 0.7)
+    ];
+    return tinted.map(value => Math.min(255, Math.max(0, (value - 128) * 1.2 + 128)) * 0.9);
+}
+
+describe('FilterRegistry', () => {
+    const filters = new FilterRegistry();
+
+    it('renders old camera highlights and shadows like the canvas filter', async () => {
+        for (const color of [[255, 255, 255], [230, 220, 200], [128, 128, 128], [10, 10, 10]]) {
+            const photo = await sharp({ create: { width: 1, height: 1, channels: 3, background: { r: color[0], g: color[1], b: color[2] } } })
+                .png()
+                .toBuffer();
+            const { data } = await filters.apply(photo, 'oldcamera');
+
+            canvasOldCamera(color).forEach((expected, channel) => {
+                assert.ok(Math.abs(data[channel] - expected) <= 2, `${color} channel ${channel}: ${data[channel]} vs ${expected.toFixed(1)}`);
+            });
+        }
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Frame cache tests
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const frameCache = require('../../src/services/FrameCache');
+
+const framesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-cache-'));
+
+// Opaque frame with a transparent window (the window is cut out with dest-out)
+async function writeFrame(name, width, height) {
+    const framePath = path.join(framesPath, `${name}.png`);
+    const window = await sharp({ create: { width: width / 2, height: height / 2, channels: 4, background: '#000000' } })
+        .png()
+        .toBuffer();
+    await sharp({ create: { width, height, channels: 4, background: '#336699' } })
+        .composite([{ input: window, top: height / 4, left: width / 4, blend: 'dest-out' }])
+        .png()
+        .toFile(framePath);
+    return framePath;
+}
+
+describe('FrameCache', () => {
+    let framePath;
+
+    before(async () => {
+        framePath = await writeFrame('party', 40, 20);
+    });
+
+    beforeEach(() => {
+        frameCache.entries = new Map();
+        frameCache.hits = 0;
+        frameCache.misses = 0;
+        frameCache.maxBytes = 256 * 1024 * 1024;
+    });
+
+    after(() => {
+        fs.rmSync(framesPath, { recursive: true, force: true });
+    });
+
+    it('loads a frame once and serves slots, size and pixels from memory', async () => {
+        const placement = await frameCache.getPlacement('party', framePath);
+        assert.deepEqual(placement.slots.map(slot => [slot.left, slot.top, slot.width, slot.height]), [[10, 5, 20, 10]]);
+
+        assert.deepEqual(await frameCache.getDimensions('party', framePath), { width: 40, height: 20, format: 'png' });
+        const frame = await frameCache.getFrame('party', framePath);
+        assert.equal(frame.data.length, 40 * 20 * 4);
+
+        assert.deepEqual(frameCache.getStats(), {
+            frames: 1, decodedFrames: 1, decodedBytes: 3200, masks: 0, maxBytes: 256 * 1024 * 1024, hits: 2, misses: 1
+        });
+    });
+
+    it('loads a replaced frame again', async () => {
+        await frameCache.getDimensions('party', framePath);
+        await writeFrame('party', 60, 20);
+        // The rewrite may land within the same mtime tick, the size changes either way
+        assert.equal((await frameCache.getDimensions('party', framePath)).width, 60);
+        assert.equal(frameCache.misses, 2);
+    });
+
+    it('drops the pixels of the least recently used frames beyond the limit', async () => {
+        const otherPath = await writeFrame('other', 40, 20);
+        frameCache.maxBytes = 40 * 20 * 4;
+
+        await frameCache.getFrame('other', otherPath);
+        await frameCache.getFrame('party', framePath);
+
+        assert.equal(frameCache.entries.get('other').frame, null);
+        assert.ok(frameCache.entries.get('party').frame);
+        // Slots are kept, the pixels are decoded again on demand
+        assert.equal((await frameCache.getPlacement('other', otherPath)).slots.length, 1);
+        assert.equal((await frameCache.getFrame('other', otherPath)).data.length, 3200);
+        assert.equal(frameCache.entries.get('party').frame, null);
+
+        frameCache.invalidate('other');
+        assert.equal(frameCache.getStats().frames, 1);
+    });
+});
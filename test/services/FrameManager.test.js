@@ -0,0 +1,226 @@
+/**
+ * Frame manager tests
+ * Authoring metadata is kept in a JSON sidecar next to the frame PNG
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../../src/config/config');
+const FrameManager = require('../../src/services/FrameManager');
+const ImageProcessor = require('../../src/services/ImageProcessor');
+
+describe('FrameManager metadata', () => {
+    const framesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-manager-'));
+    const frameManager = new FrameManager();
+    frameManager.customFramesFolder = framesPath;
+
+    before(async () => {
+        // Fully transparent 200x100 frame (detected as a single slot)
+        await sharp({ create: { width: 200, height: 100, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+            .png()
+            .toFile(path.join(framesPath, 'party_strip.png'));
+    });
+
+    after(() => {
+        fs.rmSync(framesPath, { recursive: true, force: true });
+    });
+
+    it('rejects slots outside the frame and unknown print sizes', () => {
+        const errors = frameManager.validateFrameSidecar({
+            tags: ['wedding', ''],
+            slots: [{ top: 0, left: 150, width: 100, height: 50 }],
+            focalPoint: { x: 1.5, y: 0.5 },
+            printSize: 'poster'
+        }, { width: 200, height: 100 });
+
+        assert.equal(errors.length, 4);
+        assert.match(errors[1], /^Slot 1: must lie within the frame \(200x100\)/);
+        assert.deepEqual(frameManager.validateFrameSidecar({ name: null, printSize: '4x6' }, { width: 200, height: 100 }), []);
+    });
+
+    it('uses the stored name and slots instead of the file name and detection', async () => {
+        assert.equal((await frameManager.getFramePlacement('party_strip')).source, 'detected');
+
+        await frameManager.updateFrameSidecar('party_strip', {
+            name: ' Party Strip ',
+            tags: ['party', 'party'],
+            slots: [
+                { top: 10, left: 10, width: 80, height: 80, focalPoint: { x: 0.5, y: 0.2 } },
+                { top: 10, left: 110, width: 80, height: 80 }
+            ],
+            focalPoint: { x: 0.3, y: 0.3 }
+        });
+        const [frame] = await frameManager.getAvailableFrames();
+        assert.equal(frame.name, 'Party Strip');
+        assert.deepEqual(frame.tags, ['party']);
+
+        const placement = await frameManager.getFramePlacement('party_strip');
+        assert.equal(placement.source, 'metadata');
+        assert.deepEqual(placement.slots.map(slot => [slot.index, slot.left, slot.focalPoint]), [
+            [0, 10, { x: 0.5, y: 0.2 }],
+            [1, 110, { x: 0.3, y: 0.3 }]
+        ]);
+
+        // Only the fields sent change, null resets one
+        await frameManager.updateFrameSidecar('party_strip', { slots: null });
+        const sidecar = await frameManager.getFrameSidecar('party_strip');
+        assert.equal(sidecar.slots, null);
+        assert.equal(sidecar.name, 'Party Strip');
+    });
+
+    it('removes the sidecar with the frame', async () => {
+        await frameManager.removeCustomFrame('party_strip');
+        assert.ok(!fs.existsSync(frameManager.getFrameSidecarPath('party_strip')));
+    });
+});
+
+describe('Masked frames', () => {
+    const framesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-mask-'));
+    const frameManager = new FrameManager();
+    frameManager.customFramesFolder = framesPath;
+    const imageProcessor = new ImageProcessor();
+    const circle = Buffer.from('<svg width="100" height="100"><circle cx="50" cy="50" r="30" fill="#fff"/></svg>');
+    let photo;
+
+    // Pixel color of a framed photo, rounded off JPEG noise
+    async function pixel(framed, left, top) {
+        const data = await framed.clone().extract({ left, top, width: 1, height: 1 }).removeAlpha().raw().toBuffer();
+        return Array.from(data, value => Math.round(value / 51) * 51);
+    }
+
+    async function applyFrame(frameId) {
+        return sharp(await (await imageProcessor.applyFrame([photo], frameId, frameManager)).png().toBuffer());
+    }
+
+    before(async () => {
+        photo = await sharp({ create: { width: 60, height: 60, channels: 3, background: '#00ff00' } }).jpeg().toBuffer();
+
+        // Red frame with a round window cut out of it
+        await sharp({ create: { width: 100, height: 100, channels: 4, background: '#ff0000' } })
+            .composite([{ input: circle, blend: 'dest-out' }])
+            .png()
+            .toFile(path.join(framesPath, 'round.png'));
+
+        // Opaque blue frame whose window comes from a mask
+        await sharp({ create: { width: 100, height: 100, channels: 4, background: '#0000ff' } })
+            .png()
+            .toFile(path.join(framesPath, 'masked.png'));
+    });
+
+    after(() => {
+        fs.rmSync(framesPath, { recursive: true, force: true });
+    });
+
+    it('clips photos to the window shape with the alpha mask', async () => {
+        // Rectangular windows cover the corners of the round window's bounding box
+        assert.deepEqual(await pixel(await applyFrame('round'), 25, 25), [0, 255, 0]);
+
+        await frameManager.updateFrameSidecar('round', { mask: 'alpha' });
+        const framed = await applyFrame('round');
+        assert.deepEqual(await pixel(framed, 25, 25), [255, 0, 0]);
+        assert.deepEqual(await pixel(framed, 50, 50), [0, 255, 0]);
+    });
+
+    it('takes the window shape and slots from a mask PNG', async () => {
+        const mask = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#000000' } })
+            .composite([{ input: circle }])
+            .png()
+            .toBuffer();
+        assert.deepEqual(await frameManager.validateFrameMask(mask, { width: 100, height: 100 }), []);
+        assert.equal((await frameManager.validateFrameMask(mask, { width: 200, height: 100 })).length, 1);
+
+        await frameManager.saveFrameMask('masked', mask);
+        const placement = await frameManager.getFramePlacement('masked');
+        assert.equal(placement.mask, 'file');
+        assert.deepEqual([placement.left, placement.top, placement.width, placement.height], [20, 20, 60, 60]);
+
+        const framed = await applyFrame('masked');
+        assert.deepEqual(await pixel(framed, 25, 25), [0, 0, 255]);
+        assert.deepEqual(await pixel(framed, 50, 50), [0, 255, 0]);
+
+        // Without its mask the frame goes back to rectangular windows
+        await frameManager.removeFrameMask('masked');
+        assert.equal((await frameManager.getFrameSidecar('masked')).mask, null);
+    });
+});
+
+describe('Frame uploads', () => {
+    const framesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-upload-'));
+    const frameManager = new FrameManager();
+    frameManager.customFramesFolder = framesPath;
+
+    // Opaque frame, optionally with a transparent window cut out of it
+    function createFrame(width, height, window) {
+        const image = sharp({ create: { width, height, channels: 4, background: '#ff0000' } });
+        if (window) {
+            const cutout = Buffer.from(`<svg width="${width}" height="${height}"><rect x="${window.left}" y="${window.top}" width="${window.width}" height="${window.height}" fill="#000"/></svg>`);
+            image.composite([{ input: cutout, blend: 'dest-out' }]);
+        }
+        return image.png().toBuffer();
+    }
+
+    after(() => {
+        fs.rmSync(framesPath, { recursive: true, force: true });
+    });
+
+    it('rejects damaged, opaque and undersized files', async () => {
+        const frame = await createFrame(400, 300, { left: 50, top: 50, width: 300, height: 200 });
+        assert.deepEqual(await frameManager.validateFrameUpload(frame), []);
+        assert.deepEqual(await frameManager.validateFrameUpload(frame.subarray(0, frame.length / 2)), ['Frame is not a readable image']);
+
+        const opaque = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#ff0000' } }).png().toBuffer();
+        assert.match((await frameManager.validateFrameUpload(opaque))[0], /alpha channel/);
+
+        const jpeg = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#ff0000' } }).jpeg().toBuffer();
+        assert.equal((await frameManager.validateFrameUpload(jpeg)).length, 3);
+    });
+
+    it('strips metadata and downscales oversized frames', async () => {
+        const frame = await sharp(await createFrame(800, 600, { left: 100, top: 100, width: 600, height: 400 }))
+            .withMetadata({ exif: { IFD0: { Copyright: 'Studio' } } })
+            .png()
+            .toBuffer();
+        const maxSize = config.frameMaxSize;
+        config.frameMaxSize = 400;
+
+        try {
+            const uploaded = await frameManager.uploadCustomFrame(frame, 'wedding.png');
+            assert.deepEqual([uploaded.width, uploaded.height], [400, 300]);
+            assert.deepEqual(uploaded.warnings, ['Frame was downscaled from 800x600 to 400x300']);
+            assert.deepEqual(uploaded.placement.slots.map(slot => [slot.left, slot.top, slot.width, slot.height]), [[50, 50, 300, 200]]);
+
+            const metadata = await sharp(path.join(framesPath, uploaded.filename)).metadata();
+            assert.equal(metadata.exif, undefined);
+        } finally {
+            config.frameMaxSize = maxSize;
+        }
+    });
+
+    it('warns when no window or only a tiny one is found', async () => {
+        const closed = await frameManager.uploadCustomFrame(await createFrame(400, 300), 'closed.png');
+        assert.match(closed.warnings[0], /^No transparent photo window was found/);
+
+        const peephole = await frameManager.uploadCustomFrame(await createFrame(400, 300, { left: 100, top: 100, width: 120, height: 110 }), 'peephole.png');
+        assert.deepEqual(peephole.warnings, ['Photo window 1 is only 120x110, photos in it will print very small']);
+    });
+
+    it('keeps no file when the windows cannot be detected', async () => {
+        const detectFramePlacement = ImageProcessor.prototype.detectFramePlacement;
+        ImageProcessor.prototype.detectFramePlacement = async () => {
+            throw new Error('Frame placement detection failed');
+        };
+
+        try {
+            const frame = await createFrame(400, 300, { left: 50, top: 50, width: 300, height: 200 });
+            await assert.rejects(frameManager.uploadCustomFrame(frame, 'broken.png'), /Could not detect the photo windows/);
+            assert.deepEqual(fs.readdirSync(framesPath).filter(file => file.startsWith('broken')), []);
+        } finally {
+            ImageProcessor.prototype.detectFramePlacement = detectFramePlacement;
+        }
+        assert.equal(frameManager.getPlacementWarnings({ slots: [] }, 400, 300).length, 1);
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Gallery exporter tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const GalleryExporter = require('../../src/services/GalleryExporter');
+const photoIndex = require('../../src/services/PhotoIndex');
+
+describe('GalleryExporter.toCsv', () => {
+    const exporter = new GalleryExporter();
+
+    it('writes a header row and one row per photo', () => {
+        const csv = exporter.toCsv([
+            { filename: 'photo_1.jpg', eventId: null, size: 1200, width: 40, height: 30, printStatus: 'done' }
+        ]);
+
+        assert.deepEqual(csv.split('\r\n'), [
+            'filename,eventId,eventName,createdAt,size,width,height,frameId,filter,printer,printStatus,source,pdfFilename,originals',
+            'photo_1.jpg,,,,1200,40,30,,,,done,,,',
+            ''
+        ]);
+    });
+
+    it('quotes separators and keeps text from being read as a formula', () => {
+        const csv = exporter.toCsv([{ filename: 'photo_1.jpg', eventName: 'Anna, "Ben"', printer: '=HYPERLINK(1)' }]);
+        const row = csv.split('\r\n')[1];
+
+        assert.equal(row, 'photo_1.jpg,,"Anna, ""Ben""",,,,,,,\'=HYPERLINK(1),,,,');
+    });
+});
+
+describe('GalleryExporter.exportPhotos', () => {
+    it('rejects when a file fails to read while archiving', async () => {
+        const exporter = new GalleryExporter();
+        // /proc/self/mem exists but reading it from the start fails (EIO)
+        const getPhotoPath = photoIndex.getPhotoPath;
+        photoIndex.getPhotoPath = () => '/proc/self/mem';
+        const output = new PassThrough();
+        output.resume();
+
+        try {
+            await assert.rejects(exporter.exportPhotos([{ filename: 'photo_1.jpg' }], output), /EIO/);
+        } finally {
+            photoIndex.getPhotoPath = getPhotoPath;
+        }
+    });
+});
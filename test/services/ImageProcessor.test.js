@@ -0,0 +1,122 @@
+/**
+ * Image processor tests
+ * Crop positioning of photos in frame slots
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const ImageProcessor = require('../../src/services/ImageProcessor');
+
+// Grey 400x200 photo with a bright detail on the right
+function createPhoto() {
+    const detail = Buffer.from('<svg width="400" height="200"><circle cx="330" cy="100" r="40" fill="#ff2200"/><circle cx="330" cy="100" r="15" fill="#00ffee"/></svg>');
+    return sharp({ create: { width: 400, height: 200, channels: 3, background: '#808080' } })
+        .composite([{ input: detail }])
+        .jpeg()
+        .toBuffer();
+}
+
+describe('ImageProcessor crops', () => {
+    const imageProcessor = new ImageProcessor();
+    const slot = { width: 100, height: 100 };
+
+    it('keeps the focal point in view as far as the photo edges allow', () => {
+        // A 400x200 photo in a square slot keeps a 200x200 area
+        assert.deepEqual(imageProcessor.getFocusCrop(400, 200, slot, { x: 0.5, y: 0.5 }), { left: 100, top: 0, width: 200, height: 200 });
+        assert.deepEqual(imageProcessor.getFocusCrop(400, 200, slot, { x: 0.3, y: 0.5 }), { left: 20, top: 0, width: 200, height: 200 });
+        assert.deepEqual(imageProcessor.getFocusCrop(400, 200, slot, { x: 1, y: 0 }), { left: 200, top: 0, width: 200, height: 200 });
+    });
+
+    it('keeps every face in view', () => {
+        const faces = [
+            { left: 20, top: 40, width: 40, height: 50 },
+            { left: 150, top: 60, width: 40, height: 50 }
+        ];
+        assert.deepEqual(imageProcessor.getFacesCrop(400, 200, slot, faces), { left: 5, top: 0, width: 200, height: 200 });
+    });
+
+    it('reports the crop sharp picked for the attention strategy', async () => {
+        const { buffer, crop } = await imageProcessor.fillSlot(await createPhoto(), slot);
+
+        assert.equal(crop.strategy, 'attention');
+        assert.deepEqual([crop.left, crop.top, crop.width, crop.height], [200, 0, 200, 200]);
+        assert.deepEqual(await sharp(buffer).metadata().then(({ width, height }) => [width, height]), [100, 100]);
+    });
+
+    it('prefers faces, then the focal point, over the crop strategy', async () => {
+        const photo = await createPhoto();
+        const focalSlot = { ...slot, focalPoint: { x: 0, y: 0.5 } };
+
+        const focused = await imageProcessor.fillSlot(photo, focalSlot);
+        assert.equal(focused.crop.strategy, 'focalPoint');
+        assert.equal(focused.crop.left, 0);
+
+        const faces = [{ left: 100, top: 50, width: 40, height: 40, score: 0.9 }];
+        const withFaces = await imageProcessor.fillSlot(photo, focalSlot, faces);
+        assert.equal(withFaces.crop.strategy, 'faces');
+        assert.equal(withFaces.crop.left, 20);
+        assert.deepEqual(withFaces.crop.faces, faces);
+    });
+
+    it('crops photos as their EXIF orientation shows them', async () => {
+        // Stored 400x200, orientation 6 shows it upright as 200x400
+        const turned = await sharp(await createPhoto()).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+        const upright = await imageProcessor.orientImage(turned);
+        const { crop } = await imageProcessor.fillSlot(upright, { ...slot, focalPoint: { x: 0.5, y: 0 } });
+
+        assert.deepEqual([crop.imageWidth, crop.imageHeight], [200, 400]);
+        assert.deepEqual([crop.left, crop.top, crop.width, crop.height], [0, 0, 200, 200]);
+    });
+});
+
+describe('ImageProcessor file names', () => {
+    it('keeps photos taken within the same second apart', () => {
+        const imageProcessor = new ImageProcessor();
+        const names = new Set(Array.from({ length: 20 }, () => imageProcessor.generateFilename()));
+
+        assert.equal(names.size, 20);
+        assert.match([...names][0], /^photo_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}_[0-9a-f]{8}\.jpg$/);
+    });
+});
+
+describe('ImageProcessor slot detection', () => {
+    const imageProcessor = new ImageProcessor();
+
+    // Opaque RGBA frame with transparent rectangles
+    function createFrame(width, height, windows) {
+        const data = Buffer.alloc(width * height * 4, 255);
+        for (const window of windows) {
+            for (let y = window.top; y < window.top + window.height; y++) {
+                for (let x = window.left; x < window.left + window.width; x++) {
+                    data[(y * width + x) * 4 + 3] = 0;
+                }
+            }
+        }
+        return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+    }
+
+    it('finds the windows of a photo strip in reading order', async () => {
+        const frame = await createFrame(200, 300, [
+            { left: 20, top: 160, width: 160, height: 120 },
+            { left: 20, top: 20, width: 160, height: 120 }
+        ]);
+
+        const placement = await imageProcessor.detectFramePlacement(frame);
+        assert.deepEqual(placement.slots.map(slot => [slot.index, slot.top]), [[0, 20], [1, 160]]);
+        assert.equal(placement.top, 20);
+    });
+
+    it('uses the entire frame when the transparency is only specks', async () => {
+        // 2x2 dots every 6px cover about 11% of the frame, each far below the speck limit
+        const dots = [];
+        for (let top = 0; top < 398; top += 6) {
+            for (let left = 0; left < 398; left += 6) {
+                dots.push({ left, top, width: 2, height: 2 });
+            }
+        }
+
+        const placement = await imageProcessor.detectFramePlacement(await createFrame(400, 400, dots));
+        assert.deepEqual(placement.slots, [{ index: 0, top: 0, left: 0, width: 400, height: 400 }]);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * PDF renderer tests
+ * Page size, margins, bleed and orientation of rendered prints
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const PdfRenderer = require('../../src/services/PdfRenderer');
+
+describe('PdfRenderer layout', () => {
+    const renderer = new PdfRenderer();
+    const settings = (options) => renderer.resolveOptions({ marginMm: 0, borderless: false, orientation: 'auto', dpi: 300, ...options });
+
+    it('lists the supported media sizes and refuses others', () => {
+        const sizes = renderer.getMediaSizes();
+        assert.deepEqual(sizes.find(size => size.name === '4x6'), { name: '4x6', label: '4x6" photo', widthInches: 4, heightInches: 6 });
+        assert.equal(sizes.find(size => size.name === 'A4').heightInches, 11.693);
+        assert.throws(() => renderer.resolveOptions({ media: 'poster' }), /Unsupported media size: poster/);
+    });
+
+    it('fits the photo inside the margins and centers it', () => {
+        // 36pt (half an inch) on each side leaves a 216x360pt box on a 4x6" page
+        const layout = renderer.getLayout({ width: 600, height: 600 }, settings({ media: '4x6', marginMm: 12.7 }));
+
+        assert.deepEqual([layout.pageWidth, layout.pageHeight], [288, 432]);
+        assert.deepEqual([layout.x, layout.y, layout.width, layout.height], [36, 108, 216, 216]);
+        assert.deepEqual([layout.pixelWidth, layout.pixelHeight], [900, 900]);
+        assert.throws(() => renderer.getLayout({ width: 600, height: 600 }, settings({ media: '2x6', marginMm: 30 })), /Margins are larger than the page/);
+    });
+
+    it('covers the page and the bleed when borderless', () => {
+        // A 2mm bleed is about 5.67pt beyond every edge
+        const layout = renderer.getLayout({ width: 400, height: 600 }, settings({ media: '4x6', borderless: true, bleedMm: 2 }));
+        const bleed = (2 / 25.4) * 72;
+
+        assert.ok(Math.abs(layout.x + bleed) < 1e-9);
+        assert.ok(Math.abs(layout.width - (288 + bleed * 2)) < 1e-9);
+        assert.ok(layout.height >= 432 + bleed * 2);
+    });
+
+    it('turns the page to the photo unless an orientation is set', () => {
+        const wide = { width: 600, height: 400 };
+
+        assert.equal(renderer.getLayout(wide, settings({ media: '5x7' })).landscape, true);
+        assert.equal(renderer.getLayout(wide, settings({ media: '5x7' })).pageWidth, 504);
+        assert.equal(renderer.getLayout(wide, settings({ media: '5x7', orientation: 'portrait' })).landscape, false);
+        assert.equal(renderer.getLayout({ width: 400, height: 600 }, settings({ media: '5x7', orientation: 'landscape' })).landscape, true);
+    });
+});
+
+describe('PdfRenderer.renderImageToPDF', () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-renderer-'));
+
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('lays out photos the way their EXIF orientation shows them', async () => {
+        // Stored landscape, orientation 6 shows it turned to portrait
+        const imagePath = path.join(folder, 'turned.jpg');
+        await sharp({ create: { width: 600, height: 400, channels: 3, background: '#808080' } })
+            .withMetadata({ orientation: 6 })
+            .jpeg()
+            .toFile(imagePath);
+
+        const result = await new PdfRenderer().renderImageToPDF(imagePath, path.join(folder, 'turned.pdf'), { media: '4x6', orientation: 'auto', dpi: 72 });
+        assert.equal(result.orientation, 'portrait');
+        assert.deepEqual(result.pageSize, { width: 288, height: 432 });
+        assert.ok(fs.statSync(result.pdfPath).size > 0);
+    });
+});
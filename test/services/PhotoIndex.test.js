@@ -0,0 +1,136 @@
+/**
+ * Photo index tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the index and the photos in a scratch folder
+const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-index-'));
+process.env.UPLOAD_PATH = path.join(tempPath, 'uploads');
+process.env.DATA_PATH = path.join(tempPath, 'data');
+
+const sharp = require('sharp');
+const photoIndex = require('../../src/services/PhotoIndex');
+
+async function writePhoto(directory, filename) {
+    fs.mkdirSync(directory, { recursive: true });
+    const filePath = path.join(directory, filename);
+    await sharp({ create: { width: 40, height: 30, channels: 3, background: '#888888' } })
+        .jpeg()
+        .toFile(filePath);
+    return filePath;
+}
+
+describe('PhotoIndex', () => {
+    before(async () => {
+        await photoIndex.initialize();
+    });
+
+    after(() => {
+        fs.rmSync(tempPath, { recursive: true, force: true });
+    });
+
+    it('records what produced a photo and its dimensions', async () => {
+        const filePath = await writePhoto(process.env.UPLOAD_PATH, 'photo_1.jpg');
+        const photo = await photoIndex.addPhoto(filePath, { frameId: 'frame_1', filter: 'sepia', source: 'print' });
+
+        assert.equal(photo.width, 40);
+        assert.equal(photo.height, 30);
+        assert.equal(photo.frameId, 'frame_1');
+        assert.equal(photo.filter, 'sepia');
+        assert.equal(photoIndex.getPhoto('photo_1.jpg').source, 'print');
+    });
+
+    it('finds a photo by its share token only', async () => {
+        const photo = photoIndex.getPhoto('photo_1.jpg');
+
+        assert.match(photo.shareToken, /^[A-Za-z0-9_-]{22}$/);
+        assert.equal(photoIndex.getPhotoByShareToken(photo.shareToken).filename, 'photo_1.jpg');
+        assert.equal(photoIndex.getPhotoByShareToken('photo_1.jpg'), null);
+    });
+
+    it('records the print outcome of the photo\'s job', async () => {
+        await photoIndex.updatePrintOutcome({ id: 'job_1', filename: 'photo_1.jpg', state: 'failed', error: 'Out of paper', printer: 'Canon' });
+
+        const photo = photoIndex.getPhoto('photo_1.jpg');
+        assert.equal(photo.jobId, 'job_1');
+        assert.equal(photo.printStatus, 'failed');
+        assert.equal(photo.printError, 'Out of paper');
+        assert.equal(photo.printer, 'Canon');
+    });
+
+    it('reconciles with the files on disk', async () => {
+        await writePhoto(path.join(process.env.UPLOAD_PATH, 'events', 'gala'), 'photo_2.jpg');
+        fs.unlinkSync(path.join(process.env.UPLOAD_PATH, 'photo_1.jpg'));
+
+        assert.deepEqual(await photoIndex.reconcile(), { added: 1, removed: 1 });
+        assert.equal(photoIndex.getPhoto('photo_1.jpg'), null);
+        assert.equal(photoIndex.getPhoto('photo_2.jpg').eventId, 'gala');
+        assert.equal(photoIndex.getPhoto('photo_2.jpg').source, 'disk');
+    });
+
+    it('keeps a photo in its folder when another folder has a file of the same name', async () => {
+        const partyPath = await writePhoto(path.join(process.env.UPLOAD_PATH, 'events', 'party'), 'photo_2.jpg');
+
+        await photoIndex.reconcile();
+        assert.equal(photoIndex.getPhoto('photo_2.jpg').eventId, 'gala');
+
+        // A photo that really moved is followed
+        fs.unlinkSync(path.join(process.env.UPLOAD_PATH, 'events', 'gala', 'photo_2.jpg'));
+        await photoIndex.reconcile();
+        assert.equal(photoIndex.getPhoto('photo_2.jpg').eventId, 'party');
+        fs.renameSync(partyPath, path.join(process.env.UPLOAD_PATH, 'events', 'gala', 'photo_2.jpg'));
+        await photoIndex.reconcile();
+    });
+
+    it('pages through photos, newest first', async () => {
+        for (const filename of ['photo_3.jpg', 'photo_4.jpg']) {
+            await photoIndex.addPhoto(await writePhoto(process.env.UPLOAD_PATH, filename));
+        }
+
+        const page = photoIndex.query({ limit: 2 });
+        assert.equal(page.total, 3);
+        assert.equal(page.hasMore, true);
+        assert.deepEqual(page.photos.map(photo => photo.filename), ['photo_4.jpg', 'photo_3.jpg']);
+
+        const next = photoIndex.query({ limit: 2, cursor: page.nextCursor });
+        assert.deepEqual(next.photos.map(photo => photo.filename), ['photo_2.jpg']);
+        assert.equal(next.hasMore, false);
+        assert.equal(next.nextCursor, null);
+    });
+
+    it('sorts by name and filters by event, print outcome and PDF', async () => {
+        await photoIndex.updatePhoto('photo_3.jpg', { printStatus: 'done', pdfFilename: 'photo_3.pdf' });
+
+        const byName = photoIndex.query({ sort: 'name', order: 'desc' });
+        assert.deepEqual(byName.photos.map(photo => photo.filename), ['photo_4.jpg', 'photo_3.jpg', 'photo_2.jpg']);
+        assert.equal(photoIndex.query({ eventId: 'gala' }).total, 1);
+        assert.deepEqual(photoIndex.query({ printed: true }).photos.map(photo => photo.filename), ['photo_3.jpg']);
+        assert.equal(photoIndex.query({ hasPdf: false }).total, 2);
+        assert.equal(photoIndex.query({ from: Date.now() + 60000 }).total, 0);
+    });
+
+    it('rejects cursors it did not hand out', () => {
+        assert.throws(() => photoIndex.query({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+    });
+
+    it('keeps the original captures with their photo and deletes them together', async () => {
+        const filePath = await writePhoto(process.env.UPLOAD_PATH, 'photo_5.jpg');
+        const capture = await sharp({ create: { width: 20, height: 20, channels: 3, background: '#444444' } }).png().toBuffer();
+        const originals = await photoIndex.saveOriginals(filePath, [capture, capture]);
+        const photo = await photoIndex.addPhoto(filePath, { originals });
+
+        assert.deepEqual(photo.originals, ['photo_5_original_1.png', 'photo_5_original_2.png']);
+        assert.equal(photo.originalsSize, capture.length * 2);
+
+        const originalPaths = photoIndex.getOriginalPaths(photo);
+        assert.ok(originalPaths.every(originalPath => fs.existsSync(originalPath)));
+
+        await photoIndex.deletePhoto('photo_5.jpg');
+        assert.ok(originalPaths.every(originalPath => !fs.existsSync(originalPath)));
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Preset store tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const presetStore = require('../../src/services/PresetStore');
+
+describe('PresetStore.validatePreset', () => {
+    it('accepts a complete preset', async () => {
+        const errors = await presetStore.validatePreset({
+            name: 'Wedding',
+            frameId: null,
+            filter: 'sepia',
+            countdown: 5,
+            shots: 3,
+            autoPrint: false,
+            copies: 2,
+            printer: 'Canon_SELPHY'
+        });
+
+        assert.deepEqual(errors, []);
+    });
+
+    it('only checks the fields sent with an update', async () => {
+        assert.deepEqual(await presetStore.validatePreset({ countdown: 0 }, true), []);
+        assert.deepEqual(await presetStore.validatePreset({ countdown: 0 }), ['Name is required (at most 60 characters)']);
+    });
+
+    it('rejects out of range numbers, unknown frames and hostile printer names', async () => {
+        const errors = await presetStore.validatePreset({
+            name: 'Broken',
+            frameId: '../../etc/passwd',
+            countdown: 31,
+            shots: 0,
+            autoPrint: 'yes',
+            copies: 1.5,
+            printer: '-o evil'
+        });
+
+        assert.deepEqual(errors, [
+            'Unknown frame: ../../etc/passwd',
+            'Countdown must be between 0 and 30 seconds',
+            'Shots must be between 1 and 10',
+            'Auto-print must be true or false',
+            'Copies must be between 1 and 10',
+            'Invalid printer name'
+        ]);
+    });
+
+    it('refuses more shots than the frame has photo windows', async () => {
+        const frameManager = presetStore.frameManager;
+        presetStore.frameManager = {
+            frameExists: async () => true,
+            getFramePlacement: async () => ({ slots: [{ index: 0 }, { index: 1 }] })
+        };
+
+        try {
+            assert.deepEqual(await presetStore.validatePreset({ frameId: 'strip', shots: 3 }, true), [
+                'Shots must be at most 2, the number of photo windows in frame strip'
+            ]);
+            assert.deepEqual(await presetStore.validatePreset({ frameId: 'strip', shots: 2 }, true), []);
+            // An update of either field is checked against the preset's other one
+            assert.equal((await presetStore.validatePreset({ frameId: 'strip' }, true, { frameId: null, shots: 4 })).length, 1);
+            assert.equal((await presetStore.validatePreset({ shots: 4 }, true, { frameId: 'strip', shots: 1 })).length, 1);
+        } finally {
+            presetStore.frameManager = frameManager;
+        }
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Print queue tests
+ * Following submitted jobs through the print backend
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const printQueue = require('../../src/services/PrintQueue');
+
+function createJob(id, printerJobId) {
+    return { id, printerJobId, state: 'submitted', updatedAt: null, history: [] };
+}
+
+describe('PrintQueue.updateSubmittedJobs', () => {
+    beforeEach(() => {
+        printQueue.save = async () => {};
+        printQueue.jobs = new Map();
+    });
+
+    it('finishes jobs once the printer no longer lists them', async () => {
+        printQueue.printerManager = { getActiveJobIds: async () => ['Printer-2'] };
+        printQueue.jobs.set('a', createJob('a', 'Printer-1'));
+        printQueue.jobs.set('b', createJob('b', 'Printer-2'));
+
+        await printQueue.updateSubmittedJobs();
+        assert.equal(printQueue.jobs.get('a').state, 'done');
+        assert.equal(printQueue.jobs.get('b').state, 'printing');
+    });
+
+    it('keeps jobs without a printer job ID submitted', async () => {
+        printQueue.printerManager = { getActiveJobIds: async () => [] };
+        printQueue.jobs.set('a', createJob('a', null));
+
+        await printQueue.updateSubmittedJobs();
+        assert.equal(printQueue.jobs.get('a').state, 'submitted');
+        assert.deepEqual(printQueue.jobs.get('a').history, []);
+    });
+});
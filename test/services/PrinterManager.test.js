@@ -0,0 +1,96 @@
+/**
+ * Printer manager tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PrinterManager = require('../../src/services/PrinterManager');
+
+const CAPABILITIES = {
+    printer: 'Canon_SELPHY',
+    media: { option: 'PageSize', label: 'Media Size', choices: ['Postcard', '4x6', '2x6'], default: 'Postcard' },
+    mediaType: null,
+    source: null,
+    quality: null,
+    colorMode: { option: 'ColorModel', label: 'Color Mode', choices: ['RGB', 'Gray'], default: 'RGB' },
+    fitToPage: true,
+    copies: { min: 1, max: 10, default: 1 }
+};
+
+describe('PrinterManager.validatePrintOptions', () => {
+    const printerManager = new PrinterManager();
+
+    it('accepts options the printer supports', () => {
+        const result = printerManager.validatePrintOptions(
+            { copies: '3', media: '2x6', colorMode: 'Gray', fitToPage: true },
+            CAPABILITIES
+        );
+
+        assert.deepEqual(result.errors, []);
+        assert.deepEqual(result.printOptions, { copies: 3, media: '2x6', colorMode: 'Gray', fitToPage: true });
+    });
+
+    it('ignores options that were not sent', () => {
+        const result = printerManager.validatePrintOptions({ media: '' }, CAPABILITIES);
+
+        assert.deepEqual(result, { errors: [], printOptions: {} });
+    });
+
+    it('rejects unsupported choices and out of range copies', () => {
+        const result = printerManager.validatePrintOptions(
+            { copies: 11, media: 'A4', colorMode: 'CMYK', fitToPage: 'yes' },
+            CAPABILITIES
+        );
+
+        assert.equal(result.errors.length, 4);
+        assert.deepEqual(result.printOptions, {});
+    });
+
+    it('rejects fractional copies', () => {
+        const result = printerManager.validatePrintOptions({ copies: 1.5 }, CAPABILITIES);
+
+        assert.match(result.errors[0], /Copies must be a whole number/);
+    });
+
+    it('rejects options the printer cannot change', () => {
+        const result = printerManager.validatePrintOptions(
+            { colorMode: 'Gray' },
+            { ...CAPABILITIES, colorMode: null }
+        );
+
+        assert.match(result.errors[0], /does not support choosing colorMode/);
+    });
+
+    it('renders the PDF at the chosen media only when it is a known size', () => {
+        assert.deepEqual(printerManager.getPdfOptions({ media: '4x6' }), { media: '4x6' });
+        assert.deepEqual(printerManager.getPdfOptions({ media: 'Postcard' }), {});
+        assert.deepEqual(printerManager.getPdfOptions({}), {});
+    });
+});
+
+describe('PrinterManager without a printer name', () => {
+    it('uses the backend default printer like printing does', async () => {
+        const printerManager = new PrinterManager();
+        const printers = [];
+        printerManager.backend = {
+            getDefaultPrinter: async () => 'Canon_SELPHY',
+            testPrinter: async (printer) => {
+                printers.push(printer);
+                return { printJob: 'Canon_SELPHY-1' };
+            },
+            getPrinterStatus: async (printer) => {
+                printers.push(printer);
+                return { name: printer, status: 'idle' };
+            },
+            getPrinterOptions: async (printer) => {
+                printers.push(printer);
+                return {};
+            }
+        };
+
+        assert.equal((await printerManager.testPrinter()).printer, 'Canon_SELPHY');
+        assert.equal((await printerManager.getPrinterStatus()).name, 'Canon_SELPHY');
+        await printerManager.getPrinterOptions();
+        assert.deepEqual(printers, ['Canon_SELPHY', 'Canon_SELPHY', 'Canon_SELPHY']);
+    });
+});
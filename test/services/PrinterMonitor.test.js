@@ -0,0 +1,66 @@
+/**
+ * Printer monitor tests
+ * Publishing printer and print queue changes
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const printerMonitor = require('../../src/services/PrinterMonitor');
+const realtimeHub = require('../../src/services/RealtimeHub');
+
+describe('PrinterMonitor', () => {
+    const publish = realtimeHub.publish;
+    let published;
+    let queue;
+    let polls;
+
+    beforeEach(() => {
+        published = [];
+        polls = 0;
+        queue = [{ id: 'Printer-1', printer: 'Printer', state: 'pending' }];
+        realtimeHub.publish = (type) => published.push(type);
+        printerMonitor.printers = null;
+        printerMonitor.queue = null;
+        printerMonitor.printerManager = {
+            getAvailablePrinters: async () => {
+                polls++;
+                return [{ name: 'Printer', status: 'idle' }];
+            },
+            // CUPS stamps every read
+            getPrintQueue: async () => queue.map(job => ({ ...job, timestamp: new Date(Date.now() + polls).toISOString() })),
+            getCupsStatus: async () => ({ backend: 'cups', running: true })
+        };
+    });
+
+    afterEach(() => {
+        printerMonitor.stop();
+        realtimeHub.publish = publish;
+    });
+
+    it('publishes only what changed, ignoring the queue timestamps', async () => {
+        await printerMonitor.poll();
+        assert.deepEqual(published, ['printers', 'print-queue']);
+        assert.deepEqual(printerMonitor.queue, [{ id: 'Printer-1', printer: 'Printer', state: 'pending' }]);
+
+        await printerMonitor.poll();
+        assert.deepEqual(published, ['printers', 'print-queue']);
+
+        queue = [];
+        await printerMonitor.poll();
+        assert.deepEqual(published, ['printers', 'print-queue', 'print-queue']);
+    });
+
+    it('polls on its interval without connected clients', async () => {
+        assert.equal(realtimeHub.getClientCount(), 0);
+        printerMonitor.interval = 10;
+
+        printerMonitor.start();
+        await new Promise(resolve => setTimeout(resolve, 60));
+        printerMonitor.stop();
+        const count = polls;
+        assert.ok(count >= 3, `polled ${count} times`);
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(polls, count);
+    });
+});
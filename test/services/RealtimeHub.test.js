@@ -0,0 +1,97 @@
+/**
+ * Realtime hub tests
+ * Client streams and heartbeats
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const realtimeHub = require('../../src/services/RealtimeHub');
+
+// Request that can close and a response that records the stream
+function connect() {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        ended: false,
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.ended = true;
+        }
+    };
+    return { req, res, client: realtimeHub.addClient(req, res) };
+}
+
+describe('RealtimeHub', () => {
+    afterEach(() => {
+        realtimeHub.stop();
+        realtimeHub.removeAllListeners();
+        realtimeHub.heartbeatMs = 25000;
+    });
+
+    it('opens an event stream and sends to every client', () => {
+        const connected = [];
+        realtimeHub.on('connect', client => connected.push(client.id));
+
+        const first = connect();
+        const second = connect();
+        assert.equal(first.res.headers['Content-Type'], 'text/event-stream');
+        assert.match(first.res.chunks[0], /^retry: \d+/);
+        assert.match(first.res.chunks[1], /event: connected\ndata: \{"clientId":\d+/);
+        assert.deepEqual(connected, [first.client.id, second.client.id]);
+
+        realtimeHub.publish('gallery', { action: 'added' });
+        for (const { res } of [first, second]) {
+            assert.match(res.chunks.at(-1), /event: gallery\ndata: \{"action":"added"/);
+        }
+    });
+
+    it('forgets clients whose request closed or whose stream broke', () => {
+        const disconnected = [];
+        realtimeHub.on('disconnect', clientId => disconnected.push(clientId));
+
+        const first = connect();
+        const second = connect();
+        first.req.emit('close');
+        assert.equal(realtimeHub.getClientCount(), 1);
+
+        second.res.write = () => {
+            throw new Error('write after end');
+        };
+        realtimeHub.publish('printers', {});
+        assert.equal(realtimeHub.getClientCount(), 0);
+        assert.deepEqual(disconnected, [first.client.id, second.client.id]);
+
+        // Removing twice is harmless
+        realtimeHub.removeClient(first.client.id);
+        assert.equal(disconnected.length, 2);
+    });
+
+    it('sends heartbeats only while clients are connected', async () => {
+        realtimeHub.heartbeatMs = 10;
+        assert.equal(realtimeHub.heartbeatInterval, null);
+
+        const { req, res } = connect();
+        assert.ok(realtimeHub.heartbeatInterval);
+        await new Promise(resolve => setTimeout(resolve, 35));
+        assert.ok(res.chunks.includes(': heartbeat\n\n'));
+
+        req.emit('close');
+        assert.equal(realtimeHub.heartbeatInterval, null);
+    });
+
+    it('closes every stream when stopped', () => {
+        const { res } = connect();
+
+        realtimeHub.stop();
+        assert.equal(res.ended, true);
+        assert.equal(realtimeHub.getClientCount(), 0);
+        assert.equal(realtimeHub.heartbeatInterval, null);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Session manager tests
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sessionManager = require('../../src/services/SessionManager');
+
+// Stands in for a booth WebSocket
+function createSocket() {
+    return {
+        messages: [],
+        closed: false,
+        send(message) {
+            this.messages.push(JSON.parse(message));
+        },
+        close() {
+            this.closed = true;
+        }
+    };
+}
+
+describe('SessionManager', () => {
+    afterEach(() => {
+        sessionManager.stop();
+        for (const booth of sessionManager.booths.values()) {
+            sessionManager.unregisterBooth(booth.id, booth.socket);
+        }
+    });
+
+    it('sends the trigger to the booth and resolves with the uploaded photo', async () => {
+        const socket = createSocket();
+        sessionManager.registerBooth('lobby', socket);
+
+        const session = sessionManager.trigger({ booth: 'lobby', frameId: 'frame_1', filter: 'sepia' });
+        assert.equal(socket.messages[0].type, 'trigger');
+        assert.equal(socket.messages[0].sessionId, session.id);
+        assert.equal(socket.messages[0].frameId, 'frame_1');
+        assert.equal(socket.messages[0].filter, 'sepia');
+
+        const waiting = sessionManager.waitForSession(session.id, 1000);
+        sessionManager.completeSession(session.id, { filename: 'photo.jpg', jobId: 'job_1' });
+
+        const result = await waiting;
+        assert.equal(result.state, 'completed');
+        assert.equal(result.filename, 'photo.jpg');
+        assert.equal(result.jobId, 'job_1');
+    });
+
+    it('refuses triggers without an idle booth', () => {
+        assert.throws(() => sessionManager.trigger({}), /No booth connected/);
+
+        sessionManager.registerBooth('lobby', createSocket());
+        sessionManager.trigger({});
+
+        assert.throws(() => sessionManager.trigger({}), /All booths are busy/);
+        assert.throws(() => sessionManager.trigger({ booth: 'bar' }), /Booth not connected/);
+    });
+
+    it('fails running sessions when the booth disconnects', () => {
+        const socket = createSocket();
+        sessionManager.registerBooth('lobby', socket);
+        const session = sessionManager.trigger({ booth: 'lobby' });
+
+        sessionManager.unregisterBooth('lobby', socket);
+
+        assert.equal(sessionManager.getSession(session.id).state, 'failed');
+        assert.equal(sessionManager.hasBooth('lobby'), false);
+    });
+
+    it('rejects unknown filters and invalid booth IDs', async () => {
+        const errors = await sessionManager.validateTrigger({ booth: 'bad id!', filter: 'bogus' });
+
+        assert.deepEqual(errors, ['Invalid booth ID', 'Unknown filter: bogus']);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Share service tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config/config');
+const ShareService = require('../../src/services/ShareService');
+
+function fakeRequest(host, protocol = 'http') {
+    return { protocol, get: (header) => (header === 'host' ? host : undefined) };
+}
+
+describe('ShareService', () => {
+    const shareService = new ShareService();
+
+    it('accepts only well-formed share tokens', () => {
+        assert.equal(shareService.isValidToken('AbCdEfGhIjKlMnOpQrSt_-'), true);
+        assert.equal(shareService.isValidToken('photo_2026.jpg'), false);
+        assert.equal(shareService.isValidToken('../../etc/passwd'), false);
+        assert.equal(shareService.isValidToken(undefined), false);
+    });
+
+    it('builds links from the LAN address and the server port', () => {
+        shareService.getLocalAddresses = () => ['10.0.0.5', '192.168.1.20'];
+
+        assert.equal(
+            shareService.getShareUrl('AbCdEfGhIjKlMnOpQrSt_-', fakeRequest('localhost:5000')),
+            `http://10.0.0.5:${config.port}/p/AbCdEfGhIjKlMnOpQrSt_-`
+        );
+        assert.equal(shareService.getBaseUrl(fakeRequest(undefined, 'https')), `https://10.0.0.5:${config.port}`);
+    });
+
+    it('takes the host guests used only when it is one of the booth\'s addresses', () => {
+        shareService.getLocalAddresses = () => ['10.0.0.5', '192.168.1.20'];
+
+        assert.equal(shareService.getBaseUrl(fakeRequest('192.168.1.20:5000')), `http://192.168.1.20:${config.port}`);
+        assert.equal(shareService.getBaseUrl(fakeRequest('evil.example:5000')), `http://10.0.0.5:${config.port}`);
+        assert.equal(shareService.getBaseUrl(fakeRequest('192.168.1.20@evil.example')), `http://10.0.0.5:${config.port}`);
+    });
+
+    it('prefers PUBLIC_URL', () => {
+        const publicUrl = config.publicUrl;
+        config.publicUrl = 'https://photos.example.com/';
+
+        try {
+            assert.equal(shareService.getBaseUrl(fakeRequest('evil.example')), 'https://photos.example.com');
+        } finally {
+            config.publicUrl = publicUrl;
+        }
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Thumbnail cache tests
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the cache in a scratch folder
+const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-cache-'));
+process.env.THUMBNAIL_PATH = path.join(tempPath, 'thumbnails');
+
+const sharp = require('sharp');
+const thumbnailCache = require('../../src/services/ThumbnailCache');
+
+async function writePhoto(filename, width, height) {
+    const filePath = path.join(tempPath, filename);
+    await sharp({ create: { width, height, channels: 3, background: '#888888' } })
+        .jpeg()
+        .toFile(filePath);
+    return filePath;
+}
+
+describe('ThumbnailCache', () => {
+    after(() => {
+        fs.rmSync(tempPath, { recursive: true, force: true });
+    });
+
+    it('generates variants that keep the aspect ratio and never upscale', async () => {
+        const sourcePath = await writePhoto('photo_1.jpg', 1600, 800);
+        await thumbnailCache.generate('photo_1.jpg', sourcePath);
+
+        const thumb = await sharp(thumbnailCache.getVariantPath('photo_1.jpg', 'thumb')).metadata();
+        const medium = await sharp(thumbnailCache.getVariantPath('photo_1.jpg', 'medium')).metadata();
+        assert.deepEqual([thumb.width, thumb.height], [400, 200]);
+        assert.deepEqual([medium.width, medium.height], [1200, 600]);
+
+        const smallPath = await writePhoto('photo_2.jpg', 300, 200);
+        const variantPath = await thumbnailCache.getVariant('photo_2.jpg', smallPath, 'medium');
+        const small = await sharp(variantPath).metadata();
+        assert.deepEqual([small.width, small.height], [300, 200]);
+    });
+
+    it('rejects unknown sizes', async () => {
+        await assert.rejects(
+            thumbnailCache.getVariant('photo_1.jpg', path.join(tempPath, 'photo_1.jpg'), 'huge'),
+            /Unknown thumbnail size: huge/
+        );
+    });
+
+    it('removes variants of photos that are gone', async () => {
+        const result = await thumbnailCache.removeOrphans(['photo_2.jpg']);
+
+        assert.equal(result.deletedCount, 2);
+        assert.equal(fs.existsSync(thumbnailCache.getVariantPath('photo_1.jpg', 'thumb')), false);
+        assert.equal(fs.existsSync(thumbnailCache.getVariantPath('photo_2.jpg', 'medium')), true);
+    });
+});
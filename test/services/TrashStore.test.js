@@ -0,0 +1,135 @@
+/**
+ * Trash store tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the trash and the photos in a scratch folder
+const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-store-'));
+process.env.UPLOAD_PATH = path.join(tempPath, 'uploads');
+process.env.DATA_PATH = path.join(tempPath, 'data');
+
+const sharp = require('sharp');
+const photoIndex = require('../../src/services/PhotoIndex');
+const trashStore = require('../../src/services/TrashStore');
+
+async function addPhoto(filename, background = '#888888') {
+    fs.mkdirSync(process.env.UPLOAD_PATH, { recursive: true });
+    const filePath = path.join(process.env.UPLOAD_PATH, filename);
+    await sharp({ create: { width: 40, height: 30, channels: 3, background } })
+        .jpeg()
+        .toFile(filePath);
+    const originals = await photoIndex.saveOriginals(filePath, [fs.readFileSync(filePath)]);
+    return photoIndex.addPhoto(filePath, { originals });
+}
+
+describe('TrashStore', () => {
+    before(async () => {
+        await photoIndex.initialize();
+        await trashStore.initialize();
+    });
+
+    after(() => {
+        fs.rmSync(tempPath, { recursive: true, force: true });
+    });
+
+    it('moves a photo and its originals to the trash and back', async () => {
+        const photo = await addPhoto('photo_1.jpg');
+        const [originalPath] = photoIndex.getOriginalPaths(photo);
+
+        const { photo: item } = await trashStore.trashPhoto('photo_1.jpg');
+        assert.equal(photoIndex.getPhoto('photo_1.jpg'), null);
+        assert.ok(!fs.existsSync(originalPath));
+        assert.ok(fs.existsSync(trashStore.getTrashPath(item)));
+        assert.deepEqual(trashStore.getItems().map(item => item.filename), ['photo_1.jpg']);
+
+        await trashStore.restorePhoto(item.trashId);
+        assert.equal(photoIndex.getPhoto('photo_1.jpg').filename, 'photo_1.jpg');
+        assert.ok(fs.existsSync(originalPath));
+        assert.equal(trashStore.getItem(item.trashId), null);
+        assert.ok(!fs.existsSync(path.join(trashStore.trashPath, item.trashId)));
+    });
+
+    it('keeps same-named photos apart and restores both', async () => {
+        const { photo: first } = await trashStore.trashPhoto('photo_1.jpg');
+        await addPhoto('photo_1.jpg', '#ff0000');
+        const { photo: second } = await trashStore.trashPhoto('photo_1.jpg');
+
+        assert.notEqual(first.trashId, second.trashId);
+        assert.ok(fs.existsSync(trashStore.getTrashPath(first)));
+        assert.ok(fs.existsSync(trashStore.getTrashPath(second)));
+
+        const restoredFirst = await trashStore.restorePhoto(first.trashId);
+        const restoredSecond = await trashStore.restorePhoto(second.trashId);
+        assert.equal(restoredFirst.filename, 'photo_1.jpg');
+        assert.match(restoredSecond.filename, /^photo_1_[0-9a-f]{8}\.jpg$/);
+        assert.deepEqual(photoIndex.getOriginalPaths(restoredSecond).map(file => path.basename(file)),
+            [restoredSecond.filename.replace('.jpg', '_original_1.jpg')]);
+
+        // Each photo came back with its own pixels and originals
+        const red = async filename => (await sharp(path.join(process.env.UPLOAD_PATH, filename)).stats()).channels[0].mean > 200;
+        assert.equal(await red(restoredFirst.filename), false);
+        assert.equal(await red(restoredSecond.filename), true);
+        assert.ok(photoIndex.getOriginalPaths(restoredSecond).every(file => fs.existsSync(file)));
+        assert.equal(trashStore.getItems().length, 0);
+
+        await trashStore.trashPhoto(restoredSecond.filename);
+    });
+
+    it('purges photos whose retention ran out', async () => {
+        await addPhoto('photo_2.jpg');
+        const { photo: expired } = await trashStore.trashPhoto('photo_1.jpg');
+        const { photo: kept } = await trashStore.trashPhoto('photo_2.jpg');
+        expired.expiresAt = new Date(Date.now() - 1000).toISOString();
+        const otherIds = trashStore.getItems().map(item => item.trashId).filter(id => id !== expired.trashId);
+
+        assert.deepEqual(await trashStore.purgeExpired(), { purgedCount: 1 });
+        assert.equal(trashStore.getItem(expired.trashId), null);
+        assert.ok(!fs.existsSync(path.join(trashStore.trashPath, expired.trashId)));
+        assert.ok(otherIds.every(id => trashStore.getItem(id)));
+        assert.ok(fs.existsSync(trashStore.getTrashPath(kept)));
+    });
+
+    it('keeps a photo in the gallery when its files cannot be moved', async () => {
+        const photo = await addPhoto('photo_3.jpg');
+        const [originalPath] = photoIndex.getOriginalPaths(photo);
+        const moveIfExists = trashStore.moveIfExists;
+        let moves = 0;
+        // The photo moves, its original fails
+        trashStore.moveIfExists = async (source, destination) => {
+            if (++moves === 2) {
+                throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+            }
+            return moveIfExists.call(trashStore, source, destination);
+        };
+
+        try {
+            await assert.rejects(() => trashStore.trashPhoto('photo_3.jpg'), /cross-device/);
+        } finally {
+            trashStore.moveIfExists = moveIfExists;
+        }
+        assert.equal(photoIndex.getPhoto('photo_3.jpg').filename, 'photo_3.jpg');
+        assert.ok(fs.existsSync(path.join(process.env.UPLOAD_PATH, 'photo_3.jpg')));
+        assert.ok(fs.existsSync(originalPath));
+        assert.ok(trashStore.getItems().every(item => item.filename !== 'photo_3.jpg'));
+        assert.equal(fs.readdirSync(trashStore.trashPath).length, trashStore.getItems().length);
+    });
+
+    it('moves photos trashed into the flat folder into their own', async () => {
+        const deletedAt = new Date().toISOString();
+        const legacy = { filename: 'photo_4.jpg', eventId: null, pdfFilename: null, originals: [], deletedAt, expiresAt: deletedAt };
+        fs.writeFileSync(path.join(trashStore.trashPath, 'photo_4.jpg'), 'old');
+        fs.writeFileSync(trashStore.trashFile, JSON.stringify([legacy]));
+
+        await trashStore.load();
+        await trashStore.migrate();
+        const [item] = trashStore.getItems();
+        assert.match(item.trashId, /^[0-9a-f]{16}$/);
+        assert.equal(fs.readFileSync(trashStore.getTrashPath(item), 'utf8'), 'old');
+        assert.ok(!fs.existsSync(path.join(trashStore.trashPath, 'photo_4.jpg')));
+    });
+});
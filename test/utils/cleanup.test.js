@@ -0,0 +1,64 @@
+/**
+ * Cleanup tests
+ * Automatic cleanup never touches event galleries and goes through the trash
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the photos, trash and indexes in a scratch folder
+const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-'));
+process.env.UPLOAD_PATH = path.join(tempPath, 'uploads');
+process.env.DATA_PATH = path.join(tempPath, 'data');
+
+const sharp = require('sharp');
+const eventStore = require('../../src/services/EventStore');
+const photoIndex = require('../../src/services/PhotoIndex');
+const trashStore = require('../../src/services/TrashStore');
+const CleanupManager = require('../../src/utils/cleanup');
+
+async function addPhoto(filename, eventId = null) {
+    const folder = eventStore.getPhotoDirectory(eventId);
+    fs.mkdirSync(folder, { recursive: true });
+    const filePath = path.join(folder, filename);
+    await sharp({ create: { width: 40, height: 30, channels: 3, background: '#888888' } })
+        .jpeg()
+        .toFile(filePath);
+    return photoIndex.addPhoto(filePath, { eventId });
+}
+
+describe('CleanupManager', () => {
+    const cleanupManager = new CleanupManager();
+
+    before(async () => {
+        await eventStore.initialize();
+        await photoIndex.initialize();
+        await trashStore.initialize();
+    });
+
+    after(() => {
+        fs.rmSync(tempPath, { recursive: true, force: true });
+    });
+
+    it('keeps the photos of a closed event', async () => {
+        const event = await eventStore.createEvent({ name: 'Wedding' });
+        await addPhoto('photo_wedding.jpg', event.id);
+        await addPhoto('photo_loose.jpg');
+        await eventStore.closeEvent(event.id);
+
+        const cleanable = await cleanupManager.getCleanableFiles();
+        assert.deepEqual(cleanable.map(file => file.name), ['photo_loose.jpg']);
+    });
+
+    it('moves old photos to the trash instead of deleting them', async () => {
+        cleanupManager.maxAge = -1;
+
+        assert.equal((await cleanupManager.cleanOldFiles()).deletedCount, 1);
+        assert.equal(photoIndex.getPhoto('photo_loose.jpg'), null);
+        assert.ok(photoIndex.getPhoto('photo_wedding.jpg'));
+        assert.deepEqual(trashStore.getItems().map(item => item.filename), ['photo_loose.jpg']);
+    });
+});